@@ -10,7 +10,7 @@ const optionalAuth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET)
-    const user = await User.findById(decoded.id).select("-password")
+    const user = await User.findById(decoded.userId || decoded.id).select("-password")
 
     if (user) {
       req.user = user
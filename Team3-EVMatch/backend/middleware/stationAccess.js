@@ -0,0 +1,94 @@
+const mongoose = require("mongoose")
+const ChargingStation = require("../models/ChargingStation")
+const User = require("../models/User")
+
+// Configuration object - can be loaded from environment or config service
+const stationAccessConfig = {
+  adminRoles: process.env.STATION_ADMIN_ROLES?.split(',') || [process.env.ADMIN_ROLE || "admin"],
+  operatorRole: process.env.STATION_OPERATOR_ROLE || "station_operator"
+}
+
+// What the signed-in user may manage: admins manage everything, operators
+// manage stations they own plus every station in their networks
+const loadOperatorScope = async (user) => {
+  if (stationAccessConfig.adminRoles.includes(user.role)) {
+    return { isAdmin: true, userId: user.userId, networks: [] }
+  }
+
+  const operator = await User.findById(user.userId).select("operatorNetworks")
+  return {
+    isAdmin: false,
+    userId: user.userId,
+    networks: operator?.operatorNetworks || [],
+  }
+}
+
+const canManageStation = (scope, station) => {
+  if (scope.isAdmin) return true
+  if (station.operator && station.operator.toString() === scope.userId.toString()) return true
+  return scope.networks.includes(station.network)
+}
+
+// Attach req.operatorScope; must run after auth
+const attachOperatorScope = async (req, res, next) => {
+  try {
+    req.operatorScope = await loadOperatorScope(req.user)
+    next()
+  } catch (error) {
+    console.error("Station access error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to check station permissions",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+}
+
+// Load the station named by a route param into req.station and make sure the
+// signed-in user may manage it; must run after auth
+const requireStationAccess = (paramName = "id") => async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params[paramName])) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid station ID",
+      })
+    }
+
+    const station = await ChargingStation.findById(req.params[paramName])
+    if (!station) {
+      return res.status(404).json({
+        success: false,
+        message: "Charging station not found",
+      })
+    }
+
+    const scope = await loadOperatorScope(req.user)
+    if (!canManageStation(scope, station)) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not operate this charging station",
+        code: "STATION_ACCESS_DENIED",
+      })
+    }
+
+    req.station = station
+    req.operatorScope = scope
+    next()
+  } catch (error) {
+    console.error("Station access error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to check station permissions",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+}
+
+module.exports = {
+  attachOperatorScope,
+  requireStationAccess,
+  canManageStation,
+  getOperatorRole: () => stationAccessConfig.operatorRole,
+  getAdminRoles: () => [...stationAccessConfig.adminRoles]
+}
@@ -0,0 +1,73 @@
+const mongoose = require("mongoose")
+const rateLimit = require("express-rate-limit")
+const ChargingStation = require("../models/ChargingStation")
+const { hashStationKey, stationKeyMatches } = require("../utils/ocppStatus")
+
+// Configuration object - can be loaded from environment or config service
+const stationKeyConfig = {
+  // Status pushes allowed per station key in each window
+  rateLimit: {
+    windowMs: parseInt(process.env.STATION_KEY_RATE_WINDOW_MS) || 60 * 1000, // 1 minute
+    max: parseInt(process.env.STATION_KEY_RATE_LIMIT) || 120
+  }
+}
+
+// The ingestion key, sent as "Authorization: Bearer <key>" or X-Station-Key
+function readStationKey(req) {
+  const authorization = req.get("Authorization") || ""
+  return req.get("X-Station-Key") || (authorization.startsWith("Bearer ") ? authorization.slice(7).trim() : null)
+}
+
+// Chargers at one site often share an IP and report every connector change,
+// so status pushes are limited per station and key instead of per IP.
+// Requests without a key are limited by IP.
+const stationKeyLimiter = rateLimit({
+  windowMs: stationKeyConfig.rateLimit.windowMs,
+  max: stationKeyConfig.rateLimit.max,
+  keyGenerator: (req) => {
+    const key = readStationKey(req)
+    return key ? `${req.params.id}:${hashStationKey(key)}` : req.ip
+  },
+  message: {
+    success: false,
+    message: "Too many status updates for this station, please try again later.",
+  },
+})
+
+// Authenticate a charger pushing status for the station in req.params.id with
+// that station's ingestion key
+const stationKeyAuth = async (req, res, next) => {
+  try {
+    const key = readStationKey(req)
+
+    if (!key) {
+      return res.status(401).json({
+        success: false,
+        message: "Station API key required",
+      })
+    }
+
+    // Unknown stations and wrong keys look the same, so IDs cannot be probed
+    const station = mongoose.isValidObjectId(req.params.id)
+      ? await ChargingStation.findOne({ _id: req.params.id, isActive: true }).select("+ingestKey.hash")
+      : null
+    if (!station || !stationKeyMatches(key, station.ingestKey?.hash)) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid station API key",
+      })
+    }
+
+    req.station = station
+    next()
+  } catch (error) {
+    console.error("Station key auth error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to authenticate station",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+}
+
+module.exports = { stationKeyAuth, stationKeyLimiter }
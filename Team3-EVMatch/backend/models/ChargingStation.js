@@ -1,4 +1,12 @@
 const mongoose = require("mongoose")
+const { guessTimezone, isValidTimezone, TIME_PATTERN, DATE_PATTERN } = require("../utils/stationHours")
+const { publishAvailability } = require("../utils/stationEvents")
+
+const openingTime = { type: String, match: [TIME_PATTERN, "Time must be HH:MM (24-hour)"] }
+const dayHours = { open: openingTime, close: openingTime }
+
+// Internal and operator-only fields left out of public station responses
+const privateFields = ["metadata", "__v", "ingestKey", "operator", "ocppStatus"]
 
 const chargingStationSchema = new mongoose.Schema(
   {
@@ -52,6 +60,8 @@ const chargingStationSchema = new mongoose.Schema(
           enum: ["operational", "maintenance", "offline"],
           default: "operational",
         },
+        // OCPP connector IDs in this group; numbered in connector order when not set
+        ocppConnectorIds: [{ type: Number, min: 1 }],
       },
     ],
     amenities: [
@@ -79,14 +89,35 @@ const chargingStationSchema = new mongoose.Schema(
       membership_required: { type: Boolean, default: false },
     },
     hours: {
-      monday: { open: String, close: String },
-      tuesday: { open: String, close: String },
-      wednesday: { open: String, close: String },
-      thursday: { open: String, close: String },
-      friday: { open: String, close: String },
-      saturday: { open: String, close: String },
-      sunday: { open: String, close: String },
+      monday: dayHours,
+      tuesday: dayHours,
+      wednesday: dayHours,
+      thursday: dayHours,
+      friday: dayHours,
+      saturday: dayHours,
+      sunday: dayHours,
       is_24_7: { type: Boolean, default: false },
+      // Set when an operator edits the hours; imports then leave them alone
+      editedAt: Date,
+      // IANA timezone the hours are in; guessed from the coordinates when not given
+      timezone: {
+        type: String,
+        validate: {
+          validator: isValidTimezone,
+          message: "Timezone must be an IANA timezone such as America/Chicago",
+        },
+      },
+      // Holidays and one-off changes, by station-local date; they override the weekly hours
+      exceptions: [
+        {
+          date: { type: String, required: true, match: [DATE_PATTERN, "Date must be YYYY-MM-DD"] },
+          closed: { type: Boolean, default: false },
+          open: openingTime,
+          close: openingTime,
+          note: { type: String, trim: true, maxlength: 200 },
+          _id: false,
+        },
+      ],
     },
     ratings: {
       overall: { type: Number, min: 0, max: 5, default: 0 },
@@ -95,10 +126,44 @@ const chargingStationSchema = new mongoose.Schema(
       amenities: { type: Number, min: 0, max: 5, default: 0 },
       review_count: { type: Number, default: 0 },
     },
+    // Identifier from the dataset a station was imported from; imports upsert on it
+    externalId: {
+      type: String,
+      trim: true,
+    },
+    source: {
+      type: String,
+      enum: ["manual", "csv", "ocpi"],
+      default: "manual",
+    },
+    // Station operator account that owns this station
+    operator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
     isActive: {
       type: Boolean,
       default: true,
     },
+    deactivatedAt: Date,
+    // Chargers authenticate status pushes with this key; only its hash is stored
+    ingestKey: {
+      hash: { type: String, select: false },
+      prefix: String,
+      createdAt: Date,
+    },
+    // Latest OCPP StatusNotification per connector ID; 0 is the whole charge point
+    ocppStatus: [
+      {
+        connectorId: { type: Number, required: true, min: 0 },
+        status: { type: String, required: true },
+        errorCode: String,
+        info: String,
+        vendorErrorCode: String,
+        timestamp: { type: Date, required: true },
+        _id: false,
+      },
+    ],
     lastStatusUpdate: {
       type: Date,
       default: Date.now,
@@ -119,6 +184,29 @@ chargingStationSchema.index({ "location.coordinates": "2dsphere" })
 chargingStationSchema.index({ network: 1 })
 chargingStationSchema.index({ "connectors.type": 1 })
 chargingStationSchema.index({ isActive: 1 })
+chargingStationSchema.index({ externalId: 1 }, { unique: true, sparse: true })
+chargingStationSchema.index({ operator: 1 })
+
+// Hours are evaluated in the station's local time
+chargingStationSchema.pre("validate", function (next) {
+  if (!this.hours?.timezone) {
+    this.set("hours.timezone", guessTimezone(this.location?.coordinates?.coordinates))
+  }
+  next()
+})
+
+// Push connector availability changes to live subscribers
+chargingStationSchema.pre("save", function (next) {
+  this.$locals.availabilityChanged =
+    !this.isNew && (this.isModified("connectors") || this.isModified("lastStatusUpdate") || this.isModified("isActive"))
+  next()
+})
+
+chargingStationSchema.post("save", function (doc) {
+  if (doc.$locals.availabilityChanged) {
+    publishAvailability(doc)
+  }
+})
 
 // Virtual for total connectors
 chargingStationSchema.virtual("totalConnectors").get(function () {
@@ -151,6 +239,37 @@ chargingStationSchema.statics.findNearby = function (longitude, latitude, maxDis
   })
 }
 
+// Projection for public station endpoints, matching searchNearby
+chargingStationSchema.statics.getPublicProjection = function () {
+  return privateFields.map((field) => `-${field}`).join(" ")
+}
+
+// Nearest-first search that also returns how far each station is.
+// $geoNear must be the first stage, so every other filter goes in its query.
+chargingStationSchema.statics.searchNearby = function (longitude, latitude, { maxDistance = 50000, query = {}, limit = 50 } = {}) {
+  return this.aggregate([
+    {
+      $geoNear: {
+        near: { type: "Point", coordinates: [longitude, latitude] },
+        key: "location.coordinates",
+        distanceField: "distance.meters",
+        maxDistance, // in meters
+        query: { isActive: true, ...query },
+        spherical: true,
+      },
+    },
+    { $limit: limit },
+    {
+      $addFields: {
+        "distance.meters": { $round: ["$distance.meters", 0] },
+        "distance.km": { $round: [{ $divide: ["$distance.meters", 1000] }, 2] },
+        "distance.miles": { $round: [{ $divide: ["$distance.meters", 1609.344] }, 2] },
+      },
+    },
+    { $project: Object.fromEntries(privateFields.map((field) => [field, 0])) },
+  ])
+}
+
 // Method to update connector availability
 chargingStationSchema.methods.updateConnectorAvailability = function (connectorType, available) {
   const connector = this.connectors.find((c) => c.type === connectorType)
@@ -0,0 +1,122 @@
+const mongoose = require("mongoose")
+const crypto = require("crypto")
+
+// Configuration object - can be loaded from environment or config service
+const comparisonConfig = {
+  limits: {
+    maxVehicles: parseInt(process.env.COMPARISON_SET_MAX_VEHICLES) || 8,
+    maxSetsPerUser: parseInt(process.env.COMPARISON_SETS_PER_USER) || 50,
+    nameMaxLength: parseInt(process.env.COMPARISON_NAME_MAX_LENGTH) || 100,
+    notesMaxLength: parseInt(process.env.COMPARISON_NOTES_MAX_LENGTH) || 2000
+  },
+  sharing: {
+    slugBytes: parseInt(process.env.COMPARISON_SLUG_BYTES) || 16
+  },
+  references: {
+    userModel: process.env.USER_MODEL_NAME || "User",
+    vehicleModel: process.env.VEHICLE_MODEL_NAME || "Vehicle"
+  }
+}
+
+// URL-safe random slug; 16 bytes gives 128 bits, so links cannot be guessed
+const generateShareSlug = () => crypto.randomBytes(comparisonConfig.sharing.slugBytes).toString("base64url")
+
+const comparisonSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: comparisonConfig.references.userModel,
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Comparison name is required"],
+      trim: true,
+      maxlength: [
+        comparisonConfig.limits.nameMaxLength,
+        `Name cannot exceed ${comparisonConfig.limits.nameMaxLength} characters`
+      ],
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [
+        comparisonConfig.limits.notesMaxLength,
+        `Notes cannot exceed ${comparisonConfig.limits.notesMaxLength} characters`
+      ],
+    },
+    vehicles: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: comparisonConfig.references.vehicleModel,
+        },
+      ],
+      validate: [
+        {
+          validator: (vehicles) => vehicles.length <= comparisonConfig.limits.maxVehicles,
+          message: `A comparison can hold at most ${comparisonConfig.limits.maxVehicles} vehicles`
+        },
+        {
+          validator: (vehicles) => new Set(vehicles.map(String)).size === vehicles.length,
+          message: "A comparison cannot contain the same vehicle twice"
+        }
+      ],
+    },
+    shareSlug: {
+      type: String,
+      default: generateShareSlug,
+    },
+    isShared: {
+      type: Boolean,
+      default: false,
+    },
+    sharedAt: Date,
+    lastComparedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+comparisonSchema.index({ user: 1, updatedAt: -1 })
+comparisonSchema.index({ shareSlug: 1 }, { unique: true })
+
+// Enable public sharing through the set's slug
+comparisonSchema.methods.share = function () {
+  this.isShared = true
+  this.sharedAt = new Date()
+  return this.save()
+}
+
+// Revoke sharing; a fresh slug makes previously shared links stop working
+comparisonSchema.methods.unshare = function () {
+  this.isShared = false
+  this.sharedAt = undefined
+  this.shareSlug = generateShareSlug()
+  return this.save()
+}
+
+comparisonSchema.methods.isOwnedBy = function (userId) {
+  return this.user.toString() === userId.toString()
+}
+
+comparisonSchema.statics.findShared = function (slug) {
+  return this.findOne({ shareSlug: slug, isShared: true })
+}
+
+comparisonSchema.statics.getLimits = function () {
+  return { ...comparisonConfig.limits }
+}
+
+// Hide the slug unless the set is actually shared
+comparisonSchema.methods.toJSON = function () {
+  const comparison = this.toObject()
+  if (!comparison.isShared) {
+    delete comparison.shareSlug
+  }
+  delete comparison.__v
+  return comparison
+}
+
+module.exports = mongoose.model("Comparison", comparisonSchema)
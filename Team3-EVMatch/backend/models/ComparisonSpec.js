@@ -0,0 +1,303 @@
+const mongoose = require("mongoose")
+const specExpression = require("../utils/specExpression")
+const { getDimensions } = require("../utils/comparisonScorecard")
+
+// Configuration object - can be loaded from environment or config service
+const comparisonSpecConfig = {
+  defaults: {
+    registryName: process.env.DEFAULT_COMPARISON_SPEC || "default",
+    parameters: {
+      electricityRate: parseFloat(process.env.DEFAULT_ELECTRICITY_RATE) || 0.15, // $/kWh
+      dcChargeMinutes: parseInt(process.env.DEFAULT_DC_CHARGE_MINUTES) || 10
+    }
+  },
+  enums: {
+    formatterTypes: process.env.COMPARISON_FORMATTER_TYPES?.split(',') ||
+      ["currency", "number", "string", "minutes", "seconds", "mph", "hp", "mpge", "miles", "kw", "kwh", "feet3", "seats"],
+    compareRules: ["min", "max", "none"],
+    dimensions: getDimensions()
+  },
+  limits: {
+    maxCategories: parseInt(process.env.COMPARISON_SPEC_MAX_CATEGORIES) || 20,
+    maxSpecsPerCategory: parseInt(process.env.COMPARISON_SPEC_MAX_SPECS) || 30
+  }
+}
+
+// Built-in comparison layout, used for seeding and when no registry is stored yet
+const defaultCategories = [
+  {
+    name: "Pricing",
+    dimension: "price",
+    specs: [
+      { key: "price.msrp", label: "MSRP", type: "currency", compare: "min" },
+      {
+        key: "computed.effectivePrice",
+        label: "Effective Price",
+        type: "currency",
+        compare: "min",
+        // applicableIncentives is the user's location-specific total when available
+        expression: "max(0, price.msrp - coalesce(applicableIncentives.total, 0))",
+      },
+      {
+        key: "computed.pricePerMile",
+        label: "Price per Mile of Range",
+        type: "currency",
+        compare: "min",
+        expression: "round(max(0, price.msrp - coalesce(applicableIncentives.total, 0)) / specifications.range.epa)",
+      },
+      { key: "applicableIncentives.federal", label: "Federal Incentive", type: "currency", compare: "max" },
+      { key: "applicableIncentives.state", label: "State Incentive", type: "currency", compare: "max" },
+    ],
+  },
+  {
+    name: "Range & Efficiency",
+    dimension: "range",
+    specs: [
+      { key: "specifications.range.epa", label: "EPA Range", type: "miles", compare: "max" },
+      { key: "specifications.range.real_world", label: "Real-World Range", type: "miles", compare: "max" },
+      { key: "specifications.efficiency.mpge_combined", label: "Combined Efficiency", type: "mpge", compare: "max" },
+      { key: "specifications.efficiency.kwh_per_100mi", label: "Energy Use (kWh/100mi)", type: "number", compare: "min" },
+      {
+        key: "computed.costPer100Miles",
+        label: "Energy Cost per 100 mi",
+        type: "currency",
+        compare: "min",
+        expression: "round(specifications.efficiency.kwh_per_100mi * $electricityRate, 2)",
+      },
+    ],
+  },
+  {
+    name: "Battery & Charging",
+    dimension: "charging",
+    specs: [
+      { key: "specifications.battery.capacity_kwh", label: "Battery Capacity", type: "kwh", compare: "max" },
+      { key: "specifications.battery.chemistry", label: "Battery Chemistry", type: "string", compare: "none" },
+      { key: "specifications.charging.dc_max_kw", label: "Max DC Charging", type: "kw", compare: "max" },
+      { key: "specifications.charging.ac_max_kw", label: "Max AC Charging", type: "kw", compare: "max" },
+      { key: "specifications.charging.time_10_80_minutes", label: "DC Charge 10-80%", type: "minutes", compare: "min" },
+      {
+        // 70% of the pack over the 10-80% session gives the average DC rate
+        key: "computed.milesPerDcSession",
+        label: "Miles Added in 10 min DC",
+        type: "miles",
+        compare: "max",
+        expression: "round(0.7 * specifications.battery.capacity_kwh / specifications.charging.time_10_80_minutes * $dcChargeMinutes * 100 / specifications.efficiency.kwh_per_100mi)",
+      },
+      { key: "specifications.charging.charge_port", label: "Charge Port", type: "string", compare: "none" },
+    ],
+  },
+  {
+    name: "Performance",
+    dimension: "performance",
+    specs: [
+      { key: "specifications.performance.acceleration_0_60", label: "0-60 mph", type: "seconds", compare: "min" },
+      { key: "specifications.performance.top_speed_mph", label: "Top Speed", type: "mph", compare: "max" },
+      { key: "specifications.performance.horsepower", label: "Horsepower", type: "hp", compare: "max" },
+      { key: "specifications.performance.drivetrain", label: "Drivetrain", type: "string", compare: "none" },
+    ],
+  },
+  {
+    name: "Practicality",
+    dimension: "practicality",
+    specs: [
+      { key: "bodyType", label: "Body Type", type: "string", compare: "none" },
+      { key: "specifications.dimensions.seating_capacity", label: "Seating", type: "seats", compare: "max" },
+      { key: "specifications.dimensions.cargo_volume_cubic_feet", label: "Cargo Volume", type: "feet3", compare: "max" },
+    ],
+  },
+  {
+    name: "Technology",
+    dimension: "technology",
+    specs: [
+      { key: "techScore", label: "Tech Score", type: "number", compare: "max" },
+    ],
+  },
+  {
+    name: "Ratings",
+    dimension: "ratings",
+    specs: [
+      { key: "ratings.overall", label: "Owner Rating", type: "number", compare: "max" },
+      { key: "ecoScore", label: "Eco Score", type: "number", compare: "max" },
+    ],
+  },
+]
+
+const specSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, "Spec key is required"],
+      trim: true,
+    },
+    // Optional computed value; when set, key only identifies the spec
+    expression: {
+      type: String,
+      trim: true,
+      validate: {
+        validator: (value) => !value || specExpression.validate(value) === null,
+        message: (props) => `Invalid spec expression: ${specExpression.validate(props.value)}`
+      },
+    },
+    label: {
+      type: String,
+      required: [true, "Spec label is required"],
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: {
+        values: comparisonSpecConfig.enums.formatterTypes,
+        message: `Formatter type must be one of: ${comparisonSpecConfig.enums.formatterTypes.join(', ')}`
+      },
+      default: "string",
+    },
+    compare: {
+      type: String,
+      enum: {
+        values: comparisonSpecConfig.enums.compareRules,
+        message: `Compare rule must be one of: ${comparisonSpecConfig.enums.compareRules.join(', ')}`
+      },
+      default: "none",
+    },
+    // Relative weight of this spec inside its category scorecard
+    weight: {
+      type: Number,
+      min: [0, "Spec weight cannot be negative"],
+      default: 1,
+    },
+  },
+  { _id: false },
+)
+
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Category name is required"],
+      trim: true,
+    },
+    // Preference dimension used to weight this category in the overall score
+    dimension: {
+      type: String,
+      enum: {
+        values: comparisonSpecConfig.enums.dimensions,
+        message: `Dimension must be one of: ${comparisonSpecConfig.enums.dimensions.join(', ')}`
+      },
+    },
+    weight: {
+      type: Number,
+      min: [0, "Category weight cannot be negative"],
+      default: 1,
+    },
+    specs: {
+      type: [specSchema],
+      validate: [
+        (specs) => specs.length > 0 && specs.length <= comparisonSpecConfig.limits.maxSpecsPerCategory,
+        `Each category needs 1-${comparisonSpecConfig.limits.maxSpecsPerCategory} specs`
+      ],
+    },
+  },
+  { _id: false },
+)
+
+const comparisonSpecSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Registry name is required"],
+      trim: true,
+      lowercase: true,
+      default: comparisonSpecConfig.defaults.registryName,
+    },
+    version: {
+      type: Number,
+      required: true,
+      min: [1, "Version must be at least 1"],
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    categories: {
+      type: [categorySchema],
+      validate: [
+        (categories) => categories.length > 0 && categories.length <= comparisonSpecConfig.limits.maxCategories,
+        `A registry needs 1-${comparisonSpecConfig.limits.maxCategories} categories`
+      ],
+    },
+    // Default values for $parameters used in spec expressions
+    parameters: {
+      type: Map,
+      of: Number,
+      default: () => ({ ...comparisonSpecConfig.defaults.parameters }),
+    },
+    isActive: {
+      type: Boolean,
+      default: false,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    activatedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+comparisonSpecSchema.index({ name: 1, version: -1 }, { unique: true })
+comparisonSpecSchema.index({ name: 1, isActive: 1 })
+
+// Next free version number for a registry
+comparisonSpecSchema.statics.nextVersion = async function (name) {
+  const latest = await this.findOne({ name }).sort({ version: -1 }).select("version")
+  return latest ? latest.version + 1 : 1
+}
+
+// Resolve the active layout for a registry, falling back to the built-in set
+comparisonSpecSchema.statics.getActiveLayout = async function (name = comparisonSpecConfig.defaults.registryName) {
+  const registry = await this.findOne({ name, isActive: true }).sort({ version: -1 }).lean()
+
+  if (registry) {
+    return {
+      name: registry.name,
+      version: registry.version,
+      categories: registry.categories,
+      parameters: { ...comparisonSpecConfig.defaults.parameters, ...registry.parameters },
+    }
+  }
+
+  return {
+    name,
+    version: 0,
+    categories: defaultCategories,
+    parameters: { ...comparisonSpecConfig.defaults.parameters },
+  }
+}
+
+comparisonSpecSchema.statics.getDefaultCategories = function () {
+  return JSON.parse(JSON.stringify(defaultCategories))
+}
+
+comparisonSpecSchema.statics.getDefaultParameters = function () {
+  return { ...comparisonSpecConfig.defaults.parameters }
+}
+
+comparisonSpecSchema.statics.getFormatterTypes = function () {
+  return [...comparisonSpecConfig.enums.formatterTypes]
+}
+
+// Activate this version and retire every other version of the same registry
+comparisonSpecSchema.methods.activate = async function () {
+  await this.constructor.updateMany(
+    { name: this.name, _id: { $ne: this._id } },
+    { $set: { isActive: false } }
+  )
+
+  this.isActive = true
+  this.activatedAt = new Date()
+  return this.save()
+}
+
+module.exports = mongoose.model("ComparisonSpec", comparisonSpecSchema)
@@ -0,0 +1,150 @@
+const mongoose = require("mongoose")
+
+// Configuration object - can be loaded from environment or config service
+const incentiveRuleConfig = {
+  levels: ["federal", "state", "local", "utility"],
+  amountTypes: ["flat", "percent"],
+  acquisitionTypes: ["purchase", "lease"],
+  filingStatuses: ["single", "joint", "head_of_household"],
+  defaultCountry: process.env.DEFAULT_INCENTIVE_COUNTRY || "US"
+}
+
+const incentiveRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Incentive name is required"],
+      trim: true,
+    },
+    description: String,
+    provider: String,
+    url: String,
+    level: {
+      type: String,
+      required: true,
+      enum: {
+        values: incentiveRuleConfig.levels,
+        message: `Level must be one of: ${incentiveRuleConfig.levels.join(', ')}`
+      },
+    },
+    // Where the incentive applies. Empty fields match everywhere within the
+    // fields that are set, e.g. a state rule leaves zipCodes and utility empty.
+    jurisdiction: {
+      country: { type: String, uppercase: true, trim: true, default: incentiveRuleConfig.defaultCountry },
+      state: { type: String, uppercase: true, trim: true },
+      zipCodes: [{ type: String, trim: true }],
+      utility: { type: String, trim: true },
+    },
+    amount: {
+      type: {
+        type: String,
+        enum: incentiveRuleConfig.amountTypes,
+        default: "flat",
+      },
+      // Dollars for flat amounts, percent of MSRP for percent amounts
+      value: { type: Number, required: true, min: 0 },
+      max: { type: Number, min: 0 },
+    },
+    eligibility: {
+      msrpCap: { type: Number, min: 0 },
+      // Overrides msrpCap for these body types
+      msrpCapByBodyType: { type: Map, of: Number },
+      // Household income limits by tax filing status
+      incomeLimits: Object.fromEntries(incentiveRuleConfig.filingStatuses.map((status) => [status, { type: Number, min: 0 }])),
+      acquisitionTypes: {
+        type: [{ type: String, enum: incentiveRuleConfig.acquisitionTypes }],
+        default: () => [...incentiveRuleConfig.acquisitionTypes],
+      },
+      // Vehicle sourcing requirements, checked against Vehicle.manufacturing
+      requiresNorthAmericanAssembly: { type: Boolean, default: false },
+      requiresCriticalMinerals: { type: Boolean, default: false },
+      requiresBatteryComponents: { type: Boolean, default: false },
+    },
+    effectiveFrom: Date,
+    effectiveUntil: Date,
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+incentiveRuleSchema.index({ "jurisdiction.country": 1, "jurisdiction.state": 1, isActive: 1 })
+
+// Active rules in effect on the given date for a location. State is matched in
+// the query; ZIP code and utility are matched here since most rules leave them empty.
+incentiveRuleSchema.statics.findForLocation = async function (location = {}, at = new Date()) {
+  const country = (location.country || incentiveRuleConfig.defaultCountry).toUpperCase()
+  const state = location.state?.toUpperCase()
+
+  const rules = await this.find({
+    isActive: true,
+    "jurisdiction.country": country,
+    "jurisdiction.state": { $in: state ? [null, state] : [null] },
+    $and: [
+      { $or: [{ effectiveFrom: null }, { effectiveFrom: { $lte: at } }] },
+      { $or: [{ effectiveUntil: null }, { effectiveUntil: { $gt: at } }] },
+    ],
+  })
+
+  return rules.filter((rule) => {
+    const { zipCodes, utility } = rule.jurisdiction
+    if (zipCodes?.length && !zipCodes.includes(location.zipCode)) return false
+    if (utility && utility.toLowerCase() !== location.utility?.toLowerCase()) return false
+    return true
+  })
+}
+
+// Built-in rules, used for seeding
+incentiveRuleSchema.statics.getDefaultRules = function () {
+  const federal = {
+    level: "federal",
+    provider: "Internal Revenue Service",
+    url: "https://www.irs.gov/credits-deductions/credits-for-new-clean-vehicles-purchased-in-2023-or-after",
+    jurisdiction: { country: "US" },
+    effectiveFrom: new Date("2023-01-01"),
+    effectiveUntil: new Date("2025-10-01"),
+  }
+  const newVehicleEligibility = {
+    msrpCap: 55000,
+    msrpCapByBodyType: { suv: 80000, truck: 80000 },
+    incomeLimits: { single: 150000, joint: 300000, head_of_household: 225000 },
+    acquisitionTypes: ["purchase"],
+    requiresNorthAmericanAssembly: true,
+  }
+
+  return [
+    {
+      ...federal,
+      name: "Clean Vehicle Credit - critical minerals",
+      description: "Half of the new clean vehicle credit, for vehicles meeting the critical mineral requirement",
+      amount: { type: "flat", value: 3750 },
+      eligibility: { ...newVehicleEligibility, requiresCriticalMinerals: true },
+    },
+    {
+      ...federal,
+      name: "Clean Vehicle Credit - battery components",
+      description: "Half of the new clean vehicle credit, for vehicles meeting the battery component requirement",
+      amount: { type: "flat", value: 3750 },
+      eligibility: { ...newVehicleEligibility, requiresBatteryComponents: true },
+    },
+    {
+      ...federal,
+      name: "Commercial Clean Vehicle Credit (lease)",
+      description: "Claimed by the lessor and commonly passed on as a lease discount",
+      url: "https://www.irs.gov/credits-deductions/commercial-clean-vehicle-credit",
+      amount: { type: "percent", value: 30, max: 7500 },
+      eligibility: { acquisitionTypes: ["lease"] },
+    },
+  ]
+}
+
+incentiveRuleSchema.statics.getLevels = () => [...incentiveRuleConfig.levels]
+incentiveRuleSchema.statics.getAmountTypes = () => [...incentiveRuleConfig.amountTypes]
+incentiveRuleSchema.statics.getAcquisitionTypes = () => [...incentiveRuleConfig.acquisitionTypes]
+incentiveRuleSchema.statics.getFilingStatuses = () => [...incentiveRuleConfig.filingStatuses]
+
+module.exports = mongoose.model("IncentiveRule", incentiveRuleSchema)
@@ -0,0 +1,471 @@
+const mongoose = require("mongoose")
+const quizFlow = require("../utils/quizFlow")
+
+// Configuration object - can be loaded from environment or config service
+const quizModelConfig = {
+  defaults: {
+    quizName: process.env.DEFAULT_QUIZ_NAME || "default"
+  },
+  enums: {
+    questionTypes: ["single", "multiple", "range"],
+    conditionOperators: quizFlow.getOperators(),
+    // Preferences the match scoring reads (see utils/matchScoring)
+    preferences: process.env.QUIZ_PREFERENCE_FIELDS?.split(',') ||
+      ["budget", "vehicleType", "rangeImportance", "techImportance", "chargingFeatures", "ecoFeatures",
+        "dailyMiles", "climateRegion", "highwayShare"]
+  },
+  limits: {
+    maxQuestions: parseInt(process.env.QUIZ_MAX_QUESTIONS) || 30,
+    maxOptions: parseInt(process.env.QUIZ_MAX_OPTIONS) || 12
+  },
+  // Stop asking once the top recommendations have not changed for
+  // stableAnswers answers in a row, after at least minAnswers answers
+  earlyExit: {
+    enabled: process.env.QUIZ_EARLY_EXIT === 'true',
+    minAnswers: parseInt(process.env.QUIZ_EARLY_EXIT_MIN_ANSWERS) || 3,
+    stableAnswers: parseInt(process.env.QUIZ_EARLY_EXIT_STABLE_ANSWERS) || 2,
+    topCount: parseInt(process.env.QUIZ_EARLY_EXIT_TOP_COUNT) || 3
+  }
+}
+
+// Built-in quiz, used for seeding and when no quiz is stored yet
+const defaultQuestions = [
+  {
+    id: 1,
+    question: "What will you mainly use your EV for?",
+    type: "single",
+    options: [
+      { value: "commute", text: "Daily commuting", icon: "🏢" },
+      { value: "family", text: "Family trips and errands", icon: "👨‍👩‍👧" },
+      { value: "road-trips", text: "Long road trips", icon: "🛣️" },
+      { value: "work", text: "Work and hauling", icon: "🧰" },
+    ],
+  },
+  {
+    id: 2,
+    question: "What type of vehicle are you looking for?",
+    type: "single",
+    options: [
+      { value: "compact", text: "Compact", icon: "🚗" },
+      { value: "sedan", text: "Sedan", icon: "🚘" },
+      { value: "suv", text: "SUV", icon: "🚙" },
+      { value: "truck", text: "Truck", icon: "🛻" },
+      { value: "luxury", text: "Luxury", icon: "✨" },
+    ],
+    mapping: {
+      preference: "vehicleType",
+      values: { compact: "hatchback", sedan: "sedan", suv: "suv", truck: "truck", luxury: "sedan" },
+    },
+  },
+  {
+    id: 3,
+    question: "What is your budget?",
+    type: "single",
+    options: [
+      { value: "under-30k", text: "Under $30,000", icon: "💵" },
+      { value: "30k-50k", text: "$30,000 - $50,000", icon: "💰" },
+      { value: "50k-70k", text: "$50,000 - $70,000", icon: "💳" },
+      { value: "70k-100k", text: "$70,000 - $100,000", icon: "💎" },
+      { value: "over-100k", text: "Over $100,000", icon: "👑" },
+    ],
+    mapping: {
+      preference: "budget",
+      values: {
+        "under-30k": { min: 0, max: 30000 },
+        "30k-50k": { min: 30000, max: 50000 },
+        "50k-70k": { min: 50000, max: 70000 },
+        "70k-100k": { min: 70000, max: 100000 },
+        "over-100k": { min: 100000, max: 500000 },
+      },
+    },
+  },
+  {
+    id: 4,
+    question: "How important is driving range to you?",
+    type: "range",
+    min: 1,
+    max: 10,
+    step: 1,
+    defaultValue: 5,
+    labels: ["Not important", "Very important"],
+    mapping: { preference: "rangeImportance" },
+  },
+  {
+    id: 5,
+    question: "How far do you drive on a typical day?",
+    type: "single",
+    options: [
+      { value: "under-30", text: "Under 30 miles", icon: "🏘️" },
+      { value: "30-60", text: "30 - 60 miles", icon: "🏙️" },
+      { value: "60-100", text: "60 - 100 miles", icon: "🌆" },
+      { value: "over-100", text: "Over 100 miles", icon: "🗺️" },
+    ],
+    // The top of each band, so the verdict covers the longest days
+    mapping: {
+      preference: "dailyMiles",
+      values: { "under-30": 30, "30-60": 60, "60-100": 100, "over-100": 150 },
+    },
+  },
+  {
+    id: 6,
+    question: "Which charging options matter to you?",
+    question_detail: "Select all that apply",
+    type: "multiple",
+    required: false,
+    options: [
+      { value: "fast-charging", text: "DC fast charging", icon: "⚡" },
+      { value: "home-charging", text: "Charging at home", icon: "🏠" },
+      { value: "public-network", text: "Large public network", icon: "🔌" },
+    ],
+    mapping: { preference: "chargingFeatures" },
+  },
+  {
+    id: 7,
+    question: "Which eco features matter to you?",
+    question_detail: "Select all that apply",
+    type: "multiple",
+    required: false,
+    options: [
+      { value: "zero-emissions", text: "Zero emissions", icon: "🌱" },
+      { value: "sustainable-materials", text: "Sustainable materials", icon: "♻️" },
+      { value: "efficiency", text: "High efficiency", icon: "🔋" },
+    ],
+    mapping: { preference: "ecoFeatures" },
+  },
+  {
+    id: 8,
+    question: "How important is the latest technology to you?",
+    type: "range",
+    min: 1,
+    max: 10,
+    step: 1,
+    defaultValue: 5,
+    labels: ["Not important", "Very important"],
+    mapping: { preference: "techImportance" },
+  },
+  {
+    id: 9,
+    question: "What is the climate like where you drive?",
+    question_detail: "Cold winters and hot summers both cut range",
+    type: "single",
+    required: false,
+    options: [
+      { value: "cold", text: "Harsh winters", icon: "❄️" },
+      { value: "moderate", text: "Some freezing days", icon: "🌦️" },
+      { value: "mild", text: "Mild all year", icon: "🌤️" },
+      { value: "hot", text: "Hot summers", icon: "☀️" },
+    ],
+    mapping: { preference: "climateRegion" },
+  },
+  {
+    id: 10,
+    question: "How much of your driving is on the highway?",
+    type: "single",
+    required: false,
+    options: [
+      { value: "mostly-city", text: "Mostly city streets", icon: "🚦" },
+      { value: "mixed", text: "A mix of both", icon: "🔀" },
+      { value: "mostly-highway", text: "Mostly highway", icon: "🛣️" },
+    ],
+    mapping: {
+      preference: "highwayShare",
+      values: { "mostly-city": 0.2, mixed: 0.45, "mostly-highway": 0.8 },
+    },
+  },
+]
+
+const optionSchema = new mongoose.Schema(
+  {
+    value: {
+      type: String,
+      required: [true, "Option value is required"],
+      trim: true,
+    },
+    text: {
+      type: String,
+      required: [true, "Option text is required"],
+      trim: true,
+    },
+    icon: String,
+  },
+  { _id: false },
+)
+
+// Show a question only when an earlier answer matches: is (in) or is not
+// (notIn) one of values, or is at least (gte) or at most (lte) value
+const conditionSchema = new mongoose.Schema(
+  {
+    questionId: {
+      type: Number,
+      required: [true, "Condition question ID is required"],
+    },
+    operator: {
+      type: String,
+      enum: {
+        values: quizModelConfig.enums.conditionOperators,
+        message: `Condition operator must be one of: ${quizModelConfig.enums.conditionOperators.join(', ')}`
+      },
+      default: "in",
+    },
+    values: {
+      type: [String],
+      default: undefined,
+    },
+    value: Number,
+  },
+  { _id: false },
+)
+
+conditionSchema.pre("validate", function (next) {
+  const needsNumber = ["gte", "lte"].includes(this.operator)
+  if (needsNumber && typeof this.value !== "number") {
+    this.invalidate("value", `The ${this.operator} operator needs a number value`)
+  } else if (!needsNumber && !this.values?.length) {
+    this.invalidate("values", `The ${this.operator} operator needs a list of values`)
+  }
+  next()
+})
+
+const questionSchema = new mongoose.Schema(
+  {
+    // Answers are keyed by this ID
+    id: {
+      type: Number,
+      required: [true, "Question ID is required"],
+      min: [1, "Question ID must be at least 1"],
+    },
+    question: {
+      type: String,
+      required: [true, "Question text is required"],
+      trim: true,
+    },
+    question_detail: {
+      type: String,
+      trim: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: {
+        values: quizModelConfig.enums.questionTypes,
+        message: `Question type must be one of: ${quizModelConfig.enums.questionTypes.join(', ')}`
+      },
+    },
+    required: {
+      type: Boolean,
+      default: true,
+    },
+    // Choices for single and multiple questions
+    options: {
+      type: [optionSchema],
+      default: undefined,
+    },
+    // Slider settings for range questions
+    min: Number,
+    max: Number,
+    step: Number,
+    defaultValue: Number,
+    labels: {
+      type: [String],
+      default: undefined,
+    },
+    // Every condition must hold for the question to be shown
+    showIf: {
+      type: [conditionSchema],
+      default: undefined,
+    },
+    // Which preference the answer sets. values maps option values to
+    // preference values; without it the answer itself is used.
+    mapping: {
+      preference: {
+        type: String,
+        enum: {
+          values: quizModelConfig.enums.preferences,
+          message: `Mapped preference must be one of: ${quizModelConfig.enums.preferences.join(', ')}`
+        },
+      },
+      values: mongoose.Schema.Types.Mixed,
+    },
+  },
+  { _id: false },
+)
+
+questionSchema.pre("validate", function (next) {
+  if (this.type === "range") {
+    if (!(typeof this.min === "number" && typeof this.max === "number" && this.min < this.max)) {
+      this.invalidate("max", "Range questions need a min below their max")
+    }
+  } else if (!this.options?.length || this.options.length > quizModelConfig.limits.maxOptions) {
+    this.invalidate("options", `Choice questions need 1-${quizModelConfig.limits.maxOptions} options`)
+  }
+  next()
+})
+
+const quizSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Quiz name is required"],
+      trim: true,
+      lowercase: true,
+      default: quizModelConfig.defaults.quizName,
+    },
+    version: {
+      type: Number,
+      required: true,
+      min: [1, "Version must be at least 1"],
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    questions: {
+      type: [questionSchema],
+      validate: [
+        {
+          validator: (questions) => questions.length > 0 && questions.length <= quizModelConfig.limits.maxQuestions,
+          message: `A quiz needs 1-${quizModelConfig.limits.maxQuestions} questions`
+        },
+        {
+          validator: (questions) => new Set(questions.map((question) => question.id)).size === questions.length,
+          message: "Question IDs must be unique"
+        },
+        {
+          // So whether a question is shown is known by the time it is reached
+          validator: (questions) => questions.every((question, index) =>
+            (question.showIf || []).every((condition) =>
+              questions.slice(0, index).some((earlier) => earlier.id === condition.questionId))),
+          message: "Question conditions can only refer to earlier questions"
+        },
+      ],
+    },
+    earlyExit: {
+      enabled: {
+        type: Boolean,
+        default: quizModelConfig.earlyExit.enabled,
+      },
+      minAnswers: {
+        type: Number,
+        min: [1, "Early exit needs at least 1 answer"],
+        default: quizModelConfig.earlyExit.minAnswers,
+      },
+      stableAnswers: {
+        type: Number,
+        min: [1, "Stable answers must be at least 1"],
+        default: quizModelConfig.earlyExit.stableAnswers,
+      },
+      topCount: {
+        type: Number,
+        min: [1, "Top count must be at least 1"],
+        default: quizModelConfig.earlyExit.topCount,
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: false,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    activatedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+quizSchema.index({ name: 1, version: -1 }, { unique: true })
+quizSchema.index({ name: 1, isActive: 1 })
+
+const builtInQuiz = (name) => ({
+  name,
+  version: 0,
+  questions: JSON.parse(JSON.stringify(defaultQuestions)),
+  earlyExit: { ...quizModelConfig.earlyExit },
+})
+
+const toDefinition = (quiz) => ({
+  name: quiz.name,
+  version: quiz.version,
+  questions: quiz.questions,
+  earlyExit: { ...quizModelConfig.earlyExit, ...quiz.earlyExit },
+})
+
+// Next free version number for a quiz
+quizSchema.statics.nextVersion = async function (name) {
+  const latest = await this.findOne({ name }).sort({ version: -1 }).select("version")
+  return latest ? latest.version + 1 : 1
+}
+
+// Resolve the active quiz, falling back to the built-in questions (version 0)
+quizSchema.statics.getActiveQuiz = async function (name = quizModelConfig.defaults.quizName) {
+  const quiz = await this.findOne({ name, isActive: true }).sort({ version: -1 }).lean()
+  return quiz ? toDefinition(quiz) : builtInQuiz(name)
+}
+
+// A specific version of a quiz, active or not, so older answers can still be
+// read with the questions they were given for. Version 0 is the built-in quiz.
+quizSchema.statics.getQuizVersion = async function (name = quizModelConfig.defaults.quizName, version) {
+  if (version === 0) {
+    return builtInQuiz(name)
+  }
+  const quiz = await this.findOne({ name, version }).lean()
+  return quiz ? toDefinition(quiz) : null
+}
+
+quizSchema.statics.getDefaultQuestions = function () {
+  return JSON.parse(JSON.stringify(defaultQuestions))
+}
+
+quizSchema.statics.getDefaultName = function () {
+  return quizModelConfig.defaults.quizName
+}
+
+// Answer errors against a quiz definition, in the same shape as validation
+// errors: answers must be one of the options or within the slider's range,
+// and, unless requireAll is off (the quiz stopped early), every required
+// question that was shown must be answered. Answers to questions that were
+// not shown are ignored.
+quizSchema.statics.validateAnswers = function (questions, answers = {}, { requireAll = true } = {}) {
+  const errors = []
+  const fail = (question, msg) => errors.push({ path: `answers.${question.id}`, msg, value: answers[question.id] })
+
+  quizFlow.shownQuestions(questions, answers).forEach((question) => {
+    const answer = answers[question.id]
+    if (!quizFlow.hasAnswer(answer)) {
+      if (requireAll && question.required !== false) fail(question, `Answer ${question.id} is required`)
+      return
+    }
+
+    const values = (question.options || []).map((option) => option.value)
+    if (question.type === "range") {
+      const number = Number(answer)
+      if (!Number.isInteger(number) || number < question.min || number > question.max) {
+        fail(question, `Answer ${question.id} must be ${question.min}-${question.max}`)
+      }
+    } else if (question.type === "multiple") {
+      if (!Array.isArray(answer) || !answer.every((value) => values.includes(value))) {
+        fail(question, `Answer ${question.id} must be a list of: ${values.join(', ')}`)
+      }
+    } else if (!values.includes(answer)) {
+      fail(question, `Answer ${question.id} must be one of: ${values.join(', ')}`)
+    }
+  })
+
+  return errors
+}
+
+// Activate this version and retire every other version of the same quiz
+quizSchema.methods.activate = async function () {
+  await this.constructor.updateMany(
+    { name: this.name, _id: { $ne: this._id } },
+    { $set: { isActive: false } }
+  )
+
+  this.isActive = true
+  this.activatedAt = new Date()
+  return this.save()
+}
+
+module.exports = mongoose.model("Quiz", quizSchema)
@@ -0,0 +1,116 @@
+const mongoose = require("mongoose")
+
+// Configuration object - can be loaded from environment or config service
+const auditConfig = {
+  actions: [
+    "station.create",
+    "station.update",
+    "station.deactivate",
+    "station.import",
+    "availability.update",
+    "connector.flag",
+    "ingest_key.rotate",
+    "ingest_key.revoke"
+  ],
+  // Who made a change: a signed-in user or a charger reporting over OCPP
+  sources: ["user", "ocpp"],
+  // Audit entries expire after this many days; 0 keeps them forever
+  retentionDays: parseInt(process.env.STATION_AUDIT_RETENTION_DAYS) || 0,
+  models: {
+    user: process.env.USER_MODEL_NAME || "User",
+    station: process.env.CHARGING_STATION_MODEL_NAME || "ChargingStation"
+  }
+}
+
+const changeSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false },
+)
+
+const stationAuditLogSchema = new mongoose.Schema(
+  {
+    // Not set for bulk imports, which touch many stations at once
+    station: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: auditConfig.models.station,
+    },
+    // Not set for changes reported by the station's chargers
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: auditConfig.models.user,
+      required: function () {
+        return this.source === "user"
+      },
+    },
+    role: String,
+    action: {
+      type: String,
+      required: true,
+      enum: {
+        values: auditConfig.actions,
+        message: `Action must be one of: ${auditConfig.actions.join(', ')}`
+      },
+    },
+    source: {
+      type: String,
+      enum: auditConfig.sources,
+      default: "user",
+    },
+    changes: [changeSchema],
+    details: mongoose.Schema.Types.Mixed,
+    ip: String,
+    userAgent: String,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+)
+
+stationAuditLogSchema.index({ station: 1, createdAt: -1 })
+stationAuditLogSchema.index({ user: 1, createdAt: -1 })
+
+if (auditConfig.retentionDays > 0) {
+  stationAuditLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: auditConfig.retentionDays * 24 * 60 * 60 })
+}
+
+// Record who did what to a station from an authenticated request.
+// Entries without any changes are skipped unless they carry details.
+stationAuditLogSchema.statics.record = function (req, { station, action, changes = [], details }) {
+  if (changes.length === 0 && !details) {
+    return Promise.resolve(null)
+  }
+
+  return this.create({
+    station: station?._id || station,
+    user: req.user.userId,
+    role: req.user.role,
+    action,
+    changes,
+    details,
+    ip: req.ip,
+    userAgent: req.get("User-Agent"),
+  })
+}
+
+// Record a change a charger reported over OCPP, authenticated by the station's ingestion key
+stationAuditLogSchema.statics.recordOcpp = function (req, { station, action, changes = [], details }) {
+  if (changes.length === 0 && !details) {
+    return Promise.resolve(null)
+  }
+
+  return this.create({
+    station: station._id,
+    source: "ocpp",
+    action,
+    changes,
+    details,
+    ip: req.ip,
+    userAgent: req.get("User-Agent"),
+  })
+}
+
+module.exports = mongoose.model("StationAuditLog", stationAuditLogSchema)
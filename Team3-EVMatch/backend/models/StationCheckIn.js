@@ -0,0 +1,105 @@
+const mongoose = require("mongoose")
+
+// Configuration object - can be loaded from environment or config service
+const checkInConfig = {
+  outcomes: ["success", "broken_connector", "iced", "slow"],
+  // Outcomes that count as a status report rather than a plain check-in
+  reportOutcomes: ["broken_connector", "iced", "slow"],
+  // Outcomes that count towards flagging a connector for maintenance
+  failureOutcomes: process.env.CHECKIN_FAILURE_OUTCOMES?.split(',') || ["broken_connector"],
+  autoFlag: {
+    // Distinct users reporting a failure before the connector is flagged
+    threshold: parseInt(process.env.CHECKIN_FAILURE_THRESHOLD) || 3,
+    // Only failures this recent count, and only since the last successful charge
+    windowHours: parseInt(process.env.CHECKIN_FAILURE_WINDOW_HOURS) || 48
+  },
+  commentMaxLength: parseInt(process.env.CHECKIN_COMMENT_MAX_LENGTH) || 500,
+  models: {
+    user: process.env.USER_MODEL_NAME || "User",
+    station: process.env.CHARGING_STATION_MODEL_NAME || "ChargingStation"
+  }
+}
+
+const stationCheckInSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: checkInConfig.models.user,
+      required: true,
+    },
+    station: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: checkInConfig.models.station,
+      required: true,
+    },
+    // Connector the user tried; failure reports need it to flag the right one
+    connectorType: String,
+    outcome: {
+      type: String,
+      required: [true, "Charge outcome is required"],
+      enum: {
+        values: checkInConfig.outcomes,
+        message: `Outcome must be one of: ${checkInConfig.outcomes.join(', ')}`
+      },
+    },
+    // Power the user saw, mostly useful for "slow" reports (kW)
+    observedPowerKw: { type: Number, min: 0 },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [checkInConfig.commentMaxLength, `Comment cannot exceed ${checkInConfig.commentMaxLength} characters`],
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+)
+
+stationCheckInSchema.index({ station: 1, createdAt: -1 })
+stationCheckInSchema.index({ station: 1, connectorType: 1, createdAt: -1 })
+stationCheckInSchema.index({ user: 1, station: 1, createdAt: -1 })
+
+stationCheckInSchema.virtual("isReport").get(function () {
+  return checkInConfig.reportOutcomes.includes(this.outcome)
+})
+
+// Distinct users who reported a connector failing since it last charged someone,
+// within the failure window
+stationCheckInSchema.statics.countRecentFailures = async function (stationId, connectorType) {
+  const since = new Date(Date.now() - checkInConfig.autoFlag.windowHours * 60 * 60 * 1000)
+  const lastSuccess = await this.findOne({
+    station: stationId,
+    connectorType,
+    outcome: "success",
+    createdAt: { $gte: since },
+  })
+    .sort({ createdAt: -1 })
+    .select("createdAt")
+    .lean()
+
+  const reporters = await this.distinct("user", {
+    station: stationId,
+    connectorType,
+    outcome: { $in: checkInConfig.failureOutcomes },
+    createdAt: { $gt: lastSuccess ? lastSuccess.createdAt : since },
+  })
+  return reporters.length
+}
+
+// Whether this check-in pushes its connector over the failure threshold
+stationCheckInSchema.methods.shouldFlagConnector = async function () {
+  if (!this.connectorType || !checkInConfig.failureOutcomes.includes(this.outcome)) {
+    return false
+  }
+  const failures = await this.constructor.countRecentFailures(this.station, this.connectorType)
+  return failures >= checkInConfig.autoFlag.threshold
+}
+
+stationCheckInSchema.statics.getOutcomes = () => [...checkInConfig.outcomes]
+stationCheckInSchema.statics.getReportOutcomes = () => [...checkInConfig.reportOutcomes]
+stationCheckInSchema.statics.getAutoFlagSettings = () => ({
+  ...checkInConfig.autoFlag,
+  failureOutcomes: [...checkInConfig.failureOutcomes]
+})
+
+module.exports = mongoose.model("StationCheckIn", stationCheckInSchema)
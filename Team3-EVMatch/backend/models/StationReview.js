@@ -0,0 +1,92 @@
+const mongoose = require("mongoose")
+
+// Configuration object - can be loaded from environment or config service
+const stationReviewConfig = {
+  ratings: {
+    min: parseInt(process.env.RATING_MIN) || 1,
+    max: parseInt(process.env.RATING_MAX) || 5,
+    // Must match the categories in ChargingStation.ratings
+    categories: ["overall", "reliability", "speed", "amenities"]
+  },
+  commentMaxLength: parseInt(process.env.STATION_REVIEW_MAX_LENGTH) || 2000,
+  models: {
+    user: process.env.USER_MODEL_NAME || "User",
+    station: process.env.CHARGING_STATION_MODEL_NAME || "ChargingStation"
+  }
+}
+
+const ratingField = (category) => ({
+  type: Number,
+  min: [stationReviewConfig.ratings.min, `Rating must be at least ${stationReviewConfig.ratings.min}`],
+  max: [stationReviewConfig.ratings.max, `Rating cannot exceed ${stationReviewConfig.ratings.max}`],
+  ...(category === "overall" && { required: [true, "Overall rating is required"] }),
+})
+
+const stationReviewSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: stationReviewConfig.models.user,
+      required: true,
+    },
+    station: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: stationReviewConfig.models.station,
+      required: true,
+    },
+    ratings: Object.fromEntries(stationReviewConfig.ratings.categories.map((category) => [category, ratingField(category)])),
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [stationReviewConfig.commentMaxLength, `Comment cannot exceed ${stationReviewConfig.commentMaxLength} characters`],
+    },
+    // Connector the reviewer charged on
+    connectorType: String,
+    visitedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+stationReviewSchema.index({ station: 1, createdAt: -1 })
+stationReviewSchema.index({ user: 1, station: 1 }, { unique: true })
+
+// Recalculate ChargingStation.ratings from its reviews
+stationReviewSchema.statics.calculateStationRatings = async function (stationId) {
+  const StationModel = mongoose.model(stationReviewConfig.models.station)
+  const stats = await this.aggregate([
+    { $match: { station: new mongoose.Types.ObjectId(stationId) } },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        ...Object.fromEntries(stationReviewConfig.ratings.categories.map((category) => [category, { $avg: `$ratings.${category}` }])),
+      },
+    },
+  ])
+
+  // With no reviews left every rating goes back to 0
+  const ratings = stats[0] || { count: 0 }
+  const updateData = { "ratings.review_count": ratings.count }
+  stationReviewConfig.ratings.categories.forEach((category) => {
+    updateData[`ratings.${category}`] = ratings[category] != null ? Math.round(ratings[category] * 10) / 10 : 0
+  })
+
+  await StationModel.findByIdAndUpdate(stationId, updateData)
+}
+
+stationReviewSchema.post("save", async function () {
+  await this.constructor.calculateStationRatings(this.station)
+})
+
+stationReviewSchema.post("findOneAndDelete", async function (doc) {
+  if (doc) {
+    await doc.constructor.calculateStationRatings(doc.station)
+  }
+})
+
+stationReviewSchema.statics.getRatingCategories = () => [...stationReviewConfig.ratings.categories]
+stationReviewSchema.statics.getRatingRange = () => ({ min: stationReviewConfig.ratings.min, max: stationReviewConfig.ratings.max })
+
+module.exports = mongoose.model("StationReview", stationReviewSchema)
@@ -1,6 +1,7 @@
 const mongoose = require("mongoose")
 const bcrypt = require("bcryptjs")
 const jwt = require("jsonwebtoken")
+const matchScoring = require("../utils/matchScoring")
 
 // Configuration object - can be loaded from environment or config service
 const userConfig = {
@@ -20,17 +21,25 @@ const userConfig = {
       required: process.env.EMAIL_REQUIRED !== 'false'
     }
   },
-  roles: process.env.USER_ROLES?.split(',') || ["user", "admin"],
+  roles: process.env.USER_ROLES?.split(',') || ["user", "admin", "station_operator"],
   bodyTypes: process.env.BODY_TYPES?.split(',') ||
     ["Sedan", "SUV", "Hatchback", "Coupe", "Truck", "Convertible"],
   chargingTypes: process.env.CHARGING_TYPES?.split(',') ||
     ["Level 1", "Level 2", "DC Fast", "Any"],
+  // Must match IncentiveRule
+  filingStatuses: ["single", "joint", "head_of_household"],
+  acquisitionTypes: ["purchase", "lease"],
+  climateRegions: Object.keys(matchScoring.getRules().rangeAdequacy.climateLoss),
   limits: {
     viewHistory: parseInt(process.env.VIEW_HISTORY_LIMIT) || 50,
+    searchHistory: parseInt(process.env.SEARCH_HISTORY_LIMIT) || 50,
+    savedSearches: parseInt(process.env.SAVED_SEARCHES_LIMIT) || 20,
     quizResults: parseInt(process.env.QUIZ_RESULTS_LIMIT) || 10,
     budgetMax: parseInt(process.env.BUDGET_MAX_DEFAULT) || 100000,
     rangeMax: parseInt(process.env.RANGE_MAX_DEFAULT) || 500,
-    quizScoreMax: parseInt(process.env.QUIZ_SCORE_MAX) || 100
+    quizScoreMax: parseInt(process.env.QUIZ_SCORE_MAX) || 100,
+    importanceMin: parseInt(process.env.IMPORTANCE_MIN) || 1,
+    importanceMax: parseInt(process.env.IMPORTANCE_MAX) || 10
   },
   tokens: {
     jwtExpiry: process.env.JWT_EXPIRE || "7d",
@@ -137,6 +146,13 @@ const userSchema = new mongoose.Schema(
       },
       default: userConfig.roles[0] || "user",
     },
+    // Charging networks a station operator manages; operators also manage stations they own
+    operatorNetworks: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
     isEmailVerified: {
       type: Boolean,
       default: !userConfig.features.enableEmailVerification,
@@ -157,6 +173,13 @@ const userSchema = new mongoose.Schema(
     },
     lastLogin: Date,
     loginCount: { type: Number, default: 0 },
+    // Where the user lives, for region-specific incentives
+    location: {
+      country: { type: String, uppercase: true, trim: true, default: "US" },
+      state: { type: String, uppercase: true, trim: true },
+      zipCode: { type: String, trim: true },
+      utility: { type: String, trim: true },
+    },
     preferences: {
       budget: createBudgetSchema(),
       range: createRangeSchema(),
@@ -180,6 +203,63 @@ const userSchema = new mongoose.Schema(
         default: userConfig.chargingTypes[userConfig.chargingTypes.length - 1] || "Any",
       },
       notifications: createNotificationsSchema(),
+      // Quiz-derived preferences used by recommendations and comparison scorecards
+      vehicleType: {
+        type: String,
+        lowercase: true,
+        trim: true,
+      },
+      rangeImportance: {
+        type: Number,
+        min: userConfig.limits.importanceMin,
+        max: userConfig.limits.importanceMax
+      },
+      techImportance: {
+        type: Number,
+        min: userConfig.limits.importanceMin,
+        max: userConfig.limits.importanceMax
+      },
+      chargingFeatures: [String],
+      ecoFeatures: [String],
+      // Checked against each vehicle's range (see utils/matchScoring)
+      dailyMiles: { type: Number, min: 0 },
+      climateRegion: {
+        type: String,
+        enum: {
+          values: userConfig.climateRegions,
+          message: `Climate region must be one of: ${userConfig.climateRegions.join(', ')}`
+        }
+      },
+      highwayShare: { type: Number, min: 0, max: 1 },
+      // Driving and cost assumptions for total cost of ownership estimates
+      ownership: {
+        annualMiles: { type: Number, min: 0 },
+        electricityRate: { type: Number, min: 0 },
+        publicChargingRate: { type: Number, min: 0 },
+        homeChargingShare: { type: Number, min: 0, max: 100 },
+        insurancePerYear: { type: Number, min: 0 },
+        maintenancePerMile: { type: Number, min: 0 },
+        gasPrice: { type: Number, min: 0 },
+      },
+      // Checked against incentive income limits
+      household: {
+        income: { type: Number, min: 0 },
+        filingStatus: {
+          type: String,
+          enum: {
+            values: userConfig.filingStatuses,
+            message: `Filing status must be one of: ${userConfig.filingStatuses.join(', ')}`
+          }
+        },
+      },
+      acquisitionType: {
+        type: String,
+        enum: {
+          values: userConfig.acquisitionTypes,
+          message: `Acquisition type must be one of: ${userConfig.acquisitionTypes.join(', ')}`
+        },
+        default: userConfig.acquisitionTypes[0],
+      },
     },
     stats: userConfig.features.enableUserStats ? {
       viewedCount: { type: Number, default: 0 },
@@ -225,6 +305,28 @@ const userSchema = new mongoose.Schema(
         },
       },
     ],
+    // Named searches the user can re-run and be emailed about
+    savedSearches: [
+      {
+        name: {
+          type: String,
+          required: [true, "Saved search name is required"],
+          trim: true,
+        },
+        query: String,
+        filters: mongoose.Schema.Types.Mixed,
+        notify: {
+          newVehicles: { type: Boolean, default: true },
+          priceDrops: { type: Boolean, default: true },
+        },
+        lastRunAt: Date,
+        lastNotifiedAt: Date,
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     quizResults: [
       {
         score: {
@@ -232,7 +334,24 @@ const userSchema = new mongoose.Schema(
           min: 0,
           max: userConfig.limits.quizScoreMax
         },
-        recommendations: [String],
+        // Answers keyed by question ID, read with the quiz version below
+        answers: mongoose.Schema.Types.Mixed,
+        quizName: String,
+        quizVersion: Number,
+        recommendations: [
+          {
+            vehicleId: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: userConfig.references.vehicleModel,
+            },
+            score: Number,
+            matchReasons: [String],
+            rangeVerdict: String,
+            _id: false,
+          },
+        ],
+        // Match scoring rule set the recommendations were ranked with
+        scoringVersion: String,
         completedAt: {
           type: Date,
           default: Date.now,
@@ -570,6 +689,42 @@ userSchema.methods.addToViewHistory = function (vehicleId) {
   return this.save()
 }
 
+// Climate the user drives in for range verdicts: the one they chose, else
+// the one their state is in, else null
+userSchema.methods.getClimateRegion = function () {
+  return this.preferences?.climateRegion || matchScoring.climateRegionForState(this.location?.state)
+}
+
+// Method to add to search history; repeating a search moves it to the top
+userSchema.methods.addToSearchHistory = function (query, filters) {
+  // One update of the history alone, so each search does not save the whole user
+  const entry = { _id: new mongoose.Types.ObjectId(), ...(query && { query }), filters: filters || {}, searchedAt: new Date() }
+  const isRepeat = {
+    $and: [
+      { $eq: [{ $ifNull: ["$$search.query", ""] }, { $literal: query || "" }] },
+      { $eq: [{ $ifNull: ["$$search.filters", { $literal: {} }] }, { $literal: filters || {} }] },
+    ],
+  }
+
+  return this.constructor.updateOne({ _id: this._id }, [
+    {
+      $set: {
+        searchHistory: {
+          $slice: [
+            {
+              $concatArrays: [
+                { $literal: [entry] },
+                { $filter: { input: { $ifNull: ["$searchHistory", []] }, as: "search", cond: { $not: [isRepeat] } } },
+              ],
+            },
+            userConfig.limits.searchHistory,
+          ],
+        },
+      },
+    },
+  ])
+}
+
 // Method to update quiz results with dynamic limits
 userSchema.methods.updateQuizResults = function (score, recommendations) {
   this.quizResults.push({
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose")
+const matchScoring = require("../utils/matchScoring")
 
 // Configuration object - can be loaded from environment or config service
 const vehicleConfig = {
@@ -46,14 +47,6 @@ const vehicleConfig = {
     initialFavorites: parseInt(process.env.INITIAL_FAVORITES) || 0,
     initialComparisons: parseInt(process.env.INITIAL_COMPARISONS) || 0
   },
-  matchScoring: {
-    budgetWeight: parseInt(process.env.BUDGET_MATCH_WEIGHT) || 30,
-    typeWeight: parseInt(process.env.TYPE_MATCH_WEIGHT) || 25,
-    rangeWeight: parseInt(process.env.RANGE_MATCH_WEIGHT) || 20,
-    techWeight: parseInt(process.env.TECH_MATCH_WEIGHT) || 15,
-    ecoWeight: parseInt(process.env.ECO_MATCH_WEIGHT) || 10,
-    rangeBaselineEpa: parseInt(process.env.RANGE_BASELINE_EPA) || 300
-  },
   features: {
     enableViewTracking: process.env.ENABLE_VIEW_TRACKING !== 'false',
     enableExternalValidation: process.env.ENABLE_EXTERNAL_VEHICLE_VALIDATION === 'true',
@@ -106,6 +99,11 @@ const vehicleSchema = new mongoose.Schema(
       required: [true, "Vehicle model is required"],
       trim: true,
     },
+    // Trim level within the model, e.g. "Long Range"
+    trim: {
+      type: String,
+      trim: true,
+    },
     year: {
       type: Number,
       required: [true, "Vehicle year is required"],
@@ -113,10 +111,11 @@ const vehicleSchema = new mongoose.Schema(
         vehicleConfig.validation.year.min, 
         `Year must be ${vehicleConfig.validation.year.min} or later`
       ],
-      max: [
-        getCurrentMaxYear, 
-        `Year cannot be more than ${vehicleConfig.validation.year.maxYearsInFuture} years in the future`
-      ],
+      // A validator rather than max, so the limit follows the current year
+      validate: {
+        validator: (year) => year <= getCurrentMaxYear(),
+        message: `Year cannot be more than ${vehicleConfig.validation.year.maxYearsInFuture} years in the future`
+      },
     },
     price: {
       msrp: {
@@ -224,6 +223,12 @@ const vehicleSchema = new mongoose.Schema(
       regions: [String],
       expected_delivery_weeks: { type: Number, default: vehicleConfig.defaults.expectedDeliveryWeeks },
     },
+    // Sourcing facts that incentive eligibility rules check
+    manufacturing: {
+      northAmericanAssembly: Boolean,
+      criticalMineralsCompliant: Boolean,
+      batteryComponentsCompliant: Boolean,
+    },
     ratings: createRatingsSchema(),
     ecoScore: {
       type: Number,
@@ -263,6 +268,11 @@ vehicleSchema.index({ "price.msrp": 1 })
 vehicleSchema.index({ "specifications.range.epa": 1 })
 vehicleSchema.index({ "ratings.overall": -1 })
 vehicleSchema.index({ isActive: 1 })
+// Full-text search over names and features (see utils/vehicleSearch)
+vehicleSchema.index(
+  { make: "text", model: "text", trim: "text", "features.standard": "text", "features.optional": "text" },
+  { name: "vehicle_text_search", weights: { make: 10, model: 10, trim: 5, "features.standard": 2, "features.optional": 1 } },
+)
 
 // Additional indexes from environment
 const additionalIndexes = process.env.VEHICLE_ADDITIONAL_INDEXES?.split(',') || []
@@ -324,7 +334,7 @@ vehicleSchema.pre('save', async function(next) {
           make: this.make,
           model: this.model,
           year: this.year,
-          oldPrice: this._original?.price?.msrp,
+          oldPrice: this.$locals.storedMsrp,
           newPrice: this.price.msrp,
           timestamp: new Date().toISOString()
         })
@@ -343,12 +353,62 @@ vehicleSchema.pre('save', async function(next) {
   next()
 })
 
+// Remember the stored price so a save can tell whether it dropped
+vehicleSchema.post("init", function () {
+  this.$locals.storedMsrp = this.price?.msrp
+})
+
+// Saved search alerts for new vehicles and price drops (see utils/savedSearches)
+vehicleSchema.pre("save", function (next) {
+  const storedMsrp = this.$locals.storedMsrp
+  if (this.isNew) {
+    this.$locals.savedSearchEvent = { event: "newVehicle" }
+  } else if (this.isModified("price.msrp") && storedMsrp > this.price.msrp) {
+    this.$locals.savedSearchEvent = { event: "priceDrop", oldPrice: storedMsrp }
+  }
+  next()
+})
+
+vehicleSchema.post("save", function (doc) {
+  const pending = doc.$locals.savedSearchEvent
+  delete doc.$locals.savedSearchEvent
+  doc.$locals.storedMsrp = doc.price.msrp
+  if (!pending) return
+
+  // Loaded here since utils/savedSearches requires this model
+  const { notifySavedSearches } = require("../utils/savedSearches")
+  // Emails go out in the background so saving is not held up
+  notifySavedSearches(doc, pending.event, { oldPrice: pending.oldPrice })
+    .catch((error) => console.error("Saved search alert error:", error))
+})
+
+// Bulk inserts (the seed script and catalog imports) skip the save hooks,
+// so new vehicle alerts for them are sent here, for the whole batch at once
+vehicleSchema.post("insertMany", function (docs) {
+  const { notifySavedSearches } = require("../utils/savedSearches")
+  notifySavedSearches(docs, "newVehicle")
+    .catch((error) => console.error("Saved search alert error:", error))
+})
+
+// Incentives for the requesting user's location when they have been applied
+// (see utils/incentives), otherwise the flat amounts stored on the vehicle
+vehicleSchema.virtual("applicableIncentives").get(function () {
+  if (this.$locals.incentives) return this.$locals.incentives
+
+  const { federal = 0, state = 0, local = 0 } = this.price.incentives || {}
+  return {
+    federal,
+    state,
+    local,
+    utility: 0,
+    total: federal + state + local,
+    source: "vehicle",
+  }
+})
+
 // Virtual for effective price after incentives
 vehicleSchema.virtual("effectivePrice").get(function () {
-  const totalIncentives = this.price.incentives.federal + 
-                         this.price.incentives.state + 
-                         this.price.incentives.local
-  return Math.max(0, this.price.msrp - totalIncentives)
+  return Math.max(0, this.price.msrp - this.applicableIncentives.total)
 })
 
 // Virtual for full name
@@ -389,44 +449,23 @@ vehicleSchema.methods.incrementViews = async function () {
   return this.save()
 }
 
-// Enhanced method to calculate match score with configurable weights
+// Match score out of 100 for a user's preferences (see utils/matchScoring)
 vehicleSchema.methods.calculateMatchScore = function (userPreferences) {
   if (!vehicleConfig.features.enableMatchScoring) return 0
 
-  let score = 0
-
-  // Budget matching (configurable weight)
-  const effectivePrice = this.effectivePrice
-  if (effectivePrice >= userPreferences.budget.min && effectivePrice <= userPreferences.budget.max) {
-    score += vehicleConfig.matchScoring.budgetWeight
-  } else if (effectivePrice < userPreferences.budget.min) {
-    score += vehicleConfig.matchScoring.budgetWeight * 0.67 // Good value
-  }
+  return matchScoring.scoreVehicle(this, userPreferences).score
+}
 
-  // Vehicle type matching (configurable weight)
-  if (this.bodyType === userPreferences.vehicleType) {
-    score += vehicleConfig.matchScoring.typeWeight
-  }
+// Active vehicles worth ranking for the preferences: those within the budget
+// window and of an accepted body type. Every candidate is returned so the
+// ranking does not depend on which vehicles a capped query happened to include.
+vehicleSchema.statics.findMatchCandidates = function (preferences, extraFilter = {}) {
+  const { price, bodyTypes } = matchScoring.candidateCriteria(preferences)
+  const filter = { isActive: true, ...extraFilter }
+  if (price) filter["price.msrp"] = { $gte: price.min, $lte: price.max }
+  if (bodyTypes) filter.bodyType = { $in: bodyTypes }
 
-  // Range importance (configurable weight)
-  const rangeScore = Math.min(
-    (this.specifications.range.epa / vehicleConfig.matchScoring.rangeBaselineEpa) * 
-    userPreferences.rangeImportance * 
-    (vehicleConfig.matchScoring.rangeWeight / 10), 
-    vehicleConfig.matchScoring.rangeWeight
-  )
-  score += rangeScore
-
-  // Technology importance (configurable weight)
-  const techScore = (this.techScore / vehicleConfig.validation.scores.max) * 
-                   userPreferences.techImportance * 
-                   (vehicleConfig.matchScoring.techWeight / 10)
-  score += techScore
-
-  // Eco-friendliness (configurable weight)
-  score += (this.ecoScore / vehicleConfig.validation.scores.max) * vehicleConfig.matchScoring.ecoWeight
-
-  return Math.round(score)
+  return this.find(filter)
 }
 
 // Method to sync with external data source
@@ -445,7 +484,7 @@ vehicleSchema.methods.syncWithExternalApi = async function() {
     if (response.ok) {
       const externalData = await response.json()
       
-      // Update fields based on external data
+      // Update fields based on external data; a lower price sends price drop alerts on save
       if (externalData.specifications) {
         Object.assign(this.specifications, externalData.specifications)
       }
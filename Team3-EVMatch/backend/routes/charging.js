@@ -1,21 +1,175 @@
 const express = require("express")
+const multer = require("multer")
 const { query, param, body, validationResult } = require("express-validator")
 const ChargingStation = require("../models/ChargingStation")
-const { auth } = require("../middleware/auth")
+const StationAuditLog = require("../models/StationAuditLog")
+const User = require("../models/User")
+const Vehicle = require("../models/Vehicle")
+const { createRoleAuth } = require("../middleware/auth")
+const { attachOperatorScope, requireStationAccess, canManageStation, getOperatorRole, getAdminRoles } = require("../middleware/stationAccess")
+const stationImport = require("../utils/stationImport")
+const routePlanner = require("../utils/routePlanner")
+const { estimateSession, effectivePowerKw } = require("../utils/chargingSession")
+const { resolveConnector, compatibleConnectorTypes, getMatrix } = require("../utils/connectorCompatibility")
+const { getOpeningStatus } = require("../utils/stationHours")
+const stationEvents = require("../utils/stationEvents")
+const { generateStationKey } = require("../utils/ocppStatus")
 
 const router = express.Router()
 
+// Configuration object - can be loaded from environment or config service
+const chargingConfig = {
+  managerRoles: process.env.STATION_MANAGER_ROLES?.split(',') || ["admin", "station_operator"],
+  import: {
+    maxFileSize: parseInt(process.env.STATION_IMPORT_MAX_FILE_SIZE) || 10 * 1024 * 1024 // 10MB
+  },
+  // Fields a station create/update may set; availability has its own endpoint
+  writableFields: ["name", "network", "location", "connectors", "amenities", "pricing", "hours", "externalId"],
+  // Only admins may hand a station to another operator
+  adminWritableFields: ["operator"],
+  // Opening-hours filters run after the query, so fetch extra stations to fill the page
+  openFilterOverfetch: parseInt(process.env.STATION_OPEN_FILTER_OVERFETCH) || 4,
+  // Comment lines keep idle live-availability streams open through proxies
+  streamHeartbeatMs: parseInt(process.env.STATION_STREAM_HEARTBEAT_MS) || 25000
+}
+
+const stationManagerAuth = createRoleAuth(chargingConfig.managerRoles)
+const stationAdminAuth = createRoleAuth(getAdminRoles())
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: chargingConfig.import.maxFileSize, files: 1 },
+})
+
+const networks = ChargingStation.schema.path("network").enumValues
+const connectorTypes = ChargingStation.schema.path("connectors").schema.path("type").enumValues
+
+// Validation rules shared by station create/update
+const stationRules = (isUpdate) => {
+  const field = (path) => (isUpdate ? body(path).optional() : body(path))
+  return [
+    field("name").isString().trim().notEmpty().withMessage("Station name is required"),
+    field("network").isIn(networks).withMessage(`Network must be one of: ${networks.join(", ")}`),
+    field("location.coordinates.coordinates")
+      .isArray({ min: 2, max: 2 })
+      .withMessage("Coordinates must be [longitude, latitude]"),
+    body("location.coordinates.coordinates.0")
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage("Longitude must be between -180 and 180"),
+    body("location.coordinates.coordinates.1")
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage("Latitude must be between -90 and 90"),
+    field("connectors").isArray({ min: 1 }).withMessage("At least one connector is required"),
+    body("connectors.*.type").isIn(connectorTypes).withMessage(`Connector type must be one of: ${connectorTypes.join(", ")}`),
+    body("connectors.*.power_kw").isFloat({ min: 1 }).withMessage("Power must be at least 1kW"),
+    body("connectors.*.count").isInt({ min: 1 }).withMessage("Must have at least 1 connector"),
+    body("connectors.*.available").optional().isInt({ min: 0 }).withMessage("Available count must be non-negative"),
+    body("externalId").optional().isString().trim().notEmpty(),
+    body("operator").optional().isMongoId().withMessage("Invalid operator ID"),
+  ]
+}
+
+// Copy only writable fields, defaulting each connector's availability to its count
+function pickStationFields(source, scope) {
+  const fields = {}
+  const writable = scope?.isAdmin
+    ? [...chargingConfig.writableFields, ...chargingConfig.adminWritableFields]
+    : chargingConfig.writableFields
+  writable.forEach((field) => {
+    if (source[field] !== undefined) fields[field] = source[field]
+  })
+
+  if (fields.connectors) {
+    fields.connectors = fields.connectors.map((connector) => ({
+      ...connector,
+      available: Math.min(connector.available ?? connector.count, connector.count),
+    }))
+  }
+
+  return fields
+}
+
+// Field-level changes between two station snapshots, for the audit trail.
+// Connector availability is broken out per connector type.
+function diffStation(before, after) {
+  const changes = []
+
+  chargingConfig.writableFields.concat(chargingConfig.adminWritableFields, ["isActive"]).forEach((field) => {
+    if (field === "connectors") return
+    const from = before[field] === undefined ? null : before[field]
+    const to = after[field] === undefined ? null : after[field]
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to })
+    }
+  })
+
+  const connectorKey = ({ type, power_kw, count, status }) => JSON.stringify({ type, power_kw, count, status })
+  const beforeConnectors = before.connectors || []
+  const afterConnectors = after.connectors || []
+  if (JSON.stringify(beforeConnectors.map(connectorKey)) !== JSON.stringify(afterConnectors.map(connectorKey))) {
+    changes.push({
+      field: "connectors",
+      from: beforeConnectors.map(({ _id, ...connector }) => connector),
+      to: afterConnectors.map(({ _id, ...connector }) => connector),
+    })
+  }
+
+  afterConnectors.forEach((connector) => {
+    const previous = beforeConnectors.find((candidate) => candidate.type === connector.type)
+    const from = previous ? previous.available : null
+    if (from !== connector.available) {
+      changes.push({ field: `connectors.${connector.type}.available`, from, to: connector.available })
+    }
+  })
+
+  return changes
+}
+
+// Plain snapshot of a station for diffing
+const snapshotStation = (station) => JSON.parse(JSON.stringify(station.toObject({ depopulate: true })))
+
+// Station as returned to clients, with whether it is open at the given time
+function withOpeningStatus(station, at = new Date()) {
+  const { isOpen, nextOpenAt } = getOpeningStatus(station, at)
+  const plain = typeof station.toJSON === "function" ? station.toJSON() : station
+  return { ...plain, isOpen, nextOpenAt }
+}
+
+// Only the connectors a vehicle can use, each with how it plugs in and the power it
+// will actually get, plus the best of those for the station
+function withVehicleCompatibility(station, vehicle, allowAdapters) {
+  const connectors = station.connectors
+    .map((connector) => ({ ...connector, compatibility: resolveConnector(vehicle, connector, { allowAdapters }) }))
+    .filter((connector) => connector.compatibility)
+
+  return {
+    ...station,
+    connectors,
+    effectiveMaxPowerKw: Math.max(0, ...connectors.map((connector) => connector.compatibility.maxPowerKw)),
+  }
+}
+
 // Get charging stations with location-based search
 router.get(
   "/",
   [
     query("lat").optional().isFloat({ min: -90, max: 90 }).withMessage("Latitude must be between -90 and 90"),
     query("lng").optional().isFloat({ min: -180, max: 180 }).withMessage("Longitude must be between -180 and 180"),
+    query("lng")
+      .custom((value, { req }) => (value === undefined) === (req.query.lat === undefined))
+      .withMessage("Latitude and longitude must be provided together"),
     query("radius").optional().isInt({ min: 1, max: 100 }).withMessage("Radius must be between 1 and 100 km"),
     query("network").optional().isIn(["Tesla", "ChargePoint", "Electrify America", "EVgo", "Blink", "Other"]),
     query("connectorType").optional().isIn(["CCS", "CHAdeMO", "Tesla", "Type2", "J1772"]),
     query("minPower").optional().isInt({ min: 1 }).withMessage("Min power must be positive"),
     query("amenities").optional().isString(),
+    query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
+    query("openNow").optional().isBoolean().withMessage("openNow must be true or false"),
+    query("openAt").optional().isISO8601().withMessage("openAt must be an ISO 8601 date and time"),
+    query("vehicleId").optional().isMongoId().withMessage("Invalid vehicle ID"),
+    query("adapters").optional().isBoolean().withMessage("adapters must be true or false"),
   ],
   async (req, res) => {
     try {
@@ -28,37 +182,38 @@ router.get(
         })
       }
 
-      const { lat, lng, radius = 25, network, connectorType, minPower, amenities } = req.query
+      const { lat, lng, radius = 25, network, connectorType, minPower, amenities, limit = 50, openNow, openAt, vehicleId } = req.query
+      const allowAdapters = req.query.adapters !== "false"
 
-      const query = { isActive: true }
-
-      // Location-based search
-      if (lat && lng) {
-        const radiusInMeters = Number.parseInt(radius) * 1000
-        query["location.coordinates"] = {
-          $near: {
-            $geometry: {
-              type: "Point",
-              coordinates: [Number.parseFloat(lng), Number.parseFloat(lat)],
-            },
-            $maxDistance: radiusInMeters,
-          },
-        }
+      const vehicle = vehicleId ? await Vehicle.findOne({ _id: vehicleId, isActive: true }) : null
+      if (vehicleId && !vehicle) {
+        return res.status(404).json({
+          success: false,
+          message: "Vehicle not found",
+        })
       }
 
+      const query = { isActive: true }
+
       // Network filter
       if (network) {
         query.network = network
       }
 
-      // Connector type filter
-      if (connectorType) {
-        query["connectors.type"] = connectorType
-      }
-
-      // Minimum power filter
-      if (minPower) {
-        query["connectors.power_kw"] = { $gte: Number.parseInt(minPower) }
+      // Connector type, vehicle compatibility and minimum power must match the same connector
+      const usableTypes = vehicle
+        ? compatibleConnectorTypes(vehicle.specifications.charging.charge_port, { allowAdapters })
+        : null
+      if (connectorType || minPower || usableTypes) {
+        const typeFilter = connectorType
+          ? (usableTypes && !usableTypes.includes(connectorType) ? { $in: [] } : connectorType)
+          : usableTypes && { $in: usableTypes }
+        query.connectors = {
+          $elemMatch: {
+            ...(typeFilter && { type: typeFilter }),
+            ...(minPower && { power_kw: { $gte: Number.parseInt(minPower) } }),
+          },
+        }
       }
 
       // Amenities filter
@@ -67,13 +222,46 @@ router.get(
         query.amenities = { $in: amenityList }
       }
 
-      const stations = await ChargingStation.find(query).limit(50).select("-metadata -__v")
+      // Opening hours depend on each station's timezone, so they are checked after the query
+      const openFilterAt = openAt ? new Date(openAt) : openNow === "true" ? new Date() : null
+      const pageSize = Number.parseInt(limit)
+      const fetchLimit = openFilterAt ? pageSize * chargingConfig.openFilterOverfetch : pageSize
+
+      // Location-based search returns stations nearest first with their distance
+      const origin = lat !== undefined ? { lat: Number.parseFloat(lat), lng: Number.parseFloat(lng) } : null
+      const found = origin
+        ? await ChargingStation.searchNearby(origin.lng, origin.lat, {
+          maxDistance: Number.parseInt(radius) * 1000,
+          query,
+          limit: fetchLimit,
+        })
+        : await ChargingStation.find(query).limit(fetchLimit).select(ChargingStation.getPublicProjection())
+
+      // Stations without published hours are kept; only known-closed sites are dropped
+      const withHours = found.map((station) => withOpeningStatus(station, openFilterAt || new Date()))
+      const openStations = openFilterAt
+        ? withHours.filter((station) => station.isOpen !== false).slice(0, pageSize)
+        : withHours
+      const stations = vehicle
+        ? openStations.map((station) => withVehicleCompatibility(station, vehicle, allowAdapters))
+        : openStations
 
       res.json({
         success: true,
         data: {
           stations,
           count: stations.length,
+          origin,
+          radiusKm: origin ? Number.parseInt(radius) : null,
+          openAt: openFilterAt,
+          vehicle: vehicle && {
+            _id: vehicle._id,
+            make: vehicle.make,
+            model: vehicle.model,
+            year: vehicle.year,
+            chargePort: vehicle.specifications.charging.charge_port,
+            adapters: allowAdapters,
+          },
         },
       })
     } catch (error) {
@@ -87,6 +275,311 @@ router.get(
   },
 )
 
+// Create a charging station
+router.post("/", stationRules(false), stationManagerAuth, attachOperatorScope, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const scope = req.operatorScope
+    if (!scope.isAdmin && !scope.networks.includes(req.body.network)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only add stations to networks you operate",
+        code: "STATION_ACCESS_DENIED",
+      })
+    }
+
+    const fields = pickStationFields(req.body, scope)
+    if (fields.hours) fields.hours = { ...fields.hours, editedAt: new Date() }
+
+    // Operators own the stations they create
+    const station = await ChargingStation.create({
+      ...fields,
+      ...(!scope.isAdmin && { operator: scope.userId }),
+      source: "manual",
+    })
+
+    await StationAuditLog.record(req, {
+      station,
+      action: "station.create",
+      changes: diffStation({}, snapshotStation(station)),
+    })
+
+    res.status(201).json({
+      success: true,
+      message: "Charging station created",
+      data: { station },
+    })
+  } catch (error) {
+    console.error("Create charging station error:", error)
+    if (error.name === "ValidationError" || error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 11000 ? "A station with this external ID already exists" : error.message,
+      })
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to create charging station",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+})
+
+// Bulk import stations from a CSV or OCPI locations file.
+// Accepts a multipart "file" upload or a JSON body { format, data }; ?dryRun=true only reports.
+router.post(
+  "/import",
+  stationManagerAuth,
+  attachOperatorScope,
+  importUpload.single("file"),
+  [
+    body("format")
+      .optional()
+      .isIn(stationImport.getFormats())
+      .withMessage(`Format must be one of: ${stationImport.getFormats().join(", ")}`),
+    query("dryRun").optional().isBoolean().withMessage("dryRun must be true or false"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const content = req.file ? req.file.buffer : req.body.data
+      if (!content || content.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Upload a file or send the dataset in \"data\"",
+        })
+      }
+
+      const format = stationImport.detectFormat({
+        format: req.body.format,
+        fileName: req.file?.originalname,
+        mimeType: req.file?.mimetype,
+      }) || (typeof content === "object" && !Buffer.isBuffer(content) ? "ocpi" : null)
+
+      if (!format) {
+        return res.status(400).json({
+          success: false,
+          message: `Could not detect the file format; pass format as one of: ${stationImport.getFormats().join(", ")}`,
+        })
+      }
+
+      const dryRun = req.query.dryRun === "true" || req.body.dryRun === true || req.body.dryRun === "true"
+      // Operators may only import into their networks and over stations they manage
+      const scope = req.operatorScope
+      const report = await stationImport.importStations(format, content, {
+        dryRun,
+        operatorId: scope.isAdmin ? undefined : scope.userId,
+        authorize: scope.isAdmin
+          ? undefined
+          : (station, existing) => {
+            if (existing && !canManageStation(scope, existing)) {
+              return `Station ${station.externalId} is managed by another operator`
+            }
+            if (!existing && !scope.networks.includes(station.network)) {
+              return `You do not operate the ${station.network} network`
+            }
+            return null
+          },
+        // Imports write around the save hooks, so each changed station is audited here
+        onUpdated: (station, before) =>
+          StationAuditLog.record(req, {
+            station,
+            action: "station.import",
+            changes: diffStation(JSON.parse(JSON.stringify(before)), JSON.parse(JSON.stringify(station))),
+          }),
+      })
+
+      if (!dryRun && report.created + report.updated > 0) {
+        await StationAuditLog.record(req, {
+          action: "station.import",
+          details: {
+            format,
+            fileName: req.file?.originalname,
+            created: report.created,
+            updated: report.updated,
+            invalid: report.invalid,
+            failed: report.failed,
+          },
+        })
+      }
+
+      res.json({
+        success: true,
+        message: dryRun
+          ? `Dry run: ${report.created} would be created, ${report.updated} updated, ${report.invalid} rejected`
+          : `Imported ${report.created + report.updated} stations (${report.created} created, ${report.updated} updated), ${report.invalid} rejected, ${report.failed} failed`,
+        data: { report },
+      })
+    } catch (error) {
+      if (error.name === "StationImportError") {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+        })
+      }
+      console.error("Import charging stations error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to import charging stations",
+        error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+      })
+    }
+  },
+)
+
+// Which station connectors each vehicle charge port can use, natively or with an adapter
+router.get("/compatibility", (req, res) => {
+  res.json({
+    success: true,
+    data: { matrix: getMatrix() },
+  })
+})
+
+// Live connector availability for stations in a bounding box, as Server-Sent Events
+router.get(
+  "/stream",
+  [
+    query("bbox")
+      .custom((value) => stationEvents.parseBoundingBox(value) !== null)
+      .withMessage(`bbox must be minLng,minLat,maxLng,maxLat spanning at most ${stationEvents.getMaxBoxDegrees()} degrees`),
+  ],
+  (req, res) => {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const box = stationEvents.parseBoundingBox(req.query.bbox)
+    // compression buffers responses, so every write is flushed explicitly
+    const send = (chunk) => {
+      res.write(chunk)
+      if (typeof res.flush === "function") res.flush()
+    }
+
+    const unsubscribe = stationEvents.subscribe(box, (snapshot) => {
+      send(`event: availability\nid: ${snapshot.stationId}:${new Date(snapshot.lastStatusUpdate).getTime()}\ndata: ${JSON.stringify(snapshot)}\n\n`)
+    })
+    if (!unsubscribe) {
+      return res.status(503).json({
+        success: false,
+        message: "Too many live availability subscribers, please try again later",
+      })
+    }
+
+    res.status(200).set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    })
+    res.flushHeaders()
+    send(`retry: 5000\nevent: ready\ndata: ${JSON.stringify({ bbox: box })}\n\n`)
+
+    const heartbeat = setInterval(() => send(": heartbeat\n\n"), chargingConfig.streamHeartbeatMs)
+    req.on("close", () => {
+      clearInterval(heartbeat)
+      unsubscribe()
+    })
+  },
+)
+
+// Plan charging stops for a vehicle between two points or along a polyline
+router.post(
+  "/route-plan",
+  [
+    body("origin.lat").isFloat({ min: -90, max: 90 }).withMessage("Origin latitude must be between -90 and 90"),
+    body("origin.lng").isFloat({ min: -180, max: 180 }).withMessage("Origin longitude must be between -180 and 180"),
+    body("destination")
+      .custom((value, { req }) => (value === undefined) !== (req.body.polyline === undefined))
+      .withMessage("Provide either a destination or a polyline"),
+    body("destination.lat").optional().isFloat({ min: -90, max: 90 }).withMessage("Destination latitude must be between -90 and 90"),
+    body("destination.lng").optional().isFloat({ min: -180, max: 180 }).withMessage("Destination longitude must be between -180 and 180"),
+    body("polyline")
+      .optional()
+      .custom((value) => (typeof value === "string" && value.length > 0) || Array.isArray(value))
+      .withMessage("Polyline must be an encoded polyline string or an array of [lat, lng] points"),
+    body("vehicleId").isMongoId().withMessage("Invalid vehicle ID"),
+    body("startSoc").isFloat({ min: 0, max: 100 }).withMessage("Starting state of charge must be between 0 and 100"),
+    body("reserveSoc").optional().isFloat({ min: 0, max: 50 }).withMessage("Reserve must be between 0 and 50"),
+    body("targetSoc").optional().isFloat({ min: 20, max: 100 }).withMessage("Target state of charge must be between 20 and 100"),
+    body("corridorKm").optional().isFloat({ min: 1, max: 50 }).withMessage("Corridor must be between 1 and 50 km"),
+    body("departAt").optional().isISO8601().withMessage("departAt must be an ISO 8601 date and time"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const vehicle = await Vehicle.findOne({ _id: req.body.vehicleId, isActive: true })
+      if (!vehicle) {
+        return res.status(404).json({
+          success: false,
+          message: "Vehicle not found",
+        })
+      }
+
+      const defaults = routePlanner.getDefaults()
+      const toPoint = (point) => point && { lat: Number.parseFloat(point.lat), lng: Number.parseFloat(point.lng) }
+      const plan = await routePlanner.planRoute({
+        vehicle,
+        origin: toPoint(req.body.origin),
+        destination: toPoint(req.body.destination),
+        polyline: req.body.polyline,
+        startSoc: Number.parseFloat(req.body.startSoc),
+        departAt: req.body.departAt ? new Date(req.body.departAt) : new Date(),
+        reserveSoc: req.body.reserveSoc !== undefined ? Number.parseFloat(req.body.reserveSoc) : defaults.reserveSoc,
+        targetSoc: req.body.targetSoc !== undefined ? Number.parseFloat(req.body.targetSoc) : defaults.targetSoc,
+        corridorKm: req.body.corridorKm !== undefined ? Number.parseFloat(req.body.corridorKm) : defaults.corridorKm,
+      })
+
+      res.json({
+        success: true,
+        ...(!plan.feasible && { message: plan.shortfall.reason }),
+        data: { plan },
+      })
+    } catch (error) {
+      if (error.name === "RoutePlanError") {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+        })
+      }
+      console.error("Route plan error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to plan charging stops",
+        error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+      })
+    }
+  },
+)
+
 // Get charging station by ID
 router.get("/:id", [param("id").isMongoId().withMessage("Invalid station ID")], async (req, res) => {
   try {
@@ -99,7 +592,7 @@ router.get("/:id", [param("id").isMongoId().withMessage("Invalid station ID")],
       })
     }
 
-    const station = await ChargingStation.findById(req.params.id)
+    const station = await ChargingStation.findById(req.params.id).select(ChargingStation.getPublicProjection())
 
     if (!station || !station.isActive) {
       return res.status(404).json({
@@ -109,12 +602,11 @@ router.get("/:id", [param("id").isMongoId().withMessage("Invalid station ID")],
     }
 
     // Increment view count
-    station.metadata.views += 1
-    await station.save()
+    await ChargingStation.updateOne({ _id: station._id }, { $inc: { "metadata.views": 1 } })
 
     res.json({
       success: true,
-      data: { station },
+      data: { station: withOpeningStatus(station) },
     })
   } catch (error) {
     console.error("Get charging station error:", error)
@@ -126,15 +618,214 @@ router.get("/:id", [param("id").isMongoId().withMessage("Invalid station ID")],
   }
 })
 
+// Estimate cost and duration of charging a vehicle at a station
+router.get(
+  "/:id/estimate",
+  [
+    param("id").isMongoId().withMessage("Invalid station ID"),
+    query("vehicleId").isMongoId().withMessage("Invalid vehicle ID"),
+    query("connectorType").optional().isIn(connectorTypes).withMessage(`Connector type must be one of: ${connectorTypes.join(", ")}`),
+    query("fromSoc").isFloat({ min: 0, max: 100 }).withMessage("Starting state of charge must be between 0 and 100"),
+    query("toSoc")
+      .isFloat({ min: 0, max: 100 })
+      .withMessage("Target state of charge must be between 0 and 100")
+      .bail()
+      .custom((value, { req }) => Number.parseFloat(value) > Number.parseFloat(req.query.fromSoc))
+      .withMessage("Target state of charge must be above the starting state of charge"),
+    query("idleMinutes").optional().isInt({ min: 0, max: 1440 }).withMessage("Idle minutes must be between 0 and 1440"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const [station, vehicle] = await Promise.all([
+        ChargingStation.findOne({ _id: req.params.id, isActive: true }),
+        Vehicle.findOne({ _id: req.query.vehicleId, isActive: true }),
+      ])
+
+      if (!station) {
+        return res.status(404).json({
+          success: false,
+          message: "Charging station not found",
+        })
+      }
+      if (!vehicle) {
+        return res.status(404).json({
+          success: false,
+          message: "Vehicle not found",
+        })
+      }
+
+      // Without a connector type, estimate on the fastest connector the vehicle can use
+      const connector = req.query.connectorType
+        ? station.connectors.find((c) => c.type === req.query.connectorType)
+        : station.connectors
+          .filter((c) => resolveConnector(vehicle, c))
+          .sort((a, b) => effectivePowerKw(vehicle, b) - effectivePowerKw(vehicle, a))[0]
+
+      if (!connector) {
+        return res.status(404).json({
+          success: false,
+          message: req.query.connectorType
+            ? `Station has no ${req.query.connectorType} connector`
+            : "Station has no connector compatible with this vehicle",
+        })
+      }
+      if (!resolveConnector(vehicle, connector)) {
+        return res.status(422).json({
+          success: false,
+          message: `${connector.type} connectors are not compatible with a ${vehicle.specifications.charging.charge_port} charge port`,
+        })
+      }
+
+      const estimate = estimateSession({
+        vehicle,
+        connector,
+        pricing: station.pricing,
+        fromSoc: Number.parseFloat(req.query.fromSoc),
+        toSoc: Number.parseFloat(req.query.toSoc),
+        idleMinutes: Number.parseInt(req.query.idleMinutes || 0),
+      })
+
+      res.json({
+        success: true,
+        data: {
+          station: { _id: station._id, name: station.name, network: station.network },
+          vehicle: { _id: vehicle._id, make: vehicle.make, model: vehicle.model, year: vehicle.year },
+          connector: { type: connector.type, power_kw: connector.power_kw, status: connector.status, available: connector.available },
+          estimate,
+        },
+      })
+    } catch (error) {
+      console.error("Charging estimate error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to estimate charging session",
+        error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+      })
+    }
+  },
+)
+
+// Update a charging station
+router.put(
+  "/:id",
+  [param("id").isMongoId().withMessage("Invalid station ID"), ...stationRules(true)],
+  stationManagerAuth,
+  requireStationAccess(),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const { station, operatorScope: scope } = req
+      if (req.body.network && !canManageStation(scope, { network: req.body.network, operator: station.operator })) {
+        return res.status(403).json({
+          success: false,
+          message: "You can only move stations to networks you operate",
+          code: "STATION_ACCESS_DENIED",
+        })
+      }
+
+      const before = snapshotStation(station)
+
+      // Merge nested objects so a partial location or pricing update keeps the other fields
+      station.set(pickStationFields(req.body, scope), undefined, { merge: true })
+      if (station.isModified("hours")) station.set("hours.editedAt", new Date())
+      await station.save()
+
+      await StationAuditLog.record(req, {
+        station,
+        action: "station.update",
+        changes: diffStation(before, snapshotStation(station)),
+      })
+
+      res.json({
+        success: true,
+        message: "Charging station updated",
+        data: { station },
+      })
+    } catch (error) {
+      console.error("Update charging station error:", error)
+      if (error.name === "ValidationError" || error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: error.code === 11000 ? "A station with this external ID already exists" : error.message,
+        })
+      }
+      res.status(500).json({
+        success: false,
+        message: "Failed to update charging station",
+        error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+      })
+    }
+  },
+)
+
+// Deactivate (retire) a charging station; it stays in the database but leaves search results
+router.delete("/:id", [param("id").isMongoId().withMessage("Invalid station ID")], stationManagerAuth, requireStationAccess(), async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const { station } = req
+
+    if (station.isActive) {
+      station.isActive = false
+      station.deactivatedAt = new Date()
+      await station.save()
+
+      await StationAuditLog.record(req, {
+        station,
+        action: "station.deactivate",
+        changes: [{ field: "isActive", from: true, to: false }],
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "Charging station deactivated",
+      data: { station },
+    })
+  } catch (error) {
+    console.error("Deactivate charging station error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to deactivate charging station",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+})
+
 // Update connector availability (for station operators)
 router.patch(
   "/:id/connectors/:connectorType/availability",
   [
     param("id").isMongoId().withMessage("Invalid station ID"),
-    param("connectorType").isIn(["CCS", "CHAdeMO", "Tesla", "Type2", "J1772"]),
+    param("connectorType").isIn(connectorTypes),
     body("available").isInt({ min: 0 }).withMessage("Available count must be non-negative"),
   ],
-  auth,
+  stationManagerAuth,
+  requireStationAccess(),
   async (req, res) => {
     try {
       const errors = validationResult(req)
@@ -146,18 +837,27 @@ router.patch(
         })
       }
 
-      const { id, connectorType } = req.params
+      const { connectorType } = req.params
       const { available } = req.body
+      const { station } = req
 
-      const station = await ChargingStation.findById(id)
-      if (!station) {
+      const connector = station.connectors.find((c) => c.type === connectorType)
+      if (!connector) {
         return res.status(404).json({
           success: false,
-          message: "Charging station not found",
+          message: "Connector type not found at this station",
         })
       }
 
-      await station.updateConnectorAvailability(connectorType, available)
+      const previous = connector.available
+      await station.updateConnectorAvailability(connectorType, Number.parseInt(available))
+
+      await StationAuditLog.record(req, {
+        station,
+        action: "availability.update",
+        changes: [{ field: `connectors.${connectorType}.available`, from: previous, to: connector.available }],
+        details: { requested: Number.parseInt(available) },
+      })
 
       res.json({
         success: true,
@@ -175,4 +875,251 @@ router.patch(
   },
 )
 
+// Issue a new ingestion key for the station's chargers, replacing any existing one.
+// The key is only ever returned here.
+router.post("/:id/ingest-key", [param("id").isMongoId().withMessage("Invalid station ID")], stationManagerAuth, requireStationAccess(), async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const { station } = req
+    const { key, hash, prefix } = generateStationKey()
+    const previousPrefix = station.ingestKey?.prefix
+
+    station.ingestKey = { hash, prefix, createdAt: new Date() }
+    await station.save()
+
+    await StationAuditLog.record(req, {
+      station,
+      action: "ingest_key.rotate",
+      changes: [{ field: "ingestKey.prefix", from: previousPrefix || null, to: prefix }],
+    })
+
+    res.status(201).json({
+      success: true,
+      message: "Store this key now; it will not be shown again",
+      data: {
+        key,
+        prefix,
+        createdAt: station.ingestKey.createdAt,
+        statusNotificationPath: `/api/charging/${station._id}/ocpp/status-notification`,
+      },
+    })
+  } catch (error) {
+    console.error("Create station ingest key error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to create station key",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+})
+
+// Revoke the station's ingestion key; its chargers can no longer push status
+router.delete("/:id/ingest-key", [param("id").isMongoId().withMessage("Invalid station ID")], stationManagerAuth, requireStationAccess(), async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const { station } = req
+    const previousPrefix = station.ingestKey?.prefix
+
+    if (previousPrefix) {
+      station.ingestKey = undefined
+      await station.save()
+
+      await StationAuditLog.record(req, {
+        station,
+        action: "ingest_key.revoke",
+        changes: [{ field: "ingestKey.prefix", from: previousPrefix, to: null }],
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "Station key revoked",
+    })
+  } catch (error) {
+    console.error("Revoke station ingest key error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke station key",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+})
+
+// Make a user a station operator for the given networks (admin)
+router.put(
+  "/operators/:userId",
+  [
+    param("userId").isMongoId().withMessage("Invalid user ID"),
+    body("networks").isArray().withMessage("Networks must be an array"),
+    body("networks.*").isIn(networks).withMessage(`Network must be one of: ${networks.join(", ")}`),
+  ],
+  stationAdminAuth,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const user = await User.findById(req.params.userId)
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        })
+      }
+
+      // Admins keep their role; everyone else becomes an operator
+      if (!getAdminRoles().includes(user.role)) {
+        user.role = getOperatorRole()
+      }
+      user.operatorNetworks = [...new Set(req.body.networks)]
+      await user.save()
+
+      res.json({
+        success: true,
+        message: "Station operator updated",
+        data: {
+          operator: {
+            id: user._id,
+            name: user.fullName,
+            email: user.email,
+            role: user.role,
+            networks: user.operatorNetworks,
+          },
+        },
+      })
+    } catch (error) {
+      console.error("Update station operator error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to update station operator",
+        error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+      })
+    }
+  },
+)
+
+// Revoke a user's station operator role (admin); stations they own keep their owner
+router.delete("/operators/:userId", [param("userId").isMongoId().withMessage("Invalid user ID")], stationAdminAuth, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const user = await User.findById(req.params.userId)
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      })
+    }
+
+    if (user.role === getOperatorRole()) {
+      user.role = "user"
+    }
+    user.operatorNetworks = []
+    await user.save()
+
+    res.json({
+      success: true,
+      message: "Station operator access revoked",
+    })
+  } catch (error) {
+    console.error("Revoke station operator error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke station operator",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+})
+
+// Audit trail for a station (admins and the station's operators)
+router.get(
+  "/:id/audit",
+  [
+    param("id").isMongoId().withMessage("Invalid station ID"),
+    query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
+    query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
+    query("action").optional().isString(),
+  ],
+  stationManagerAuth,
+  requireStationAccess(),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const page = Number.parseInt(req.query.page) || 1
+      const limit = Number.parseInt(req.query.limit) || 50
+      const filter = { station: req.station._id, ...(req.query.action && { action: req.query.action }) }
+
+      const [entries, total] = await Promise.all([
+        StationAuditLog.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate("user", "firstName lastName email role"),
+        StationAuditLog.countDocuments(filter),
+      ])
+
+      const totalPages = Math.ceil(total / limit)
+
+      res.json({
+        success: true,
+        data: {
+          entries,
+          pagination: {
+            currentPage: page,
+            totalPages,
+            totalItems: total,
+            itemsPerPage: limit,
+            hasNextPage: page < totalPages,
+            hasPrevPage: page > 1,
+          },
+        },
+      })
+    } catch (error) {
+      console.error("Get station audit trail error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch station audit trail",
+        error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+      })
+    }
+  },
+)
+
 module.exports = router
@@ -1,20 +1,118 @@
 const express = require("express")
-const { body, validationResult } = require("express-validator")
-const axios = require("axios")
+const { body, param, query, validationResult } = require("express-validator")
 const _ = require("lodash")
 const Vehicle = require("../models/Vehicle")
-const { auth } = require("../middleware/auth")
+const User = require("../models/User")
+const Comparison = require("../models/Comparison")
+const ComparisonSpec = require("../models/ComparisonSpec")
+const specExpression = require("../utils/specExpression")
+const { buildScorecard, getDimensions } = require("../utils/comparisonScorecard")
+const comparisonExport = require("../utils/comparisonExport")
+const { applyIncentives } = require("../utils/incentives")
+const { auth, createRoleAuth } = require("../middleware/auth")
+const optionalAuth = require("../middleware/optionalAuth")
 
 const router = express.Router()
 
+const adminAuth = createRoleAuth([process.env.ADMIN_ROLE || "admin"])
+
+const setLimits = Comparison.getLimits()
+
+// Validation rules shared by registry create/update
+const specRegistryRules = [
+  body("categories").isArray({ min: 1 }).withMessage("Categories must be a non-empty array"),
+  body("categories.*.name").isString().trim().notEmpty().withMessage("Category name is required"),
+  body("categories.*.specs").isArray({ min: 1 }).withMessage("Each category needs at least one spec"),
+  body("categories.*.specs.*.key").isString().trim().notEmpty().withMessage("Spec key is required"),
+  body("categories.*.specs.*.label").isString().trim().notEmpty().withMessage("Spec label is required"),
+  body("categories.*.specs.*.type").optional().isIn(ComparisonSpec.getFormatterTypes())
+    .withMessage(`Formatter type must be one of: ${ComparisonSpec.getFormatterTypes().join(', ')}`),
+  body("categories.*.specs.*.compare").optional().isIn(["min", "max", "none"])
+    .withMessage("Compare rule must be min, max or none"),
+  body("categories.*.dimension").optional().isIn(getDimensions())
+    .withMessage(`Dimension must be one of: ${getDimensions().join(', ')}`),
+  body("categories.*.weight").optional().isFloat({ min: 0 }).withMessage("Category weight must be non-negative"),
+  body("categories.*.specs.*.weight").optional().isFloat({ min: 0 }).withMessage("Spec weight must be non-negative"),
+  body("categories.*.specs.*.expression").optional().isString()
+    .custom((value) => {
+      const error = specExpression.validate(value)
+      if (error) throw new Error(error)
+      return true
+    }),
+  body("parameters").optional().isObject().withMessage("Parameters must be an object"),
+  body("parameters.*").optional().isFloat().withMessage("Parameter values must be numbers"),
+  body("description").optional().isString().trim(),
+]
+
+// Validation rules shared by comparison set create/update
+const comparisonSetRules = (isUpdate) => [
+  (isUpdate ? body("name").optional() : body("name")).isString().trim()
+    .isLength({ min: 1, max: setLimits.nameMaxLength })
+    .withMessage(`Name must be 1-${setLimits.nameMaxLength} characters`),
+  body("notes").optional().isString().trim()
+    .isLength({ max: setLimits.notesMaxLength })
+    .withMessage(`Notes cannot exceed ${setLimits.notesMaxLength} characters`),
+  body("vehicleIds").optional()
+    .isArray({ max: setLimits.maxVehicles })
+    .withMessage(`A comparison can hold at most ${setLimits.maxVehicles} vehicles`),
+  body("vehicleIds.*").isMongoId().withMessage("Invalid vehicle ID"),
+]
+
+// Fetch vehicles in the requested order and build the full comparison payload,
+// priced for the signed-in user's location. Returns null when any vehicle is missing or inactive.
+async function compareVehicles(vehicleIds, { specName, parameters = {}, user } = {}) {
+  const found = await Vehicle.find({
+    _id: { $in: vehicleIds },
+    isActive: true,
+  })
+
+  const byId = new Map(found.map((vehicle) => [vehicle._id.toString(), vehicle]))
+  const vehicles = vehicleIds.map((id) => byId.get(id.toString())).filter(Boolean)
+
+  if (vehicles.length !== vehicleIds.length) {
+    return null
+  }
+
+  await applyIncentives(vehicles, user)
+
+  // Update comparison count
+  await Vehicle.updateMany(
+    { _id: { $in: vehicleIds } },
+    { $inc: { "metadata.comparisons": 1 } }
+  )
+
+  // Resolve the category/spec layout from the local registry
+  const layout = await ComparisonSpec.getActiveLayout(specName)
+
+  // Generate comparison dynamically
+  const comparisonParameters = { ...layout.parameters, ...parameters }
+  const comparison = generateDynamicComparison(vehicles, layout.categories, comparisonParameters)
+  comparison.spec = { name: layout.name, version: layout.version, parameters: comparisonParameters }
+
+  // Weighted scorecard, personalized when the caller is signed in
+  comparison.scorecard = buildScorecard(comparison, layout.categories, { preferences: user?.preferences, vehicles })
+
+  return comparison
+}
+
+// Ensure every vehicle in a set exists before saving it
+async function findMissingVehicles(vehicleIds) {
+  const count = await Vehicle.countDocuments({ _id: { $in: vehicleIds }, isActive: true })
+  return count !== new Set(vehicleIds).size
+}
+
 router.post(
   "/",
   [
     body("vehicleIds")
-      .isArray({ min: 2, max: 3 })
-      .withMessage("Must compare 2-3 vehicles"),
+      .isArray({ min: 2, max: setLimits.maxVehicles })
+      .withMessage(`Must compare 2-${setLimits.maxVehicles} vehicles`),
     body("vehicleIds.*").isMongoId().withMessage("Invalid vehicle ID"),
+    body("specName").optional().isString().trim().toLowerCase(),
+    body("parameters").optional().isObject().withMessage("Parameters must be an object"),
+    body("parameters.*").optional().isFloat().withMessage("Parameter values must be numbers"),
   ],
+  optionalAuth,
   async (req, res) => {
     try {
       const errors = validationResult(req)
@@ -26,36 +124,21 @@ router.post(
         })
       }
 
-      const { vehicleIds } = req.body
+      const { vehicleIds, specName, parameters } = req.body
 
-      // Fetch vehicles from DB
-      const vehicles = await Vehicle.find({
-        _id: { $in: vehicleIds },
-        isActive: true,
+      const comparison = await compareVehicles(vehicleIds, {
+        specName,
+        parameters,
+        user: req.user,
       })
 
-      if (vehicles.length !== vehicleIds.length) {
+      if (!comparison) {
         return res.status(404).json({
           success: false,
           message: "One or more vehicles not found",
         })
       }
 
-      // Update comparison count
-      await Vehicle.updateMany(
-        { _id: { $in: vehicleIds } },
-        { $inc: { "metadata.comparisons": 1 } }
-      )
-
-      // Fetch comparison config dynamically from your API or DB
-      const configResponse = await axios.get(
-        "https://example.com/api/comparison-config" // Replace with your actual API
-      )
-      const comparisonConfig = configResponse.data
-
-      // Generate comparison dynamically
-      const comparison = generateDynamicComparison(vehicles, comparisonConfig)
-
       res.json({
         success: true,
         data: { comparison },
@@ -74,8 +157,718 @@ router.post(
   }
 )
 
+// List the signed-in user's saved comparison sets
+router.get("/sets", auth, async (req, res) => {
+  try {
+    const sets = await Comparison.find({ user: req.user.userId })
+      .sort({ updatedAt: -1 })
+      .populate("vehicles", "make model year price.msrp specifications.range.epa images")
+
+    res.json({
+      success: true,
+      data: { sets, count: sets.length, maxVehicles: setLimits.maxVehicles },
+    })
+  } catch (error) {
+    console.error("List comparison sets error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch comparison sets",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+})
+
+// View a shared comparison set by its public slug (no sign-in required)
+router.get("/sets/shared/:slug", [param("slug").isString().trim().isLength({ min: 16, max: 64 })], optionalAuth, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(404).json({
+        success: false,
+        message: "Shared comparison not found",
+      })
+    }
+
+    const set = await Comparison.findShared(req.params.slug)
+      .populate("vehicles", "make model year price.msrp specifications.range.epa images")
+    if (!set) {
+      return res.status(404).json({
+        success: false,
+        message: "Shared comparison not found",
+      })
+    }
+
+    const vehicleIds = set.vehicles.map((vehicle) => vehicle._id)
+    const comparison = vehicleIds.length >= 2
+      ? await compareVehicles(vehicleIds, { user: req.user })
+      : null
+
+    res.json({
+      success: true,
+      data: {
+        set: {
+          name: set.name,
+          notes: set.notes,
+          vehicles: set.vehicles,
+          sharedAt: set.sharedAt,
+          updatedAt: set.updatedAt,
+        },
+        comparison,
+      },
+    })
+  } catch (error) {
+    console.error("Get shared comparison set error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch shared comparison",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+})
+
+// Create a saved comparison set
+router.post("/sets", comparisonSetRules(false), auth, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const { name, notes, vehicleIds = [] } = req.body
+
+    const setCount = await Comparison.countDocuments({ user: req.user.userId })
+    if (setCount >= setLimits.maxSetsPerUser) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save at most ${setLimits.maxSetsPerUser} comparisons`,
+      })
+    }
+
+    if (vehicleIds.length > 0 && await findMissingVehicles(vehicleIds)) {
+      return res.status(404).json({
+        success: false,
+        message: "One or more vehicles not found",
+      })
+    }
+
+    const set = await Comparison.create({
+      user: req.user.userId,
+      name,
+      notes,
+      vehicles: vehicleIds,
+    })
+
+    res.status(201).json({
+      success: true,
+      message: "Comparison saved",
+      data: { set },
+    })
+  } catch (error) {
+    console.error("Create comparison set error:", error)
+    res.status(error.name === "ValidationError" ? 400 : 500).json({
+      success: false,
+      message: error.name === "ValidationError" ? error.message : "Failed to save comparison",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+})
+
+// Load a saved comparison set with its generated comparison
+router.get("/sets/:id", [param("id").isMongoId().withMessage("Invalid comparison ID")], auth, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const set = await Comparison.findById(req.params.id)
+    if (!set || !set.isOwnedBy(req.user.userId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Comparison not found",
+      })
+    }
+
+    const user = await User.findById(req.user.userId)
+    const comparison = set.vehicles.length >= 2
+      ? await compareVehicles(set.vehicles, { user })
+      : null
+
+    if (comparison) {
+      set.lastComparedAt = new Date()
+      await set.save()
+    }
+
+    await set.populate("vehicles", "make model year price.msrp specifications.range.epa images")
+
+    res.json({
+      success: true,
+      data: { set, comparison },
+    })
+  } catch (error) {
+    console.error("Get comparison set error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch comparison",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+})
+
+// Update a saved comparison set
+router.put(
+  "/sets/:id",
+  [param("id").isMongoId().withMessage("Invalid comparison ID"), ...comparisonSetRules(true)],
+  auth,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const set = await Comparison.findById(req.params.id)
+      if (!set || !set.isOwnedBy(req.user.userId)) {
+        return res.status(404).json({
+          success: false,
+          message: "Comparison not found",
+        })
+      }
+
+      const { name, notes, vehicleIds } = req.body
+
+      if (vehicleIds && vehicleIds.length > 0 && await findMissingVehicles(vehicleIds)) {
+        return res.status(404).json({
+          success: false,
+          message: "One or more vehicles not found",
+        })
+      }
+
+      if (name !== undefined) set.name = name
+      if (notes !== undefined) set.notes = notes
+      if (vehicleIds !== undefined) set.vehicles = vehicleIds
+      await set.save()
+
+      res.json({
+        success: true,
+        message: "Comparison updated",
+        data: { set },
+      })
+    } catch (error) {
+      console.error("Update comparison set error:", error)
+      res.status(error.name === "ValidationError" ? 400 : 500).json({
+        success: false,
+        message: error.name === "ValidationError" ? error.message : "Failed to update comparison",
+        error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+      })
+    }
+  }
+)
+
+// Delete a saved comparison set
+router.delete("/sets/:id", [param("id").isMongoId().withMessage("Invalid comparison ID")], auth, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const set = await Comparison.findById(req.params.id)
+    if (!set || !set.isOwnedBy(req.user.userId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Comparison not found",
+      })
+    }
+
+    await set.deleteOne()
+
+    res.json({
+      success: true,
+      message: "Comparison deleted",
+    })
+  } catch (error) {
+    console.error("Delete comparison set error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete comparison",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+})
+
+// Turn public sharing on for a set and return its link slug
+router.post("/sets/:id/share", [param("id").isMongoId().withMessage("Invalid comparison ID")], auth, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const set = await Comparison.findById(req.params.id)
+    if (!set || !set.isOwnedBy(req.user.userId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Comparison not found",
+      })
+    }
+
+    if (!set.isShared) {
+      await set.share()
+    }
+
+    res.json({
+      success: true,
+      message: "Comparison shared",
+      data: {
+        slug: set.shareSlug,
+        sharePath: `/api/comparison/sets/shared/${set.shareSlug}`,
+      },
+    })
+  } catch (error) {
+    console.error("Share comparison set error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to share comparison",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+})
+
+// Stop sharing a set; the old link stops working
+router.delete("/sets/:id/share", [param("id").isMongoId().withMessage("Invalid comparison ID")], auth, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const set = await Comparison.findById(req.params.id)
+    if (!set || !set.isOwnedBy(req.user.userId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Comparison not found",
+      })
+    }
+
+    await set.unshare()
+
+    res.json({
+      success: true,
+      message: "Comparison is no longer shared",
+    })
+  } catch (error) {
+    console.error("Unshare comparison set error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to stop sharing comparison",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+})
+
+const exportFormatRule = query("format")
+  .optional()
+  .isIn(comparisonExport.getFormats())
+  .withMessage(`Format must be one of: ${comparisonExport.getFormats().join(", ")}`)
+
+// Render a comparison set as CSV, PDF or printable HTML and send it
+async function sendComparisonExport(res, set, { format = "pdf", user }) {
+  if (set.vehicles.length < 2) {
+    return res.status(400).json({
+      success: false,
+      message: "Add at least 2 vehicles before exporting a comparison",
+    })
+  }
+
+  const comparison = await compareVehicles(set.vehicles, { user })
+  if (!comparison) {
+    return res.status(404).json({
+      success: false,
+      message: "One or more vehicles not found",
+    })
+  }
+
+  const document = comparisonExport.renderComparison(format, comparison, {
+    title: set.name,
+    notes: set.notes,
+  })
+  const fileName = (set.name || "comparison").replace(/[^A-Za-z0-9-_]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 60) || "comparison"
+
+  res.set({
+    "Content-Type": document.contentType,
+    // HTML opens in the browser for printing; CSV and PDF download
+    "Content-Disposition": `${format === "html" ? "inline" : "attachment"}; filename="${fileName}.${document.extension}"`,
+    "Cache-Control": "private, no-store",
+  })
+  res.send(document.body)
+}
+
+// Download one of the signed-in user's comparison sets
+router.get(
+  "/:setId/export",
+  [param("setId").isMongoId().withMessage("Invalid comparison ID"), exportFormatRule],
+  auth,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const set = await Comparison.findById(req.params.setId)
+      if (!set || !set.isOwnedBy(req.user.userId)) {
+        return res.status(404).json({
+          success: false,
+          message: "Comparison not found",
+        })
+      }
+
+      const user = await User.findById(req.user.userId)
+      await sendComparisonExport(res, set, { format: req.query.format, user })
+    } catch (error) {
+      console.error("Export comparison error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to export comparison",
+        error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+      })
+    }
+  }
+)
+
+// Download a shared comparison set by its public slug (no sign-in required)
+router.get(
+  "/shared/:slug/export",
+  [param("slug").isString().trim().isLength({ min: 16, max: 64 }), exportFormatRule],
+  optionalAuth,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const set = await Comparison.findShared(req.params.slug)
+      if (!set) {
+        return res.status(404).json({
+          success: false,
+          message: "Shared comparison not found",
+        })
+      }
+
+      await sendComparisonExport(res, set, { format: req.query.format, user: req.user })
+    } catch (error) {
+      console.error("Export shared comparison error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to export comparison",
+        error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+      })
+    }
+  }
+)
+
+// List comparison-spec registries (admin)
+router.get(
+  "/specs",
+  adminAuth,
+  [query("name").optional().isString().trim().toLowerCase()],
+  async (req, res) => {
+    try {
+      const filter = req.query.name ? { name: req.query.name } : {}
+      const registries = await ComparisonSpec.find(filter).sort({ name: 1, version: -1 })
+
+      res.json({
+        success: true,
+        data: { registries, count: registries.length },
+      })
+    } catch (error) {
+      console.error("List comparison specs error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch comparison specs",
+        error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+      })
+    }
+  }
+)
+
+// Get the active layout for a registry, including the built-in fallback
+router.get("/specs/active", [query("name").optional().isString().trim().toLowerCase()], async (req, res) => {
+  try {
+    const layout = await ComparisonSpec.getActiveLayout(req.query.name)
+
+    res.json({
+      success: true,
+      data: { layout },
+    })
+  } catch (error) {
+    console.error("Get active comparison spec error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch comparison spec",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+})
+
+// Get a single registry version (admin)
+router.get("/specs/:id", adminAuth, [param("id").isMongoId().withMessage("Invalid spec ID")], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const registry = await ComparisonSpec.findById(req.params.id)
+    if (!registry) {
+      return res.status(404).json({
+        success: false,
+        message: "Comparison spec not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: { registry },
+    })
+  } catch (error) {
+    console.error("Get comparison spec error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch comparison spec",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+})
+
+// Create a new registry version (admin)
+router.post(
+  "/specs",
+  adminAuth,
+  [
+    body("name").optional().isString().trim().toLowerCase(),
+    body("activate").optional().isBoolean(),
+    ...specRegistryRules,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const { name = "default", description, categories, parameters, activate } = req.body
+
+      let registry = new ComparisonSpec({
+        name,
+        version: await ComparisonSpec.nextVersion(name),
+        description,
+        categories,
+        parameters,
+        createdBy: req.user.userId,
+      })
+      await registry.save()
+
+      if (activate) {
+        registry = await registry.activate()
+      }
+
+      res.status(201).json({
+        success: true,
+        message: "Comparison spec created",
+        data: { registry },
+      })
+    } catch (error) {
+      console.error("Create comparison spec error:", error)
+      res.status(error.name === "ValidationError" ? 400 : 500).json({
+        success: false,
+        message: "Failed to create comparison spec",
+        error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+      })
+    }
+  }
+)
+
+// Update a draft registry version (admin); active versions are immutable
+router.put(
+  "/specs/:id",
+  adminAuth,
+  [param("id").isMongoId().withMessage("Invalid spec ID"), ...specRegistryRules],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const registry = await ComparisonSpec.findById(req.params.id)
+      if (!registry) {
+        return res.status(404).json({
+          success: false,
+          message: "Comparison spec not found",
+        })
+      }
+
+      if (registry.isActive) {
+        return res.status(409).json({
+          success: false,
+          message: "Active comparison specs cannot be edited. Create a new version instead.",
+        })
+      }
+
+      registry.categories = req.body.categories
+      if (req.body.description !== undefined) {
+        registry.description = req.body.description
+      }
+      if (req.body.parameters !== undefined) {
+        registry.parameters = req.body.parameters
+      }
+      await registry.save()
+
+      res.json({
+        success: true,
+        message: "Comparison spec updated",
+        data: { registry },
+      })
+    } catch (error) {
+      console.error("Update comparison spec error:", error)
+      res.status(error.name === "ValidationError" ? 400 : 500).json({
+        success: false,
+        message: "Failed to update comparison spec",
+        error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+      })
+    }
+  }
+)
+
+// Activate a registry version (admin)
+router.patch("/specs/:id/activate", adminAuth, [param("id").isMongoId().withMessage("Invalid spec ID")], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const registry = await ComparisonSpec.findById(req.params.id)
+    if (!registry) {
+      return res.status(404).json({
+        success: false,
+        message: "Comparison spec not found",
+      })
+    }
+
+    await registry.activate()
+
+    res.json({
+      success: true,
+      message: `Comparison spec ${registry.name} v${registry.version} activated`,
+      data: { registry },
+    })
+  } catch (error) {
+    console.error("Activate comparison spec error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to activate comparison spec",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+})
+
+// Delete an inactive registry version (admin)
+router.delete("/specs/:id", adminAuth, [param("id").isMongoId().withMessage("Invalid spec ID")], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const registry = await ComparisonSpec.findById(req.params.id)
+    if (!registry) {
+      return res.status(404).json({
+        success: false,
+        message: "Comparison spec not found",
+      })
+    }
+
+    if (registry.isActive) {
+      return res.status(409).json({
+        success: false,
+        message: "Cannot delete the active comparison spec. Activate another version first.",
+      })
+    }
+
+    await registry.deleteOne()
+
+    res.json({
+      success: true,
+      message: "Comparison spec deleted",
+    })
+  } catch (error) {
+    console.error("Delete comparison spec error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete comparison spec",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+})
+
 // Dynamic comparison generator
-function generateDynamicComparison(vehicles, config) {
+function generateDynamicComparison(vehicles, categories, parameters = {}) {
   const comparison = {
     vehicles: vehicles.map((vehicle) => ({
       id: vehicle._id,
@@ -85,16 +878,13 @@ function generateDynamicComparison(vehicles, config) {
     categories: [],
   }
 
-  config.forEach((category) => {
+  categories.forEach((category) => {
     const specs = category.specs.map((spec) => {
-      // If you want to support custom calculations (like Effective Price), you can enhance here.
-      // For now, assume spec.key is direct path into vehicle object.
-
+      // Computed specs evaluate their expression; plain specs read spec.key as a path
       const values = vehicles.map((v) => {
-        const rawValue = _.get(v, spec.key)
-
-        // Support for dynamic calculation if specified: e.g., "price.msrp - price.incentives.federal - price.incentives.state - price.incentives.local"
-        // You can add code here to parse and evaluate those expressions if needed.
+        const rawValue = spec.expression
+          ? specExpression.evaluate(spec.expression, v, parameters)
+          : _.get(v, spec.key)
 
         return {
           value: rawValue !== undefined ? rawValue : null,
@@ -119,6 +909,8 @@ function generateDynamicComparison(vehicles, config) {
 
       return {
         name: spec.label,
+        key: spec.key,
+        computed: Boolean(spec.expression),
         values,
       }
     })
@@ -145,12 +937,20 @@ function formatValue(value, type) {
       return value
     case "minutes":
       return `${value} min`
+    case "seconds":
+      return `${value} sec`
     case "mph":
       return `${value} mph`
     case "hp":
       return `${value} hp`
     case "mpge":
       return `${value} MPGe`
+    case "miles":
+      return `${value.toLocaleString()} mi`
+    case "kw":
+      return `${value} kW`
+    case "kwh":
+      return `${value} kWh`
     case "feet3":
       return `${value} ft³`
     case "seats":
@@ -0,0 +1,217 @@
+const express = require("express")
+const { body, param, query, validationResult } = require("express-validator")
+const IncentiveRule = require("../models/IncentiveRule")
+const { createRoleAuth } = require("../middleware/auth")
+
+const router = express.Router()
+
+const adminAuth = createRoleAuth([process.env.ADMIN_ROLE || "admin"])
+
+// Configuration object - can be loaded from environment or config service
+const incentiveRoutesConfig = {
+  pagination: {
+    defaultLimit: parseInt(process.env.INCENTIVE_RULES_DEFAULT_LIMIT) || 50,
+    maxLimit: parseInt(process.env.INCENTIVE_RULES_MAX_LIMIT) || 200
+  }
+}
+
+// Fields an admin may set on a rule
+const ruleFields = ["name", "description", "provider", "url", "level", "jurisdiction", "amount", "eligibility", "effectiveFrom", "effectiveUntil", "isActive"]
+
+// Validation rules shared by rule create/update
+const ruleRules = (isUpdate) => {
+  const field = (path) => (isUpdate ? body(path).optional() : body(path))
+  return [
+    field("name").isString().trim().notEmpty().withMessage("Incentive name is required"),
+    field("level").isIn(IncentiveRule.getLevels())
+      .withMessage(`Level must be one of: ${IncentiveRule.getLevels().join(', ')}`),
+    field("amount.value").isFloat({ min: 0 }).withMessage("Amount must be a non-negative number"),
+    body("amount.type").optional().isIn(IncentiveRule.getAmountTypes())
+      .withMessage(`Amount type must be one of: ${IncentiveRule.getAmountTypes().join(', ')}`),
+    body("amount.max").optional().isFloat({ min: 0 }).withMessage("Maximum amount must be a non-negative number"),
+    body("jurisdiction.country").optional().isISO31661Alpha2().withMessage("Country must be a two-letter code"),
+    body("jurisdiction.state").optional().isAlpha().isLength({ min: 2, max: 2 }).withMessage("State must be a two-letter code"),
+    body("jurisdiction.zipCodes").optional().isArray().withMessage("ZIP codes must be an array"),
+    body("jurisdiction.zipCodes.*").matches(/^\d{5}$/).withMessage("ZIP codes must be 5 digits"),
+    body("eligibility.msrpCap").optional().isFloat({ min: 0 }).withMessage("MSRP cap must be a non-negative number"),
+    body("eligibility.msrpCapByBodyType").optional().isObject().withMessage("MSRP caps by body type must be an object"),
+    body("eligibility.msrpCapByBodyType.*").isFloat({ min: 0 }).withMessage("MSRP caps must be non-negative numbers"),
+    body("eligibility.incomeLimits.*").optional().isFloat({ min: 0 }).withMessage("Income limits must be non-negative numbers"),
+    body("eligibility.acquisitionTypes").optional().isArray().withMessage("Acquisition types must be an array"),
+    body("eligibility.acquisitionTypes.*").isIn(IncentiveRule.getAcquisitionTypes())
+      .withMessage(`Acquisition types must be: ${IncentiveRule.getAcquisitionTypes().join(', ')}`),
+    body(["effectiveFrom", "effectiveUntil"]).optional({ values: "null" }).isISO8601().withMessage("Effective dates must be ISO 8601 dates"),
+    body("isActive").optional().isBoolean(),
+  ]
+}
+
+const pickRuleFields = (source) => Object.fromEntries(ruleFields.filter((field) => source[field] !== undefined).map((field) => [field, source[field]]))
+
+// List incentive rules, optionally only those in effect for a location on a date
+router.get(
+  "/",
+  [
+    query("state").optional().isAlpha().isLength({ min: 2, max: 2 }).withMessage("State must be a two-letter code"),
+    query("zipCode").optional().matches(/^\d{5}$/).withMessage("ZIP code must be 5 digits"),
+    query("country").optional().isISO31661Alpha2().withMessage("Country must be a two-letter code"),
+    query("level").optional().isIn(IncentiveRule.getLevels())
+      .withMessage(`Level must be one of: ${IncentiveRule.getLevels().join(', ')}`),
+    query("at").optional().isISO8601().withMessage("at must be an ISO 8601 date"),
+    query("page").optional().isInt({ min: 1 }).withMessage("Page must be at least 1"),
+    query("limit").optional().isInt({ min: 1, max: incentiveRoutesConfig.pagination.maxLimit })
+      .withMessage(`Limit must be between 1 and ${incentiveRoutesConfig.pagination.maxLimit}`),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const { state, zipCode, country, level, at } = req.query
+      const page = Number.parseInt(req.query.page) || 1
+      const limit = Number.parseInt(req.query.limit) || incentiveRoutesConfig.pagination.defaultLimit
+
+      // A location narrows the list to rules that apply there
+      let rules = state || zipCode || at
+        ? await IncentiveRule.findForLocation({ country, state, zipCode }, at ? new Date(at) : new Date())
+        : await IncentiveRule.find({ isActive: true, ...(country && { "jurisdiction.country": country.toUpperCase() }) })
+      if (level) {
+        rules = rules.filter((rule) => rule.level === level)
+      }
+      rules.sort((a, b) => IncentiveRule.getLevels().indexOf(a.level) - IncentiveRule.getLevels().indexOf(b.level) || a.name.localeCompare(b.name))
+
+      const totalPages = Math.ceil(rules.length / limit)
+
+      res.json({
+        success: true,
+        data: {
+          rules: rules.slice((page - 1) * limit, page * limit),
+          pagination: {
+            currentPage: page,
+            totalPages,
+            totalItems: rules.length,
+            itemsPerPage: limit,
+            hasNextPage: page < totalPages,
+            hasPrevPage: page > 1,
+          },
+        },
+      })
+    } catch (error) {
+      console.error("Get incentive rules error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch incentive rules",
+        error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+      })
+    }
+  }
+)
+
+// Create an incentive rule (admin)
+router.post("/", adminAuth, ruleRules(false), async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const rule = await IncentiveRule.create(pickRuleFields(req.body))
+
+    res.status(201).json({
+      success: true,
+      message: "Incentive rule created",
+      data: { rule },
+    })
+  } catch (error) {
+    console.error("Create incentive rule error:", error)
+    res.status(error.name === "ValidationError" ? 400 : 500).json({
+      success: false,
+      message: "Failed to create incentive rule",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+})
+
+// Update an incentive rule (admin)
+router.put("/:id", adminAuth, [param("id").isMongoId().withMessage("Invalid rule ID"), ...ruleRules(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const rule = await IncentiveRule.findById(req.params.id)
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Incentive rule not found",
+      })
+    }
+
+    rule.set(pickRuleFields(req.body))
+    await rule.save()
+
+    res.json({
+      success: true,
+      message: "Incentive rule updated",
+      data: { rule },
+    })
+  } catch (error) {
+    console.error("Update incentive rule error:", error)
+    res.status(error.name === "ValidationError" ? 400 : 500).json({
+      success: false,
+      message: "Failed to update incentive rule",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+})
+
+// Retire an incentive rule (admin); rules are kept so past estimates can be explained
+router.delete("/:id", adminAuth, [param("id").isMongoId().withMessage("Invalid rule ID")], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const rule = await IncentiveRule.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true })
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Incentive rule not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "Incentive rule retired",
+      data: { rule },
+    })
+  } catch (error) {
+    console.error("Delete incentive rule error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to retire incentive rule",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+})
+
+module.exports = router
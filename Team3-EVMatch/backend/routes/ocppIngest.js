@@ -0,0 +1,76 @@
+const express = require("express")
+const StationAuditLog = require("../models/StationAuditLog")
+const { stationKeyAuth } = require("../middleware/stationKey")
+const { parseStatusNotification, applyStatusNotification } = require("../utils/ocppStatus")
+
+// Mounted under /api/charging/:id/ocpp, so the station ID comes from the parent path
+const router = express.Router({ mergeParams: true })
+
+// OCPP-J message types for replies
+const OCPP_CALL_RESULT = 3
+const OCPP_CALL_ERROR = 4
+
+// Receive an OCPP 1.6 StatusNotification from a charger, either as the bare
+// payload or as an OCPP-J Call frame; framed calls get an OCPP-J reply
+router.post("/status-notification", stationKeyAuth, async (req, res) => {
+  const framedId = Array.isArray(req.body) && typeof req.body[1] === "string" ? req.body[1] : null
+
+  try {
+    const { uniqueId, notification } = parseStatusNotification(req.body)
+    const station = req.station
+    const { applied, connector, changes } = applyStatusNotification(station, notification)
+
+    if (applied) {
+      await station.save()
+    }
+    // Only notifications that changed availability or status are audited
+    if (changes.length) {
+      await StationAuditLog.recordOcpp(req, {
+        station,
+        action: "availability.update",
+        changes,
+        details: { connectorId: notification.connectorId, status: notification.status, errorCode: notification.errorCode },
+      })
+    }
+
+    if (uniqueId) {
+      return res.json([OCPP_CALL_RESULT, uniqueId, {}])
+    }
+
+    res.json({
+      success: true,
+      message: applied ? "Status recorded" : "Status is older than the last one recorded and was ignored",
+      data: {
+        applied,
+        connector: connector && {
+          type: connector.type,
+          available: connector.available,
+          count: connector.count,
+          status: connector.status,
+        },
+        lastStatusUpdate: station.lastStatusUpdate,
+      },
+    })
+  } catch (error) {
+    if (error.name === "OcppMessageError") {
+      if (framedId) {
+        return res.status(error.status).json([OCPP_CALL_ERROR, framedId, "FormationViolation", error.message, {}])
+      }
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      })
+    }
+    console.error("OCPP status notification error:", error)
+    if (framedId) {
+      return res.status(500).json([OCPP_CALL_ERROR, framedId, "InternalError", "Failed to record status", {}])
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to record charger status",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+})
+
+module.exports = router
@@ -1,67 +1,30 @@
 const express = require("express")
-const { body, validationResult } = require("express-validator")
+const { body, param, query, validationResult } = require("express-validator")
 const User = require("../models/User")
 const Vehicle = require("../models/Vehicle")
-const { auth } = require("../middleware/auth")
+const Quiz = require("../models/Quiz")
+const { auth, createRoleAuth } = require("../middleware/auth")
+const optionalAuth = require("../middleware/optionalAuth")
+const { applyIncentives } = require("../utils/incentives")
+const matchScoring = require("../utils/matchScoring")
+const quizFlow = require("../utils/quizFlow")
 
 const router = express.Router()
 
+const adminAuth = createRoleAuth([process.env.ADMIN_ROLE || "admin"])
+
 // Configuration object - can be loaded from environment or config service
 const quizConfig = {
-  validation: {
-    answers: {
-      required: process.env.REQUIRED_QUIZ_ANSWERS?.split(',') || ['1', '2', '3', '4', '5', '8'],
-      rangeImportance: {
-        min: parseInt(process.env.RANGE_IMPORTANCE_MIN) || 1,
-        max: parseInt(process.env.RANGE_IMPORTANCE_MAX) || 10
-      },
-      techImportance: {
-        min: parseInt(process.env.TECH_IMPORTANCE_MIN) || 1,
-        max: parseInt(process.env.TECH_IMPORTANCE_MAX) || 10
-      }
-    }
-  },
-  scoring: {
-    budgetWeight: parseInt(process.env.BUDGET_SCORE_WEIGHT) || 30,
-    typeWeight: parseInt(process.env.TYPE_SCORE_WEIGHT) || 25,
-    rangeWeight: parseInt(process.env.RANGE_SCORE_WEIGHT) || 20,
-    techWeight: parseInt(process.env.TECH_SCORE_WEIGHT) || 15,
-    ecoWeight: parseInt(process.env.ECO_SCORE_WEIGHT) || 10,
-    budgetFlexibility: parseFloat(process.env.BUDGET_FLEXIBILITY) || 1.2,
-    rangeBaseline: parseInt(process.env.RANGE_BASELINE) || 300,
-    overBudgetTolerance: parseFloat(process.env.OVER_BUDGET_TOLERANCE) || 1.1
-  },
-  recommendations: {
-    maxVehicles: parseInt(process.env.MAX_RECOMMENDATION_VEHICLES) || 20,
-    topRecommendations: parseInt(process.env.TOP_RECOMMENDATIONS_COUNT) || 5
+  // Questions, which answers are required and what each answer means come
+  // from the Quiz model; scoring and the number of recommendations from the
+  // shared rule set in utils/matchScoring so the browser ranks the same way
+  data: {
+    // Vehicles sent with the quiz for offline recommendations
+    maxVehicles: parseInt(process.env.QUIZ_DATA_MAX_VEHICLES) || 200
   },
-  mappings: {
-    budget: process.env.BUDGET_MAPPINGS ? JSON.parse(process.env.BUDGET_MAPPINGS) : {
-      "under-30k": { min: 0, max: 30000 },
-      "30k-50k": { min: 30000, max: 50000 },
-      "50k-70k": { min: 50000, max: 70000 },
-      "70k-100k": { min: 70000, max: 100000 },
-      "over-100k": { min: 100000, max: 500000 }
-    },
-    vehicleTypes: process.env.VEHICLE_TYPE_MAPPINGS ? JSON.parse(process.env.VEHICLE_TYPE_MAPPINGS) : {
-      compact: "hatchback",
-      sedan: "sedan",
-      suv: "suv",
-      truck: "truck",
-      luxury: "sedan"
-    },
-    similarTypes: process.env.SIMILAR_TYPES_MAPPINGS ? JSON.parse(process.env.SIMILAR_TYPES_MAPPINGS) : {
-      sedan: ["hatchback"],
-      suv: ["wagon"],
-      hatchback: ["sedan"],
-      wagon: ["suv"]
-    }
-  },
-  thresholds: {
-    excellentRange: parseInt(process.env.EXCELLENT_RANGE_THRESHOLD) || 300,
-    advancedTech: parseInt(process.env.ADVANCED_TECH_THRESHOLD) || 90,
-    ecoFriendly: parseInt(process.env.ECO_FRIENDLY_THRESHOLD) || 90,
-    fastCharging: parseInt(process.env.FAST_CHARGING_THRESHOLD) || 150
+  flow: {
+    // Most vehicles ranked per step when checking for early exit
+    maxVehicles: parseInt(process.env.QUIZ_FLOW_MAX_VEHICLES) || 200
   },
   features: {
     enableExternalScoringAPI: process.env.ENABLE_EXTERNAL_SCORING_API === 'true',
@@ -74,47 +37,88 @@ const quizConfig = {
     validationFailed: process.env.VALIDATION_FAILED_MESSAGE || "Validation failed",
     quizCompleted: process.env.QUIZ_COMPLETED_MESSAGE || "Quiz completed successfully",
     processingError: process.env.QUIZ_PROCESSING_ERROR || "Failed to process quiz",
-    historyError: process.env.QUIZ_HISTORY_ERROR || "Failed to fetch quiz history"
+    historyError: process.env.QUIZ_HISTORY_ERROR || "Failed to fetch quiz history",
+    quizNotFound: process.env.QUIZ_NOT_FOUND_MESSAGE || "Quiz version not found"
   }
 }
 
-// Dynamic validation rules builder
-const createValidationRules = () => {
-  const rules = [
-    body("answers").isObject().withMessage("Answers must be an object")
-  ]
-
-  // Add dynamic required answer validations
-  quizConfig.validation.answers.required.forEach(answerKey => {
-    switch (answerKey) {
-      case '4': // Range importance
-        rules.push(
-          body(`answers.${answerKey}`)
-            .isInt({
-              min: quizConfig.validation.answers.rangeImportance.min,
-              max: quizConfig.validation.answers.rangeImportance.max
-            })
-            .withMessage(`Range importance must be ${quizConfig.validation.answers.rangeImportance.min}-${quizConfig.validation.answers.rangeImportance.max}`)
-        )
-        break
-      case '8': // Tech importance
-        rules.push(
-          body(`answers.${answerKey}`)
-            .isInt({
-              min: quizConfig.validation.answers.techImportance.min,
-              max: quizConfig.validation.answers.techImportance.max
-            })
-            .withMessage(`Tech importance must be ${quizConfig.validation.answers.techImportance.min}-${quizConfig.validation.answers.techImportance.max}`)
-        )
-        break
-      default:
-        rules.push(
-          body(`answers.${answerKey}`).notEmpty().withMessage(`Answer ${answerKey} is required`)
-        )
-    }
-  })
+// Answers are checked against the questions of the quiz version they were
+// given for once it is loaded, in the submit handler
+const submitValidationRules = [
+  body("answers").isObject().withMessage("Answers must be an object"),
+  body("quizName").optional().isString().trim().toLowerCase(),
+  body("quizVersion").optional().isInt({ min: 0 }).withMessage("Quiz version must be a non-negative integer").toInt(),
+]
+
+// Validation rules for asking which question comes next
+const nextQuestionRules = [
+  body("answers").optional().isObject().withMessage("Answers must be an object"),
+  body("answerOrder").optional().isArray().withMessage("Answer order must be an array of question IDs"),
+  body("answerOrder.*").isInt({ min: 1 }).withMessage("Answer order must be an array of question IDs").toInt(),
+  body("quizName").optional().isString().trim().toLowerCase(),
+  body("quizVersion").optional().isInt({ min: 0 }).withMessage("Quiz version must be a non-negative integer").toInt(),
+]
+
+// Validation rules for creating a quiz version
+const quizDefinitionRules = [
+  body("name").optional().isString().trim().toLowerCase(),
+  body("description").optional().isString().trim(),
+  body("activate").optional().isBoolean(),
+  body("questions").isArray({ min: 1 }).withMessage("Questions must be a non-empty array"),
+  body("questions.*.id").isInt({ min: 1 }).withMessage("Question ID must be a positive integer").toInt(),
+  body("questions.*.question").isString().trim().notEmpty().withMessage("Question text is required"),
+  body("questions.*.type").isIn(["single", "multiple", "range"])
+    .withMessage("Question type must be single, multiple or range"),
+  body("questions.*.options").optional().isArray().withMessage("Options must be an array"),
+  body("questions.*.options.*.value").isString().trim().notEmpty().withMessage("Option value is required"),
+  body("questions.*.options.*.text").isString().trim().notEmpty().withMessage("Option text is required"),
+  body("questions.*.mapping").optional().isObject().withMessage("Mapping must be an object"),
+  body("questions.*.showIf").optional().isArray().withMessage("Question conditions must be an array"),
+  body("questions.*.showIf.*.questionId").isInt({ min: 1 }).withMessage("Condition question ID must be a positive integer").toInt(),
+  body("questions.*.showIf.*.operator").optional().isIn(quizFlow.getOperators())
+    .withMessage(`Condition operator must be one of: ${quizFlow.getOperators().join(', ')}`),
+  body("earlyExit").optional().isObject().withMessage("Early exit must be an object"),
+  body("earlyExit.enabled").optional().isBoolean().toBoolean(),
+  body(["earlyExit.minAnswers", "earlyExit.stableAnswers", "earlyExit.topCount"]).optional()
+    .isInt({ min: 1 }).withMessage("Early exit settings must be positive integers").toInt(),
+]
+
+// The version of a quiz answers were given for, or the active one
+const resolveQuiz = (name = Quiz.getDefaultName(), version) =>
+  version === undefined ? Quiz.getActiveQuiz(name) : Quiz.getQuizVersion(name, version)
+
+// The vehicles the given answers leave in the running, priced for the user, to
+// tell when the top recommendations stop changing. Only the fields scoring and
+// incentives read are loaded, most viewed first up to the flow limit.
+async function loadFlowVehicles(answers, questions, user) {
+  const vehicles = await Vehicle.findMatchCandidates(matchScoring.preferencesFromAnswers(answers, questions))
+    .sort({ "metadata.views": -1, _id: 1 })
+    .limit(quizConfig.flow.maxVehicles)
+    .select("bodyType price specifications.range specifications.charging techScore ecoScore manufacturing")
+    .lean()
+  return applyIncentives(vehicles, user)
+}
 
-  return rules
+// The quiz's vehicles in the flat shape the browser scores and displays
+function toQuizVehicle(vehicle) {
+  const { fastChargingKw } = matchScoring.getRules().reasons
+  const dcMaxKw = vehicle.specifications?.charging?.dc_max_kw
+
+  return {
+    id: vehicle._id.toString(),
+    name: [vehicle.model, vehicle.trim].filter(Boolean).join(" "),
+    brand: vehicle.make,
+    year: vehicle.year,
+    msrp: vehicle.price.msrp,
+    price: vehicle.effectivePrice,
+    bodyType: vehicle.bodyType,
+    range: vehicle.specifications?.range?.epa,
+    real_world_range: vehicle.specifications?.range?.real_world,
+    tech_score: vehicle.techScore,
+    eco_score: vehicle.ecoScore,
+    dc_max_kw: dcMaxKw,
+    charging: dcMaxKw >= fastChargingKw ? "fast-charging" : "standard-charging",
+  }
 }
 
 // API integration helper
@@ -140,41 +144,9 @@ const callExternalAPI = async (endpoint, data, method = 'POST') => {
   return null
 }
 
-// Dynamic answer processing function
-function processQuizAnswers(answers) {
-  const preferences = {}
-
-  // Budget mapping
-  if (answers[3] && quizConfig.mappings.budget[answers[3]]) {
-    preferences.budget = quizConfig.mappings.budget[answers[3]]
-  }
-
-  // Vehicle type mapping
-  if (answers[2] && quizConfig.mappings.vehicleTypes[answers[2]]) {
-    preferences.vehicleType = quizConfig.mappings.vehicleTypes[answers[2]]
-  }
-
-  // Range and tech importance with dynamic keys
-  Object.keys(answers).forEach(key => {
-    const answerValue = answers[key]
-
-    // Dynamic importance mapping
-    if (key === '4' && answerValue) {
-      preferences.rangeImportance = Number.parseInt(answerValue)
-    }
-    if (key === '8' && answerValue) {
-      preferences.techImportance = Number.parseInt(answerValue)
-    }
-
-    // Dynamic feature arrays
-    if (Array.isArray(answerValue)) {
-      if (key === '6') {
-        preferences.chargingFeatures = answerValue
-      } else if (key === '7') {
-        preferences.ecoFeatures = answerValue
-      }
-    }
-  })
+// Preferences from answers, using the mappings of the questions they answer
+function processQuizAnswers(answers, questions) {
+  const preferences = matchScoring.preferencesFromAnswers(answers, questions)
 
   // Additional preferences from environment configuration
   const additionalMappings = process.env.ADDITIONAL_ANSWER_MAPPINGS
@@ -195,25 +167,10 @@ function processQuizAnswers(answers) {
 }
 
 // Dynamic vehicle recommendations function
-async function getVehicleRecommendations(preferences, userId = null) {
+async function getVehicleRecommendations(preferences, user = null) {
+  const userId = user?._id
   try {
-    // Build filter based on preferences
-    const filter = { isActive: true }
-
-    // Budget filter with dynamic flexibility
-    if (preferences.budget) {
-      filter["price.msrp"] = {
-        $gte: preferences.budget.min,
-        $lte: preferences.budget.max * quizConfig.scoring.budgetFlexibility
-      }
-    }
-
-    // Vehicle type filter with dynamic similar types
-    const vehicleTypes = [preferences.vehicleType]
-    if (quizConfig.mappings.similarTypes[preferences.vehicleType]) {
-      vehicleTypes.push(...quizConfig.mappings.similarTypes[preferences.vehicleType])
-    }
-    filter.bodyType = { $in: vehicleTypes }
+    const filter = {}
 
     // Additional filters from external API
     if (quizConfig.features.enableExternalScoringAPI) {
@@ -226,8 +183,8 @@ async function getVehicleRecommendations(preferences, userId = null) {
       }
     }
 
-    // Get vehicles with dynamic limit
-    const vehicles = await Vehicle.find(filter).limit(quizConfig.recommendations.maxVehicles)
+    const vehicles = await Vehicle.findMatchCandidates(preferences, filter)
+    await applyIncentives(vehicles, user)
 
     // ML-based recommendations
     let mlRecommendations = null
@@ -239,10 +196,11 @@ async function getVehicleRecommendations(preferences, userId = null) {
       })
     }
 
-    // Calculate match scores and reasons
-    const recommendations = await Promise.all(vehicles.map(async (vehicle) => {
-      let score = calculateMatchScore(vehicle, preferences)
-      let matchReasons = generateMatchReasons(vehicle, preferences)
+    // Score every candidate; the shared ranking is only overridden by the
+    // optional ML and external scoring services
+    const ranked = matchScoring.rankVehicles(vehicles, preferences, { limit: vehicles.length })
+    const recommendations = await Promise.all(ranked.map(async ({ vehicle, score, matchReasons, breakdown, rangeAdequacy }) => {
+      matchReasons = [...matchReasons, ...additionalMatchReasons(vehicle)]
 
       // Use ML score if available
       if (mlRecommendations?.scores?.[vehicle._id.toString()]) {
@@ -267,115 +225,32 @@ async function getVehicleRecommendations(preferences, userId = null) {
       return {
         vehicle,
         score,
-        matchReasons
+        matchReasons,
+        breakdown,
+        rangeAdequacy
       }
     }))
 
-    // Sort by score and return top recommendations
-    return recommendations
-      .sort((a, b) => b.score - a.score)
-      .slice(0, quizConfig.recommendations.topRecommendations)
+    // Sort by range verdict, then score, and return top recommendations; the
+    // sort is stable so equal scores keep the shared ranking's order. Each one
+    // after the first explains, factor by factor, why it ranks below the one
+    // before it.
+    const top = recommendations
+      .sort((a, b) =>
+        matchScoring.rangeVerdictRank(a.rangeAdequacy) - matchScoring.rangeVerdictRank(b.rangeAdequacy) ||
+        b.score - a.score)
+      .slice(0, matchScoring.getRules().limit)
+    return matchScoring.explainRanking(top, preferences)
   } catch (error) {
     console.error("Get recommendations error:", error)
     return []
   }
 }
 
-// Dynamic match score calculation
-function calculateMatchScore(vehicle, preferences) {
-  let score = 0
-
-  // Budget matching with configurable weight
-  if (preferences.budget) {
-    const effectivePrice = vehicle.price.msrp -
-      (vehicle.price.incentives.federal + vehicle.price.incentives.state + vehicle.price.incentives.local)
-
-    if (effectivePrice >= preferences.budget.min && effectivePrice <= preferences.budget.max) {
-      score += quizConfig.scoring.budgetWeight
-    } else if (effectivePrice < preferences.budget.min) {
-      score += quizConfig.scoring.budgetWeight * 0.67 // Good value
-    } else if (effectivePrice <= preferences.budget.max * quizConfig.scoring.overBudgetTolerance) {
-      score += quizConfig.scoring.budgetWeight * 0.5 // Slightly over budget
-    }
-  }
-
-  // Vehicle type matching with configurable weight
-  if (vehicle.bodyType === preferences.vehicleType) {
-    score += quizConfig.scoring.typeWeight
-  } else if (quizConfig.mappings.similarTypes[preferences.vehicleType]?.includes(vehicle.bodyType)) {
-    score += quizConfig.scoring.typeWeight * 0.6 // Similar type
-  }
-
-  // Range importance with configurable weight and baseline
-  if (preferences.rangeImportance) {
-    const rangeScore = Math.min(
-      (vehicle.specifications.range.epa / quizConfig.scoring.rangeBaseline) *
-      preferences.rangeImportance *
-      (quizConfig.scoring.rangeWeight / 10),
-      quizConfig.scoring.rangeWeight
-    )
-    score += rangeScore
-  }
-
-  // Technology importance with configurable weight
-  if (preferences.techImportance) {
-    const techScore = (vehicle.techScore / 100) *
-      preferences.techImportance *
-      (quizConfig.scoring.techWeight / 10)
-    score += techScore
-  }
-
-  // Eco-friendliness with configurable weight
-  score += (vehicle.ecoScore / 100) * quizConfig.scoring.ecoWeight
-
-  return Math.round(score)
-}
-
-// Dynamic match reasons generation
-function generateMatchReasons(vehicle, preferences) {
+// Extra match reasons configured in the environment, on top of the shared ones
+function additionalMatchReasons(vehicle) {
   const reasons = []
 
-  // Budget reasons
-  if (preferences.budget) {
-    const effectivePrice = vehicle.price.msrp -
-      (vehicle.price.incentives.federal + vehicle.price.incentives.state + vehicle.price.incentives.local)
-
-    if (effectivePrice <= preferences.budget.max) {
-      reasons.push("Within budget")
-    }
-    if (effectivePrice < preferences.budget.min) {
-      reasons.push("Great value")
-    }
-  }
-
-  // Vehicle type reasons
-  if (vehicle.bodyType === preferences.vehicleType) {
-    reasons.push("Perfect size match")
-  }
-
-  // Range reasons with configurable threshold
-  if (vehicle.specifications.range.epa > quizConfig.thresholds.excellentRange) {
-    reasons.push("Excellent range")
-  }
-
-  // Technology reasons with configurable threshold
-  if (vehicle.techScore > quizConfig.thresholds.advancedTech) {
-    reasons.push("Advanced technology")
-  }
-
-  // Eco reasons with configurable threshold
-  if (vehicle.ecoScore > quizConfig.thresholds.ecoFriendly) {
-    reasons.push("Eco-friendly")
-  }
-
-  // Charging reasons with configurable threshold
-  if (preferences.chargingFeatures?.includes("fast-charging")) {
-    if (vehicle.specifications.charging.dc_max_kw >= quizConfig.thresholds.fastCharging) {
-      reasons.push("Fast charging")
-    }
-  }
-
-  // Additional reasons from external API
   const additionalReasons = process.env.ADDITIONAL_MATCH_REASONS?.split(',') || []
   additionalReasons.forEach(reason => {
     const [condition, reasonText] = reason.split(':')
@@ -395,7 +270,7 @@ function generateMatchReasons(vehicle, preferences) {
 }
 
 // Submit quiz results and get recommendations
-router.post("/submit", createValidationRules(), auth, async (req, res) => {
+router.post("/submit", submitValidationRules, auth, async (req, res) => {
   try {
     const errors = validationResult(req)
     if (!errors.isEmpty()) {
@@ -406,11 +281,41 @@ router.post("/submit", createValidationRules(), auth, async (req, res) => {
       })
     }
 
-    const { answers } = req.body
+    const { quizName, quizVersion } = req.body
+
+    // Answers are read with the version of the quiz they were given for,
+    // which may no longer be the active one
+    const quiz = await resolveQuiz(quizName, quizVersion)
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: quizConfig.messages.quizNotFound,
+      })
+    }
+
     const user = await User.findById(req.user.userId)
 
+    // Answers to questions that were not shown are dropped. When the quiz
+    // stopped early, required questions it never asked may be unanswered.
+    const answers = quizFlow.shownAnswers(quiz.questions, req.body.answers)
+    const stoppedEarly = quiz.earlyExit?.enabled &&
+      quizFlow.nextStep(quiz, answers, await loadFlowVehicles(user)).reason === "stable"
+
+    const answerErrors = Quiz.validateAnswers(quiz.questions, answers, { requireAll: !stoppedEarly })
+    if (answerErrors.length) {
+      return res.status(400).json({
+        success: false,
+        message: quizConfig.messages.validationFailed,
+        errors: answerErrors,
+      })
+    }
+
     // Process answers and update user preferences
-    const preferences = processQuizAnswers(answers)
+    const preferences = processQuizAnswers(answers, quiz.questions)
+    if (!preferences.climateRegion) {
+      const climateRegion = user.getClimateRegion()
+      if (climateRegion) preferences.climateRegion = climateRegion
+    }
 
     // Personalization based on user history
     if (quizConfig.features.enablePersonalization && user.quizResults.length > 0) {
@@ -427,7 +332,7 @@ router.post("/submit", createValidationRules(), auth, async (req, res) => {
 
     // Update user preferences dynamically
     const preferencesToUpdate = process.env.PREFERENCE_UPDATE_FIELDS?.split(',') ||
-      ['budget', 'vehicleType', 'rangeImportance', 'techImportance']
+      ['budget', 'vehicleType', 'rangeImportance', 'techImportance', 'dailyMiles', 'climateRegion', 'highwayShare']
 
     preferencesToUpdate.forEach(field => {
       if (preferences[field] !== undefined) {
@@ -436,25 +341,29 @@ router.post("/submit", createValidationRules(), auth, async (req, res) => {
     })
 
     // Get vehicle recommendations
-    const recommendations = await getVehicleRecommendations(preferences, user._id)
+    const recommendations = await getVehicleRecommendations(preferences, user)
 
     // Save quiz results with configurable structure
     const quizResult = {
       answers,
       score: Math.round(recommendations.reduce((sum, rec) => sum + rec.score, 0) / recommendations.length),
       timestamp: new Date(),
-      preferences
+      preferences,
+      quizName: quiz.name,
+      quizVersion: quiz.version,
+      scoringVersion: matchScoring.version
     }
 
     // Dynamic recommendation storage
     const recommendationFields = process.env.RECOMMENDATION_STORAGE_FIELDS?.split(',') ||
-      ['vehicleId', 'score', 'matchReasons']
+      ['vehicleId', 'score', 'matchReasons', 'rangeVerdict']
 
     quizResult.recommendations = recommendations.map((rec) => {
       const recommendation = {}
       if (recommendationFields.includes('vehicleId')) recommendation.vehicleId = rec.vehicle._id
       if (recommendationFields.includes('score')) recommendation.score = rec.score
       if (recommendationFields.includes('matchReasons')) recommendation.matchReasons = rec.matchReasons
+      if (recommendationFields.includes('rangeVerdict')) recommendation.rangeVerdict = rec.rangeAdequacy?.verdict
       if (recommendationFields.includes('vehicle')) recommendation.vehicle = rec.vehicle
       return recommendation
     })
@@ -493,9 +402,13 @@ router.post("/submit", createValidationRules(), auth, async (req, res) => {
     const responseFields = process.env.QUIZ_RESPONSE_FIELDS?.split(',') ||
       ['recommendations', 'userPreferences']
 
-    const responseData = {}
+    const responseData = {
+      quiz: { name: quiz.name, version: quiz.version },
+      scoringVersion: matchScoring.version
+    }
     if (responseFields.includes('recommendations')) {
-      responseData.recommendations = recommendations
+      // quizVehicle is the vehicle as the quiz page lists it, priced for the user's location
+      responseData.recommendations = recommendations.map((rec) => ({ ...rec, quizVehicle: toQuizVehicle(rec.vehicle) }))
     }
     if (responseFields.includes('userPreferences')) {
       responseData.userPreferences = preferences
@@ -535,6 +448,223 @@ router.post("/submit", createValidationRules(), auth, async (req, res) => {
   }
 })
 
+// The active quiz (or a given version of it, to read old answers) with the
+// vehicles to score offline
+router.get(
+  "/data",
+  [
+    query("name").optional().isString().trim().toLowerCase(),
+    query("version").optional().isInt({ min: 0 }).withMessage("Version must be a non-negative integer").toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: quizConfig.messages.validationFailed,
+          errors: errors.array(),
+        })
+      }
+
+      const quiz = await resolveQuiz(req.query.name, req.query.version)
+      if (!quiz) {
+        return res.status(404).json({
+          success: false,
+          message: quizConfig.messages.quizNotFound,
+        })
+      }
+
+      const vehicles = await Vehicle.find({ isActive: true })
+        .sort({ "metadata.views": -1, _id: 1 })
+        .limit(quizConfig.data.maxVehicles)
+        .select("make model trim year bodyType price specifications.range specifications.charging techScore ecoScore")
+
+      res.json({
+        success: true,
+        data: {
+          name: quiz.name,
+          version: quiz.version,
+          questions: quiz.questions,
+          earlyExit: quiz.earlyExit,
+          evDatabase: vehicles.map(toQuizVehicle),
+          scoringVersion: matchScoring.version,
+        },
+      })
+    } catch (error) {
+      console.error("Get quiz data error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch quiz data",
+        error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+      })
+    }
+  }
+)
+
+// The next question to ask for the answers so far, or that the quiz is done.
+// Questions whose conditions do not hold are skipped, and with early exit on
+// the quiz ends once the top recommendations stop changing.
+router.post("/next", nextQuestionRules, optionalAuth, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: quizConfig.messages.validationFailed,
+        errors: errors.array(),
+      })
+    }
+
+    const { answers = {}, answerOrder, quizName, quizVersion } = req.body
+    const quiz = await resolveQuiz(quizName, quizVersion)
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: quizConfig.messages.quizNotFound,
+      })
+    }
+
+    const answerErrors = Quiz.validateAnswers(quiz.questions, answers, { requireAll: false })
+    if (answerErrors.length) {
+      return res.status(400).json({
+        success: false,
+        message: quizConfig.messages.validationFailed,
+        errors: answerErrors,
+      })
+    }
+
+    const rankedAnswers = quizFlow.earlyExitAnswers(quiz, answers, { answerOrder })
+    const vehicles = rankedAnswers ? await loadFlowVehicles(rankedAnswers, quiz.questions, req.user) : []
+    const step = quizFlow.nextStep(quiz, answers, vehicles, { answerOrder })
+
+    res.json({
+      success: true,
+      data: {
+        quiz: { name: quiz.name, version: quiz.version },
+        ...step,
+      },
+    })
+  } catch (error) {
+    console.error("Get next quiz question error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get next question",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+})
+
+// List quiz versions (admin)
+router.get("/definitions", adminAuth, [query("name").optional().isString().trim().toLowerCase()], async (req, res) => {
+  try {
+    const filter = req.query.name ? { name: req.query.name } : {}
+    const quizzes = await Quiz.find(filter).sort({ name: 1, version: -1 })
+
+    res.json({
+      success: true,
+      data: { quizzes, count: quizzes.length },
+    })
+  } catch (error) {
+    console.error("List quizzes error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch quizzes",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+})
+
+// Create a new quiz version (admin). Versions are never edited once created,
+// so every stored answer can be read with the questions it was given for.
+router.post("/definitions", adminAuth, quizDefinitionRules, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: quizConfig.messages.validationFailed,
+        errors: errors.array(),
+      })
+    }
+
+    const { name = Quiz.getDefaultName(), description, questions, earlyExit, activate } = req.body
+
+    let quiz = new Quiz({
+      name,
+      version: await Quiz.nextVersion(name),
+      description,
+      questions,
+      earlyExit,
+      createdBy: req.user.userId,
+    })
+    await quiz.save()
+
+    if (activate) {
+      quiz = await quiz.activate()
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Quiz created",
+      data: { quiz },
+    })
+  } catch (error) {
+    console.error("Create quiz error:", error)
+    res.status(error.name === "ValidationError" ? 400 : 500).json({
+      success: false,
+      message: "Failed to create quiz",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+})
+
+// Activate a quiz version (admin)
+router.patch("/definitions/:id/activate", adminAuth, [param("id").isMongoId().withMessage("Invalid quiz ID")], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: quizConfig.messages.validationFailed,
+        errors: errors.array(),
+      })
+    }
+
+    const quiz = await Quiz.findById(req.params.id)
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: "Quiz not found",
+      })
+    }
+
+    await quiz.activate()
+
+    res.json({
+      success: true,
+      message: `Quiz ${quiz.name} v${quiz.version} activated`,
+      data: { quiz },
+    })
+  } catch (error) {
+    console.error("Activate quiz error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to activate quiz",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+})
+
+// The match scoring rule set, so clients can tell whether their offline copy
+// (frontend/matchScoring.js) still ranks the same way as the server
+router.get("/scoring", (req, res) => {
+  res.json({
+    success: true,
+    data: { rules: matchScoring.getRules() },
+  })
+})
+
 // Get user's quiz history
 router.get("/history", auth, async (req, res) => {
   try {
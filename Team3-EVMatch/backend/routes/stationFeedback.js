@@ -0,0 +1,404 @@
+const express = require("express")
+const { body, param, query, validationResult } = require("express-validator")
+const ChargingStation = require("../models/ChargingStation")
+const StationCheckIn = require("../models/StationCheckIn")
+const StationReview = require("../models/StationReview")
+const StationAuditLog = require("../models/StationAuditLog")
+const { auth } = require("../middleware/auth")
+
+// Mounted under /api/charging/:id, so the station ID comes from the parent path
+const router = express.Router({ mergeParams: true })
+
+// Configuration object - can be loaded from environment or config service
+const feedbackConfig = {
+  // One check-in per user and station in this many minutes
+  checkInCooldownMinutes: parseInt(process.env.CHECKIN_COOLDOWN_MINUTES) || 10,
+  // Check-in summary covers this many days
+  summaryDays: parseInt(process.env.CHECKIN_SUMMARY_DAYS) || 30,
+  pagination: {
+    defaultLimit: parseInt(process.env.DEFAULT_LIMIT) || 10,
+    maxLimit: parseInt(process.env.MAX_LIMIT) || 50
+  },
+  adminRole: process.env.ADMIN_ROLE || "admin",
+  populateFields: process.env.REVIEW_POPULATE_FIELDS || "firstName lastName avatar"
+}
+
+const outcomes = StationCheckIn.getOutcomes()
+const ratingCategories = StationReview.getRatingCategories()
+const ratingRange = StationReview.getRatingRange()
+
+const paginationRules = [
+  query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: feedbackConfig.pagination.maxLimit })
+    .withMessage(`Limit must be between 1 and ${feedbackConfig.pagination.maxLimit}`),
+]
+
+const reviewRules = (isUpdate) => [
+  ...ratingCategories.map((category) =>
+    (category === "overall" && !isUpdate ? body(`ratings.${category}`) : body(`ratings.${category}`).optional())
+      .isInt(ratingRange)
+      .withMessage(`${category} rating must be between ${ratingRange.min} and ${ratingRange.max}`),
+  ),
+  body("comment").optional().isString().trim().isLength({ max: 2000 }).withMessage("Comment cannot exceed 2000 characters"),
+  body("connectorType").optional().isString(),
+  body("visitedAt").optional().isISO8601().withMessage("visitedAt must be an ISO 8601 date"),
+]
+
+const paginate = (req) => {
+  const page = Number.parseInt(req.query.page) || 1
+  const limit = Number.parseInt(req.query.limit) || feedbackConfig.pagination.defaultLimit
+  return { page, limit, skip: (page - 1) * limit }
+}
+
+const paginationInfo = (page, limit, total) => {
+  const totalPages = Math.ceil(total / limit)
+  return {
+    currentPage: page,
+    totalPages,
+    totalItems: total,
+    itemsPerPage: limit,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1,
+  }
+}
+
+// Validate the request and load the active station into req.station
+const loadStation = async (req, res, next) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const station = await ChargingStation.findOne({ _id: req.params.id, isActive: true })
+    if (!station) {
+      return res.status(404).json({
+        success: false,
+        message: "Charging station not found",
+      })
+    }
+
+    req.station = station
+    next()
+  } catch (error) {
+    console.error("Load charging station error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch charging station",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+}
+
+// Recent check-ins plus a summary of outcomes per connector
+router.get(
+  "/check-ins",
+  [
+    param("id").isMongoId().withMessage("Invalid station ID"),
+    query("outcome").optional().isIn(outcomes).withMessage(`Outcome must be one of: ${outcomes.join(", ")}`),
+    ...paginationRules,
+  ],
+  loadStation,
+  async (req, res) => {
+    try {
+      const { page, limit, skip } = paginate(req)
+      const filter = { station: req.station._id, ...(req.query.outcome && { outcome: req.query.outcome }) }
+      const since = new Date(Date.now() - feedbackConfig.summaryDays * 24 * 60 * 60 * 1000)
+
+      const [checkIns, total, summary] = await Promise.all([
+        StationCheckIn.find(filter)
+          .populate("user", feedbackConfig.populateFields)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        StationCheckIn.countDocuments(filter),
+        StationCheckIn.aggregate([
+          { $match: { station: req.station._id, createdAt: { $gte: since } } },
+          {
+            $group: {
+              _id: { connectorType: "$connectorType", outcome: "$outcome" },
+              count: { $sum: 1 },
+              lastAt: { $max: "$createdAt" },
+            },
+          },
+        ]),
+      ])
+
+      // { [connectorType]: { [outcome]: { count, lastAt } } }; check-ins without a connector go under "any"
+      const byConnector = {}
+      summary.forEach(({ _id, count, lastAt }) => {
+        const connectorType = _id.connectorType || "any"
+        byConnector[connectorType] = { ...byConnector[connectorType], [_id.outcome]: { count, lastAt } }
+      })
+
+      res.json({
+        success: true,
+        data: {
+          checkIns,
+          summary: { days: feedbackConfig.summaryDays, byConnector },
+          pagination: paginationInfo(page, limit, total),
+        },
+      })
+    } catch (error) {
+      console.error("Get station check-ins error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch check-ins",
+        error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+      })
+    }
+  },
+)
+
+// Check in at a station with how the charge went
+router.post(
+  "/check-ins",
+  [
+    param("id").isMongoId().withMessage("Invalid station ID"),
+    body("outcome").isIn(outcomes).withMessage(`Outcome must be one of: ${outcomes.join(", ")}`),
+    body("connectorType")
+      .if(body("outcome").equals("broken_connector"))
+      .notEmpty()
+      .withMessage("Connector type is required when reporting a broken connector"),
+    body("connectorType").optional().isString(),
+    body("observedPowerKw").optional().isFloat({ min: 0 }).withMessage("Observed power must be non-negative"),
+    body("comment").optional().isString().trim().isLength({ max: 500 }).withMessage("Comment cannot exceed 500 characters"),
+  ],
+  auth,
+  loadStation,
+  async (req, res) => {
+    try {
+      const { outcome, connectorType, observedPowerKw, comment } = req.body
+      const station = req.station
+
+      const connector = connectorType && station.connectors.find((c) => c.type === connectorType)
+      if (connectorType && !connector) {
+        return res.status(400).json({
+          success: false,
+          message: `Station has no ${connectorType} connector`,
+        })
+      }
+
+      const cooldownStart = new Date(Date.now() - feedbackConfig.checkInCooldownMinutes * 60 * 1000)
+      const recent = await StationCheckIn.exists({
+        user: req.user.userId,
+        station: station._id,
+        createdAt: { $gte: cooldownStart },
+      })
+      if (recent) {
+        return res.status(429).json({
+          success: false,
+          message: `You can check in at this station once every ${feedbackConfig.checkInCooldownMinutes} minutes`,
+        })
+      }
+
+      const checkIn = await StationCheckIn.create({
+        user: req.user.userId,
+        station: station._id,
+        connectorType,
+        outcome,
+        observedPowerKw,
+        comment,
+      })
+
+      await ChargingStation.updateOne(
+        { _id: station._id },
+        { $inc: { "metadata.check_ins": 1, ...(checkIn.isReport && { "metadata.reports": 1 }) } },
+      )
+
+      // Repeated failure reports take the connector out of service until an operator clears it
+      let connectorFlagged = false
+      if (connector && connector.status === "operational" && (await checkIn.shouldFlagConnector())) {
+        connector.status = "maintenance"
+        await station.save()
+        connectorFlagged = true
+
+        await StationAuditLog.record(req, {
+          station,
+          action: "connector.flag",
+          changes: [{ field: `connectors.${connector.type}.status`, from: "operational", to: "maintenance" }],
+          details: {
+            reason: "check_in_failures",
+            checkIn: checkIn._id,
+            reports: await StationCheckIn.countRecentFailures(station._id, connector.type),
+          },
+        })
+      }
+
+      res.status(201).json({
+        success: true,
+        message: connectorFlagged
+          ? `Thanks for the report. The ${connector.type} connector has been flagged for maintenance.`
+          : "Check-in recorded",
+        data: { checkIn, connectorFlagged },
+      })
+    } catch (error) {
+      console.error("Station check-in error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to record check-in",
+        error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+      })
+    }
+  },
+)
+
+// Reviews for a station, newest first
+router.get("/reviews", [param("id").isMongoId().withMessage("Invalid station ID"), ...paginationRules], loadStation, async (req, res) => {
+  try {
+    const { page, limit, skip } = paginate(req)
+    const filter = { station: req.station._id }
+
+    const [reviews, total] = await Promise.all([
+      StationReview.find(filter)
+        .populate("user", feedbackConfig.populateFields)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      StationReview.countDocuments(filter),
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        reviews,
+        ratings: req.station.ratings,
+        pagination: paginationInfo(page, limit, total),
+      },
+    })
+  } catch (error) {
+    console.error("Get station reviews error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch station reviews",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+})
+
+// Review a station; one review per user and station
+router.post("/reviews", [param("id").isMongoId().withMessage("Invalid station ID"), ...reviewRules(false)], auth, loadStation, async (req, res) => {
+  try {
+    const existing = await StationReview.exists({ user: req.user.userId, station: req.station._id })
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: "You have already reviewed this station",
+      })
+    }
+
+    const review = await StationReview.create({
+      user: req.user.userId,
+      station: req.station._id,
+      ratings: req.body.ratings,
+      comment: req.body.comment,
+      connectorType: req.body.connectorType,
+      visitedAt: req.body.visitedAt,
+    })
+    await review.populate("user", feedbackConfig.populateFields)
+
+    res.status(201).json({
+      success: true,
+      message: "Review created successfully",
+      data: { review },
+    })
+  } catch (error) {
+    console.error("Create station review error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to create station review",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+})
+
+// Update your own review
+router.put(
+  "/reviews/:reviewId",
+  [
+    param("id").isMongoId().withMessage("Invalid station ID"),
+    param("reviewId").isMongoId().withMessage("Invalid review ID"),
+    ...reviewRules(true),
+  ],
+  auth,
+  loadStation,
+  async (req, res) => {
+    try {
+      const review = await StationReview.findOne({ _id: req.params.reviewId, station: req.station._id })
+      if (!review || review.user.toString() !== req.user.userId.toString()) {
+        return res.status(404).json({
+          success: false,
+          message: "Review not found",
+        })
+      }
+
+      ratingCategories.forEach((category) => {
+        if (req.body.ratings?.[category] !== undefined) {
+          review.ratings[category] = req.body.ratings[category]
+        }
+      })
+      const fields = ["comment", "connectorType", "visitedAt"]
+      fields.forEach((field) => {
+        if (req.body[field] !== undefined) review[field] = req.body[field]
+      })
+
+      await review.save()
+
+      res.json({
+        success: true,
+        message: "Review updated successfully",
+        data: { review },
+      })
+    } catch (error) {
+      console.error("Update station review error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to update station review",
+        error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+      })
+    }
+  },
+)
+
+// Delete a review; admins may delete any review
+router.delete(
+  "/reviews/:reviewId",
+  [param("id").isMongoId().withMessage("Invalid station ID"), param("reviewId").isMongoId().withMessage("Invalid review ID")],
+  auth,
+  loadStation,
+  async (req, res) => {
+    try {
+      const review = await StationReview.findOne({ _id: req.params.reviewId, station: req.station._id })
+      const isAdmin = req.user.role === feedbackConfig.adminRole
+      if (!review || (!isAdmin && review.user.toString() !== req.user.userId.toString())) {
+        return res.status(404).json({
+          success: false,
+          message: "Review not found",
+        })
+      }
+
+      // findOneAndDelete recalculates the station ratings
+      await StationReview.findOneAndDelete({ _id: review._id })
+
+      res.json({
+        success: true,
+        message: "Review deleted successfully",
+      })
+    } catch (error) {
+      console.error("Delete station review error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete station review",
+        error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+      })
+    }
+  },
+)
+
+module.exports = router
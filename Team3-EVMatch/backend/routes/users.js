@@ -1,7 +1,11 @@
 const express = require("express")
-const { body, validationResult } = require("express-validator")
+const { body, param, query, validationResult } = require("express-validator")
 const User = require("../models/User")
+const IncentiveRule = require("../models/IncentiveRule")
 const { auth } = require("../middleware/auth")
+const { searchVehicles } = require("../utils/vehicleSearch")
+const { applyIncentives } = require("../utils/incentives")
+const { pickSearchFilters, toSearchParams } = require("../utils/savedSearches")
 
 const router = express.Router()
 
@@ -16,6 +20,17 @@ const userConfig = {
       pattern: process.env.EMAIL_PATTERN || /^[^\s@]+@[^\s@]+\.[^\s@]+$/
     }
   },
+  incentives: {
+    filingStatuses: IncentiveRule.getFilingStatuses(),
+    acquisitionTypes: IncentiveRule.getAcquisitionTypes()
+  },
+  savedSearches: {
+    maxCount: parseInt(process.env.SAVED_SEARCHES_LIMIT) || 20,
+    maxNameLength: parseInt(process.env.SAVED_SEARCH_NAME_MAX_LENGTH) || 100,
+    maxQueryLength: parseInt(process.env.SEARCH_MAX_QUERY_LENGTH) || 100,
+    defaultLimit: parseInt(process.env.DEFAULT_LIMIT) || 20,
+    maxLimit: parseInt(process.env.MAX_LIMIT) || 100
+  },
   features: {
     enableActivityTracking: process.env.ENABLE_ACTIVITY_TRACKING !== 'false',
     enableStatsCalculation: process.env.ENABLE_STATS_CALCULATION !== 'false',
@@ -33,6 +48,7 @@ const userConfig = {
     activityTracked: process.env.ACTIVITY_TRACKED_MESSAGE || "Activity tracked successfully",
     accountDeleted: process.env.ACCOUNT_DELETED_MESSAGE || "Account deleted successfully",
     emailExists: process.env.EMAIL_EXISTS_MESSAGE || "Email already exists",
+    savedSearchNotFound: process.env.SAVED_SEARCH_NOT_FOUND_MESSAGE || "Saved search not found",
     serverError: process.env.SERVER_ERROR_MESSAGE || "Server error"
   },
   activity: {
@@ -110,7 +126,14 @@ const createValidationRules = (type) => {
             max: userConfig.validation.name.maxLength
           })
           .withMessage(`Last name must be ${userConfig.validation.name.minLength}-${userConfig.validation.name.maxLength} characters`),
-        body("email").optional().isEmail().normalizeEmail().withMessage("Please provide a valid email")
+        body("email").optional().isEmail().normalizeEmail().withMessage("Please provide a valid email"),
+        body("location").optional().isObject().withMessage("Location must be an object"),
+        body("location.country").optional().isISO31661Alpha2().withMessage("Country must be a two-letter code"),
+        body("location.state").optional().trim().isAlpha().isLength({ min: 2, max: 2 })
+          .withMessage("State must be a two-letter code"),
+        body("location.zipCode").optional().trim().matches(/^\d{5}(-\d{4})?$/)
+          .withMessage("ZIP code must be 5 digits or ZIP+4"),
+        body("location.utility").optional().isString().trim()
       )
       break
 
@@ -125,7 +148,46 @@ const createValidationRules = (type) => {
 
     case 'updatePreferences':
       rules.push(
-        body("preferences").isObject().withMessage("Preferences must be an object")
+        body("preferences").isObject().withMessage("Preferences must be an object"),
+        body("preferences.household.income").optional().isFloat({ min: 0 })
+          .withMessage("Household income cannot be negative"),
+        body("preferences.household.filingStatus").optional().isIn(userConfig.incentives.filingStatuses)
+          .withMessage(`Filing status must be one of: ${userConfig.incentives.filingStatuses.join(', ')}`),
+        body("preferences.acquisitionType").optional().isIn(userConfig.incentives.acquisitionTypes)
+          .withMessage(`Acquisition type must be one of: ${userConfig.incentives.acquisitionTypes.join(', ')}`)
+      )
+      break
+
+    case 'saveSearch':
+    case 'updateSavedSearch': {
+      const isUpdate = type === 'updateSavedSearch'
+      const name = body("name").isString().trim().notEmpty().withMessage("Saved search name is required")
+        .isLength({ max: userConfig.savedSearches.maxNameLength })
+        .withMessage(`Saved search name cannot exceed ${userConfig.savedSearches.maxNameLength} characters`)
+      rules.push(
+        ...(isUpdate ? [param("searchId").isMongoId().withMessage("Invalid saved search ID"), name.optional()] : [name]),
+        body("query").optional().isString().trim()
+          .isLength({ max: userConfig.savedSearches.maxQueryLength })
+          .withMessage(`Search query cannot exceed ${userConfig.savedSearches.maxQueryLength} characters`),
+        body("filters").optional().isObject().withMessage("Filters must be an object"),
+        body(["notify.newVehicles", "notify.priceDrops"]).optional().isBoolean()
+          .withMessage("Notification settings must be true or false")
+      )
+      break
+    }
+
+    case 'savedSearchId':
+      rules.push(
+        param("searchId").isMongoId().withMessage("Invalid saved search ID")
+      )
+      break
+
+    case 'runSavedSearch':
+      rules.push(
+        param("searchId").isMongoId().withMessage("Invalid saved search ID"),
+        query("page").optional().isInt({ min: 1 }).withMessage("Page must be at least 1"),
+        query("limit").optional().isInt({ min: 1, max: userConfig.savedSearches.maxLimit })
+          .withMessage(`Limit must be between 1 and ${userConfig.savedSearches.maxLimit}`)
       )
       break
   }
@@ -156,7 +218,7 @@ router.get("/profile", auth, async (req, res) => {
 
     // Build response dynamically
     const profileFields = process.env.PROFILE_RESPONSE_FIELDS?.split(',') ||
-      ['id', 'firstName', 'lastName', 'email', 'isEmailVerified', 'preferences', 'createdAt', 'lastLogin']
+      ['id', 'firstName', 'lastName', 'email', 'isEmailVerified', 'location', 'preferences', 'createdAt', 'lastLogin']
 
     const userResponse = {}
     profileFields.forEach(field => {
@@ -238,7 +300,7 @@ router.put("/profile", createValidationRules('updateProfile'), auth, async (req,
 
     // Dynamic field updates
     const updateableFields = process.env.PROFILE_UPDATEABLE_FIELDS?.split(',') ||
-      ['firstName', 'lastName', 'email']
+      ['firstName', 'lastName', 'email', 'location']
 
     const updateData = {}
     updateableFields.forEach(field => {
@@ -308,7 +370,7 @@ router.put("/profile", createValidationRules('updateProfile'), auth, async (req,
 
     // Build response
     const responseFields = process.env.PROFILE_UPDATE_RESPONSE_FIELDS?.split(',') ||
-      ['id', 'firstName', 'lastName', 'email', 'isEmailVerified', 'preferences']
+      ['id', 'firstName', 'lastName', 'email', 'isEmailVerified', 'location', 'preferences']
 
     const userResponse = {}
     responseFields.forEach(field => {
@@ -807,6 +869,286 @@ router.delete("/account", auth, async (req, res) => {
   }
 })
 
+// Get the user's recent vehicle searches, newest first
+router.get("/search-history", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select("searchHistory")
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: userConfig.messages.userNotFound,
+      })
+    }
+
+    res.json({
+      success: true,
+      data: { searches: user.searchHistory },
+    })
+  } catch (error) {
+    console.error("Get search history error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch search history",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
+    })
+  }
+})
+
+// Clear the user's search history
+router.delete("/search-history", auth, async (req, res) => {
+  try {
+    const result = await User.updateOne({ _id: req.user.userId }, { $set: { searchHistory: [] } })
+    if (!result.matchedCount) {
+      return res.status(404).json({
+        success: false,
+        message: userConfig.messages.userNotFound,
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "Search history cleared",
+    })
+  } catch (error) {
+    console.error("Clear search history error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to clear search history",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
+    })
+  }
+})
+
+// Get the user's saved searches
+router.get("/saved-searches", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select("savedSearches")
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: userConfig.messages.userNotFound,
+      })
+    }
+
+    res.json({
+      success: true,
+      data: { savedSearches: user.savedSearches },
+    })
+  } catch (error) {
+    console.error("Get saved searches error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch saved searches",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
+    })
+  }
+})
+
+// Save a search under a name, optionally with email alerts
+router.post("/saved-searches", createValidationRules('saveSearch'), auth, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: userConfig.messages.validationFailed,
+        errors: errors.array(),
+      })
+    }
+
+    const user = await User.findById(req.user.userId)
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: userConfig.messages.userNotFound,
+      })
+    }
+
+    if (user.savedSearches.length >= userConfig.savedSearches.maxCount) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${userConfig.savedSearches.maxCount} searches`,
+      })
+    }
+
+    const { name, query, notify } = req.body
+    const filters = pickSearchFilters(req.body.filters)
+    if (!query && !Object.keys(filters).length) {
+      return res.status(400).json({
+        success: false,
+        message: "A saved search needs a query or at least one filter",
+      })
+    }
+
+    user.savedSearches.push({ name, query, filters, notify })
+    await user.save()
+
+    res.status(201).json({
+      success: true,
+      message: "Search saved",
+      data: { savedSearch: user.savedSearches[user.savedSearches.length - 1] },
+    })
+  } catch (error) {
+    console.error("Save search error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to save search",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
+    })
+  }
+})
+
+// Rename a saved search, change what it searches for or its alerts
+router.put("/saved-searches/:searchId", createValidationRules('updateSavedSearch'), auth, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: userConfig.messages.validationFailed,
+        errors: errors.array(),
+      })
+    }
+
+    const user = await User.findById(req.user.userId)
+    const savedSearch = user?.savedSearches.id(req.params.searchId)
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        message: userConfig.messages.savedSearchNotFound,
+      })
+    }
+
+    const { name, query, filters, notify } = req.body
+    if (name !== undefined) savedSearch.name = name
+    if (query !== undefined) savedSearch.query = query
+    if (filters !== undefined) savedSearch.filters = pickSearchFilters(filters)
+    if (notify?.newVehicles !== undefined) savedSearch.notify.newVehicles = notify.newVehicles
+    if (notify?.priceDrops !== undefined) savedSearch.notify.priceDrops = notify.priceDrops
+
+    if (!savedSearch.query && !Object.keys(savedSearch.filters || {}).length) {
+      return res.status(400).json({
+        success: false,
+        message: "A saved search needs a query or at least one filter",
+      })
+    }
+
+    await user.save()
+
+    res.json({
+      success: true,
+      message: "Saved search updated",
+      data: { savedSearch },
+    })
+  } catch (error) {
+    console.error("Update saved search error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to update saved search",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
+    })
+  }
+})
+
+// Delete a saved search
+router.delete("/saved-searches/:searchId", createValidationRules('savedSearchId'), auth, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: userConfig.messages.validationFailed,
+        errors: errors.array(),
+      })
+    }
+
+    const result = await User.updateOne(
+      { _id: req.user.userId, "savedSearches._id": req.params.searchId },
+      { $pull: { savedSearches: { _id: req.params.searchId } } },
+    )
+    if (!result.modifiedCount) {
+      return res.status(404).json({
+        success: false,
+        message: userConfig.messages.savedSearchNotFound,
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "Saved search deleted",
+    })
+  } catch (error) {
+    console.error("Delete saved search error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete saved search",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
+    })
+  }
+})
+
+// Re-run a saved search. It runs exactly as saved, without typo correction,
+// so results agree with the alerts sent for it.
+router.get("/saved-searches/:searchId/run", createValidationRules('runSavedSearch'), auth, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: userConfig.messages.validationFailed,
+        errors: errors.array(),
+      })
+    }
+
+    const user = await User.findById(req.user.userId)
+    const savedSearch = user?.savedSearches.id(req.params.searchId)
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        message: userConfig.messages.savedSearchNotFound,
+      })
+    }
+
+    const page = Number.parseInt(req.query.page) || 1
+    const limit = Number.parseInt(req.query.limit) || userConfig.savedSearches.defaultLimit
+    const result = await searchVehicles(toSearchParams(savedSearch), {
+      sort: { make: 1, model: 1 },
+      skip: (page - 1) * limit,
+      limit,
+    })
+    await applyIncentives(result.vehicles, user)
+
+    savedSearch.lastRunAt = new Date()
+    await user.save()
+
+    const totalPages = Math.ceil(result.total / limit)
+
+    res.json({
+      success: true,
+      data: {
+        savedSearch,
+        vehicles: result.vehicles,
+        facets: result.facets,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: result.total,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      },
+    })
+  } catch (error) {
+    console.error("Run saved search error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to run saved search",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
+    })
+  }
+})
+
 // Additional route: Export user data
 router.get("/export", auth, async (req, res) => {
   try {
@@ -3,6 +3,12 @@ const { query, param, body, validationResult } = require("express-validator")
 const Vehicle = require("../models/Vehicle")
 const { auth } = require("../middleware/auth")
 const optionalAuth = require("../middleware/optionalAuth")
+const { estimateOwnershipCost, resolveAssumptions } = require("../utils/ownershipCost")
+const { applyIncentives } = require("../utils/incentives")
+const { searchVehicles, getFilterOptions, getFacetNames } = require("../utils/vehicleSearch")
+const { suggest } = require("../utils/searchSuggestions")
+const { recordSearch } = require("../utils/savedSearches")
+const matchScoring = require("../utils/matchScoring")
 
 const router = express.Router()
 
@@ -36,7 +42,6 @@ const vehicleConfig = {
   },
   limits: {
     recommendationVehicles: parseInt(process.env.RECOMMENDATION_VEHICLES_LIMIT) || 10,
-    topRecommendations: parseInt(process.env.TOP_RECOMMENDATIONS_LIMIT) || 5,
     popularVehicles: parseInt(process.env.POPULAR_VEHICLES_LIMIT) || 6
   },
   features: {
@@ -46,7 +51,7 @@ const vehicleConfig = {
     enableRecommendations: process.env.ENABLE_RECOMMENDATIONS !== 'false',
     enableAnalytics: process.env.ENABLE_VEHICLE_ANALYTICS === 'true',
     enableExternalRecommendations: process.env.ENABLE_EXTERNAL_RECOMMENDATIONS === 'true',
-    enableSearchSuggestions: process.env.ENABLE_SEARCH_SUGGESTIONS === 'true'
+    enableSearchSuggestions: process.env.ENABLE_SEARCH_SUGGESTIONS !== 'false'
   },
   messages: {
     validationFailed: process.env.VALIDATION_FAILED_MESSAGE || "Validation failed",
@@ -61,7 +66,12 @@ const vehicleConfig = {
   search: {
     fields: process.env.SEARCH_FIELDS?.split(',') ||
       ['make', 'model', 'features.standard', 'features.optional'],
-    enableFuzzySearch: process.env.ENABLE_FUZZY_SEARCH === 'true'
+    enableFuzzySearch: process.env.ENABLE_FUZZY_SEARCH !== 'false',
+    maxQueryLength: parseInt(process.env.SEARCH_MAX_QUERY_LENGTH) || 100,
+    suggestions: {
+      defaultLimit: parseInt(process.env.SEARCH_SUGGESTIONS_DEFAULT_LIMIT) || 8,
+      maxLimit: parseInt(process.env.SEARCH_SUGGESTIONS_MAX_LIMIT) || 20
+    }
   }
 }
 
@@ -126,6 +136,46 @@ const createValidationRules = (type) => {
       )
       break
 
+    case 'searchVehicles':
+      rules.push(
+        query("q").optional().isString().trim()
+          .isLength({ max: vehicleConfig.search.maxQueryLength })
+          .withMessage(`Search query cannot exceed ${vehicleConfig.search.maxQueryLength} characters`),
+        query("page").optional()
+          .isInt({ min: vehicleConfig.validation.pagination.minPage })
+          .withMessage(`Page must be at least ${vehicleConfig.validation.pagination.minPage}`),
+        query("limit").optional()
+          .isInt({
+            min: vehicleConfig.validation.pagination.minLimit,
+            max: vehicleConfig.validation.pagination.maxLimit
+          })
+          .withMessage(`Limit must be between ${vehicleConfig.validation.pagination.minLimit} and ${vehicleConfig.validation.pagination.maxLimit}`),
+        // Facet filters take comma-separated values, e.g. make=Tesla,Ford
+        query(getFacetNames()).optional().isString().trim(),
+        query(["minPrice", "maxPrice"]).optional()
+          .isFloat({ min: vehicleConfig.validation.price.min })
+          .withMessage(`Price must be at least ${vehicleConfig.validation.price.min}`),
+        query(["minRange", "maxRange"]).optional()
+          .isInt({ min: vehicleConfig.validation.range.min })
+          .withMessage(`Range must be at least ${vehicleConfig.validation.range.min}`),
+        query("sortBy").optional().isIn(["relevance", ...vehicleConfig.enums.sortFields])
+          .withMessage(`Sort field must be one of: relevance, ${vehicleConfig.enums.sortFields.join(', ')}`),
+        query("sortOrder").optional().isIn(vehicleConfig.enums.sortOrders)
+          .withMessage(`Sort order must be one of: ${vehicleConfig.enums.sortOrders.join(', ')}`)
+      )
+      break
+
+    case 'getSuggestions':
+      rules.push(
+        query("q").isString().trim().notEmpty().withMessage("Search query is required")
+          .isLength({ max: vehicleConfig.search.maxQueryLength })
+          .withMessage(`Search query cannot exceed ${vehicleConfig.search.maxQueryLength} characters`),
+        query("limit").optional()
+          .isInt({ min: 1, max: vehicleConfig.search.suggestions.maxLimit })
+          .withMessage(`Limit must be between 1 and ${vehicleConfig.search.suggestions.maxLimit}`)
+      )
+      break
+
     case 'getVehicleById':
     case 'addFavorite':
     case 'removeFavorite':
@@ -133,6 +183,24 @@ const createValidationRules = (type) => {
         param("id").isMongoId().withMessage("Invalid vehicle ID")
       )
       break
+
+    case 'getOwnershipCost':
+      rules.push(
+        param("id").isMongoId().withMessage("Invalid vehicle ID"),
+        query("annualMiles").optional().isInt({ min: 0, max: 100000 })
+          .withMessage("Annual miles must be between 0 and 100000"),
+        query(["electricityRate", "publicChargingRate"]).optional().isFloat({ min: 0, max: 5 })
+          .withMessage("Electricity rates must be between 0 and 5 per kWh"),
+        query("homeChargingShare").optional().isFloat({ min: 0, max: 100 })
+          .withMessage("Home charging share must be a percentage between 0 and 100"),
+        query("insurancePerYear").optional().isFloat({ min: 0 })
+          .withMessage("Insurance per year cannot be negative"),
+        query("maintenancePerMile").optional().isFloat({ min: 0, max: 5 })
+          .withMessage("Maintenance per mile must be between 0 and 5"),
+        query("gasPrice").optional().isFloat({ min: 0, max: 20 })
+          .withMessage("Gas price must be between 0 and 20 per gallon")
+      )
+      break
   }
 
   return rules
@@ -223,7 +291,7 @@ const buildSortObject = (sortBy, sortOrder) => {
 }
 
 // Get all vehicles with filtering and pagination
-router.get("/", createValidationRules('getVehicles'), async (req, res) => {
+router.get("/", createValidationRules('getVehicles'), optionalAuth, async (req, res) => {
   try {
     const errors = validationResult(req)
     if (!errors.isEmpty()) {
@@ -274,6 +342,9 @@ router.get("/", createValidationRules('getVehicles'), async (req, res) => {
       Vehicle.countDocuments(filter),
     ])
 
+    // Price the listing with the incentives available where the user lives
+    await applyIncentives(vehicles, req.user)
+
     const totalPages = Math.ceil(total / Number.parseInt(limit))
 
     // Log search analytics
@@ -343,6 +414,143 @@ router.get("/", createValidationRules('getVehicles'), async (req, res) => {
   }
 })
 
+// Full-text vehicle search with facet counts for building filters.
+// Results are ranked by relevance unless another sort is asked for.
+router.get("/search", createValidationRules('searchVehicles'), optionalAuth, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: vehicleConfig.messages.validationFailed,
+        errors: errors.array(),
+      })
+    }
+
+    const page = Number.parseInt(req.query.page) || vehicleConfig.defaults.page
+    const limit = Number.parseInt(req.query.limit) || vehicleConfig.validation.pagination.defaultLimit
+    const { sortBy, sortOrder = vehicleConfig.defaults.sortOrder } = req.query
+    const relevanceSort = !sortBy || sortBy === "relevance"
+
+    const result = await searchVehicles(req.query, {
+      sort: buildSortObject(relevanceSort ? vehicleConfig.defaults.sortBy : sortBy, sortOrder),
+      relevanceSort,
+      skip: (page - 1) * limit,
+      limit,
+      fuzzy: vehicleConfig.search.enableFuzzySearch,
+    })
+
+    await applyIncentives(result.vehicles, req.user)
+
+    // Signed-in users get the search added to their history
+    if (req.user) {
+      await recordSearch(req.user, req.query)
+    }
+
+    const totalPages = Math.ceil(result.total / limit)
+
+    res.json({
+      success: true,
+      data: {
+        vehicles: result.vehicles,
+        facets: result.facets,
+        query: {
+          q: req.query.q || null,
+          correctedQuery: result.correctedQuery,
+          matchedBy: result.matchedBy,
+        },
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: result.total,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      },
+    })
+  } catch (error) {
+    console.error("Search vehicles error:", error)
+
+    res.status(500).json({
+      success: false,
+      message: vehicleConfig.messages.fetchError,
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+})
+
+// Autocomplete for the search box: makes, models, trims and feature keywords
+// starting with what has been typed, ranked by kind and by how often the
+// matching vehicles are viewed and favorited
+router.get("/suggest", createValidationRules('getSuggestions'), async (req, res) => {
+  try {
+    if (!vehicleConfig.features.enableSearchSuggestions) {
+      return res.status(404).json({
+        success: false,
+        message: "Search suggestions are not enabled"
+      })
+    }
+
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: vehicleConfig.messages.validationFailed,
+        errors: errors.array(),
+      })
+    }
+
+    const limit = Number.parseInt(req.query.limit) || vehicleConfig.search.suggestions.defaultLimit
+    const { suggestions, didYouMean } = await suggest(req.query.q, { limit })
+
+    res.json({
+      success: true,
+      data: {
+        query: req.query.q,
+        suggestions,
+        didYouMean,
+      },
+    })
+  } catch (error) {
+    console.error("Get search suggestions error:", error)
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch search suggestions",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+})
+
+// Filter options built from the live catalogue: facet values with counts
+// plus the overall price and range bounds
+router.get("/filters", async (req, res) => {
+  try {
+    const { facets, priceRange, rangeValues } = await getFilterOptions()
+
+    res.json({
+      success: true,
+      data: {
+        makes: facets.make.map((entry) => entry.value).sort(),
+        bodyTypes: facets.bodyType.map((entry) => entry.value).sort(),
+        batteryTypes: facets.chemistry.map((entry) => entry.value).sort(),
+        priceRange,
+        rangeValues,
+        facets,
+      },
+    })
+  } catch (error) {
+    console.error("Get vehicle filters error:", error)
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch vehicle filters",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+})
+
 // Get vehicle by ID
 router.get("/:id", createValidationRules('getVehicleById'), optionalAuth, async (req, res) => {
   try {
@@ -379,6 +587,9 @@ router.get("/:id", createValidationRules('getVehicleById'), optionalAuth, async
       await vehicle.incrementViews()
     }
 
+    // Price the vehicle with the incentives available where the user lives
+    await applyIncentives([vehicle], req.user)
+
     // Calculate match score if user is authenticated
     let matchScore = null
     let matchReasons = []
@@ -436,7 +647,7 @@ router.get("/:id", createValidationRules('getVehicleById'), optionalAuth, async
 
     // Build response dynamically
     const responseFields = process.env.VEHICLE_DETAIL_RESPONSE_FIELDS?.split(',') ||
-      ['vehicle', 'matchScore']
+      ['vehicle', 'matchScore', 'incentives']
 
     const responseData = {}
 
@@ -446,6 +657,10 @@ router.get("/:id", createValidationRules('getVehicleById'), optionalAuth, async
     if (responseFields.includes('matchScore')) {
       responseData.matchScore = matchScore
     }
+    if (responseFields.includes('incentives')) {
+      responseData.incentives = vehicle.applicableIncentives
+      responseData.effectivePrice = vehicle.effectivePrice
+    }
     if (responseFields.includes('matchReasons')) {
       responseData.matchReasons = matchReasons
     }
@@ -485,6 +700,59 @@ router.get("/:id", createValidationRules('getVehicleById'), optionalAuth, async
   }
 })
 
+// Total cost of ownership over several years against a reference gas car.
+// Assumptions not given in the query come from the user's saved preferences.
+router.get("/:id/tco", createValidationRules('getOwnershipCost'), optionalAuth, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: vehicleConfig.messages.validationFailed,
+        errors: errors.array(),
+      })
+    }
+
+    const vehicle = await Vehicle.findById(req.params.id)
+    if (!vehicle || !vehicle.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: vehicleConfig.messages.vehicleNotFound,
+      })
+    }
+
+    await applyIncentives([vehicle], req.user)
+    const assumptions = resolveAssumptions(req.query, req.user?.preferences)
+    const { sources, ...values } = assumptions
+    const ownershipCost = estimateOwnershipCost(vehicle, values)
+
+    res.json({
+      success: true,
+      data: {
+        vehicle: {
+          _id: vehicle._id,
+          make: vehicle.make,
+          model: vehicle.model,
+          year: vehicle.year,
+          ...ownershipCost.vehicle,
+        },
+        referenceCar: ownershipCost.referenceCar,
+        assumptions: { ...ownershipCost.assumptions, sources },
+        horizons: ownershipCost.horizons,
+        breakEvenYear: ownershipCost.breakEvenYear,
+      },
+    })
+  } catch (error) {
+    console.error("Get ownership cost error:", error)
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to calculate cost of ownership",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    })
+  }
+})
+
 // Get vehicle recommendations for user
 router.get("/recommendations/for-me", auth, async (req, res) => {
   try {
@@ -520,49 +788,17 @@ router.get("/recommendations/for-me", auth, async (req, res) => {
       }
     }
 
-    // Fallback to internal recommendations
+    // Fallback to internal recommendations, ranked by the same shared rules as the quiz
     if (recommendations.length === 0) {
-      // Build filter based on user preferences with dynamic flexibility
-      const filter = { isActive: true }
-
-      // Budget filter with configurable flexibility
-      if (user.preferences.budget) {
-        const budgetFlexibility = parseFloat(process.env.BUDGET_FLEXIBILITY) || 1.2
-        filter["price.msrp"] = {
-          $gte: user.preferences.budget.min,
-          $lte: user.preferences.budget.max * budgetFlexibility,
-        }
-      }
-
-      // Vehicle type filter with similar types
-      if (user.preferences.vehicleType) {
-        const similarTypes = process.env.SIMILAR_VEHICLE_TYPES ?
-          JSON.parse(process.env.SIMILAR_VEHICLE_TYPES) : {
-            sedan: ["hatchback"],
-            suv: ["wagon"],
-            hatchback: ["sedan"],
-            wagon: ["suv"]
-          }
-
-        const typeOptions = [user.preferences.vehicleType]
-        if (similarTypes[user.preferences.vehicleType]) {
-          typeOptions.push(...similarTypes[user.preferences.vehicleType])
-        }
-
-        filter.bodyType = { $in: typeOptions }
-      }
+      const preferences = { ...user.toObject().preferences }
+      const climateRegion = user.getClimateRegion()
+      if (climateRegion) preferences.climateRegion = climateRegion
 
-      // Get vehicles and calculate match scores
-      const vehicles = await Vehicle.find(filter).limit(vehicleConfig.limits.recommendationVehicles)
+      const vehicles = await Vehicle.findMatchCandidates(preferences)
+      await applyIncentives(vehicles, user)
 
-      recommendations = vehicles
-        .map((vehicle) => ({
-          vehicle,
-          matchScore: vehicle.calculateMatchScore(user.preferences),
-          matchReasons: [], // Would be populated by external service
-        }))
-        .sort((a, b) => b.matchScore - a.matchScore)
-        .slice(0, vehicleConfig.limits.topRecommendations)
+      recommendations = matchScoring.rankVehicles(vehicles, preferences)
+        .map(({ vehicle, score, matchReasons, rangeAdequacy }) => ({ vehicle, matchScore: score, matchReasons, rangeAdequacy }))
     }
 
     // Enhanced recommendations with external insights
@@ -593,7 +829,7 @@ router.get("/recommendations/for-me", auth, async (req, res) => {
     const responseFields = process.env.RECOMMENDATION_RESPONSE_FIELDS?.split(',') ||
       ['recommendations', 'userPreferences']
 
-    const responseData = {}
+    const responseData = { scoringVersion: matchScoring.version }
 
     if (responseFields.includes('recommendations')) {
       responseData.recommendations = recommendations
@@ -0,0 +1,41 @@
+const fs = require("fs")
+const path = require("path")
+
+// Configuration object - can be loaded from environment or config service
+const bundleConfig = {
+  source: path.join(__dirname, "../utils/matchScoring.js"),
+  output: process.env.SCORING_BUNDLE_OUTPUT || path.join(__dirname, "../../frontend/matchScoring.js"),
+  // Browser global the module's exports are assigned to
+  globalName: process.env.SCORING_BUNDLE_GLOBAL || "EVMatchScoring"
+}
+
+// Wrap the CommonJS module so a <script> tag can load it. The module has no
+// imports, so giving it its own module object is all it needs. The bundle
+// keeps the source's line endings, so rebuilding an unchanged source is a no-op.
+function buildBundle(source, globalName, version) {
+  const eol = source.includes("\r\n") ? "\r\n" : "\n"
+  return [
+    `// Generated from backend/utils/matchScoring.js by \`npm run build:scoring\`; do not edit.`,
+    `// Match scoring rule set ${version}`,
+    `;(function (global) {`,
+    `  var module = { exports: {} }`,
+    source.trimEnd(),
+    `  global.${globalName} = module.exports`,
+    `})(typeof window !== "undefined" ? window : globalThis)`,
+    ``,
+  ].join(eol)
+}
+
+function main() {
+  const source = fs.readFileSync(bundleConfig.source, "utf8")
+  const { version } = require(bundleConfig.source)
+  fs.writeFileSync(bundleConfig.output, buildBundle(source, bundleConfig.globalName, version))
+  console.log(`✅ Wrote ${path.relative(process.cwd(), bundleConfig.output)}`)
+}
+
+// Run if called directly
+if (require.main === module) {
+  main()
+}
+
+module.exports = { buildBundle }
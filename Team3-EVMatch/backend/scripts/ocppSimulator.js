@@ -0,0 +1,109 @@
+const axios = require("axios")
+require("dotenv").config()
+
+// Configuration object - can be loaded from environment or config service
+// Every setting can also be passed as --name=value, e.g. --station=<id> --key=<key>
+const simulatorConfig = {
+  apiUrl: process.env.OCPP_SIM_API_URL || "http://localhost:5000/api",
+  station: process.env.OCPP_SIM_STATION_ID,
+  key: process.env.OCPP_SIM_STATION_KEY,
+  // Physical connectors to simulate, numbered from 1
+  connectors: parseInt(process.env.OCPP_SIM_CONNECTORS) || 4,
+  messages: parseInt(process.env.OCPP_SIM_MESSAGES) || 20,
+  intervalMs: parseInt(process.env.OCPP_SIM_INTERVAL_MS) || 2000,
+  // Send OCPP-J Call frames instead of bare payloads
+  framed: process.env.OCPP_SIM_FRAMED === "true",
+  // Chance that any one message reports a fault
+  faultRate: parseFloat(process.env.OCPP_SIM_FAULT_RATE) || 0.05
+}
+
+// Plausible next statuses for a connector in each state
+const transitions = {
+  Available: ["Available", "Preparing", "Reserved"],
+  Preparing: ["Charging", "Available"],
+  Charging: ["Charging", "SuspendedEV", "Finishing"],
+  SuspendedEV: ["Charging", "Finishing"],
+  Finishing: ["Available"],
+  Reserved: ["Preparing", "Available"],
+  Faulted: ["Faulted", "Available"],
+  Unavailable: ["Available"],
+}
+
+const pick = (values) => values[Math.floor(Math.random() * values.length)]
+
+function parseArgs(argv) {
+  const options = { ...simulatorConfig }
+  argv.forEach((arg) => {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/)
+    if (!match) return
+    const [, name, value = "true"] = match
+    if (!(name in options)) {
+      throw new Error(`Unknown option --${name}`)
+    }
+    options[name] = typeof simulatorConfig[name] === "number" ? Number(value) : typeof simulatorConfig[name] === "boolean" ? value === "true" : value
+  })
+  return options
+}
+
+function nextStatus(current, faultRate) {
+  if (current !== "Faulted" && Math.random() < faultRate) return "Faulted"
+  return pick(transitions[current] || ["Available"])
+}
+
+async function sendStatus(options, connectorId, status, sequence) {
+  const payload = {
+    connectorId,
+    status,
+    errorCode: status === "Faulted" ? pick(["GroundFailure", "OverCurrentFailure", "ConnectorLockFailure"]) : "NoError",
+    timestamp: new Date().toISOString(),
+  }
+  const body = options.framed ? [2, `sim-${Date.now()}-${sequence}`, "StatusNotification", payload] : payload
+
+  return axios.post(`${options.apiUrl}/charging/${options.station}/ocpp/status-notification`, body, {
+    headers: { Authorization: `Bearer ${options.key}` },
+    validateStatus: () => true,
+  })
+}
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2))
+  if (!options.station || !options.key) {
+    console.error("Usage: node scripts/ocppSimulator.js --station=<stationId> --key=<stationKey> [--connectors=4] [--messages=20] [--intervalMs=2000] [--framed]")
+    process.exit(1)
+  }
+
+  const statuses = Array.from({ length: options.connectors }, () => "Available")
+  console.log(`🔌 Simulating ${options.connectors} connectors on station ${options.station} (${options.messages} messages)`)
+
+  for (let sequence = 1; sequence <= options.messages; sequence++) {
+    const index = Math.floor(Math.random() * options.connectors)
+    statuses[index] = nextStatus(statuses[index], options.faultRate)
+
+    try {
+      const response = await sendStatus(options, index + 1, statuses[index], sequence)
+      const summary = Array.isArray(response.data) ? JSON.stringify(response.data) : response.data.message
+      console.log(`[${sequence}/${options.messages}] connector ${index + 1} → ${statuses[index]}: ${response.status} ${summary}`)
+
+      if (response.status === 401) {
+        console.error("❌ Station key was rejected, stopping")
+        process.exit(1)
+      }
+    } catch (error) {
+      console.error(`❌ Could not reach ${options.apiUrl}:`, error.message)
+      process.exit(1)
+    }
+
+    if (sequence < options.messages) {
+      await new Promise((resolve) => setTimeout(resolve, options.intervalMs))
+    }
+  }
+
+  console.log("✅ Simulation finished")
+}
+
+// Run if called directly
+if (require.main === module) {
+  main()
+}
+
+module.exports = { parseArgs, nextStatus }
@@ -6,6 +6,9 @@ const User = require("../models/User")
 const Vehicle = require("../models/Vehicle")
 const ChargingStation = require("../models/ChargingStation")
 const Review = require("../models/Review")
+const ComparisonSpec = require("../models/ComparisonSpec")
+const IncentiveRule = require("../models/IncentiveRule")
+const Quiz = require("../models/Quiz")
 
 // Configuration object - can be loaded from environment or config service
 const seedConfig = {
@@ -19,6 +22,9 @@ const seedConfig = {
     enableVehicleSeeding: process.env.ENABLE_VEHICLE_SEEDING !== 'false',
     enableChargingStationSeeding: process.env.ENABLE_CHARGING_STATION_SEEDING !== 'false',
     enableReviewSeeding: process.env.ENABLE_REVIEW_SEEDING !== 'false',
+    enableComparisonSpecSeeding: process.env.ENABLE_COMPARISON_SPEC_SEEDING !== 'false',
+    enableIncentiveRuleSeeding: process.env.ENABLE_INCENTIVE_RULE_SEEDING !== 'false',
+    enableQuizSeeding: process.env.ENABLE_QUIZ_SEEDING !== 'false',
     enableRatingUpdate: process.env.ENABLE_RATING_UPDATE !== 'false'
   },
   batch: {
@@ -91,7 +97,10 @@ const getSampleData = async (dataType) => {
     users: process.env.SAMPLE_USERS_API_URL,
     vehicles: process.env.SAMPLE_VEHICLES_API_URL,
     chargingStations: process.env.SAMPLE_CHARGING_STATIONS_API_URL,
-    reviews: process.env.SAMPLE_REVIEWS_API_URL
+    reviews: process.env.SAMPLE_REVIEWS_API_URL,
+    comparisonSpecs: process.env.SAMPLE_COMPARISON_SPECS_API_URL,
+    incentiveRules: process.env.SAMPLE_INCENTIVE_RULES_API_URL,
+    quizzes: process.env.SAMPLE_QUIZZES_API_URL
   }
 
   if (seedConfig.features.enableExternalDataSource && endpoints[dataType]) {
@@ -148,7 +157,28 @@ const getLocalSampleData = (dataType) => {
     ],
     vehicles: [], // Would be populated from environment or external source
     chargingStations: [], // Would be populated from environment or external source
-    reviews: [] // Would be populated from environment or external source
+    reviews: [], // Would be populated from environment or external source
+    comparisonSpecs: [
+      {
+        name: "default",
+        version: 1,
+        description: "Built-in comparison layout",
+        categories: ComparisonSpec.getDefaultCategories(),
+        isActive: true,
+        activatedAt: new Date()
+      }
+    ],
+    incentiveRules: IncentiveRule.getDefaultRules(),
+    quizzes: [
+      {
+        name: Quiz.getDefaultName(),
+        version: 1,
+        description: "Built-in EV match quiz",
+        questions: Quiz.getDefaultQuestions(),
+        isActive: true,
+        activatedAt: new Date()
+      }
+    ]
   }
 
   // Load vehicles from environment if available
@@ -225,7 +255,10 @@ const createBackup = async () => {
       users: await User.find({}),
       vehicles: await Vehicle.find({}),
       chargingStations: await ChargingStation.find({}),
-      reviews: await Review.find({})
+      reviews: await Review.find({}),
+      comparisonSpecs: await ComparisonSpec.find({}),
+      incentiveRules: await IncentiveRule.find({}),
+      quizzes: await Quiz.find({})
     }
 
     if (process.env.BACKUP_API_URL) {
@@ -255,6 +288,9 @@ const clearExistingData = async () => {
   if (seedConfig.seeding.enableVehicleSeeding) collections.push(Vehicle.deleteMany({}))
   if (seedConfig.seeding.enableChargingStationSeeding) collections.push(ChargingStation.deleteMany({}))
   if (seedConfig.seeding.enableReviewSeeding) collections.push(Review.deleteMany({}))
+  if (seedConfig.seeding.enableComparisonSpecSeeding) collections.push(ComparisonSpec.deleteMany({}))
+  if (seedConfig.seeding.enableIncentiveRuleSeeding) collections.push(IncentiveRule.deleteMany({}))
+  if (seedConfig.seeding.enableQuizSeeding) collections.push(Quiz.deleteMany({}))
 
   await Promise.all(collections)
   logProgress("✅ Existing data cleared")
@@ -361,6 +397,60 @@ const seedChargingStations = async () => {
   return flatStations
 }
 
+// Seed comparison-spec registry
+const seedComparisonSpecs = async () => {
+  if (!seedConfig.seeding.enableComparisonSpecSeeding) {
+    logProgress("⏭️  Skipping comparison spec seeding (disabled)")
+    return []
+  }
+
+  logProgress("📊 Seeding comparison specs...")
+
+  let sampleSpecs = await getSampleData('comparisonSpecs')
+  sampleSpecs = await validateData(sampleSpecs, 'comparisonSpecs')
+
+  const specs = await ComparisonSpec.insertMany(sampleSpecs)
+  logProgress(`✅ Inserted ${specs.length} comparison spec registries`)
+
+  return specs
+}
+
+// Seed incentive rules
+const seedIncentiveRules = async () => {
+  if (!seedConfig.seeding.enableIncentiveRuleSeeding) {
+    logProgress("⏭️  Skipping incentive rule seeding (disabled)")
+    return []
+  }
+
+  logProgress("💵 Seeding incentive rules...")
+
+  let sampleRules = await getSampleData('incentiveRules')
+  sampleRules = await validateData(sampleRules, 'incentiveRules')
+
+  const rules = await IncentiveRule.insertMany(sampleRules)
+  logProgress(`✅ Inserted ${rules.length} incentive rules`)
+
+  return rules
+}
+
+// Seed quiz definitions
+const seedQuizzes = async () => {
+  if (!seedConfig.seeding.enableQuizSeeding) {
+    logProgress("⏭️  Skipping quiz seeding (disabled)")
+    return []
+  }
+
+  logProgress("❓ Seeding quizzes...")
+
+  let sampleQuizzes = await getSampleData('quizzes')
+  sampleQuizzes = await validateData(sampleQuizzes, 'quizzes')
+
+  const quizzes = await Quiz.insertMany(sampleQuizzes)
+  logProgress(`✅ Inserted ${quizzes.length} quizzes`)
+
+  return quizzes
+}
+
 // Generate dynamic reviews
 const generateReviews = async (users, vehicles) => {
   let sampleReviews = await getSampleData('reviews')
@@ -475,7 +565,10 @@ const generateSummary = async (results) => {
       users: results.users?.length || 0,
       vehicles: results.vehicles?.length || 0,
       chargingStations: results.chargingStations?.length || 0,
-      reviews: results.reviews?.length || 0
+      reviews: results.reviews?.length || 0,
+      comparisonSpecs: results.comparisonSpecs?.length || 0,
+      incentiveRules: results.incentiveRules?.length || 0,
+      quizzes: results.quizzes?.length || 0
     },
     configuration: {
       externalDataSource: seedConfig.features.enableExternalDataSource,
@@ -516,12 +609,15 @@ const seedDatabase = async () => {
     const vehicles = await seedVehicles()
     const chargingStations = await seedChargingStations()
     const reviews = await seedReviews(users, vehicles)
+    const comparisonSpecs = await seedComparisonSpecs()
+    const incentiveRules = await seedIncentiveRules()
+    const quizzes = await seedQuizzes()
 
     // Update vehicle ratings
     await updateVehicleRatings(vehicles)
 
     // Generate and log summary
-    const results = { users, vehicles, chargingStations, reviews }
+    const results = { users, vehicles, chargingStations, reviews, comparisonSpecs, incentiveRules, quizzes }
     const summary = await generateSummary(results)
 
     const duration = (Date.now() - startTime) / 1000
@@ -533,6 +629,9 @@ const seedDatabase = async () => {
     logProgress(`   Vehicles: ${summary.results.vehicles}`)
     logProgress(`   Charging Stations: ${summary.results.chargingStations}`)
     logProgress(`   Reviews: ${summary.results.reviews}`)
+    logProgress(`   Comparison Specs: ${summary.results.comparisonSpecs}`)
+    logProgress(`   Incentive Rules: ${summary.results.incentiveRules}`)
+    logProgress(`   Quizzes: ${summary.results.quizzes}`)
 
     // Success notification
     if (process.env.SUCCESS_NOTIFICATION_API_URL) {
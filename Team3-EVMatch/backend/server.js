@@ -12,9 +12,13 @@ const authRoutes = require("./routes/auth")
 const userRoutes = require("./routes/users")
 const vehicleRoutes = require("./routes/vehicles")
 const chargingRoutes = require("./routes/charging")
+const stationFeedbackRoutes = require("./routes/stationFeedback")
+const ocppIngestRoutes = require("./routes/ocppIngest")
+const { stationKeyLimiter } = require("./middleware/stationKey")
 const reviewRoutes = require("./routes/reviews")
 const quizRoutes = require("./routes/quiz")
 const comparisonRoutes = require("./routes/comparison")
+const incentiveRoutes = require("./routes/incentives")
 
 const app = express()
 
@@ -59,6 +63,9 @@ const authLimiter = rateLimit({
   },
 })
 
+// Chargers push OCPP status before the per-IP limit applies; they have their own per-key limit
+app.use("/api/charging/:id/ocpp", stationKeyLimiter, express.json(), ocppIngestRoutes)
+
 app.use("/api/", limiter)
 app.use("/api/auth/login", authLimiter)
 app.use("/api/auth/register", authLimiter)
@@ -106,9 +113,11 @@ app.use("/api/auth", authRoutes)
 app.use("/api/users", userRoutes)
 app.use("/api/vehicles", vehicleRoutes)
 app.use("/api/charging", chargingRoutes)
+app.use("/api/charging/:id", stationFeedbackRoutes)
 app.use("/api/reviews", reviewRoutes)
 app.use("/api/quiz", quizRoutes)
 app.use("/api/comparison", comparisonRoutes)
+app.use("/api/incentives", incentiveRoutes)
 
 // 404 handler
 app.use("/api/*", (req, res) => {
@@ -0,0 +1,92 @@
+const { renderComparison, toCsv, toHtml, toPdf, getFormats } = require("../utils/comparisonExport")
+
+const comparison = {
+  vehicles: [
+    { id: "a", name: "2024 Tesla Model 3" },
+    { id: "b", name: "2024 Hyundai Ioniq 6" },
+  ],
+  categories: [
+    {
+      name: "Range & Efficiency",
+      specs: [
+        {
+          name: "EPA Range",
+          values: [
+            { value: 272, formatted: "272 miles", winner: false },
+            { value: 305, formatted: "305 miles", winner: true },
+          ],
+        },
+        {
+          name: "Charge Port",
+          values: [
+            { value: "=HYPERLINK(\"x\")", formatted: "=HYPERLINK(\"x\")", winner: false },
+            { value: "CCS", formatted: "CCS", winner: false },
+          ],
+        },
+      ],
+    },
+  ],
+  scorecard: {
+    overall: [
+      { vehicleId: "a", score: 71, rank: 2 },
+      { vehicleId: "b", score: 84, rank: 1 },
+    ],
+    summary: "The Ioniq 6 goes further on a charge.",
+  },
+}
+
+describe("toCsv", () => {
+  const csv = toCsv(comparison, { title: "Sedans" })
+  const lines = csv.replace(/^\uFEFF/, "").trim().split("\r\n")
+
+  test("writes a header, one row per spec and the scorecard", () => {
+    expect(lines[0]).toBe("Sedans")
+    expect(lines[1]).toBe("Category,Specification,2024 Tesla Model 3,2024 Hyundai Ioniq 6,Best")
+    expect(lines[2]).toBe("Range & Efficiency,EPA Range,272 miles,305 miles,2024 Hyundai Ioniq 6")
+    expect(lines).toContain("Scorecard,Overall Score,71/100 (#2),84/100 (#1),")
+  })
+
+  test("quotes cells and defuses spreadsheet formulas", () => {
+    expect(lines[3]).toBe("Range & Efficiency,Charge Port,\"'=HYPERLINK(\"\"x\"\")\",CCS,")
+  })
+
+  test("starts with a BOM so Excel reads UTF-8", () => {
+    expect(csv.startsWith("\uFEFF")).toBe(true)
+  })
+})
+
+describe("toHtml", () => {
+  test("escapes titles and notes", () => {
+    const html = toHtml(comparison, { title: "<script>alert(1)</script>", notes: "Tom & Jerry's pick" })
+
+    expect(html).not.toContain("<script>")
+    expect(html).toContain("&lt;script&gt;alert(1)&lt;/script&gt;")
+    expect(html).toContain("Tom &amp; Jerry&#39;s pick")
+    expect(html).toContain('<td class="winner">305 miles</td>')
+  })
+})
+
+describe("toPdf", () => {
+  test("produces a PDF document", () => {
+    const pdf = toPdf(comparison, { title: "Sedans" })
+
+    expect(Buffer.isBuffer(pdf)).toBe(true)
+    expect(pdf.subarray(0, 5).toString("latin1")).toBe("%PDF-")
+    expect(pdf.toString("latin1").trimEnd().endsWith("%%EOF")).toBe(true)
+  })
+})
+
+describe("renderComparison", () => {
+  test("returns the body with its content type for every format", () => {
+    getFormats().forEach((format) => {
+      const document = renderComparison(format, comparison)
+      expect(document.extension).toBe(format)
+      expect(document.contentType).toBeTruthy()
+      expect(document.body.length).toBeGreaterThan(0)
+    })
+  })
+
+  test("rejects unknown formats", () => {
+    expect(() => renderComparison("xlsx", comparison)).toThrow("Unsupported export format: xlsx")
+  })
+})
@@ -0,0 +1,116 @@
+const IncentiveRule = require("../models/IncentiveRule")
+const { applyIncentives, incentiveContext, evaluateRule, summarizeIncentives } = require("../utils/incentives")
+
+const vehicle = (msrp, extra = {}) => ({
+  _id: "vehicle-1",
+  bodyType: "sedan",
+  price: { msrp },
+  manufacturing: { northAmericanAssembly: true, criticalMineralsCompliant: true, batteryComponentsCompliant: true },
+  $locals: {},
+  ...extra,
+})
+
+const context = { acquisitionType: "purchase", location: { state: "CA" } }
+
+const federalCredit = {
+  _id: "rule-federal",
+  name: "Clean Vehicle Credit",
+  level: "federal",
+  amount: { type: "fixed", value: 7500 },
+  eligibility: {
+    msrpCap: 55000,
+    acquisitionTypes: ["purchase"],
+    incomeLimits: { single: 150000, joint: 300000 },
+    requiresNorthAmericanAssembly: true,
+  },
+}
+
+describe("evaluateRule", () => {
+  test("qualifies a vehicle under the cap, with unknown income left unverified", () => {
+    expect(evaluateRule(federalCredit, vehicle(45000), context)).toEqual({
+      eligible: true,
+      amount: 7500,
+      reasons: [],
+      unverified: ["Household income limit"],
+    })
+  })
+
+  test("lists every reason a vehicle does not qualify", () => {
+    const imported = vehicle(60000, { manufacturing: {} })
+    const result = evaluateRule(federalCredit, imported, { ...context, acquisitionType: "lease", income: 400000, filingStatus: "joint" })
+
+    expect(result.eligible).toBe(false)
+    expect(result.reasons).toEqual([
+      "MSRP is above the $55,000 cap",
+      "Only available when you purchase",
+      "Household income is above the limit",
+      "Not assembled in North America",
+    ])
+    expect(result.unverified).toEqual([])
+  })
+
+  test("uses the cap for the vehicle's body type when there is one", () => {
+    const rule = { ...federalCredit, eligibility: { msrpCap: 55000, msrpCapByBodyType: new Map([["suv", 80000]]) } }
+
+    expect(evaluateRule(rule, vehicle(70000, { bodyType: "suv" }), context).eligible).toBe(true)
+    expect(evaluateRule(rule, vehicle(70000), context).eligible).toBe(false)
+  })
+
+  test("caps percentage rebates at their maximum", () => {
+    const rule = { level: "state", amount: { type: "percent", value: 10, max: 2000 } }
+
+    expect(evaluateRule(rule, vehicle(15000), context).amount).toBe(1500)
+    expect(evaluateRule(rule, vehicle(45000), context).amount).toBe(2000)
+  })
+})
+
+describe("summarizeIncentives", () => {
+  test("totals eligible rules by level and never exceeds the price", () => {
+    const rebate = { _id: "rule-state", name: "State Rebate", level: "state", amount: { type: "fixed", value: 9000 } }
+    const summary = summarizeIncentives(vehicle(15000), [federalCredit, rebate], context)
+
+    expect(summary.federal).toBe(7500)
+    expect(summary.state).toBe(9000)
+    expect(summary.total).toBe(15000)
+    expect(summary.eligible.map((entry) => entry.name)).toEqual(["Clean Vehicle Credit", "State Rebate"])
+  })
+})
+
+describe("applyIncentives", () => {
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("leaves vehicles on their flat amounts when the user has no location", async () => {
+    const findForLocation = jest.spyOn(IncentiveRule, "findForLocation")
+    const vehicles = [vehicle(45000)]
+
+    await applyIncentives(vehicles, { preferences: {} })
+
+    expect(incentiveContext(null)).toBeNull()
+    expect(findForLocation).not.toHaveBeenCalled()
+    expect(vehicles[0].$locals.incentives).toBeUndefined()
+  })
+
+  test("prices vehicles for the user's location", async () => {
+    jest.spyOn(IncentiveRule, "findForLocation").mockResolvedValue([federalCredit])
+    const vehicles = [vehicle(45000)]
+
+    await applyIncentives(vehicles, { location: { state: "CA" } })
+
+    expect(vehicles[0].$locals.incentives).toMatchObject({ federal: 7500, total: 7500, source: "rules" })
+  })
+
+  test("sets the effective price on lean vehicles", async () => {
+    jest.spyOn(IncentiveRule, "findForLocation").mockResolvedValue([federalCredit])
+    const lean = (msrp) => vehicle(msrp, { $locals: undefined, price: { msrp, incentives: { federal: 1000, state: 500 } } })
+    const priced = [lean(45000)]
+    const flat = [lean(45000)]
+
+    await applyIncentives(priced, { location: { state: "CA" } })
+    await applyIncentives(flat, null)
+
+    expect(priced[0].effectivePrice).toBe(37500)
+    expect(flat[0].effectivePrice).toBe(43500)
+  })
+})
@@ -0,0 +1,173 @@
+const fs = require("fs")
+const path = require("path")
+const vm = require("vm")
+const matchScoring = require("../utils/matchScoring")
+const { buildBundle } = require("../scripts/buildScoringBundle")
+
+const sedan = { id: "a", price: 40000, bodyType: "sedan", range: 300, techScore: 80, ecoScore: 90, dcMaxKw: 150 }
+
+const preferences = {
+  budget: { min: 30000, max: 45000 },
+  vehicleType: "sedan",
+  rangeImportance: 10,
+  techImportance: 10,
+  chargingFeatures: ["fast-charging"],
+}
+
+const pointsFor = (result) => Object.fromEntries(result.breakdown.map((item) => [item.factor, item.points]))
+
+describe("scoreVehicle", () => {
+  test("adds up the points for each factor", () => {
+    const result = matchScoring.scoreVehicle(sedan, preferences)
+
+    expect(pointsFor(result)).toEqual({ budget: 30, bodyType: 25, range: 20, technology: 8, eco: 9, charging: 5 })
+    expect(result.score).toBe(97)
+    expect(result.matchReasons).toEqual(["Within budget", "Perfect size match", "Fast charging"])
+  })
+
+  test("counts missing importance ratings as 5 of 10", () => {
+    const result = matchScoring.scoreVehicle(sedan, { ...preferences, rangeImportance: undefined, techImportance: undefined })
+
+    expect(pointsFor(result).range).toBe(10)
+    expect(pointsFor(result).technology).toBe(4)
+  })
+
+  test("gives partial budget and body type points", () => {
+    const hatchback = { ...sedan, price: 49000, bodyType: "hatchback" }
+    const points = pointsFor(matchScoring.scoreVehicle(hatchback, preferences))
+
+    expect(points.budget).toBe(15)
+    expect(points.bodyType).toBe(15)
+  })
+
+  test("reads Vehicle documents the same as flat profiles", () => {
+    const vehicle = {
+      _id: "a",
+      price: { msrp: 40000 },
+      bodyType: "sedan",
+      techScore: 80,
+      ecoScore: 90,
+      specifications: { range: { epa: 300 }, charging: { dc_max_kw: 150 } },
+    }
+
+    expect(matchScoring.scoreVehicle(vehicle, preferences)).toEqual(matchScoring.scoreVehicle(sedan, preferences))
+  })
+})
+
+describe("rangeAdequacy", () => {
+  const commuter = { ...sedan, realWorldRange: 250 }
+  const verdictFor = (dailyMiles, extra = {}) =>
+    matchScoring.scoreVehicle(commuter, { ...preferences, dailyMiles, climateRegion: "cold", ...extra }).rangeAdequacy
+
+  test("takes off climate loss and battery wear from the real-world range", () => {
+    expect(verdictFor(100)).toEqual({
+      verdict: "adequate",
+      usableMiles: 149,
+      requiredMiles: 125,
+      dailyMiles: 100,
+      climateRegion: "cold",
+      highwayShare: 0.45,
+    })
+  })
+
+  test("is marginal without the buffer and insufficient below the distance", () => {
+    expect(verdictFor(140).verdict).toBe("marginal")
+    expect(verdictFor(160).verdict).toBe("insufficient")
+  })
+
+  test("loses range to highway driving", () => {
+    expect(verdictFor(100, { highwayShare: 1 }).usableMiles).toBeLessThan(verdictFor(100).usableMiles)
+  })
+
+  test("is left out when the daily distance is unknown", () => {
+    expect(matchScoring.scoreVehicle(commuter, preferences).rangeAdequacy).toBeNull()
+  })
+
+  test("maps states to climate regions", () => {
+    expect(matchScoring.climateRegionForState("mn")).toBe("cold")
+    expect(matchScoring.climateRegionForState("AZ")).toBe("hot")
+    expect(matchScoring.climateRegionForState("CO")).toBeNull()
+  })
+})
+
+describe("rankVehicles", () => {
+  test("ranks candidates by range verdict, then score", () => {
+    const vehicles = [
+      { ...sedan, id: "short", range: 150, realWorldRange: 120 },
+      { ...sedan, id: "slow", techScore: 40 },
+      sedan,
+      { ...sedan, id: "suv", bodyType: "suv" },
+      { ...sedan, id: "pricey", price: 90000 },
+    ]
+    const ranked = matchScoring.rankVehicles(vehicles, { ...preferences, dailyMiles: 100 })
+
+    expect(ranked.map((entry) => entry.vehicle.id)).toEqual(["a", "slow", "short"])
+  })
+})
+
+describe("compareVehicles", () => {
+  test("explains the gap to the vehicle ranked above", () => {
+    const behind = { ...sedan, id: "b", techScore: 50 }
+    const comparison = matchScoring.compareVehicles(behind, sedan, preferences)
+
+    expect(comparison.vehicleId).toBe("a")
+    expect(comparison.scoreGap).toBe(3)
+    expect(comparison.factorGaps.technology).toBe(-3)
+    expect(comparison.toOvertake).toEqual([{ factor: "technology", value: 50, requiredValue: 81, pointsGained: 3.1 }])
+  })
+
+  test("lists no changes for a vehicle behind on range verdict", () => {
+    const short = { ...sedan, id: "b", realWorldRange: 120 }
+    const comparison = matchScoring.compareVehicles(short, sedan, { ...preferences, dailyMiles: 100 })
+
+    expect(comparison.behindOnRange).toBe(true)
+    expect(comparison.rangeVerdicts).toEqual({ vehicle: "insufficient", ahead: "adequate" })
+    expect(comparison.toOvertake).toEqual([])
+  })
+})
+
+describe("preferencesFromAnswers", () => {
+  test("maps answers through each question's mapping", () => {
+    const questions = [
+      { id: 1, type: "single", mapping: { preference: "budget", values: { mid: { min: 30000, max: 45000 } } } },
+      { id: 2, type: "single", mapping: { preference: "vehicleType" } },
+      { id: 3, type: "range", mapping: { preference: "rangeImportance" } },
+      { id: 4, type: "multiple", mapping: { preference: "chargingFeatures" } },
+      { id: 5, type: "single" },
+    ]
+    const answers = { 1: "mid", 2: "sedan", 3: "8", 4: ["fast-charging"], 5: "ignored" }
+
+    expect(matchScoring.preferencesFromAnswers(answers, questions)).toEqual({
+      budget: { min: 30000, max: 45000 },
+      vehicleType: "sedan",
+      rangeImportance: 8,
+      chargingFeatures: ["fast-charging"],
+    })
+  })
+})
+
+describe("browser bundle", () => {
+  const sourcePath = path.join(__dirname, "../utils/matchScoring.js")
+  const bundlePath = path.join(__dirname, "../../frontend/matchScoring.js")
+  const source = fs.readFileSync(sourcePath, "utf8")
+
+  test("is up to date with the source", () => {
+    expect(fs.readFileSync(bundlePath, "utf8")).toBe(buildBundle(source, "EVMatchScoring", matchScoring.version))
+  })
+
+  test("keeps the source's line endings", () => {
+    expect(buildBundle("a\r\nb\r\n", "X", "1")).not.toMatch(/[^\r]\n/)
+    expect(buildBundle("a\nb\n", "X", "1")).not.toContain("\r")
+  })
+
+  test("ranks vehicles the same as the server", () => {
+    const window = {}
+    vm.runInNewContext(buildBundle(source, "EVMatchScoring", matchScoring.version), { window })
+    const vehicles = [sedan, { ...sedan, id: "b", techScore: 50 }, { ...sedan, id: "c", price: 47000 }]
+
+    expect(window.EVMatchScoring.version).toBe(matchScoring.version)
+    expect(JSON.stringify(window.EVMatchScoring.rankVehicles(vehicles, preferences))).toBe(
+      JSON.stringify(matchScoring.rankVehicles(vehicles, preferences)),
+    )
+  })
+})
@@ -0,0 +1,101 @@
+const ChargingStation = require("../models/ChargingStation")
+const { parseStatusNotification, applyStatusNotification, OcppMessageError } = require("../utils/ocppStatus")
+
+// Two CCS connectors (OCPP IDs 1-2) and one CHAdeMO (ID 3)
+const newStation = () =>
+  new ChargingStation({
+    name: "OCPP Test Station",
+    network: "Test Network",
+    location: {
+      address: { street: "1 Main St", city: "Denver", state: "CO", zipCode: "80202" },
+      coordinates: { type: "Point", coordinates: [-104.99, 39.74] },
+    },
+    connectors: [
+      { type: "CCS", power_kw: 150, count: 2, available: 2 },
+      { type: "CHAdeMO", power_kw: 50, count: 1, available: 1 },
+    ],
+  })
+
+const at = (minutes) => new Date(Date.now() - (60 - minutes) * 60 * 1000)
+
+const notify = (station, connectorId, status, minutes = 0) =>
+  applyStatusNotification(station, { connectorId, status, errorCode: "NoError", timestamp: at(minutes) })
+
+describe("parseStatusNotification", () => {
+  test("accepts an OCPP-J Call frame", () => {
+    const { uniqueId, notification } = parseStatusNotification([2, "msg-1", "StatusNotification", { connectorId: 1, status: "Charging", errorCode: "NoError" }])
+
+    expect(uniqueId).toBe("msg-1")
+    expect(notification).toMatchObject({ connectorId: 1, status: "Charging", errorCode: "NoError" })
+  })
+
+  test("rejects other actions and unknown statuses", () => {
+    expect(() => parseStatusNotification([2, "msg-1", "BootNotification", {}])).toThrow(OcppMessageError)
+    expect(() => parseStatusNotification({ connectorId: 1, status: "Broken", errorCode: "NoError" })).toThrow(OcppMessageError)
+  })
+})
+
+describe("applyStatusNotification", () => {
+  test("only updates the group that owns the connector", () => {
+    const station = newStation()
+    station.connectors[1].available = 0
+
+    const { applied, connector, changes } = notify(station, 1, "Charging")
+
+    expect(applied).toBe(true)
+    expect(connector.type).toBe("CCS")
+    expect(station.connectors[0].available).toBe(1)
+    expect(station.connectors[1].available).toBe(0)
+    expect(changes).toEqual([{ field: "connectors.CCS.available", from: 2, to: 1 }])
+  })
+
+  test("connector 0 takes the whole charge point out of service", () => {
+    const station = newStation()
+    const { connector, changes } = notify(station, 0, "Faulted")
+
+    expect(connector).toBeNull()
+    expect(station.connectors.map((c) => [c.available, c.status])).toEqual([
+      [0, "maintenance"],
+      [0, "maintenance"],
+    ])
+    expect(changes).toHaveLength(4)
+  })
+
+  test("ignores notifications older than the stored one", () => {
+    const station = newStation()
+    notify(station, 1, "Charging", 10)
+    const { applied, changes } = notify(station, 1, "Available", 5)
+
+    expect(applied).toBe(false)
+    expect(changes).toEqual([])
+    expect(station.connectors[0].available).toBe(1)
+  })
+
+  test("keeps maintenance flagged outside OCPP", () => {
+    const station = newStation()
+    station.connectors[0].status = "maintenance"
+
+    const { changes } = notify(station, 1, "Available")
+
+    expect(station.connectors[0].status).toBe("maintenance")
+    expect(changes).toEqual([])
+  })
+
+  test("lifts maintenance caused by a charger fault once it recovers", () => {
+    const station = newStation()
+    notify(station, 3, "Faulted", 1)
+    expect(station.connectors[1].status).toBe("maintenance")
+
+    const { changes } = notify(station, 3, "Available", 2)
+
+    expect(station.connectors[1]).toMatchObject({ status: "operational", available: 1 })
+    expect(changes).toEqual([
+      { field: "connectors.CHAdeMO.available", from: 0, to: 1 },
+      { field: "connectors.CHAdeMO.status", from: "maintenance", to: "operational" },
+    ])
+  })
+
+  test("rejects connector IDs the station does not have", () => {
+    expect(() => notify(newStation(), 4, "Available")).toThrow(OcppMessageError)
+  })
+})
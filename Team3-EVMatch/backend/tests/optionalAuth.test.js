@@ -0,0 +1,46 @@
+const jwt = require("jsonwebtoken")
+const User = require("../models/User")
+const optionalAuth = require("../middleware/optionalAuth")
+
+const secret = "test-secret"
+
+const requestWith = (token) => ({
+  header: (name) => (name === "Authorization" && token ? `Bearer ${token}` : undefined),
+})
+
+beforeAll(() => {
+  process.env.JWT_SECRET = secret
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe("optionalAuth", () => {
+  test("loads the user from a login token", async () => {
+    const user = { _id: "user-1", email: "driver@example.com" }
+    const findById = jest.spyOn(User, "findById").mockReturnValue({ select: async () => user })
+    const req = requestWith(jwt.sign({ userId: "user-1", email: user.email, role: "user" }, secret))
+    const next = jest.fn()
+
+    await optionalAuth(req, {}, next)
+
+    expect(findById).toHaveBeenCalledWith("user-1")
+    expect(req.user).toBe(user)
+    expect(next).toHaveBeenCalled()
+  })
+
+  test("continues without a user when the token is missing or invalid", async () => {
+    const findById = jest.spyOn(User, "findById")
+
+    for (const token of [null, "not-a-token"]) {
+      const req = requestWith(token)
+      const next = jest.fn()
+      await optionalAuth(req, {}, next)
+
+      expect(req.user).toBeUndefined()
+      expect(next).toHaveBeenCalled()
+    }
+    expect(findById).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,65 @@
+const User = require("../models/User")
+const { estimateOwnershipCost, resolveAssumptions, getDefaults } = require("../utils/ownershipCost")
+
+const vehicle = {
+  price: { msrp: 40000 },
+  applicableIncentives: { federal: 7500, state: 0, local: 0, utility: 0, total: 7500, source: "flat" },
+  specifications: { efficiency: { kwh_per_100mi: 25 } },
+}
+
+describe("resolveAssumptions", () => {
+  test("takes the query first, then saved preferences, then defaults", () => {
+    const user = new User({
+      preferences: { chargingType: "Level 2", ownership: { annualMiles: 15000, gasPrice: 4.2 } },
+    })
+    const { sources, ...values } = resolveAssumptions({ gasPrice: "5" }, user.preferences)
+
+    expect(values.gasPrice).toBe(5)
+    expect(sources.gasPrice).toBe("query")
+    expect(values.annualMiles).toBe(15000)
+    expect(sources.annualMiles).toBe("preferences")
+    expect(values.electricityRate).toBe(getDefaults().electricityRate)
+    expect(sources.electricityRate).toBe("default")
+  })
+
+  test("infers the home charging share from the saved charging type", () => {
+    const { homeChargingShare, sources } = resolveAssumptions({}, { chargingType: "DC Fast" })
+
+    expect(homeChargingShare).toBe(30)
+    expect(sources.homeChargingShare).toBe("preferences")
+  })
+
+  test("uses defaults for guests", () => {
+    const { sources } = resolveAssumptions({}, undefined)
+
+    expect(Object.values(sources).every((source) => source === "default")).toBe(true)
+  })
+})
+
+describe("estimateOwnershipCost", () => {
+  const { sources, ...assumptions } = resolveAssumptions({ annualMiles: 12000, homeChargingShare: 100, electricityRate: 0.15 })
+  const estimate = estimateOwnershipCost(vehicle, assumptions)
+
+  test("prices the vehicle after incentives", () => {
+    expect(estimate.vehicle.purchasePrice).toBe(32500)
+    expect(estimate.vehicle.incentives.total).toBe(7500)
+  })
+
+  test("costs energy from efficiency and the electricity rate", () => {
+    expect(estimate.vehicle.kwhPerYear).toBe(3000)
+    expect(estimate.vehicle.energyCostPerYear).toBe(450)
+  })
+
+  test("reports every horizon with savings against the reference car", () => {
+    expect(estimate.horizons.map((horizon) => horizon.years)).toEqual(getDefaults().horizons)
+    estimate.horizons.forEach((horizon) => {
+      expect(horizon.savings).toBeCloseTo(horizon.referenceCar.total - horizon.vehicle.total, 1)
+      expect(horizon.vehicle.incentives).toBe(-7500)
+    })
+  })
+
+  test("costs grow with the ownership period", () => {
+    const totals = estimate.horizons.map((horizon) => horizon.vehicle.total)
+    expect([...totals].sort((a, b) => a - b)).toEqual(totals)
+  })
+})
@@ -0,0 +1,113 @@
+const { hasAnswer, shownQuestions, shownAnswers, earlyExitAnswers, nextStep } = require("../utils/quizFlow")
+
+const questions = [
+  { id: 1, type: "single" },
+  {
+    id: 2,
+    type: "single",
+    mapping: { preference: "vehicleType", values: { sedan: "sedan", truck: "truck" } },
+  },
+  { id: 3, type: "single", showIf: [{ questionId: 2, operator: "in", values: ["truck"] }] },
+  { id: 4, type: "range", showIf: [{ questionId: 3, operator: "in", values: ["long-bed"] }] },
+  { id: 5, type: "multiple", showIf: [{ questionId: 1, operator: "notIn", values: ["work"] }] },
+  { id: 6, type: "range", showIf: [{ questionId: 4, operator: "gte", value: 6 }] },
+]
+
+const ids = (list) => list.map((question) => question.id)
+
+const sedan = { id: "sedan", price: 40000, bodyType: "sedan", range: 320, techScore: 90, ecoScore: 90, dcMaxKw: 250 }
+const truck = { id: "truck", price: 70000, bodyType: "truck", range: 280, techScore: 60, ecoScore: 50, dcMaxKw: 150 }
+
+describe("hasAnswer", () => {
+  test("treats empty values as skipped", () => {
+    expect([undefined, null, "", []].map(hasAnswer)).toEqual([false, false, false, false])
+    expect([0, "sedan", ["a"]].map(hasAnswer)).toEqual([true, true, true])
+  })
+})
+
+describe("shownQuestions", () => {
+  test("shows follow-ups only when their conditions hold", () => {
+    expect(ids(shownQuestions(questions, {}))).toEqual([1, 2, 5])
+    expect(ids(shownQuestions(questions, { 1: "work", 2: "truck" }))).toEqual([1, 2, 3])
+    expect(ids(shownQuestions(questions, { 2: "truck", 3: "long-bed", 4: "8" }))).toEqual([1, 2, 3, 4, 5, 6])
+  })
+
+  test("hides questions that depended on a hidden one", () => {
+    expect(ids(shownQuestions(questions, { 2: "sedan", 3: "long-bed", 4: "8" }))).toEqual([1, 2, 5])
+  })
+
+  test("compares numbers for gte and lte", () => {
+    expect(ids(shownQuestions(questions, { 2: "truck", 3: "long-bed", 4: "5" }))).toEqual([1, 2, 3, 4, 5])
+  })
+})
+
+describe("shownAnswers", () => {
+  test("drops answers to questions that are no longer shown", () => {
+    expect(shownAnswers(questions, { 1: "commute", 2: "sedan", 3: "long-bed", 4: "8", 5: [] })).toEqual({
+      1: "commute",
+      2: "sedan",
+      5: [],
+    })
+  })
+})
+
+describe("nextStep", () => {
+  const quiz = { questions }
+
+  test("asks the first shown question without an answer", () => {
+    const step = nextStep(quiz, { 1: "commute" })
+
+    expect(step.done).toBe(false)
+    expect(step.question.id).toBe(2)
+    expect(step.progress).toEqual({ answered: 1, remaining: 2 })
+  })
+
+  test("counts skipped questions as asked", () => {
+    expect(nextStep(quiz, { 1: "commute", 2: "sedan", 5: [] })).toMatchObject({
+      done: true,
+      reason: "complete",
+      question: null,
+      progress: { answered: 3, remaining: 0 },
+    })
+  })
+
+  describe("with early exit", () => {
+    const earlyExit = { enabled: true, minAnswers: 1, stableAnswers: 1, topCount: 1 }
+
+    test("finishes once the top recommendations stop changing", () => {
+      const step = nextStep({ questions, earlyExit }, { 2: "sedan", 1: "commute" }, [sedan, truck])
+
+      expect(step).toMatchObject({ done: true, reason: "stable", question: null })
+      expect(step.stability).toEqual({ topVehicleIds: ["sedan"], unchangedFor: 1 })
+    })
+
+    test("keeps asking while the latest answer changed them", () => {
+      const step = nextStep({ questions, earlyExit }, { 1: "work", 2: "truck" }, [sedan, truck])
+
+      expect(step).toMatchObject({ done: false, question: { id: 3 } })
+      expect(step.stability).toEqual({ topVehicleIds: ["truck"], unchangedFor: 0 })
+    })
+
+    test("takes the latest answers in the order they were given", () => {
+      const step = nextStep({ questions, earlyExit }, { 1: "work", 2: "truck" }, [sedan, truck], { answerOrder: [2, 1] })
+
+      expect(step).toMatchObject({ done: true, reason: "stable" })
+      expect(step.stability).toEqual({ topVehicleIds: ["truck"], unchangedFor: 1 })
+    })
+
+    test("names the answers the broadest ranking uses", () => {
+      const quiz = { questions, earlyExit: { ...earlyExit, stableAnswers: 2 } }
+
+      expect(earlyExitAnswers(quiz, { 1: "work", 2: "truck" })).toEqual({})
+      expect(earlyExitAnswers(quiz, { 1: "work", 2: "truck", 3: "long-bed" })).toEqual({ 1: "work" })
+      expect(earlyExitAnswers(quiz, { 1: "work", 2: "truck", 3: "long-bed" }, { answerOrder: [2, 1, 3] })).toEqual({ 2: "truck" })
+      expect(earlyExitAnswers({ questions }, { 1: "work", 2: "truck" })).toBeNull()
+      expect(earlyExitAnswers(quiz, { 1: "commute", 2: "sedan", 5: [] })).toBeNull()
+    })
+
+    test("waits for the minimum number of answers and needs vehicles", () => {
+      expect(nextStep({ questions, earlyExit: { ...earlyExit, minAnswers: 3 } }, { 1: "commute", 2: "sedan" }, [sedan]).done).toBe(false)
+      expect(nextStep({ questions, earlyExit }, { 1: "commute", 2: "sedan" }).done).toBe(false)
+    })
+  })
+})
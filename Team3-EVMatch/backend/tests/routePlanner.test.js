@@ -0,0 +1,103 @@
+const ChargingStation = require("../models/ChargingStation")
+const { planRoute, decodePolyline, RoutePlanError } = require("../utils/routePlanner")
+
+const vehicle = {
+  _id: "vehicle-1",
+  make: "Test",
+  model: "Long Range",
+  year: 2024,
+  specifications: {
+    range: { epa: 300 },
+    battery: { capacity_kwh: 75 },
+    charging: { charge_port: "CCS", dc_max_kw: 150, ac_max_kw: 11 },
+  },
+}
+
+const station = (id, lng, connectors, extra = {}) => ({
+  _id: id,
+  name: `Station ${id}`,
+  network: "Test Network",
+  isActive: true,
+  location: { address: {}, coordinates: { type: "Point", coordinates: [lng, 40] } },
+  connectors,
+  pricing: { per_kwh: 0.4 },
+  ...extra,
+})
+
+const fastCharger = { type: "CCS", power_kw: 150, count: 4, available: 2, status: "operational" }
+
+// ChargingStation.find(...).select(...).limit(...).lean()
+const stubStations = (stations) =>
+  jest.spyOn(ChargingStation, "find").mockReturnValue({
+    select: () => ({ limit: () => ({ lean: async () => stations }) }),
+  })
+
+const trip = { origin: { lat: 40, lng: -100 }, destination: { lat: 40, lng: -94 }, departAt: new Date("2024-06-01T08:00:00Z") }
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe("planRoute", () => {
+  test("needs no stops when the trip fits in the battery", async () => {
+    stubStations([])
+    const plan = await planRoute({ vehicle, origin: trip.origin, destination: { lat: 40, lng: -98 }, startSoc: 90 })
+
+    expect(plan.feasible).toBe(true)
+    expect(plan.stops).toHaveLength(0)
+    expect(plan.arrivalSoc).toBeGreaterThanOrEqual(10)
+  })
+
+  test("stops at a compatible DC charger along the corridor", async () => {
+    stubStations([station("mid", -97, [fastCharger])])
+    const plan = await planRoute({ vehicle, ...trip, startSoc: 90 })
+
+    expect(plan.feasible).toBe(true)
+    expect(plan.stops).toHaveLength(1)
+    expect(plan.stops[0].station.name).toBe("Station mid")
+    expect(plan.stops[0].connector.type).toBe("CCS")
+    expect(plan.stops[0].arrivalSoc).toBeGreaterThanOrEqual(10)
+    expect(plan.arrivalSoc).toBeGreaterThanOrEqual(10)
+    expect(plan.totals.cost).toBeGreaterThan(0)
+  })
+
+  test("ignores AC-only and out of service connectors", async () => {
+    stubStations([
+      station("ac", -97, [{ type: "J1772", power_kw: 7, count: 2, available: 2, status: "operational" }]),
+      station("broken", -97.1, [{ ...fastCharger, status: "out_of_service" }]),
+    ])
+    const plan = await planRoute({ vehicle, ...trip, startSoc: 90 })
+
+    expect(plan.feasible).toBe(false)
+    expect(plan.stops).toHaveLength(0)
+    expect(plan.shortfall.reason).toMatch(/No compatible charging station/)
+  })
+
+  test("skips stations closed on arrival", async () => {
+    // trip.departAt is a Saturday
+    const weekdaysOnly = { timezone: "UTC", monday: { open: "09:00", close: "17:00" } }
+    stubStations([station("open", -97.3, [fastCharger]), station("closed", -97, [fastCharger], { hours: weekdaysOnly })])
+    const plan = await planRoute({ vehicle, ...trip, startSoc: 90 })
+
+    expect(plan.stops.map((stop) => stop.station.name)).toEqual(["Station open"])
+  })
+
+  test("rejects a target state of charge at or below the reserve", async () => {
+    stubStations([])
+    await expect(planRoute({ vehicle, ...trip, startSoc: 90, reserveSoc: 20, targetSoc: 20 })).rejects.toThrow(RoutePlanError)
+  })
+})
+
+describe("decodePolyline", () => {
+  test("decodes the reference polyline", () => {
+    expect(decodePolyline("_p~iF~ps|U_ulLnnqC_mqNvxq`@")).toEqual([
+      { lat: 38.5, lng: -120.2 },
+      { lat: 40.7, lng: -120.95 },
+      { lat: 43.252, lng: -126.453 },
+    ])
+  })
+
+  test("rejects a truncated polyline", () => {
+    expect(() => decodePolyline("_p~iF~ps|U_ulL")).toThrow(RoutePlanError)
+  })
+})
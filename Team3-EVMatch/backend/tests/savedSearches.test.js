@@ -0,0 +1,127 @@
+jest.mock("../utils/sendEmail", () => ({ sendEmail: jest.fn().mockResolvedValue() }))
+
+const User = require("../models/User")
+const Vehicle = require("../models/Vehicle")
+const savedSearches = require("../utils/savedSearches")
+const { sendEmail } = require("../utils/sendEmail")
+
+const vehicle = (id, make, model, msrp = 40000) => ({ _id: id, year: 2024, make, model, price: { msrp }, isActive: true })
+
+const userWith = (savedSearchList) => ({
+  _id: "64b000000000000000000010",
+  email: "driver@example.com",
+  firstName: "Sam",
+  savedSearches: savedSearchList,
+})
+
+const findUsers = (users) => jest.spyOn(User, "find").mockReturnValue({ select: () => Promise.resolve(users) })
+
+describe("notifySavedSearches", () => {
+  beforeEach(() => {
+    jest.spyOn(User, "updateOne").mockResolvedValue({})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+    sendEmail.mockClear()
+  })
+
+  test("checks each saved search once against a whole batch", async () => {
+    findUsers([
+      userWith([
+        { _id: "s1", name: "Teslas", query: "tesla", notify: { newVehicles: true } },
+        { _id: "s2", name: "Cheap", filters: { maxPrice: "30000" }, notify: { newVehicles: false } },
+      ]),
+    ])
+    const distinct = jest.spyOn(Vehicle, "distinct").mockResolvedValue(["v1", "v2"])
+    const batch = [vehicle("v1", "Tesla", "Model 3"), vehicle("v2", "Tesla", "Model Y"), vehicle("v3", "Kia", "EV6")]
+
+    await savedSearches.notifySavedSearches(batch, "newVehicle")
+
+    expect(distinct).toHaveBeenCalledTimes(1)
+    expect(distinct.mock.calls[0][1]).toMatchObject({ _id: { $in: ["v1", "v2", "v3"] }, $text: { $search: "tesla" } })
+    expect(sendEmail).toHaveBeenCalledTimes(1)
+    expect(sendEmail.mock.calls[0][0]).toMatchObject({
+      to: "driver@example.com",
+      subject: "2 new matches for your saved searches",
+      data: { message: 'These vehicles were just added and match your saved search "Teslas": 2024 Tesla Model 3, 2024 Tesla Model Y.' },
+    })
+  })
+
+  test("sends nothing when no saved search matches", async () => {
+    findUsers([userWith([{ _id: "s1", name: "Teslas", query: "tesla", notify: { newVehicles: true } }])])
+    jest.spyOn(Vehicle, "distinct").mockResolvedValue([])
+
+    await savedSearches.notifySavedSearches(vehicle("v3", "Kia", "EV6"), "newVehicle")
+
+    expect(sendEmail).not.toHaveBeenCalled()
+  })
+
+  test("names the old and new price of a single vehicle", async () => {
+    findUsers([userWith([{ _id: "s1", name: "Kias", query: "kia", notify: { priceDrops: true } }])])
+    jest.spyOn(Vehicle, "distinct").mockResolvedValue(["v3"])
+
+    await savedSearches.notifySavedSearches(vehicle("v3", "Kia", "EV6", 38000), "priceDrop", { oldPrice: 42000 })
+
+    expect(sendEmail.mock.calls[0][0]).toMatchObject({
+      subject: "Price drop: 2024 Kia EV6",
+      data: { message: 'The 2024 Kia EV6 dropped from $42,000 to $38,000. It matches your saved search "Kias".' },
+    })
+  })
+})
+
+describe("vehicle year", () => {
+  test("allows this year and rejects years too far ahead", () => {
+    const year = new Date().getFullYear()
+
+    expect(new Vehicle({ year }).validateSync().errors.year).toBeUndefined()
+    expect(new Vehicle({ year: year + 3 }).validateSync().errors.year.message).toBe("Year cannot be more than 2 years in the future")
+  })
+})
+
+describe("price drop alerts", () => {
+  const originalFetch = global.fetch
+  const originalUrl = process.env.EXTERNAL_VEHICLE_DATA_API_URL
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+    global.fetch = originalFetch
+    process.env.EXTERNAL_VEHICLE_DATA_API_URL = originalUrl
+  })
+
+  test("are sent when an external sync lowers the price", async () => {
+    process.env.EXTERNAL_VEHICLE_DATA_API_URL = "https://vehicles.example.com"
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, json: () => Promise.resolve({ price: { msrp: 38000 } }) })
+    jest.spyOn(Vehicle.collection, "updateOne").mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 })
+    const notify = jest.spyOn(savedSearches, "notifySavedSearches").mockResolvedValue()
+    const stored = Vehicle.hydrate({ _id: "64b000000000000000000001", year: 2024, make: "Kia", model: "EV6", price: { msrp: 42000 }, isActive: true })
+    // Only the price matters here, so the partial document is saved without validation
+    jest.spyOn(stored, "save").mockImplementation(function () {
+      return Vehicle.prototype.save.call(this, { validateBeforeSave: false })
+    })
+
+    await stored.syncWithExternalApi()
+
+    expect(stored.price.msrp).toBe(38000)
+    expect(notify).toHaveBeenCalledWith(stored, "priceDrop", { oldPrice: 42000 })
+  })
+})
+
+describe("addToSearchHistory", () => {
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("updates only the history, newest first and capped", async () => {
+    const updateOne = jest.spyOn(User, "updateOne").mockResolvedValue({})
+    const user = User.hydrate({ _id: "64b000000000000000000010", email: "driver@example.com" })
+
+    await user.addToSearchHistory("tesla", { bodyType: "SUV" })
+
+    const [filter, [stage]] = updateOne.mock.calls[0]
+    const { $slice: [{ $concatArrays: [{ $literal: [entry] }] }, limit] } = stage.$set.searchHistory
+    expect(filter).toEqual({ _id: user._id })
+    expect(entry).toMatchObject({ query: "tesla", filters: { bodyType: "SUV" } })
+    expect(limit).toBe(50)
+  })
+})
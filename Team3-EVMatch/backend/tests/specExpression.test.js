@@ -0,0 +1,71 @@
+const { evaluate, validate, SpecExpressionError } = require("../utils/specExpression")
+
+const vehicle = {
+  price: { msrp: 45000 },
+  specifications: {
+    range: { epa: 300, real_world: 270 },
+    battery: { capacity_kwh: 75 },
+    charging: { dc_max_kw: null },
+  },
+}
+
+describe("evaluate", () => {
+  test("follows operator precedence and parentheses", () => {
+    expect(evaluate("1 + 2 * 3", {})).toBe(7)
+    expect(evaluate("(1 + 2) * 3", {})).toBe(9)
+    expect(evaluate("-2 * -3 + 10 % 4", {})).toBe(8)
+    expect(evaluate("1.5e2 + .5", {})).toBe(150.5)
+  })
+
+  test("reads document paths and parameters", () => {
+    expect(evaluate("price.msrp / specifications.range.epa", vehicle)).toBe(150)
+    expect(evaluate("specifications.battery.capacity_kwh * $rate", vehicle, { rate: 0.2 })).toBe(15)
+  })
+
+  test("calls whitelisted functions", () => {
+    expect(evaluate("round(price.msrp / 7, 2)", vehicle)).toBe(6428.57)
+    expect(evaluate("max(specifications.range.epa, specifications.range.real_world)", vehicle)).toBe(300)
+    expect(evaluate("sum(1, 2, 3) + abs(-4) + floor(1.9) + ceil(1.1)", {})).toBe(13)
+  })
+
+  test("turns missing values and division by zero into null", () => {
+    expect(evaluate("specifications.charging.dc_max_kw * 2", vehicle)).toBeNull()
+    expect(evaluate("missing.path + 1", vehicle)).toBeNull()
+    expect(evaluate("$unset * 2", vehicle)).toBeNull()
+    expect(evaluate("price.msrp / 0", vehicle)).toBeNull()
+    expect(evaluate("min(1, missing)", vehicle)).toBeNull()
+  })
+
+  test("lets coalesce see past null values", () => {
+    expect(evaluate("coalesce(specifications.charging.dc_max_kw, 50)", vehicle)).toBe(50)
+    expect(evaluate("coalesce(missing)", vehicle)).toBeNull()
+  })
+
+  test("throws a SpecExpressionError for invalid expressions", () => {
+    expect(() => evaluate("1 +", {})).toThrow(SpecExpressionError)
+  })
+})
+
+describe("validate", () => {
+  test("accepts valid expressions", () => {
+    expect(validate("price.msrp / specifications.range.epa")).toBeNull()
+  })
+
+  test("rejects unknown functions and code", () => {
+    expect(validate("eval(1)")).toBe("Unknown function 'eval' at position 0")
+    expect(validate("constructor.constructor(1)")).toMatch(/Unknown function/)
+    expect(validate("price.msrp; process.exit()")).toBe("Unexpected character ';' at position 10")
+  })
+
+  test("rejects malformed expressions", () => {
+    expect(validate("")).toBe("Expression must be a non-empty string")
+    expect(validate("(1 + 2")).toBe("Expected ')' at position 6")
+    expect(validate("round(1, 2, 3)")).toBe("Wrong number of arguments for 'round' at position 0")
+    expect(validate("1 2")).toBe("Unexpected token '2' at position 2")
+  })
+
+  test("limits length and nesting", () => {
+    expect(validate("1+".repeat(300) + "1")).toMatch(/cannot exceed/)
+    expect(validate("(".repeat(40) + "1" + ")".repeat(40))).toBe("Expression is nested too deeply")
+  })
+})
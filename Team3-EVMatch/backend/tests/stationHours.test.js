@@ -0,0 +1,77 @@
+const { isOpenAt, nextOpenAt, getOpeningStatus, guessTimezone, stationTimezone } = require("../utils/stationHours")
+
+// Denver; 2024-03-04 is a Monday and DST starts there on 2024-03-10
+const station = (hours) => ({
+  location: { coordinates: { type: "Point", coordinates: [-104.99, 39.74] } },
+  hours,
+})
+
+const weekly = {
+  monday: { open: "08:00", close: "20:00" },
+  friday: { open: "22:00", close: "02:00" },
+}
+
+describe("isOpenAt", () => {
+  test("uses the station's local time", () => {
+    expect(isOpenAt(station(weekly), new Date("2024-03-04T16:00:00Z"))).toBe(true)
+    expect(isOpenAt(station(weekly), new Date("2024-03-04T14:00:00Z"))).toBe(false)
+    expect(isOpenAt(station(weekly), new Date("2024-03-05T03:00:00Z"))).toBe(false)
+  })
+
+  test("keeps overnight hours open past midnight", () => {
+    expect(isOpenAt(station(weekly), new Date("2024-03-09T06:00:00Z"))).toBe(true)
+    expect(isOpenAt(station(weekly), new Date("2024-03-09T08:00:00Z"))).toBe(true)
+    expect(isOpenAt(station(weekly), new Date("2024-03-09T10:00:00Z"))).toBe(false)
+  })
+
+  test("applies date exceptions before the weekly hours", () => {
+    const hours = { ...weekly, exceptions: [{ date: "2024-03-04", closed: true }, { date: "2024-03-05", open: "10:00", close: "12:00" }] }
+
+    expect(isOpenAt(station(hours), new Date("2024-03-04T16:00:00Z"))).toBe(false)
+    expect(isOpenAt(station(hours), new Date("2024-03-05T17:30:00Z"))).toBe(true)
+  })
+
+  test("is always open around the clock and unknown without hours", () => {
+    expect(isOpenAt(station({ is_24_7: true }), new Date("2024-03-04T10:00:00Z"))).toBe(true)
+    expect(isOpenAt(station({}), new Date("2024-03-04T16:00:00Z"))).toBeNull()
+    expect(isOpenAt({}, new Date("2024-03-04T16:00:00Z"))).toBeNull()
+  })
+})
+
+describe("nextOpenAt", () => {
+  test("finds a later opening the same day", () => {
+    expect(nextOpenAt(station(weekly), new Date("2024-03-04T14:00:00Z"))).toEqual(new Date("2024-03-04T15:00:00Z"))
+  })
+
+  test("follows DST changes to a later week", () => {
+    expect(nextOpenAt(station(weekly), new Date("2024-03-09T10:00:00Z"))).toEqual(new Date("2024-03-11T14:00:00Z"))
+  })
+
+  test("is null when the station is open or has no hours", () => {
+    expect(nextOpenAt(station(weekly), new Date("2024-03-04T16:00:00Z"))).toBeNull()
+    expect(nextOpenAt(station({}), new Date("2024-03-04T16:00:00Z"))).toBeNull()
+  })
+})
+
+describe("timezones", () => {
+  test("prefers a valid hours.timezone over the coordinates", () => {
+    expect(stationTimezone(station({ timezone: "America/Chicago" }))).toBe("America/Chicago")
+    expect(stationTimezone(station({ timezone: "Mars/Olympus" }))).toBe("America/Denver")
+  })
+
+  test("guesses from regions, then from the longitude", () => {
+    expect(guessTimezone([-122.33, 47.61])).toBe("America/Los_Angeles")
+    expect(guessTimezone([-112.07, 33.45])).toBe("America/Phoenix")
+    expect(guessTimezone([2.35, 48.86])).toBe("UTC")
+    expect(guessTimezone([139.69, 35.69])).toBe("Etc/GMT-9")
+    expect(guessTimezone()).toBe("UTC")
+  })
+
+  test("getOpeningStatus reports the timezone it used", () => {
+    expect(getOpeningStatus(station(weekly), new Date("2024-03-04T14:00:00Z"))).toEqual({
+      isOpen: false,
+      nextOpenAt: new Date("2024-03-04T15:00:00Z"),
+      timezone: "America/Denver",
+    })
+  })
+})
@@ -0,0 +1,202 @@
+const ChargingStation = require("../models/ChargingStation")
+const stationEvents = require("../utils/stationEvents")
+const { importStations, parseCsv, parseDataset, detectFormat, StationImportError } = require("../utils/stationImport")
+
+describe("parseCsv", () => {
+  test("handles quoted fields, escaped quotes and embedded newlines", () => {
+    const rows = parseCsv('\uFEFFStation Name,EV-Network,Notes\r\n"Main St, Lot 2",Tesla,"Says ""hi""\nthere"\r\n\r\n')
+
+    expect(rows).toEqual([{ station_name: "Main St, Lot 2", ev_network: "Tesla", notes: 'Says "hi"\nthere' }])
+  })
+
+  test("returns no rows for an empty file", () => {
+    expect(parseCsv("\n\n")).toEqual([])
+  })
+
+  test("rejects an unterminated quote", () => {
+    expect(() => parseCsv('name\n"Open')).toThrow(StationImportError)
+  })
+})
+
+describe("parseDataset", () => {
+  test("maps AFDC-style CSV rows onto stations", () => {
+    const csv = [
+      "ID,Station Name,Street Address,City,State,ZIP,Latitude,Longitude,EV Network,EV Connector Types,EV Level2 EVSE Num,EV DC Fast Count,Access Days Time",
+      "101,Union Station,1701 Wynkoop St,Denver,CO,80202,39.7527,-105.0001,Electrify America,J1772 J1772COMBO CHADEMO,2,4,24 hours daily",
+    ].join("\n")
+    const [station] = parseDataset("csv", Buffer.from(csv))
+
+    expect(station).toMatchObject({
+      externalId: "101",
+      source: "csv",
+      name: "Union Station",
+      network: "Electrify America",
+      location: {
+        address: { street: "1701 Wynkoop St", city: "Denver", state: "CO", zipCode: "80202" },
+        coordinates: { type: "Point", coordinates: [-105.0001, 39.7527] },
+      },
+      hours: { is_24_7: true, timezone: "America/Denver" },
+    })
+    expect(station.connectors).toEqual([
+      { type: "J1772", power_kw: 7.2, count: 2 },
+      { type: "CCS", power_kw: 50, count: 4 },
+      { type: "CHAdeMO", power_kw: 50, count: 4 },
+    ])
+  })
+
+  test("reads an explicit connectors column", () => {
+    const [station] = parseDataset("csv", "name,network,connectors\nDepot,Some Local Network,ccs:150:4;J1772:7.2:2")
+
+    expect(station.network).toBe("Other")
+    expect(station.connectors).toEqual([
+      { type: "CCS", power_kw: 150, count: 4 },
+      { type: "J1772", power_kw: 7.2, count: 2 },
+    ])
+  })
+
+  test("groups OCPI EVSEs into connectors by type", () => {
+    const location = {
+      id: "LOC-1",
+      name: "Harbor Garage",
+      address: "1 Harbor Way",
+      city: "Seattle",
+      postal_code: "98101",
+      country: "USA",
+      coordinates: { latitude: "47.6062", longitude: "-122.3321" },
+      operator: { name: "EVgo" },
+      time_zone: "America/Los_Angeles",
+      opening_times: {
+        twentyfourseven: false,
+        regular_hours: [
+          { weekday: 1, period_begin: "08:00", period_end: "12:00" },
+          { weekday: 1, period_begin: "13:00", period_end: "20:00" },
+        ],
+        exceptional_closings: [{ period_begin: "2024-12-25T00:00:00Z", period_end: "2024-12-26T00:00:00Z" }],
+      },
+      evses: [
+        { status: "AVAILABLE", connectors: [{ standard: "IEC_62196_T1_COMBO", max_electric_power: 150000 }, { standard: "CHADEMO", max_voltage: 500, max_amperage: 125 }] },
+        { status: "CHARGING", connectors: [{ standard: "IEC_62196_T1_COMBO", max_electric_power: 350000 }] },
+        { status: "REMOVED", connectors: [{ standard: "IEC_62196_T1", max_electric_power: 7200 }] },
+      ],
+    }
+    const [station] = parseDataset("ocpi", JSON.stringify({ data: [location] }))
+
+    expect(station.network).toBe("EVgo")
+    expect(station.connectors).toEqual([
+      { type: "CCS", power_kw: 350, count: 2, available: 1, status: "operational" },
+      { type: "CHAdeMO", power_kw: 62.5, count: 1, available: 1, status: "operational" },
+    ])
+    expect(station.hours).toEqual({
+      is_24_7: false,
+      timezone: "America/Los_Angeles",
+      monday: { open: "08:00", close: "20:00" },
+      exceptions: [{ date: "2024-12-25", closed: true }],
+    })
+  })
+
+  test("marks a connector type offline when all its EVSEs are out of service", () => {
+    const [station] = parseDataset("ocpi", [
+      { id: "LOC-2", coordinates: { latitude: 40, longitude: -100 }, evses: [{ status: "OUTOFORDER", connectors: [{ standard: "CHADEMO" }] }] },
+    ])
+
+    expect(station.connectors).toEqual([{ type: "CHAdeMO", power_kw: undefined, count: 1, available: 0, status: "offline" }])
+  })
+
+  test("rejects payloads it cannot read", () => {
+    expect(() => parseDataset("ocpi", "{not json")).toThrow("OCPI payload is not valid JSON")
+    expect(() => parseDataset("ocpi", { locations: [] })).toThrow(StationImportError)
+    expect(() => parseDataset("xml", "")).toThrow("Unsupported import format: xml")
+  })
+})
+
+describe("detectFormat", () => {
+  test("uses the explicit format, then the file name, then the MIME type", () => {
+    expect(detectFormat({ format: "CSV", fileName: "stations.json" })).toBe("csv")
+    expect(detectFormat({ fileName: "locations.json" })).toBe("ocpi")
+    expect(detectFormat({ mimeType: "text/csv" })).toBe("csv")
+    expect(detectFormat({ fileName: "stations.txt" })).toBeNull()
+  })
+})
+
+describe("importStations", () => {
+  const csv = [
+    "id,name,network,street,city,state,zip,latitude,longitude,connectors",
+    "A1,Depot,EVgo,1 Main St,Denver,CO,80202,39.74,-104.99,CCS:150:2",
+    "A2,Annex,EVgo,2 Main St,Denver,CO,80202,39.75,-104.98,CCS:150:2",
+  ].join("\n")
+
+  const existing = {
+    _id: "64b000000000000000000001",
+    externalId: "A1",
+    name: "Depot",
+    network: "EVgo",
+    isActive: false,
+    location: { coordinates: { type: "Point", coordinates: [-104.99, 39.74] } },
+    connectors: [{ type: "CCS", power_kw: 150, count: 2, available: 0, status: "operational" }],
+    hours: { monday: { open: "06:00", close: "22:00" }, timezone: "America/Denver", editedAt: new Date("2024-01-01") },
+  }
+  const afterImport = { ...existing, connectors: [{ type: "CCS", power_kw: 150, count: 2, available: 2, status: "operational" }] }
+
+  const findReturning = (...results) => {
+    const find = jest.spyOn(ChargingStation, "find")
+    results.forEach((result) => find.mockReturnValueOnce({ lean: () => Promise.resolve(result) }))
+    return find
+  }
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("keeps retired stations retired and operator-edited hours in place", async () => {
+    findReturning([existing], [afterImport])
+    const bulkWrite = jest.spyOn(ChargingStation, "bulkWrite").mockResolvedValue({})
+
+    const report = await importStations("csv", csv.split("\n").slice(0, 2).join("\n"))
+    const [[operations]] = bulkWrite.mock.calls
+    const { update } = operations[0].updateOne
+
+    expect(report).toMatchObject({ created: 0, updated: 1, failed: 0 })
+    expect(update.$set).not.toHaveProperty("isActive")
+    expect(update.$set).not.toHaveProperty("hours")
+    expect(update).not.toHaveProperty("$unset")
+    expect(update.$setOnInsert).toEqual({ isActive: true })
+  })
+
+  test("publishes and reports availability changes on existing stations", async () => {
+    findReturning([existing], [afterImport])
+    jest.spyOn(ChargingStation, "bulkWrite").mockResolvedValue({})
+    const published = []
+    const unsubscribe = stationEvents.subscribe({ minLng: -106, minLat: 39, maxLng: -104, maxLat: 40 }, (snapshot) => published.push(snapshot))
+    const onUpdated = jest.fn()
+
+    try {
+      await importStations("csv", csv, { onUpdated })
+    } finally {
+      unsubscribe()
+    }
+
+    expect(published).toHaveLength(1)
+    expect(published[0]).toMatchObject({ stationId: existing._id, connectors: [{ type: "CCS", available: 2 }] })
+    expect(onUpdated).toHaveBeenCalledWith(afterImport, existing)
+  })
+
+  test("reports rows that failed to save instead of failing the import", async () => {
+    findReturning([], [])
+    jest.spyOn(ChargingStation, "bulkWrite").mockRejectedValue(
+      Object.assign(new Error("bulk write failed"), { writeErrors: [{ index: 1, errmsg: "E11000 duplicate key" }] }),
+    )
+
+    const report = await importStations("csv", csv)
+
+    expect(report).toMatchObject({ created: 1, updated: 0, failed: 1, invalid: 0 })
+    expect(report.errors).toEqual([{ row: 3, externalId: "A2", name: "Annex", errors: ["E11000 duplicate key"] }])
+  })
+
+  test("writes nothing on a dry run", async () => {
+    findReturning([existing])
+    const bulkWrite = jest.spyOn(ChargingStation, "bulkWrite")
+
+    expect(await importStations("csv", csv, { dryRun: true })).toMatchObject({ created: 1, updated: 1, failed: 0 })
+    expect(bulkWrite).not.toHaveBeenCalled()
+  })
+})
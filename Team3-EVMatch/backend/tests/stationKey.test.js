@@ -0,0 +1,30 @@
+process.env.STATION_KEY_RATE_LIMIT = "2"
+
+const express = require("express")
+const { stationKeyLimiter } = require("../middleware/stationKey")
+
+describe("stationKeyLimiter", () => {
+  let server
+  let baseUrl
+
+  beforeAll((done) => {
+    const app = express()
+    app.use("/api/charging/:id/ocpp", stationKeyLimiter, (req, res) => res.json({ success: true }))
+    server = app.listen(0, "127.0.0.1", () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/api/charging`
+      done()
+    })
+  })
+
+  afterAll((done) => {
+    server.close(done)
+  })
+
+  const push = (stationId, key) =>
+    fetch(`${baseUrl}/${stationId}/ocpp/status-notification`, { method: "POST", headers: { "X-Station-Key": key } }).then((res) => res.status)
+
+  test("limits each station key on its own, not the shared IP", async () => {
+    expect([await push("station-a", "key-a"), await push("station-a", "key-a"), await push("station-a", "key-a")]).toEqual([200, 200, 429])
+    expect(await push("station-b", "key-b")).toBe(200)
+  })
+})
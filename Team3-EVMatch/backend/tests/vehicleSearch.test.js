@@ -0,0 +1,81 @@
+const Vehicle = require("../models/Vehicle")
+const { correctQuery, editDistance, tokenize, buildSearchMatch, searchVehicles } = require("../utils/vehicleSearch")
+
+const vocabulary = new Set(["tesla", "model", "y", "3", "hyundai", "ioniq", "5", "chevrolet", "bolt", "euv", "rivian", "r1t"])
+
+describe("editDistance", () => {
+  test("counts insertions, deletions, substitutions and swaps as one edit each", () => {
+    expect(editDistance("tesla", "tesla")).toBe(0)
+    expect(editDistance("tesl", "tesla")).toBe(1)
+    expect(editDistance("teslaa", "tesla")).toBe(1)
+    expect(editDistance("tezla", "tesla")).toBe(1)
+    expect(editDistance("tesal", "tesla")).toBe(1)
+    expect(editDistance("", "bolt")).toBe(4)
+  })
+})
+
+describe("tokenize", () => {
+  test("lowercases and splits on anything but letters and digits", () => {
+    expect(tokenize("Ioniq 5, Hyundai-SEL")).toEqual(["ioniq", "5", "hyundai", "sel"])
+    expect(tokenize("  ")).toEqual([])
+  })
+})
+
+describe("correctQuery", () => {
+  test("replaces unknown words with the closest known one", () => {
+    expect(correctQuery("Tesal Modle Y", vocabulary)).toBe("tesla model y")
+  })
+
+  test("allows two edits from the configured word length", () => {
+    expect(correctQuery("hyundia ionik", vocabulary)).toBe("hyundai ioniq")
+    expect(correctQuery("chevorlet", vocabulary)).toBe("chevrolet")
+    expect(correctQuery("bllx", vocabulary)).toBeNull()
+  })
+
+  test("leaves short words alone", () => {
+    expect(correctQuery("ev", vocabulary)).toBeNull()
+    expect(correctQuery("r1x bolt", vocabulary)).toBe("r1t bolt")
+  })
+
+  test("returns null when every word is known or has no close match", () => {
+    expect(correctQuery("Chevrolet Bolt EUV", vocabulary)).toBeNull()
+    expect(correctQuery("lucid air", vocabulary)).toBeNull()
+  })
+})
+
+describe("buildSearchMatch", () => {
+  test("combines the text query with every filter", () => {
+    expect(buildSearchMatch({ q: " tesla ", bodyType: "SUV,Sedan", minPrice: "30000", maxRange: "" })).toEqual({
+      isActive: true,
+      $text: { $search: "tesla" },
+      $and: [{ bodyType: { $in: ["SUV", "Sedan"] } }, { "price.msrp": { $gte: 30000 } }],
+    })
+  })
+
+  test("matches makes case-insensitively", () => {
+    const match = buildSearchMatch({ make: "tesla" })
+
+    expect(match.$and[0].make.$in[0].test("Tesla")).toBe(true)
+    expect(match.$and[0].make.$in[0].test("Teslas")).toBe(false)
+  })
+})
+
+describe("searchVehicles facets", () => {
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("leave vehicles without a price or range out of the buckets", async () => {
+    const aggregate = jest.spyOn(Vehicle, "aggregate").mockResolvedValue([
+      { results: [], total: [], price: [{ _id: 100000, count: 2 }], range: [], make: [], bodyType: [], chemistry: [], chargePort: [], drivetrain: [] },
+    ])
+    jest.spyOn(Vehicle, "find").mockReturnValue({ select: () => Promise.resolve([]) })
+
+    const { facets } = await searchVehicles({ bodyType: "SUV", minPrice: "50000" }, { sort: { _id: 1 } })
+    const { price, range } = aggregate.mock.calls[0][0][1].$facet
+
+    expect(price[0].$match).toEqual({ $and: [{ bodyType: { $in: ["SUV"] } }], "price.msrp": { $gte: 0 } })
+    expect(range[0].$match["specifications.range.epa"]).toEqual({ $gte: 0 })
+    expect(facets.price[facets.price.length - 1]).toEqual({ min: 100000, max: null, count: 2 })
+  })
+})
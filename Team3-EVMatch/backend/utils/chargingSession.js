@@ -0,0 +1,99 @@
+const { resolveConnector, isDcConnector } = require("./connectorCompatibility")
+
+// Configuration object - can be loaded from environment or config service
+const sessionConfig = {
+  // DC charging curve: full power up to startSoc, then falling linearly
+  // to endPowerRatio of it at 100%
+  taper: {
+    startSoc: parseInt(process.env.CHARGE_TAPER_START_SOC) || 80,
+    endPowerRatio: parseFloat(process.env.CHARGE_TAPER_END_RATIO) || 0.2
+  },
+  // Share of the energy drawn from the charger that ends up in the battery;
+  // stations bill for what they deliver
+  chargingEfficiency: {
+    dc: parseFloat(process.env.DC_CHARGING_EFFICIENCY) || 0.92,
+    ac: parseFloat(process.env.AC_CHARGING_EFFICIENCY) || 0.88
+  },
+  // The charging curve is integrated in steps of this many percent
+  socStep: 0.5
+}
+
+const round = (value, digits = 2) => {
+  const factor = Math.pow(10, digits)
+  return Math.round(value * factor) / factor
+}
+
+// Power the car can actually draw from a connector, including adapter limits
+function effectivePowerKw(vehicle, connector) {
+  const resolved = resolveConnector(vehicle, connector)
+  if (resolved) return resolved.maxPowerKw
+
+  const charging = vehicle.specifications.charging
+  const vehicleMax = isDcConnector(connector) ? charging.dc_max_kw : charging.ac_max_kw
+  return Math.min(connector.power_kw, vehicleMax || connector.power_kw)
+}
+
+// Charging power at a given state of charge; AC charging is too slow to taper noticeably
+function powerAtSoc(peakKw, soc, isDc) {
+  const { startSoc, endPowerRatio } = sessionConfig.taper
+  if (!isDc || soc <= startSoc) return peakKw
+  const progress = Math.min(1, (soc - startSoc) / (100 - startSoc))
+  return peakKw * (1 - (1 - endPowerRatio) * progress)
+}
+
+// Minutes to charge between two states of charge following the charging curve
+function chargeMinutes(capacityKwh, peakKw, fromSoc, toSoc, isDc) {
+  let minutes = 0
+  for (let soc = fromSoc; soc < toSoc; soc += sessionConfig.socStep) {
+    const step = Math.min(sessionConfig.socStep, toSoc - soc)
+    minutes += (((step / 100) * capacityKwh) / powerAtSoc(peakKw, soc + step / 2, isDc)) * 60
+  }
+  return minutes
+}
+
+// session_fee and idle_fee default to 0, so only a real price counts
+function isPriced(pricing) {
+  return typeof pricing.per_kwh === "number" || typeof pricing.per_minute === "number" || pricing.session_fee > 0
+}
+
+// Energy, time and cost to charge from one state of charge (0-100) to another.
+// idleMinutes is time left plugged in after charging ends, billed at idle_fee per minute.
+function estimateSession({ vehicle, connector, pricing = {}, fromSoc, toSoc, idleMinutes = 0 }) {
+  const capacityKwh = vehicle.specifications.battery.capacity_kwh
+  const resolved = resolveConnector(vehicle, connector)
+  const isDc = resolved ? resolved.chargingType === "DC" : isDcConnector(connector)
+  const powerKw = effectivePowerKw(vehicle, connector)
+  const energyKwh = Math.max(0, ((toSoc - fromSoc) / 100) * capacityKwh)
+  const deliveredKwh = energyKwh / sessionConfig.chargingEfficiency[isDc ? "dc" : "ac"]
+  const minutes = powerKw > 0 && energyKwh > 0 ? chargeMinutes(capacityKwh, powerKw, fromSoc, toSoc, isDc) : 0
+
+  const breakdown = {
+    energy: round((pricing.per_kwh || 0) * deliveredKwh),
+    time: round((pricing.per_minute || 0) * minutes),
+    session: energyKwh > 0 ? round(pricing.session_fee || 0) : 0,
+    idle: round((pricing.idle_fee || 0) * idleMinutes),
+  }
+  const priced = isPriced(pricing)
+
+  return {
+    fromSoc: round(fromSoc, 1),
+    toSoc: round(toSoc, 1),
+    chargingType: isDc ? "DC" : "AC",
+    adapter: resolved?.adapter || null,
+    powerKw: round(powerKw, 1),
+    averagePowerKw: minutes > 0 ? round(energyKwh / (minutes / 60), 1) : 0,
+    energyKwh: round(energyKwh),
+    deliveredKwh: round(deliveredKwh),
+    minutes: Math.ceil(minutes),
+    idleMinutes,
+    // Stations without published pricing get no estimate rather than a misleading zero
+    cost: priced ? round(breakdown.energy + breakdown.time + breakdown.session + breakdown.idle) : null,
+    breakdown: priced ? breakdown : null,
+    membershipRequired: Boolean(pricing.membership_required),
+  }
+}
+
+module.exports = {
+  estimateSession,
+  effectivePowerKw
+}
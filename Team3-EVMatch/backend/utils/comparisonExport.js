@@ -0,0 +1,351 @@
+// Configuration object - can be loaded from environment or config service
+const exportConfig = {
+  formats: ["csv", "pdf", "html"],
+  contentTypes: {
+    csv: "text/csv; charset=utf-8",
+    pdf: "application/pdf",
+    html: "text/html; charset=utf-8"
+  },
+  brandName: process.env.EXPORT_BRAND_NAME || "EVMatch",
+  pdf: {
+    // US Letter, landscape, in points
+    pageWidth: 792,
+    pageHeight: 612,
+    margin: 36,
+    labelColumnWidth: 170,
+    fontSize: parseInt(process.env.EXPORT_PDF_FONT_SIZE) || 8,
+    lineHeight: 14
+  }
+}
+
+// Flatten a generated comparison into the header, category and score rows every format renders
+function buildExportTable(comparison) {
+  const vehicleNames = comparison.vehicles.map((vehicle) => vehicle.name)
+
+  const categories = comparison.categories.map((category) => ({
+    name: category.name,
+    rows: category.specs.map((spec) => {
+      const winners = spec.values
+        .map((value, index) => (value.winner ? vehicleNames[index] : null))
+        .filter(Boolean)
+
+      return {
+        label: spec.name,
+        values: spec.values.map((value) => ({ text: String(value.formatted), winner: value.winner })),
+        // A winner shared by every vehicle is not worth calling out
+        best: winners.length > 0 && winners.length < vehicleNames.length ? winners : [],
+      }
+    }),
+  }))
+
+  const scorecard = comparison.scorecard
+  const overall = scorecard
+    ? vehicleNames.map((name, index) => {
+      const entry = scorecard.overall.find((score) => String(score.vehicleId) === String(comparison.vehicles[index].id))
+      return entry ? { text: `${entry.score}/100 (#${entry.rank})`, winner: entry.rank === 1 } : { text: "N/A", winner: false }
+    })
+    : null
+
+  return {
+    vehicleNames,
+    categories,
+    overall,
+    summary: scorecard?.summary || null,
+  }
+}
+
+// CSV (RFC 4180). Cells that spreadsheets would run as formulas are prefixed with a quote.
+function escapeCsv(value) {
+  let text = value === null || value === undefined ? "" : String(value)
+  if (/^[=+\-@\t\r]/.test(text) && !/^-?\d/.test(text)) {
+    text = `'${text}`
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+function toCsv(comparison, { title } = {}) {
+  const table = buildExportTable(comparison)
+  const lines = []
+  const addRow = (cells) => lines.push(cells.map(escapeCsv).join(","))
+
+  if (title) addRow([title])
+  addRow(["Category", "Specification", ...table.vehicleNames, "Best"])
+
+  table.categories.forEach((category) => {
+    category.rows.forEach((row) => {
+      addRow([category.name, row.label, ...row.values.map((value) => value.text), row.best.join("; ")])
+    })
+  })
+
+  if (table.overall) {
+    addRow(["Scorecard", "Overall Score", ...table.overall.map((value) => value.text), ""])
+  }
+  if (table.summary) {
+    addRow(["Scorecard", "Verdict", table.summary])
+  }
+
+  // Leading BOM so Excel opens the file as UTF-8
+  return `\uFEFF${lines.join("\r\n")}\r\n`
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+}
+
+// Standalone printable page; all styling is inline so it prints the same offline
+function toHtml(comparison, { title, notes, generatedAt = new Date() } = {}) {
+  const table = buildExportTable(comparison)
+  const heading = title || table.vehicleNames.join(" vs ")
+  const cell = (value) => `<td${value.winner ? ' class="winner"' : ""}>${escapeHtml(value.text)}</td>`
+
+  const body = table.categories
+    .map((category) => `
+      <tr class="category"><th colspan="${table.vehicleNames.length + 1}">${escapeHtml(category.name)}</th></tr>
+      ${category.rows.map((row) => `<tr><th scope="row">${escapeHtml(row.label)}</th>${row.values.map(cell).join("")}</tr>`).join("\n      ")}`)
+    .join("")
+
+  const overall = table.overall
+    ? `
+      <tr class="category"><th colspan="${table.vehicleNames.length + 1}">Scorecard</th></tr>
+      <tr><th scope="row">Overall Score</th>${table.overall.map(cell).join("")}</tr>`
+    : ""
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(heading)} - ${escapeHtml(exportConfig.brandName)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #1f2937; margin: 2rem; }
+    h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+    .meta, .notes { color: #6b7280; margin: 0.25rem 0 1rem; }
+    .verdict { border-left: 4px solid #10b981; padding: 0.5rem 1rem; margin-bottom: 1.5rem; background: #f0fdf4; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+    th, td { border: 1px solid #d1d5db; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+    thead th { background: #059669; color: white; }
+    tr.category th { background: #f3f4f6; font-size: 0.9rem; }
+    td.winner { font-weight: 700; color: #047857; }
+    td.winner::after { content: " \\2605"; }
+    @media print {
+      body { margin: 0; }
+      thead { display: table-header-group; }
+      tr { page-break-inside: avoid; }
+    }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(heading)}</h1>
+  <p class="meta">${escapeHtml(exportConfig.brandName)} comparison generated ${escapeHtml(generatedAt.toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" }))}. &#9733; marks the best value.</p>
+  ${notes ? `<p class="notes">${escapeHtml(notes)}</p>` : ""}
+  ${table.summary ? `<div class="verdict">${escapeHtml(table.summary)}</div>` : ""}
+  <table>
+    <thead>
+      <tr><th>Specification</th>${table.vehicleNames.map((name) => `<th>${escapeHtml(name)}</th>`).join("")}</tr>
+    </thead>
+    <tbody>${body}${overall}
+    </tbody>
+  </table>
+</body>
+</html>
+`
+}
+
+// PDF strings use the standard Helvetica fonts (WinAnsi), so anything outside Latin-1 is replaced
+function pdfText(value) {
+  return String(value)
+    .replace(/[^\x20-\xFF]/g, "?")
+    .replace(/\\/g, "\\\\")
+    .replace(/\(/g, "\\(")
+    .replace(/\)/g, "\\)")
+}
+
+// Helvetica averages about half an em per character; good enough to fit text into columns
+function fitText(text, width, fontSize) {
+  const maxChars = Math.max(1, Math.floor(width / (fontSize * 0.52)))
+  return text.length > maxChars ? `${text.slice(0, Math.max(1, maxChars - 3))}...` : text
+}
+
+function wrapText(text, width, fontSize) {
+  const maxChars = Math.max(1, Math.floor(width / (fontSize * 0.52)))
+  const lines = []
+  let line = ""
+
+  text.split(/\s+/).forEach((word) => {
+    if (line && `${line} ${word}`.length > maxChars) {
+      lines.push(line)
+      line = word
+    } else {
+      line = line ? `${line} ${word}` : word
+    }
+  })
+  if (line) lines.push(line)
+
+  return lines
+}
+
+// Minimal PDF 1.4 writer: one content stream per page, built-in fonts, no images
+function toPdf(comparison, { title, notes, generatedAt = new Date() } = {}) {
+  const table = buildExportTable(comparison)
+  const { pageWidth, pageHeight, margin, labelColumnWidth, fontSize, lineHeight } = exportConfig.pdf
+  const heading = title || table.vehicleNames.join(" vs ")
+  const columnWidth = (pageWidth - margin * 2 - labelColumnWidth) / Math.max(1, table.vehicleNames.length)
+
+  const pages = []
+  let commands = []
+  let y = pageHeight - margin
+
+  const text = (x, textY, value, { bold = false, size = fontSize } = {}) => {
+    commands.push(`BT /${bold ? "F2" : "F1"} ${size} Tf ${x.toFixed(2)} ${textY.toFixed(2)} Td (${pdfText(value)}) Tj ET`)
+  }
+  const rule = (ruleY, gray = 0.8) => {
+    commands.push(`${gray} G 0.5 w ${margin} ${ruleY.toFixed(2)} m ${pageWidth - margin} ${ruleY.toFixed(2)} l S`)
+  }
+  const columnX = (index) => margin + labelColumnWidth + index * columnWidth
+
+  const drawColumnHeader = () => {
+    text(margin, y, "Specification", { bold: true })
+    table.vehicleNames.forEach((name, index) => {
+      text(columnX(index), y, fitText(name, columnWidth - 4, fontSize), { bold: true })
+    })
+    rule(y - 4, 0)
+    y -= lineHeight + 2
+  }
+
+  const newPage = () => {
+    pages.push(commands)
+    commands = []
+    y = pageHeight - margin
+    drawColumnHeader()
+  }
+
+  const ensureSpace = (lines = 1) => {
+    if (y - lineHeight * lines < margin) newPage()
+  }
+
+  const drawRow = (label, values) => {
+    ensureSpace()
+    text(margin + 8, y, fitText(label, labelColumnWidth - 12, fontSize))
+    values.forEach((value, index) => {
+      const cellText = value.winner ? `${value.text} *` : value.text
+      text(columnX(index), y, fitText(cellText, columnWidth - 4, fontSize), { bold: value.winner })
+    })
+    rule(y - 4)
+    y -= lineHeight
+  }
+
+  // Title block
+  text(margin, y, fitText(heading, pageWidth - margin * 2, 16), { bold: true, size: 16 })
+  y -= 20
+  text(margin, y, `${exportConfig.brandName} comparison generated ${generatedAt.toISOString().slice(0, 10)}. * marks the best value.`)
+  y -= lineHeight
+
+  if (notes) {
+    wrapText(notes, pageWidth - margin * 2, fontSize).forEach((line) => {
+      ensureSpace()
+      text(margin, y, line)
+      y -= lineHeight
+    })
+  }
+  if (table.summary) {
+    wrapText(table.summary, pageWidth - margin * 2, fontSize).forEach((line) => {
+      ensureSpace()
+      text(margin, y, line, { bold: true })
+      y -= lineHeight
+    })
+  }
+  y -= 6
+
+  drawColumnHeader()
+
+  table.categories.forEach((category) => {
+    ensureSpace(2)
+    text(margin, y, category.name, { bold: true, size: fontSize + 1 })
+    y -= lineHeight
+    category.rows.forEach((row) => drawRow(row.label, row.values))
+  })
+
+  if (table.overall) {
+    ensureSpace(2)
+    text(margin, y, "Scorecard", { bold: true, size: fontSize + 1 })
+    y -= lineHeight
+    drawRow("Overall Score", table.overall)
+  }
+
+  pages.push(commands)
+
+  return serializePdf(pages, pageWidth, pageHeight)
+}
+
+function serializePdf(pages, pageWidth, pageHeight) {
+  // Object numbers: 1 catalog, 2 page tree, 3-4 fonts, then a page/content pair per page
+  const objects = []
+  const pageIds = pages.map((_, index) => 5 + index * 2)
+
+  objects[1] = "<< /Type /Catalog /Pages 2 0 R >>"
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`
+  objects[3] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>"
+  objects[4] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>"
+
+  pages.forEach((commands, index) => {
+    const pageId = pageIds[index]
+    const stream = commands.join("\n")
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, "latin1")} >>\nstream\n${stream}\nendstream`
+  })
+
+  const chunks = ["%PDF-1.4\n%\xE2\xE3\xCF\xD3\n"]
+  const offsets = []
+  let length = Buffer.byteLength(chunks[0], "latin1")
+
+  for (let id = 1; id < objects.length; id++) {
+    const chunk = `${id} 0 obj\n${objects[id]}\nendobj\n`
+    offsets[id] = length
+    chunks.push(chunk)
+    length += Buffer.byteLength(chunk, "latin1")
+  }
+
+  const xref = [
+    "xref",
+    `0 ${objects.length}`,
+    "0000000000 65535 f ",
+    ...offsets.slice(1).map((offset) => `${String(offset).padStart(10, "0")} 00000 n `),
+    "trailer",
+    `<< /Size ${objects.length} /Root 1 0 R >>`,
+    "startxref",
+    String(length),
+    "%%EOF",
+  ].join("\n")
+  chunks.push(`${xref}\n`)
+
+  return Buffer.from(chunks.join(""), "latin1")
+}
+
+const renderers = { csv: toCsv, html: toHtml, pdf: toPdf }
+
+// Render a generated comparison in one of the supported formats
+function renderComparison(format, comparison, options = {}) {
+  const renderer = renderers[format]
+  if (!renderer) {
+    throw new Error(`Unsupported export format: ${format}`)
+  }
+
+  return {
+    body: renderer(comparison, options),
+    contentType: exportConfig.contentTypes[format],
+    extension: format,
+  }
+}
+
+module.exports = {
+  renderComparison,
+  toCsv,
+  toHtml,
+  toPdf,
+  getFormats: () => [...exportConfig.formats]
+}
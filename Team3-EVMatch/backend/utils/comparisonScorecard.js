@@ -0,0 +1,213 @@
+// Configuration object - can be loaded from environment or config service
+const scorecardConfig = {
+  dimensions: process.env.COMPARISON_DIMENSIONS?.split(',') ||
+    ["price", "range", "charging", "performance", "practicality", "technology", "ratings"],
+  baseWeights: process.env.COMPARISON_BASE_WEIGHTS ? JSON.parse(process.env.COMPARISON_BASE_WEIGHTS) : {
+    price: 1,
+    range: 1,
+    charging: 1,
+    performance: 0.75,
+    practicality: 0.75,
+    technology: 0.75,
+    ratings: 1
+  },
+  importance: {
+    neutral: parseInt(process.env.COMPARISON_NEUTRAL_IMPORTANCE) || 5,
+    max: parseInt(process.env.RANGE_IMPORTANCE_MAX) || 10
+  },
+  overBudgetPriceBoost: parseFloat(process.env.COMPARISON_OVER_BUDGET_BOOST) || 1.5,
+  closeCallMargin: parseInt(process.env.COMPARISON_CLOSE_CALL_MARGIN) || 3
+}
+
+const round = (value) => Math.round(value * 10) / 10
+
+const isImportance = (value) => Number.isFinite(value) && value > 0
+
+// Dimension weights derived from the caller's saved preferences
+function resolveWeights(preferences, vehicles) {
+  const weights = { ...scorecardConfig.baseWeights }
+  const reasons = []
+
+  if (!preferences) {
+    return { weights, reasons, personalized: false }
+  }
+
+  const { neutral } = scorecardConfig.importance
+  const { rangeImportance, techImportance, budget } = preferences
+
+  if (isImportance(rangeImportance)) {
+    weights.range = scorecardConfig.baseWeights.range * (rangeImportance / neutral)
+    if (rangeImportance > neutral) {
+      reasons.push(`range counts more because you rated it ${rangeImportance}/${scorecardConfig.importance.max}`)
+    }
+  }
+
+  if (isImportance(techImportance)) {
+    weights.technology = scorecardConfig.baseWeights.technology * (techImportance / neutral)
+    if (techImportance > neutral) {
+      reasons.push(`technology counts more because you rated it ${techImportance}/${scorecardConfig.importance.max}`)
+    }
+  }
+
+  // Charging speed matters to both range-focused and tech-focused drivers
+  if (isImportance(rangeImportance) || isImportance(techImportance)) {
+    const chargingImportance = ((rangeImportance || neutral) + (techImportance || neutral)) / 2
+    weights.charging = scorecardConfig.baseWeights.charging * (chargingImportance / neutral)
+  }
+
+  if (budget?.max && vehicles.some((vehicle) => vehicle.effectivePrice > budget.max)) {
+    weights.price = scorecardConfig.baseWeights.price * scorecardConfig.overBudgetPriceBoost
+    reasons.push(`price counts more because at least one car is over your $${budget.max.toLocaleString()} budget`)
+  }
+
+  return { weights, reasons, personalized: true }
+}
+
+// 0-1 score per vehicle for one spec; best value gets 1, worst gets 0
+function scoreSpecValues(values, compare) {
+  const numeric = values.map((entry) => (typeof entry.value === "number" && Number.isFinite(entry.value) ? entry.value : null))
+  const present = numeric.filter((value) => value !== null)
+
+  if (present.length === 0 || (compare !== "min" && compare !== "max")) {
+    return null
+  }
+
+  const best = compare === "min" ? Math.min(...present) : Math.max(...present)
+  const worst = compare === "min" ? Math.max(...present) : Math.min(...present)
+
+  return numeric.map((value) => {
+    if (value === null) return 0
+    if (best === worst) return 1
+    return Math.abs(value - worst) / Math.abs(best - worst)
+  })
+}
+
+// Build per-category and overall weighted scores for a generated comparison
+function buildScorecard(comparison, categories, { preferences, vehicles } = {}) {
+  const vehicleDocs = vehicles || comparison.vehicles.map((vehicle) => vehicle.data)
+  const { weights, reasons, personalized } = resolveWeights(preferences, vehicleDocs)
+  const vehicleCount = comparison.vehicles.length
+
+  const categoryScores = []
+
+  comparison.categories.forEach((category, categoryIndex) => {
+    const definition = categories[categoryIndex] || {}
+    const totals = new Array(vehicleCount).fill(0)
+    let specWeightTotal = 0
+
+    category.specs.forEach((spec, specIndex) => {
+      const specDefinition = definition.specs?.[specIndex] || {}
+      const scores = scoreSpecValues(spec.values, specDefinition.compare)
+      if (!scores) return
+
+      const specWeight = specDefinition.weight ?? 1
+      scores.forEach((score, vehicleIndex) => {
+        totals[vehicleIndex] += score * specWeight
+      })
+      specWeightTotal += specWeight
+    })
+
+    if (specWeightTotal === 0) return
+
+    const dimension = definition.dimension
+    const weight = (definition.weight ?? 1) * (weights[dimension] ?? 1)
+    const scores = comparison.vehicles.map((vehicle, vehicleIndex) => ({
+      vehicleId: vehicle.id,
+      score: round((totals[vehicleIndex] / specWeightTotal) * 100),
+    }))
+    // Ties for the top score have no leader
+    const topScore = Math.max(...scores.map((entry) => entry.score))
+    const leaders = scores.filter((entry) => entry.score === topScore)
+
+    categoryScores.push({
+      name: category.name,
+      dimension: dimension || null,
+      weight: round(weight),
+      scores,
+      leader: leaders.length === 1 ? leaders[0].vehicleId : null,
+    })
+  })
+
+  const weightTotal = categoryScores.reduce((sum, category) => sum + category.weight, 0)
+
+  const overall = comparison.vehicles
+    .map((vehicle, vehicleIndex) => {
+      const weighted = categoryScores.reduce(
+        (sum, category) => sum + category.scores[vehicleIndex].score * category.weight,
+        0
+      )
+      return {
+        vehicleId: vehicle.id,
+        name: vehicle.name,
+        score: weightTotal > 0 ? round(weighted / weightTotal) : 0,
+      }
+    })
+    .sort((a, b) => b.score - a.score)
+    .map((entry, index) => ({ ...entry, rank: index + 1 }))
+
+  return {
+    personalized,
+    weights: Object.fromEntries(Object.entries(weights).map(([dimension, weight]) => [dimension, round(weight)])),
+    categories: categoryScores,
+    overall,
+    winner: overall[0]?.vehicleId || null,
+    summary: buildSummary(overall, categoryScores, comparison.vehicles, reasons, preferences, vehicleDocs),
+  }
+}
+
+// Plain-language "why this one wins" verdict
+function buildSummary(overall, categoryScores, vehicles, reasons, preferences, vehicleDocs) {
+  if (overall.length < 2) return null
+
+  const [winner, runnerUp] = overall
+  const nameOf = (vehicleId) => vehicles.find((vehicle) => String(vehicle.id) === String(vehicleId))?.name
+  const ledBy = (vehicleId) => categoryScores
+    .filter((category) => String(category.leader) === String(vehicleId))
+    .map((category) => category.name)
+
+  const sentences = []
+  const margin = winner.score - runnerUp.score
+  const winnerCategories = ledBy(winner.vehicleId)
+
+  if (margin < scorecardConfig.closeCallMargin) {
+    sentences.push(`It's a close call: the ${winner.name} edges out the ${runnerUp.name} ${winner.score} to ${runnerUp.score}.`)
+  } else {
+    sentences.push(`The ${winner.name} wins overall with ${winner.score}/100.`)
+  }
+
+  if (winnerCategories.length > 0) {
+    sentences.push(`It leads in ${joinList(winnerCategories)}.`)
+  }
+
+  const runnerUpCategories = ledBy(runnerUp.vehicleId)
+  if (runnerUpCategories.length > 0) {
+    sentences.push(`The ${runnerUp.name} (${runnerUp.score}/100) is stronger on ${joinList(runnerUpCategories)}.`)
+  }
+
+  if (preferences?.budget?.max) {
+    const overBudget = vehicleDocs
+      .filter((vehicle) => vehicle.effectivePrice > preferences.budget.max)
+      .map((vehicle) => nameOf(vehicle._id))
+      .filter(Boolean)
+    if (overBudget.length > 0) {
+      sentences.push(`${joinList(overBudget)} ${overBudget.length === 1 ? "is" : "are"} over your budget after incentives.`)
+    }
+  }
+
+  if (reasons.length > 0) {
+    sentences.push(`Weighted for you: ${joinList(reasons)}.`)
+  }
+
+  return sentences.join(" ")
+}
+
+function joinList(items) {
+  if (items.length <= 1) return items.join("")
+  return `${items.slice(0, -1).join(", ")} and ${items[items.length - 1]}`
+}
+
+module.exports = {
+  buildScorecard,
+  resolveWeights,
+  getDimensions: () => [...scorecardConfig.dimensions]
+}
@@ -0,0 +1,84 @@
+// Configuration object - can be loaded from environment or config service
+const compatibilityConfig = {
+  // Connectors that deliver DC; everything else charges through the on-board AC charger
+  dcConnectorTypes: process.env.DC_CONNECTOR_TYPES?.split(',') || ["CCS", "CHAdeMO", "Tesla"],
+  // Below this power a Tesla connector is a destination (AC) charger, not a Supercharger
+  minDcPowerKw: parseFloat(process.env.MIN_DC_POWER_KW) || 25,
+  // Vehicle charge port -> station connector type -> how the car plugs in.
+  // "native" plugs straight in; "adapter" needs the named adapter and may cap power (kW).
+  // acOnly connectors only ever deliver AC to that port.
+  matrix: {
+    CCS: {
+      CCS: { via: "native" },
+      J1772: { via: "native", acOnly: true },
+      Tesla: { via: "adapter", adapter: "NACS to CCS1", maxPowerKw: parseFloat(process.env.NACS_CCS_ADAPTER_MAX_KW) || 250 },
+    },
+    Tesla: {
+      Tesla: { via: "native" },
+      J1772: { via: "adapter", adapter: "J1772 to NACS", acOnly: true },
+      CCS: { via: "adapter", adapter: "CCS1 to NACS", maxPowerKw: parseFloat(process.env.CCS_NACS_ADAPTER_MAX_KW) || 250 },
+      CHAdeMO: { via: "adapter", adapter: "CHAdeMO to NACS", maxPowerKw: parseFloat(process.env.CHADEMO_ADAPTER_MAX_KW) || 50 },
+    },
+    CHAdeMO: {
+      CHAdeMO: { via: "native" },
+      // CHAdeMO cars carry a separate J1772 inlet for AC
+      J1772: { via: "native", acOnly: true },
+    },
+    Type2: {
+      Type2: { via: "native", acOnly: true },
+      // CCS2 inlets take Type 2 AC plugs and CCS DC plugs
+      CCS: { via: "native" },
+    },
+  }
+}
+
+function isDcConnector(connector) {
+  return compatibilityConfig.dcConnectorTypes.includes(connector.type) && connector.power_kw >= compatibilityConfig.minDcPowerKw
+}
+
+// Station connector types a charge port can use
+function compatibleConnectorTypes(chargePort, { allowAdapters = true } = {}) {
+  const entries = Object.entries(compatibilityConfig.matrix[chargePort] || {})
+  return entries.filter(([, rule]) => allowAdapters || rule.via === "native").map(([type]) => type)
+}
+
+// How a vehicle can use a station connector, or null when it cannot.
+// maxPowerKw is what the car will actually draw: the lowest of the connector
+// rating, the car's AC or DC limit, and any adapter limit.
+function resolveConnector(vehicle, connector, { allowAdapters = true } = {}) {
+  const charging = vehicle.specifications.charging
+  const rule = compatibilityConfig.matrix[charging.charge_port]?.[connector.type]
+  if (!rule || (rule.via === "adapter" && !allowAdapters)) return null
+
+  const isDc = !rule.acOnly && isDcConnector(connector)
+  const vehicleMax = isDc ? charging.dc_max_kw : charging.ac_max_kw
+  const limits = [connector.power_kw, vehicleMax, rule.maxPowerKw].filter((limit) => typeof limit === "number" && limit > 0)
+
+  return {
+    via: rule.via,
+    adapter: rule.adapter || null,
+    chargingType: isDc ? "DC" : "AC",
+    maxPowerKw: Math.min(...limits),
+  }
+}
+
+// The full matrix for clients, as a list of port/connector pairs
+function getMatrix() {
+  return Object.entries(compatibilityConfig.matrix).flatMap(([chargePort, connectors]) =>
+    Object.entries(connectors).map(([connectorType, rule]) => ({
+      chargePort,
+      connectorType,
+      via: rule.via,
+      adapter: rule.adapter || null,
+      acOnly: Boolean(rule.acOnly),
+      maxPowerKw: rule.maxPowerKw || null,
+    })),
+  )
+}
+
+module.exports = {
+  resolveConnector,
+  compatibleConnectorTypes,
+  isDcConnector,
+  getMatrix
+}
@@ -0,0 +1,136 @@
+const IncentiveRule = require("../models/IncentiveRule")
+
+// Configuration object - can be loaded from environment or config service
+const incentivesConfig = {
+  defaultAcquisitionType: process.env.DEFAULT_ACQUISITION_TYPE || "purchase",
+  // Vehicle.manufacturing flag checked by each sourcing requirement
+  sourcingRequirements: {
+    requiresNorthAmericanAssembly: { field: "northAmericanAssembly", reason: "Not assembled in North America" },
+    requiresCriticalMinerals: { field: "criticalMineralsCompliant", reason: "Battery does not meet the critical mineral requirement" },
+    requiresBatteryComponents: { field: "batteryComponentsCompliant", reason: "Battery does not meet the battery component requirement" },
+  }
+}
+
+// Who is asking: their location, household and how they plan to acquire the car.
+// Returns null when the user has no location, so the vehicle's flat amounts apply.
+function incentiveContext(user, at = new Date()) {
+  const location = user?.location
+  if (!location?.state && !location?.zipCode) return null
+
+  const household = user.preferences?.household || {}
+  return {
+    location: {
+      country: location.country,
+      state: location.state,
+      zipCode: location.zipCode,
+      utility: location.utility,
+    },
+    income: household.income,
+    filingStatus: household.filingStatus,
+    acquisitionType: user.preferences?.acquisitionType || incentivesConfig.defaultAcquisitionType,
+    at,
+  }
+}
+
+// Whether a vehicle qualifies for a rule and for how much. Conditions about the
+// household that the user has not told us are assumed met and listed as unverified;
+// vehicle sourcing data we do not have counts as not met.
+function evaluateRule(rule, vehicle, context) {
+  const eligibility = rule.eligibility || {}
+  const reasons = []
+  const unverified = []
+  const msrp = vehicle.price.msrp
+
+  const msrpCap = eligibility.msrpCapByBodyType?.get?.(vehicle.bodyType) ?? eligibility.msrpCap
+  if (msrpCap && msrp > msrpCap) {
+    reasons.push(`MSRP is above the $${msrpCap.toLocaleString("en-US")} cap`)
+  }
+
+  if (eligibility.acquisitionTypes?.length && !eligibility.acquisitionTypes.includes(context.acquisitionType)) {
+    reasons.push(`Only available when you ${eligibility.acquisitionTypes.join(" or ")}`)
+  }
+
+  const incomeLimit = context.filingStatus ? eligibility.incomeLimits?.[context.filingStatus] : null
+  const hasIncomeLimits = Object.values(eligibility.incomeLimits || {}).some((limit) => typeof limit === "number")
+  if (hasIncomeLimits) {
+    if (typeof context.income !== "number" || !context.filingStatus) {
+      unverified.push("Household income limit")
+    } else if (typeof incomeLimit === "number" && context.income > incomeLimit) {
+      reasons.push("Household income is above the limit")
+    }
+  }
+
+  Object.entries(incentivesConfig.sourcingRequirements).forEach(([requirement, { field, reason }]) => {
+    if (eligibility[requirement] && vehicle.manufacturing?.[field] !== true) {
+      reasons.push(reason)
+    }
+  })
+
+  let amount = rule.amount.type === "percent" ? (msrp * rule.amount.value) / 100 : rule.amount.value
+  if (typeof rule.amount.max === "number") {
+    amount = Math.min(amount, rule.amount.max)
+  }
+
+  return { eligible: reasons.length === 0, amount: Math.round(amount), reasons, unverified }
+}
+
+// Incentives a vehicle qualifies for under the given rules, totalled by level
+function summarizeIncentives(vehicle, rules, context) {
+  const summary = {
+    ...Object.fromEntries(IncentiveRule.getLevels().map((level) => [level, 0])),
+    total: 0,
+    source: "rules",
+    location: context.location,
+    acquisitionType: context.acquisitionType,
+    eligible: [],
+    ineligible: [],
+  }
+
+  rules.forEach((rule) => {
+    const { eligible, amount, reasons, unverified } = evaluateRule(rule, vehicle, context)
+    const entry = { id: rule._id, name: rule.name, level: rule.level, amount, url: rule.url }
+    if (eligible) {
+      summary[rule.level] += amount
+      summary.total += amount
+      summary.eligible.push({ ...entry, unverified })
+    } else {
+      summary.ineligible.push({ ...entry, reasons })
+    }
+  })
+
+  // Incentives never take the price below zero
+  summary.total = Math.min(summary.total, vehicle.price.msrp)
+  return summary
+}
+
+// Flat incentive total stored on a vehicle
+const flatIncentives = (vehicle) => {
+  const { federal = 0, state = 0, local = 0 } = vehicle.price.incentives || {}
+  return federal + state + local
+}
+
+// Work out incentives for each vehicle document for the requesting user, so
+// effectivePrice and anything scored from it reflect where they live.
+// Vehicles are left on their flat amounts when the user has no location.
+// Lean vehicles have no effectivePrice virtual, so it is set on them directly.
+async function applyIncentives(vehicles, user, at = new Date()) {
+  const context = incentiveContext(user, at)
+  const rules = context && vehicles.length ? await IncentiveRule.findForLocation(context.location, at) : null
+
+  vehicles.forEach((vehicle) => {
+    const incentives = rules && summarizeIncentives(vehicle, rules, context)
+    if (vehicle.$locals) {
+      if (incentives) vehicle.$locals.incentives = incentives
+    } else {
+      vehicle.effectivePrice = Math.max(0, vehicle.price.msrp - (incentives ? incentives.total : flatIncentives(vehicle)))
+    }
+  })
+  return vehicles
+}
+
+module.exports = {
+  applyIncentives,
+  incentiveContext,
+  evaluateRule,
+  summarizeIncentives
+}
@@ -0,0 +1,204 @@
+const crypto = require("crypto")
+
+// Configuration object - can be loaded from environment or config service
+const ocppConfig = {
+  // OCPP 1.6 ChargePointStatus values
+  statuses: ["Available", "Preparing", "Charging", "SuspendedEVSE", "SuspendedEV", "Finishing", "Reserved", "Unavailable", "Faulted"],
+  // Only these mean a driver can plug in right now
+  availableStatuses: ["Available"],
+  // Connector out of service; Faulted needs a repair, Unavailable was taken offline on purpose
+  faultedStatuses: ["Faulted"],
+  unavailableStatuses: ["Unavailable"],
+  // Status notifications this far in the future are rejected as clock errors (ms)
+  maxClockSkewMs: parseInt(process.env.OCPP_MAX_CLOCK_SKEW_MS) || 5 * 60 * 1000,
+  keys: {
+    prefix: process.env.STATION_KEY_PREFIX || "evs_",
+    bytes: parseInt(process.env.STATION_KEY_BYTES) || 32
+  }
+}
+
+// OCPP-J message type for a Call
+const OCPP_CALL = 2
+
+class OcppMessageError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "OcppMessageError"
+    this.status = 400
+  }
+}
+
+// New per-station ingestion key: the plaintext is shown once, only its hash is stored
+function generateStationKey() {
+  const key = `${ocppConfig.keys.prefix}${crypto.randomBytes(ocppConfig.keys.bytes).toString("base64url")}`
+  return { key, hash: hashStationKey(key), prefix: key.slice(0, ocppConfig.keys.prefix.length + 6) }
+}
+
+// Keys are long random strings, so a plain SHA-256 is enough
+function hashStationKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex")
+}
+
+function stationKeyMatches(key, hash) {
+  if (!key || !hash) return false
+  const given = Buffer.from(hashStationKey(key), "hex")
+  const expected = Buffer.from(hash, "hex")
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected)
+}
+
+// Accept a bare StatusNotification payload or an OCPP-J Call frame:
+// [2, "<uniqueId>", "StatusNotification", { ...payload }]
+function parseStatusNotification(message) {
+  let uniqueId = null
+  let payload = message
+
+  if (Array.isArray(message)) {
+    const [messageType, id, action, callPayload] = message
+    if (messageType !== OCPP_CALL || typeof id !== "string") {
+      throw new OcppMessageError("Expected an OCPP-J Call: [2, uniqueId, action, payload]")
+    }
+    if (action !== "StatusNotification") {
+      throw new OcppMessageError(`Unsupported OCPP action: ${action}`)
+    }
+    uniqueId = id
+    payload = callPayload
+  }
+
+  if (!payload || typeof payload !== "object") {
+    throw new OcppMessageError("StatusNotification payload is required")
+  }
+  if (!Number.isInteger(payload.connectorId) || payload.connectorId < 0) {
+    throw new OcppMessageError("connectorId must be a non-negative integer")
+  }
+  if (!ocppConfig.statuses.includes(payload.status)) {
+    throw new OcppMessageError(`status must be one of: ${ocppConfig.statuses.join(", ")}`)
+  }
+  if (typeof payload.errorCode !== "string" || payload.errorCode === "") {
+    throw new OcppMessageError("errorCode is required")
+  }
+
+  const timestamp = payload.timestamp ? new Date(payload.timestamp) : new Date()
+  if (Number.isNaN(timestamp.getTime())) {
+    throw new OcppMessageError("timestamp must be an ISO 8601 date and time")
+  }
+  if (timestamp.getTime() - Date.now() > ocppConfig.maxClockSkewMs) {
+    throw new OcppMessageError("timestamp is in the future")
+  }
+
+  return {
+    uniqueId,
+    notification: {
+      connectorId: payload.connectorId,
+      status: payload.status,
+      errorCode: payload.errorCode,
+      info: payload.info,
+      vendorErrorCode: payload.vendorErrorCode,
+      timestamp,
+    },
+  }
+}
+
+// OCPP connector IDs belonging to each station connector group. Groups can list
+// their ocppConnectorIds; otherwise IDs are numbered from 1 in connector order.
+function connectorIdMap(station) {
+  const map = new Map()
+  let nextId = 1
+  station.connectors.forEach((connector, index) => {
+    const ids = connector.ocppConnectorIds?.length
+      ? connector.ocppConnectorIds
+      : Array.from({ length: connector.count }, (_, i) => nextId + i)
+    ids.forEach((id) => map.set(id, index))
+    nextId = Math.max(nextId + connector.count, ...ids.map((id) => id + 1))
+  })
+  return map
+}
+
+// Availability and status of one connector group from the latest status of each
+// physical connector. Connectors that never reported are assumed available.
+function summarizeGroup(connector, statuses, chargePointStatus) {
+  const reported = statuses.map((entry) => entry.status)
+  const unreported = Math.max(0, connector.count - reported.length)
+  const outOfService = [...ocppConfig.faultedStatuses, ...ocppConfig.unavailableStatuses]
+
+  // Connector 0 speaks for the whole charge point
+  if (chargePointStatus && outOfService.includes(chargePointStatus)) {
+    return { available: 0, status: ocppConfig.faultedStatuses.includes(chargePointStatus) ? "maintenance" : "offline" }
+  }
+
+  const available = unreported + reported.filter((status) => ocppConfig.availableStatuses.includes(status)).length
+  const allOut = unreported === 0 && reported.length > 0 && reported.every((status) => outOfService.includes(status))
+  let status = "operational"
+  if (allOut) {
+    status = reported.some((status) => ocppConfig.faultedStatuses.includes(status)) ? "maintenance" : "offline"
+  }
+
+  return { available: Math.min(available, connector.count), status }
+}
+
+// Apply a StatusNotification to a station document (not saved). Notifications
+// older than what is already stored for the connector are ignored. Returns the
+// availability and status changes made, for the audit trail.
+function applyStatusNotification(station, notification) {
+  const idMap = connectorIdMap(station)
+  if (notification.connectorId !== 0 && !idMap.has(notification.connectorId)) {
+    throw new OcppMessageError(`Station has no connector with connectorId ${notification.connectorId}`)
+  }
+
+  const existing = station.ocppStatus.find((entry) => entry.connectorId === notification.connectorId)
+  if (existing && existing.timestamp > notification.timestamp) {
+    return { applied: false, connector: null, changes: [] }
+  }
+
+  // Connector 0 speaks for every group; any other ID only for the group it belongs to
+  const groups = notification.connectorId === 0 ? station.connectors.map((_, index) => index) : [idMap.get(notification.connectorId)]
+  const summarize = (index) =>
+    summarizeGroup(
+      station.connectors[index],
+      station.ocppStatus.filter((entry) => entry.connectorId !== 0 && idMap.get(entry.connectorId) === index),
+      station.ocppStatus.find((entry) => entry.connectorId === 0)?.status,
+    )
+  const previous = new Map(groups.map((index) => [index, summarize(index)]))
+
+  if (existing) {
+    existing.set(notification)
+  } else {
+    station.ocppStatus.push(notification)
+  }
+
+  const changes = []
+  groups.forEach((index) => {
+    const connector = station.connectors[index]
+    const { available, status: reportedStatus } = summarize(index)
+    // Maintenance set by an operator or by check-in reports stays until someone
+    // clears it; chargers only lift the maintenance their own faults caused
+    const flagged = connector.status === "maintenance" && previous.get(index).status !== "maintenance"
+    const status = flagged ? connector.status : reportedStatus
+
+    if (connector.available !== available) {
+      changes.push({ field: `connectors.${connector.type}.available`, from: connector.available, to: available })
+    }
+    if (connector.status !== status) {
+      changes.push({ field: `connectors.${connector.type}.status`, from: connector.status, to: status })
+    }
+    connector.available = available
+    connector.status = status
+  })
+
+  if (!station.lastStatusUpdate || notification.timestamp > station.lastStatusUpdate) {
+    station.lastStatusUpdate = notification.timestamp
+  }
+
+  // Connector 0 is the whole charge point rather than one connector group
+  const connector = notification.connectorId === 0 ? null : station.connectors[idMap.get(notification.connectorId)]
+  return { applied: true, connector, changes }
+}
+
+module.exports = {
+  parseStatusNotification,
+  applyStatusNotification,
+  generateStationKey,
+  hashStationKey,
+  stationKeyMatches,
+  OcppMessageError,
+  getStatuses: () => [...ocppConfig.statuses]
+}
@@ -0,0 +1,206 @@
+// Configuration object - can be loaded from environment or config service
+const ownershipConfig = {
+  horizons: process.env.TCO_HORIZON_YEARS?.split(',').map(Number) || [3, 5, 10],
+  defaults: {
+    annualMiles: parseInt(process.env.TCO_ANNUAL_MILES) || 12000,
+    // $/kWh
+    electricityRate: parseFloat(process.env.TCO_ELECTRICITY_RATE) || 0.16,
+    publicChargingRate: parseFloat(process.env.TCO_PUBLIC_CHARGING_RATE) || 0.45,
+    // Percent of charging done at home
+    homeChargingShare: parseFloat(process.env.TCO_HOME_CHARGING_SHARE) || 80,
+    insurancePerYear: parseFloat(process.env.TCO_EV_INSURANCE_PER_YEAR) || 1900,
+    maintenancePerMile: parseFloat(process.env.TCO_EV_MAINTENANCE_PER_MILE) || 0.06,
+    // $/gallon
+    gasPrice: parseFloat(process.env.TCO_GAS_PRICE) || 3.5
+  },
+  // Home charging share implied by the charging type saved with the user's preferences
+  homeShareByChargingType: {
+    "Level 1": 90,
+    "Level 2": 90,
+    "DC Fast": 30,
+    Any: 80,
+  },
+  // Share of the remaining value lost in each year of ownership; years past
+  // the end of the list keep losing the last rate
+  depreciation: {
+    ev: process.env.TCO_EV_DEPRECIATION?.split(',').map(Number) || [0.22, 0.14, 0.12, 0.1, 0.09],
+    gas: process.env.TCO_GAS_DEPRECIATION?.split(',').map(Number) || [0.18, 0.12, 0.1, 0.09, 0.08]
+  },
+  referenceCar: {
+    name: process.env.TCO_REFERENCE_CAR_NAME || "Average new gas sedan",
+    msrp: parseFloat(process.env.TCO_REFERENCE_CAR_MSRP) || 30000,
+    mpg: parseFloat(process.env.TCO_REFERENCE_CAR_MPG) || 30,
+    insurancePerYear: parseFloat(process.env.TCO_REFERENCE_CAR_INSURANCE_PER_YEAR) || 1700,
+    maintenancePerMile: parseFloat(process.env.TCO_REFERENCE_CAR_MAINTENANCE_PER_MILE) || 0.1
+  }
+}
+
+const round = (value) => Math.round(value * 100) / 100
+
+// Value left after the given number of years
+function residualValue(price, rates, years) {
+  let value = price
+  for (let year = 0; year < years; year++) {
+    value *= 1 - (rates[year] ?? rates[rates.length - 1])
+  }
+  return value
+}
+
+// Assumptions for an estimate: explicit values win, then the user's saved
+// preferences, then configured defaults. sources records where each came from.
+function resolveAssumptions(overrides = {}, preferences = null) {
+  const saved = preferences?.ownership || {}
+  const assumptions = {}
+  const sources = {}
+
+  Object.keys(ownershipConfig.defaults).forEach((name) => {
+    if (overrides[name] !== undefined && overrides[name] !== null) {
+      assumptions[name] = Number(overrides[name])
+      sources[name] = "query"
+    } else if (typeof saved[name] === "number") {
+      assumptions[name] = saved[name]
+      sources[name] = "preferences"
+    } else {
+      assumptions[name] = ownershipConfig.defaults[name]
+      sources[name] = "default"
+    }
+  })
+
+  // Without a saved share, fall back on how the user said they plan to charge
+  const impliedShare = ownershipConfig.homeShareByChargingType[preferences?.chargingType]
+  if (sources.homeChargingShare === "default" && impliedShare !== undefined) {
+    assumptions.homeChargingShare = impliedShare
+    sources.homeChargingShare = "preferences"
+  }
+
+  return { ...assumptions, sources }
+}
+
+// Year-by-year costs for one car. Purchase and resale are counted in the
+// horizon totals; cumulative is cash out of pocket ignoring resale.
+function costSchedule({ purchasePrice, msrp, depreciation, yearlyCosts, years }) {
+  const schedule = []
+  let cumulative = purchasePrice
+  for (let year = 1; year <= years; year++) {
+    const running = yearlyCosts.energy + yearlyCosts.insurance + yearlyCosts.maintenance
+    cumulative += running
+    schedule.push({
+      year,
+      ...yearlyCosts,
+      value: residualValue(msrp, depreciation, year),
+      cumulative,
+    })
+  }
+  return schedule
+}
+
+function horizonTotals(schedule, { msrp, incentives, years, annualMiles }) {
+  const included = schedule.slice(0, years)
+  const sum = (field) => included.reduce((total, entry) => total + entry[field], 0)
+  const depreciation = msrp - included[included.length - 1].value
+  const energy = sum("energy")
+  const insurance = sum("insurance")
+  const maintenance = sum("maintenance")
+  const total = depreciation - incentives + energy + insurance + maintenance
+
+  return {
+    depreciation: round(depreciation),
+    incentives: round(-incentives),
+    energy: round(energy),
+    insurance: round(insurance),
+    maintenance: round(maintenance),
+    resaleValue: round(included[included.length - 1].value),
+    total: round(total),
+    perYear: round(total / years),
+    perMile: annualMiles > 0 ? round(total / (years * annualMiles)) : null,
+  }
+}
+
+// 3/5/10-year cost of owning the vehicle against the reference gas car
+function estimateOwnershipCost(vehicle, assumptions) {
+  const { annualMiles, electricityRate, publicChargingRate, homeChargingShare, insurancePerYear, maintenancePerMile, gasPrice } = assumptions
+  const reference = ownershipConfig.referenceCar
+  const horizons = [...ownershipConfig.horizons].sort((a, b) => a - b)
+  const longest = horizons[horizons.length - 1]
+
+  // Location-specific when incentives were applied for the user, flat amounts otherwise
+  const { federal, state, local, utility, total, source } = vehicle.applicableIncentives
+  const incentives = { federal, state, local, utility, source }
+  // Incentives never take the price below zero
+  const incentiveTotal = Math.min(vehicle.price.msrp, total)
+
+  const homeShare = homeChargingShare / 100
+  const blendedRate = homeShare * electricityRate + (1 - homeShare) * publicChargingRate
+  const kwhPerYear = (annualMiles * vehicle.specifications.efficiency.kwh_per_100mi) / 100
+  const gallonsPerYear = annualMiles / reference.mpg
+
+  const vehicleSchedule = costSchedule({
+    purchasePrice: vehicle.price.msrp - incentiveTotal,
+    msrp: vehicle.price.msrp,
+    depreciation: ownershipConfig.depreciation.ev,
+    yearlyCosts: {
+      energy: kwhPerYear * blendedRate,
+      insurance: insurancePerYear,
+      maintenance: annualMiles * maintenancePerMile,
+    },
+    years: longest,
+  })
+  const referenceSchedule = costSchedule({
+    purchasePrice: reference.msrp,
+    msrp: reference.msrp,
+    depreciation: ownershipConfig.depreciation.gas,
+    yearlyCosts: {
+      energy: gallonsPerYear * gasPrice,
+      insurance: reference.insurancePerYear,
+      maintenance: annualMiles * reference.maintenancePerMile,
+    },
+    years: longest,
+  })
+
+  // First year in which the EV has cost less cash overall, ignoring resale
+  const breakEven = vehicleSchedule.find((entry, index) => entry.cumulative <= referenceSchedule[index].cumulative)
+
+  return {
+    vehicle: {
+      msrp: vehicle.price.msrp,
+      incentives: { ...incentives, total: incentiveTotal },
+      purchasePrice: vehicle.price.msrp - incentiveTotal,
+      kwhPer100mi: vehicle.specifications.efficiency.kwh_per_100mi,
+      kwhPerYear: round(kwhPerYear),
+      energyCostPerYear: round(kwhPerYear * blendedRate),
+    },
+    referenceCar: {
+      ...reference,
+      gallonsPerYear: round(gallonsPerYear),
+      fuelCostPerYear: round(gallonsPerYear * gasPrice),
+    },
+    assumptions: { ...assumptions, blendedElectricityRate: round(blendedRate) },
+    horizons: horizons.map((years) => {
+      const vehicleTotals = horizonTotals(vehicleSchedule, {
+        msrp: vehicle.price.msrp,
+        incentives: incentiveTotal,
+        years,
+        annualMiles,
+      })
+      const referenceTotals = horizonTotals(referenceSchedule, {
+        msrp: reference.msrp,
+        incentives: 0,
+        years,
+        annualMiles,
+      })
+      return {
+        years,
+        vehicle: vehicleTotals,
+        referenceCar: referenceTotals,
+        savings: round(referenceTotals.total - vehicleTotals.total),
+      }
+    }),
+    breakEvenYear: breakEven ? breakEven.year : null,
+  }
+}
+
+module.exports = {
+  estimateOwnershipCost,
+  resolveAssumptions,
+  getDefaults: () => ({ ...ownershipConfig.defaults, horizons: [...ownershipConfig.horizons] })
+}
@@ -0,0 +1,155 @@
+const matchScoring = require("./matchScoring")
+
+const operators = ["in", "notIn", "gte", "lte"]
+
+// Empty answers (a skipped optional question) count as not answered
+const hasAnswer = (answer) =>
+  answer !== undefined && answer !== null && answer !== "" && !(Array.isArray(answer) && !answer.length)
+
+// Whether a question was reached, answered or skipped
+const wasAsked = (answers, question) => Object.prototype.hasOwnProperty.call(answers, question.id)
+
+// A condition on a question without an answer only holds for notIn
+function conditionMet(condition, answers) {
+  const answer = answers[condition.questionId]
+  if (!hasAnswer(answer)) return condition.operator === "notIn"
+
+  const given = (Array.isArray(answer) ? answer : [answer]).map(String)
+  switch (condition.operator) {
+    case "notIn":
+      return !given.some((value) => condition.values.includes(value))
+    case "gte":
+      return Number(answer) >= condition.value
+    case "lte":
+      return Number(answer) <= condition.value
+    default:
+      return given.some((value) => condition.values.includes(value))
+  }
+}
+
+// The questions shown for these answers, in quiz order. Conditions only refer
+// to earlier questions and are checked against the answers to shown ones, so
+// changing an answer also hides the questions that depended on those it hid.
+function shownQuestions(questions, answers = {}) {
+  const considered = {}
+
+  return questions.filter((question) => {
+    const shown = (question.showIf || []).every((condition) => conditionMet(condition, considered))
+    if (shown && wasAsked(answers, question)) {
+      considered[question.id] = answers[question.id]
+    }
+    return shown
+  })
+}
+
+// Only the answers to shown questions
+function shownAnswers(questions, answers = {}) {
+  return Object.fromEntries(
+    shownQuestions(questions, answers)
+      .filter((question) => wasAsked(answers, question))
+      .map((question) => [question.id, answers[question.id]]),
+  )
+}
+
+const topVehicleIds = (vehicles, answers, questions, count) =>
+  matchScoring
+    .rankVehicles(vehicles, matchScoring.preferencesFromAnswers(answers, questions), { limit: count })
+    .map(({ vehicle }) => String(vehicle._id ?? vehicle.id))
+
+// The asked questions in the order they were answered. Questions missing
+// from answerOrder keep their quiz order after the listed ones.
+function inAnswerOrder(asked, answerOrder = []) {
+  const position = (question) => {
+    const index = answerOrder.indexOf(question.id)
+    return index === -1 ? answerOrder.length : index
+  }
+  return asked
+    .map((question, index) => ({ question, index }))
+    .sort((a, b) => position(a.question) - position(b.question) || a.index - b.index)
+    .map(({ question }) => question)
+}
+
+// The shown questions for these answers, split into asked (in answer order)
+// and remaining (in quiz order)
+function quizState(quiz, answers, answerOrder) {
+  const shown = shownQuestions(quiz.questions, answers)
+  return {
+    asked: inAnswerOrder(shown.filter((question) => wasAsked(answers, question)), answerOrder),
+    remaining: shown.filter((question) => !wasAsked(answers, question)),
+  }
+}
+
+const checksEarlyExit = (earlyExit, asked, remaining) =>
+  Boolean(earlyExit?.enabled && remaining.length && asked.length >= earlyExit.minAnswers)
+
+// The earliest answers nextStep ranks vehicles for when checking early exit,
+// or null when it will not check. Vehicles matching these are all it needs.
+function earlyExitAnswers(quiz, answers = {}, { answerOrder } = {}) {
+  const { asked, remaining } = quizState(quiz, answers, answerOrder)
+  if (!checksEarlyExit(quiz.earlyExit, asked, remaining)) return null
+
+  const shown = shownAnswers(quiz.questions, answers)
+  return Object.fromEntries(
+    asked
+      .slice(0, Math.max(0, asked.length - quiz.earlyExit.stableAnswers))
+      .map((question) => [question.id, shown[question.id]]),
+  )
+}
+
+// How many of the latest answers left the top recommendations as they are
+function rankingStability(asked, answers, questions, vehicles, { stableAnswers, topCount }) {
+  const rankAfter = (count) =>
+    topVehicleIds(
+      vehicles,
+      Object.fromEntries(asked.slice(0, count).map((question) => [question.id, answers[question.id]])),
+      questions,
+      topCount,
+    )
+
+  const current = rankAfter(asked.length)
+  let unchangedFor = 0
+  while (unchangedFor < stableAnswers && unchangedFor < asked.length) {
+    const before = rankAfter(asked.length - unchangedFor - 1)
+    if (before.join() !== current.join()) break
+    unchangedFor += 1
+  }
+
+  return { topVehicleIds: current, unchangedFor }
+}
+
+// Where a quiz stands for the answers so far: the next question to ask, or
+// that it is done because every shown question was asked or, with early exit
+// on, the top recommendations stopped changing. vehicles are only needed for
+// early exit, and answerOrder lists question IDs in the order they were answered.
+function nextStep(quiz, answers = {}, vehicles = [], { answerOrder } = {}) {
+  const { asked, remaining } = quizState(quiz, answers, answerOrder)
+  const step = {
+    done: false,
+    reason: null,
+    question: remaining[0] || null,
+    progress: { answered: asked.length, remaining: remaining.length },
+  }
+
+  const earlyExit = quiz.earlyExit
+  if (checksEarlyExit(earlyExit, asked, remaining)) {
+    const stability = rankingStability(asked, shownAnswers(quiz.questions, answers), quiz.questions, vehicles, earlyExit)
+    step.stability = stability
+    if (stability.topVehicleIds.length && stability.unchangedFor >= earlyExit.stableAnswers) {
+      return { ...step, done: true, reason: "stable", question: null }
+    }
+  }
+
+  if (!remaining.length) {
+    return { ...step, done: true, reason: "complete" }
+  }
+  return step
+}
+
+module.exports = {
+  getOperators: () => [...operators],
+  hasAnswer,
+  shownQuestions,
+  shownAnswers,
+  earlyExitAnswers,
+  nextStep
+}
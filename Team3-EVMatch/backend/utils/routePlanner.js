@@ -0,0 +1,343 @@
+const ChargingStation = require("../models/ChargingStation")
+const { estimateSession, effectivePowerKw } = require("./chargingSession")
+const { compatibleConnectorTypes, isDcConnector } = require("./connectorCompatibility")
+const { isOpenAt } = require("./stationHours")
+
+// Configuration object - can be loaded from environment or config service
+const routeConfig = {
+  // How far off the route a charging stop may be
+  corridorKm: parseFloat(process.env.ROUTE_CORRIDOR_KM) || 10,
+  // Never plan to arrive anywhere below this state of charge (%)
+  reserveSoc: parseInt(process.env.ROUTE_RESERVE_SOC) || 10,
+  // Charge to this state of charge (%) at intermediate stops; charging slows sharply above it
+  targetSoc: parseInt(process.env.ROUTE_TARGET_SOC) || 80,
+  maxStops: parseInt(process.env.ROUTE_MAX_STOPS) || 20,
+  // Used to estimate arrival times, so stops closed on arrival are skipped
+  averageSpeedKmh: parseFloat(process.env.ROUTE_AVERAGE_SPEED_KMH) || 90,
+  // Roads are longer than the straight line when no polyline is given
+  straightLineDetourFactor: parseFloat(process.env.ROUTE_DETOUR_FACTOR) || 1.2,
+  // Route points used to look up corridor stations; spacing grows on long routes
+  maxSamplePoints: parseInt(process.env.ROUTE_MAX_SAMPLE_POINTS) || 200,
+  maxCandidateStations: parseInt(process.env.ROUTE_MAX_CANDIDATES) || 2000
+}
+
+const EARTH_RADIUS_KM = 6371.0088
+const KM_PER_MILE = 1.609344
+
+class RoutePlanError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = "RoutePlanError"
+    this.status = status
+  }
+}
+
+const round = (value, digits = 1) => {
+  const factor = Math.pow(10, digits)
+  return Math.round(value * factor) / factor
+}
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180
+
+function haversineKm(a, b) {
+  const dLat = toRadians(b.lat - a.lat)
+  const dLng = toRadians(b.lng - a.lng)
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)))
+}
+
+// Google encoded polyline (precision 5) to [{ lat, lng }]
+function decodePolyline(encoded) {
+  const points = []
+  let index = 0
+  let lat = 0
+  let lng = 0
+
+  const nextValue = () => {
+    let result = 0
+    let shift = 0
+    let byte
+    do {
+      if (index >= encoded.length) {
+        throw new RoutePlanError("Polyline is not a valid encoded polyline")
+      }
+      byte = encoded.charCodeAt(index++) - 63
+      result |= (byte & 0x1f) << shift
+      shift += 5
+    } while (byte >= 0x20)
+    return result & 1 ? ~(result >> 1) : result >> 1
+  }
+
+  while (index < encoded.length) {
+    lat += nextValue()
+    lng += nextValue()
+    points.push({ lat: lat / 1e5, lng: lng / 1e5 })
+  }
+  return points
+}
+
+// Accepts an encoded polyline string or an array of [lat, lng] / { lat, lng } points
+function normalizePolyline(polyline) {
+  const points = typeof polyline === "string"
+    ? decodePolyline(polyline)
+    : polyline.map((point) => (Array.isArray(point) ? { lat: Number(point[0]), lng: Number(point[1]) } : { lat: Number(point.lat), lng: Number(point.lng) }))
+
+  const invalid = points.some((point) => !Number.isFinite(point.lat) || !Number.isFinite(point.lng) || Math.abs(point.lat) > 90 || Math.abs(point.lng) > 180)
+  if (invalid || points.length < 2) {
+    throw new RoutePlanError("Polyline must contain at least two valid points")
+  }
+  return points
+}
+
+// Route points with the cumulative distance (km) to each one
+function buildRoute({ origin, destination, polyline }) {
+  const source = polyline ? "polyline" : "straight_line"
+  const points = polyline ? normalizePolyline(polyline) : [origin, destination]
+  const scale = polyline ? 1 : routeConfig.straightLineDetourFactor
+
+  let distanceKm = 0
+  const route = points.map((point, i) => {
+    if (i > 0) distanceKm += haversineKm(points[i - 1], point) * scale
+    return { lat: point.lat, lng: point.lng, km: distanceKm }
+  })
+
+  if (distanceKm === 0) {
+    throw new RoutePlanError("Origin and destination must be different places")
+  }
+  return { source, points: route, distanceKm }
+}
+
+// Point at a given distance along the route
+function pointAlong(route, km) {
+  const points = route.points
+  for (let i = 1; i < points.length; i++) {
+    if (points[i].km >= km) {
+      const a = points[i - 1]
+      const b = points[i]
+      const t = b.km === a.km ? 0 : (km - a.km) / (b.km - a.km)
+      return { lat: a.lat + (b.lat - a.lat) * t, lng: a.lng + (b.lng - a.lng) * t }
+    }
+  }
+  return points[points.length - 1]
+}
+
+// Where a station sits relative to the route: how far along it and how far off it (km).
+// Segments are short enough that a local flat projection is accurate.
+function projectOntoRoute(route, point) {
+  let best = { alongKm: 0, offRouteKm: Number.POSITIVE_INFINITY }
+  const points = route.points
+
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1]
+    const b = points[i]
+    const cosLat = Math.cos(toRadians((a.lat + b.lat) / 2))
+    const bx = (b.lng - a.lng) * cosLat
+    const by = b.lat - a.lat
+    const px = (point.lng - a.lng) * cosLat
+    const py = point.lat - a.lat
+    const lengthSq = bx * bx + by * by
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, (px * bx + py * by) / lengthSq))
+    const closest = { lat: a.lat + (b.lat - a.lat) * t, lng: a.lng + (b.lng - a.lng) * t }
+    const offRouteKm = haversineKm(point, closest)
+
+    if (offRouteKm < best.offRouteKm) {
+      best = { alongKm: a.km + (b.km - a.km) * t, offRouteKm }
+    }
+  }
+  return best
+}
+
+// Fastest DC connector on the station this vehicle can use
+function pickConnector(vehicle, station) {
+  const types = compatibleConnectorTypes(vehicle.specifications.charging.charge_port)
+  return station.connectors
+    .filter((connector) => types.includes(connector.type) && connector.status === "operational" && isDcConnector(connector))
+    .sort((a, b) => effectivePowerKw(vehicle, b) - effectivePowerKw(vehicle, a) || b.available - a.available)[0]
+}
+
+// Active stations with a compatible fast charger within the corridor, ordered along the route
+async function findCorridorStations(route, vehicle, corridorKm) {
+  const types = compatibleConnectorTypes(vehicle.specifications.charging.charge_port)
+  if (types.length === 0) return []
+
+  // Overlapping circles along the route cover the corridor
+  const spacingKm = Math.max(corridorKm, route.distanceKm / routeConfig.maxSamplePoints)
+  const radiusKm = Math.sqrt(corridorKm ** 2 + (spacingKm / 2) ** 2)
+  const samples = []
+  for (let km = 0; km < route.distanceKm + spacingKm; km += spacingKm) {
+    samples.push(pointAlong(route, Math.min(km, route.distanceKm)))
+  }
+
+  const stations = await ChargingStation.find({
+    isActive: true,
+    connectors: { $elemMatch: { type: { $in: types }, status: "operational" } },
+    $or: samples.map((point) => ({
+      "location.coordinates": {
+        $geoWithin: { $centerSphere: [[point.lng, point.lat], radiusKm / EARTH_RADIUS_KM] },
+      },
+    })),
+  })
+    .select("-metadata -__v")
+    .limit(routeConfig.maxCandidateStations)
+    .lean()
+
+  return stations
+    .map((station) => {
+      const [lng, lat] = station.location.coordinates.coordinates
+      return { station, connector: pickConnector(vehicle, station), ...projectOntoRoute(route, { lat, lng }) }
+    })
+    .filter((candidate) => candidate.connector && candidate.offRouteKm <= corridorKm)
+    .sort((a, b) => a.alongKm - b.alongKm)
+}
+
+const toMiles = (km) => round(km / KM_PER_MILE)
+
+const driveMs = (km) => (km / routeConfig.averageSpeedKmh) * 60 * 60 * 1000
+
+function describeStop(candidate, arrivalSoc, session, arrivalAt) {
+  const { station, connector } = candidate
+  return {
+    station: {
+      _id: station._id,
+      name: station.name,
+      network: station.network,
+      address: station.location.address,
+      coordinates: station.location.coordinates.coordinates,
+    },
+    connector: { type: connector.type, power_kw: connector.power_kw, available: connector.available, count: connector.count },
+    distanceFromStart: { km: round(candidate.alongKm), miles: toMiles(candidate.alongKm) },
+    offRoute: { km: round(candidate.offRouteKm, 2), miles: toMiles(candidate.offRouteKm) },
+    arrivalSoc: round(arrivalSoc),
+    departureSoc: session.toSoc,
+    arrivalAt,
+    departureAt: new Date(arrivalAt.getTime() + session.minutes * 60 * 1000),
+    chargeMinutes: session.minutes,
+    energyKwh: session.energyKwh,
+    powerKw: session.powerKw,
+    cost: session.cost,
+    costBreakdown: session.breakdown,
+    membershipRequired: session.membershipRequired,
+  }
+}
+
+// Plan charging stops for a vehicle along a route. Greedy: from each point,
+// drive to the farthest compatible station reachable above the reserve and
+// charge only as much as the rest of the trip needs, up to the target SoC.
+// Stations known to be closed when the vehicle would get there are skipped.
+async function planRoute({ vehicle, origin, destination, polyline, startSoc, departAt = new Date(), reserveSoc = routeConfig.reserveSoc, targetSoc = routeConfig.targetSoc, corridorKm = routeConfig.corridorKm }) {
+  const { range, battery, charging } = vehicle.specifications
+  const rangeKm = (range.real_world || range.epa) * KM_PER_MILE
+  const kmPerSoc = rangeKm / 100
+
+  if (!battery.capacity_kwh || !rangeKm) {
+    throw new RoutePlanError("Vehicle is missing the range or battery data needed to plan a route", 422)
+  }
+  if (targetSoc <= reserveSoc) {
+    throw new RoutePlanError("Target state of charge must be above the reserve")
+  }
+
+  const route = buildRoute({ origin, destination, polyline })
+  const candidates = await findCorridorStations(route, vehicle, corridorKm)
+
+  const stops = []
+  let positionKm = 0
+  let soc = startSoc
+  let clock = departAt.getTime()
+  let shortfall = null
+  const visited = new Set()
+
+  while (stops.length <= routeConfig.maxStops) {
+    const remainingKm = route.distanceKm - positionKm
+    if (soc - remainingKm / kmPerSoc >= reserveSoc) break
+
+    if (stops.length === routeConfig.maxStops) {
+      shortfall = { atKm: positionKm, reason: "Trip needs more charging stops than the planner allows" }
+      break
+    }
+
+    const reachable = candidates.filter(
+      (candidate) =>
+        candidate.alongKm > positionKm &&
+        !visited.has(candidate.station._id.toString()) &&
+        soc - (candidate.alongKm - positionKm + candidate.offRouteKm) / kmPerSoc >= reserveSoc &&
+        isOpenAt(candidate.station, new Date(clock + driveMs(candidate.alongKm - positionKm + candidate.offRouteKm))) !== false,
+    )
+    if (reachable.length === 0) {
+      shortfall = { atKm: positionKm, reason: "No compatible charging station open on arrival is reachable from here" }
+      break
+    }
+
+    // Farthest station wins; among stations close together prefer the faster one
+    const farthestKm = reachable[reachable.length - 1].alongKm
+    const next = reachable
+      .filter((candidate) => candidate.alongKm >= farthestKm - corridorKm)
+      .sort((a, b) => effectivePowerKw(vehicle, b.connector) - effectivePowerKw(vehicle, a.connector) || b.alongKm - a.alongKm)[0]
+
+    const arrivalSoc = soc - (next.alongKm - positionKm + next.offRouteKm) / kmPerSoc
+    const neededSoc = reserveSoc + (route.distanceKm - next.alongKm + next.offRouteKm) / kmPerSoc
+    const departureSoc = Math.max(arrivalSoc, Math.min(targetSoc, Math.ceil(neededSoc)))
+    const session = estimateSession({
+      vehicle,
+      connector: next.connector,
+      pricing: next.station.pricing,
+      fromSoc: arrivalSoc,
+      toSoc: departureSoc,
+    })
+
+    const arrivalAt = new Date(clock + driveMs(next.alongKm - positionKm + next.offRouteKm))
+    stops.push(describeStop(next, arrivalSoc, session, arrivalAt))
+    visited.add(next.station._id.toString())
+    positionKm = next.alongKm
+    soc = departureSoc - next.offRouteKm / kmPerSoc
+    clock = arrivalAt.getTime() + (session.minutes + (next.offRouteKm / routeConfig.averageSpeedKmh) * 60) * 60 * 1000
+  }
+
+  const arrivalSoc = soc - (route.distanceKm - positionKm) / kmPerSoc
+  const pricedStops = stops.filter((stop) => stop.cost !== null)
+
+  return {
+    feasible: !shortfall,
+    ...(shortfall && {
+      shortfall: { reason: shortfall.reason, distanceFromStart: { km: round(shortfall.atKm), miles: toMiles(shortfall.atKm) } },
+    }),
+    vehicle: {
+      _id: vehicle._id,
+      make: vehicle.make,
+      model: vehicle.model,
+      year: vehicle.year,
+      rangeMiles: range.real_world || range.epa,
+      batteryKwh: battery.capacity_kwh,
+      dcMaxKw: charging.dc_max_kw,
+      chargePort: charging.charge_port,
+    },
+    route: {
+      source: route.source,
+      distance: { km: round(route.distanceKm), miles: toMiles(route.distanceKm) },
+      corridorKm,
+    },
+    startSoc,
+    departAt,
+    arrivalSoc: shortfall ? null : round(arrivalSoc),
+    arrivalAt: shortfall ? null : new Date(clock + driveMs(route.distanceKm - positionKm)),
+    stops,
+    totals: {
+      stops: stops.length,
+      chargeMinutes: stops.reduce((total, stop) => total + stop.chargeMinutes, 0),
+      energyKwh: round(stops.reduce((total, stop) => total + stop.energyKwh, 0), 2),
+      cost: pricedStops.length ? round(pricedStops.reduce((total, stop) => total + stop.cost, 0), 2) : null,
+      unpricedStops: stops.length - pricedStops.length,
+    },
+  }
+}
+
+module.exports = {
+  planRoute,
+  decodePolyline,
+  haversineKm,
+  RoutePlanError,
+  getDefaults: () => ({
+    corridorKm: routeConfig.corridorKm,
+    reserveSoc: routeConfig.reserveSoc,
+    targetSoc: routeConfig.targetSoc
+  })
+}
@@ -0,0 +1,127 @@
+const User = require("../models/User")
+const Vehicle = require("../models/Vehicle")
+const { buildSearchMatch, getFilterNames } = require("./vehicleSearch")
+const { sendEmail } = require("./sendEmail")
+
+// Configuration object - can be loaded from environment or config service
+const savedSearchConfig = {
+  enableAlerts: process.env.ENABLE_SAVED_SEARCH_ALERTS !== 'false',
+  frontendUrl: process.env.FRONTEND_URL || "http://localhost:3000",
+  // Which notify flag each vehicle event needs. Price drops are sent for one vehicle at a time.
+  events: {
+    newVehicle: {
+      flag: "newVehicles",
+      subject: ([vehicle, ...others]) =>
+        others.length ? `${others.length + 1} new matches for your saved searches` : `New match for your saved search: ${vehicleName(vehicle)}`,
+      message: (vehicles, names) =>
+        vehicles.length > 1
+          ? `These vehicles were just added and match your ${searchList(names)}: ${vehicles.map(vehicleName).join(", ")}.`
+          : `The ${vehicleName(vehicles[0])} was just added and matches your ${searchList(names)}.`,
+    },
+    priceDrop: {
+      flag: "priceDrops",
+      subject: ([vehicle]) => `Price drop: ${vehicleName(vehicle)}`,
+      message: ([vehicle], names, oldPrice) =>
+        `The ${vehicleName(vehicle)} dropped from ${dollars(oldPrice)} to ${dollars(vehicle.price.msrp)}. It matches your ${searchList(names)}.`,
+    },
+  }
+}
+
+const vehicleName = (vehicle) => `${vehicle.year} ${vehicle.make} ${vehicle.model}`
+const dollars = (value) => `$${value.toLocaleString("en-US")}`
+const searchList = (names) => `saved search${names.length > 1 ? "es" : ""} ${names.map((name) => `"${name}"`).join(", ")}`
+
+// The filters of a search request, without paging, sorting or empty values
+function pickSearchFilters(params = {}) {
+  return Object.fromEntries(
+    getFilterNames()
+      .filter((name) => params[name] !== undefined && params[name] !== null && params[name] !== "")
+      .map((name) => [name, String(params[name]).trim()]),
+  )
+}
+
+// Parameters for searchVehicles from a saved or recorded search
+const toSearchParams = (search) => ({ ...(search.filters || {}), ...(search.query && { q: search.query }) })
+
+// Record a search for a signed-in user. Only the first page is recorded so
+// paging through results does not fill the history.
+async function recordSearch(user, params) {
+  const query = params.q?.trim()
+  const filters = pickSearchFilters(params)
+  if (Number(params.page) > 1 || (!query && !Object.keys(filters).length)) return
+
+  try {
+    await user.addToSearchHistory(query, filters)
+  } catch (error) {
+    // History is a convenience; never fail the search over it
+    console.error("Record search history error:", error)
+  }
+}
+
+// Email users whose saved searches match vehicles that were just added, or a
+// vehicle whose price dropped. Takes one vehicle or a batch; each saved search
+// is checked against the whole batch in one query. One email per user, naming
+// every matching vehicle and search.
+async function notifySavedSearches(vehicles, event, { oldPrice } = {}) {
+  const eventConfig = savedSearchConfig.events[event]
+  const active = [].concat(vehicles).filter((vehicle) => vehicle.isActive)
+  if (!savedSearchConfig.enableAlerts || !eventConfig || !active.length) return
+
+  const vehicleIds = active.map((vehicle) => vehicle._id)
+  const notifyPath = `notify.${eventConfig.flag}`
+  const users = await User.find({
+    isActive: true,
+    savedSearches: { $elemMatch: { [notifyPath]: true } },
+  }).select("email firstName savedSearches")
+
+  for (const user of users) {
+    const matched = []
+    const matchedIds = new Set()
+    for (const search of user.savedSearches) {
+      if (!search.notify?.[eventConfig.flag]) continue
+      const ids = await Vehicle.distinct("_id", { ...buildSearchMatch(toSearchParams(search)), _id: { $in: vehicleIds } })
+      if (ids.length) {
+        matched.push(search)
+        ids.forEach((id) => matchedIds.add(String(id)))
+      }
+    }
+    if (!matched.length) continue
+
+    const names = matched.map((search) => search.name)
+    const matchedVehicles = active.filter((vehicle) => matchedIds.has(String(vehicle._id)))
+    const [first] = matchedVehicles
+    try {
+      await sendEmail({
+        to: user.email,
+        subject: eventConfig.subject(matchedVehicles),
+        template: "notification",
+        data: {
+          name: user.firstName,
+          title: eventConfig.subject(matchedVehicles),
+          message: eventConfig.message(matchedVehicles, names, oldPrice),
+          actionUrl:
+            matchedVehicles.length > 1
+              ? `${savedSearchConfig.frontendUrl}/browse.html`
+              : `${savedSearchConfig.frontendUrl}/browse.html?${new URLSearchParams({ q: `${first.make} ${first.model}` })}`,
+          actionText: matchedVehicles.length > 1 ? "View Vehicles" : "View Vehicle",
+        },
+      })
+
+      const ids = matched.map((search) => search._id)
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { "savedSearches.$[search].lastNotifiedAt": new Date() } },
+        { arrayFilters: [{ "search._id": { $in: ids } }] },
+      )
+    } catch (error) {
+      console.error(`Saved search alert failed for user ${user._id}:`, error)
+    }
+  }
+}
+
+module.exports = {
+  pickSearchFilters,
+  toSearchParams,
+  recordSearch,
+  notifySavedSearches
+}
@@ -0,0 +1,168 @@
+const Vehicle = require("../models/Vehicle")
+const { correctQuery, tokenize } = require("./vehicleSearch")
+
+// Configuration object - can be loaded from environment or config service
+const suggestionsConfig = {
+  // How long the in-memory index of suggestions is used before it is rebuilt
+  indexTtlMs: parseInt(process.env.SUGGEST_INDEX_TTL_MS) || 5 * 60 * 1000,
+  // Answers to recent queries, so each keystroke in the search box is cheap
+  cacheTtlMs: parseInt(process.env.SUGGEST_CACHE_TTL_MS) || 60 * 1000,
+  cacheSize: parseInt(process.env.SUGGEST_CACHE_SIZE) || 500,
+  // Score for each kind of suggestion before popularity is added
+  typeWeights: {
+    make: parseFloat(process.env.SUGGEST_MAKE_WEIGHT) || 4,
+    model: parseFloat(process.env.SUGGEST_MODEL_WEIGHT) || 3,
+    trim: parseFloat(process.env.SUGGEST_TRIM_WEIGHT) || 2,
+    feature: parseFloat(process.env.SUGGEST_FEATURE_WEIGHT) || 1
+  },
+  // One favorite counts as this many views
+  favoriteWeight: parseFloat(process.env.SUGGEST_FAVORITE_WEIGHT) || 5
+}
+
+let indexCache = { index: null, builtAt: 0, pending: null }
+const resultCache = new Map()
+
+// One entry per make, model, trim and feature across active vehicles, with the
+// views and favorites of every vehicle it appears on added up
+async function buildIndex() {
+  const vehicles = await Vehicle.find({ isActive: true })
+    .select("make model trim features.standard features.optional metadata.views metadata.favorites")
+    .lean()
+
+  const entries = new Map()
+  const add = (type, text, details, popularity) => {
+    const key = `${type}:${text.toLowerCase()}`
+    if (!entries.has(key)) {
+      entries.set(key, { type, text, ...details, words: tokenize(text), vehicleCount: 0, popularity: 0 })
+    }
+    const entry = entries.get(key)
+    entry.vehicleCount += 1
+    entry.popularity += popularity
+  }
+
+  vehicles.forEach((vehicle) => {
+    const { make, model, trim } = vehicle
+    const popularity = (vehicle.metadata?.views || 0) + (vehicle.metadata?.favorites || 0) * suggestionsConfig.favoriteWeight
+
+    add("make", make, { make }, popularity)
+    add("model", `${make} ${model}`, { make, model }, popularity)
+    if (trim) {
+      add("trim", `${make} ${model} ${trim}`, { make, model, trim }, popularity)
+    }
+
+    // A feature listed as both standard and optional still counts once per vehicle
+    const features = new Set([...(vehicle.features?.standard || []), ...(vehicle.features?.optional || [])])
+    features.forEach((feature) => add("feature", feature, {}, popularity))
+  })
+
+  const list = [...entries.values()]
+  return {
+    entries: list,
+    vocabulary: new Set(list.flatMap((entry) => entry.words)),
+  }
+}
+
+// The index is shared by all requests; concurrent requests after it expires
+// wait on the same rebuild
+async function getIndex() {
+  if (indexCache.index && Date.now() - indexCache.builtAt < suggestionsConfig.indexTtlMs) {
+    return indexCache.index
+  }
+
+  if (!indexCache.pending) {
+    indexCache.pending = buildIndex()
+      .then((index) => {
+        indexCache = { index, builtAt: Date.now(), pending: null }
+        // Cached answers came from the old index
+        resultCache.clear()
+        return index
+      })
+      .catch((error) => {
+        indexCache.pending = null
+        throw error
+      })
+  }
+  return indexCache.pending
+}
+
+// Every word typed before the last must be a whole word of the entry; the last
+// is still being typed so only has to start one. Entries whose text starts with
+// the query rank above those that only contain it.
+function matchEntries(entries, words, limit) {
+  const typed = words.slice(0, -1)
+  const partial = words[words.length - 1]
+  const phrase = words.join(" ")
+
+  return entries
+    .filter((entry) => typed.every((word) => entry.words.includes(word)) && entry.words.some((word) => word.startsWith(partial)))
+    .map((entry) => {
+      const startsWith = entry.words.join(" ").startsWith(phrase)
+      const score = suggestionsConfig.typeWeights[entry.type] * (startsWith ? 1 : 0.5) + Math.log10(1 + entry.popularity)
+      return { entry, score }
+    })
+    .sort((a, b) => b.score - a.score || a.entry.text.localeCompare(b.entry.text))
+    .slice(0, limit)
+    .map(({ entry, score }) => ({
+      type: entry.type,
+      text: entry.text,
+      ...(entry.make && { make: entry.make }),
+      ...(entry.model && { model: entry.model }),
+      ...(entry.trim && { trim: entry.trim }),
+      vehicleCount: entry.vehicleCount,
+      score: Math.round(score * 100) / 100,
+    }))
+}
+
+const getCached = (key) => {
+  const cached = resultCache.get(key)
+  if (!cached) return null
+  if (cached.expiresAt <= Date.now()) {
+    resultCache.delete(key)
+    return null
+  }
+  // Move to the back so the least recently used answer is evicted first
+  resultCache.delete(key)
+  resultCache.set(key, cached)
+  return cached.value
+}
+
+const setCached = (key, value) => {
+  if (resultCache.size >= suggestionsConfig.cacheSize) {
+    resultCache.delete(resultCache.keys().next().value)
+  }
+  resultCache.set(key, { value, expiresAt: Date.now() + suggestionsConfig.cacheTtlMs })
+}
+
+// Ranked completions for what has been typed so far. When nothing matches and
+// the query looks like a typo, suggestions for the corrected query are returned
+// along with it as didYouMean.
+async function suggest(query, { limit = 8 } = {}) {
+  const words = tokenize(query)
+  if (!words.length) {
+    return { suggestions: [], didYouMean: null }
+  }
+
+  const cacheKey = `${limit}:${words.join(" ")}`
+  const cached = getCached(cacheKey)
+  if (cached) return cached
+
+  const index = await getIndex()
+  let suggestions = matchEntries(index.entries, words, limit)
+  let didYouMean = null
+
+  if (!suggestions.length) {
+    const corrected = correctQuery(query, index.vocabulary)
+    if (corrected) {
+      suggestions = matchEntries(index.entries, tokenize(corrected), limit)
+      didYouMean = suggestions.length ? corrected : null
+    }
+  }
+
+  const result = { suggestions, didYouMean }
+  setCached(cacheKey, result)
+  return result
+}
+
+module.exports = {
+  suggest
+}
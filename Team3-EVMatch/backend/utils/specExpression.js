@@ -0,0 +1,291 @@
+const _ = require("lodash")
+
+// Configuration object - can be loaded from environment or config service
+const expressionConfig = {
+  limits: {
+    maxLength: parseInt(process.env.SPEC_EXPRESSION_MAX_LENGTH) || 500,
+    maxDepth: parseInt(process.env.SPEC_EXPRESSION_MAX_DEPTH) || 32,
+    cacheSize: parseInt(process.env.SPEC_EXPRESSION_CACHE_SIZE) || 200
+  }
+}
+
+// Whitelisted functions. Anything else is rejected at parse time.
+const functions = {
+  min: { arity: [1, Infinity], fn: (...args) => Math.min(...args) },
+  max: { arity: [1, Infinity], fn: (...args) => Math.max(...args) },
+  abs: { arity: [1, 1], fn: (x) => Math.abs(x) },
+  floor: { arity: [1, 1], fn: (x) => Math.floor(x) },
+  ceil: { arity: [1, 1], fn: (x) => Math.ceil(x) },
+  round: {
+    arity: [1, 2],
+    fn: (x, digits = 0) => {
+      const factor = Math.pow(10, digits)
+      return Math.round(x * factor) / factor
+    }
+  },
+  sum: { arity: [1, Infinity], fn: (...args) => args.reduce((total, x) => total + x, 0) },
+  // coalesce is the only function that sees null arguments
+  coalesce: { arity: [1, Infinity], nullSafe: true, fn: (...args) => args.find((x) => x !== null) ?? null },
+}
+
+class SpecExpressionError extends Error {
+  constructor(message, position) {
+    super(position !== undefined ? `${message} at position ${position}` : message)
+    this.name = "SpecExpressionError"
+    this.status = 400
+  }
+}
+
+// Split an expression into number, path, parameter, operator and punctuation tokens
+function tokenize(source) {
+  const tokens = []
+  let i = 0
+
+  while (i < source.length) {
+    const char = source[i]
+
+    if (/\s/.test(char)) {
+      i++
+      continue
+    }
+
+    if (/[0-9.]/.test(char)) {
+      const match = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(source.slice(i))
+      if (!match) throw new SpecExpressionError("Invalid number", i)
+      tokens.push({ type: "number", value: Number.parseFloat(match[0]), position: i })
+      i += match[0].length
+      continue
+    }
+
+    if (char === "$" || /[A-Za-z_]/.test(char)) {
+      const match = /^\$?[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*/.exec(source.slice(i))
+      if (!match) throw new SpecExpressionError("Invalid identifier", i)
+      const name = match[0]
+      tokens.push({
+        type: name.startsWith("$") ? "param" : "identifier",
+        value: name.startsWith("$") ? name.slice(1) : name,
+        position: i,
+      })
+      i += name.length
+      continue
+    }
+
+    if ("+-*/%(),".includes(char)) {
+      tokens.push({ type: "punct", value: char, position: i })
+      i++
+      continue
+    }
+
+    throw new SpecExpressionError(`Unexpected character '${char}'`, i)
+  }
+
+  return tokens
+}
+
+// Recursive-descent parser producing a small AST:
+//   expression := term (("+" | "-") term)*
+//   term       := unary (("*" | "/" | "%") unary)*
+//   unary      := "-" unary | primary
+//   primary    := number | $param | path | name "(" args ")" | "(" expression ")"
+function parse(source) {
+  if (typeof source !== "string" || !source.trim()) {
+    throw new SpecExpressionError("Expression must be a non-empty string")
+  }
+  if (source.length > expressionConfig.limits.maxLength) {
+    throw new SpecExpressionError(`Expression cannot exceed ${expressionConfig.limits.maxLength} characters`)
+  }
+
+  const tokens = tokenize(source)
+  let index = 0
+
+  const peek = () => tokens[index]
+  const isPunct = (value) => peek()?.type === "punct" && peek().value === value
+  const expect = (value) => {
+    if (!isPunct(value)) {
+      throw new SpecExpressionError(`Expected '${value}'`, peek()?.position ?? source.length)
+    }
+    index++
+  }
+
+  const checkDepth = (depth) => {
+    if (depth > expressionConfig.limits.maxDepth) {
+      throw new SpecExpressionError("Expression is nested too deeply")
+    }
+  }
+
+  function parseExpression(depth) {
+    checkDepth(depth)
+    let node = parseTerm(depth + 1)
+    while (isPunct("+") || isPunct("-")) {
+      const operator = tokens[index++].value
+      node = { type: "binary", operator, left: node, right: parseTerm(depth + 1) }
+    }
+    return node
+  }
+
+  function parseTerm(depth) {
+    checkDepth(depth)
+    let node = parseUnary(depth + 1)
+    while (isPunct("*") || isPunct("/") || isPunct("%")) {
+      const operator = tokens[index++].value
+      node = { type: "binary", operator, left: node, right: parseUnary(depth + 1) }
+    }
+    return node
+  }
+
+  function parseUnary(depth) {
+    checkDepth(depth)
+    if (isPunct("-")) {
+      index++
+      return { type: "negate", operand: parseUnary(depth + 1) }
+    }
+    return parsePrimary(depth + 1)
+  }
+
+  function parsePrimary(depth) {
+    checkDepth(depth)
+    const token = peek()
+    if (!token) {
+      throw new SpecExpressionError("Unexpected end of expression", source.length)
+    }
+
+    if (token.type === "number") {
+      index++
+      return { type: "number", value: token.value }
+    }
+
+    if (token.type === "param") {
+      index++
+      return { type: "param", name: token.value }
+    }
+
+    if (token.type === "identifier") {
+      index++
+      if (!isPunct("(")) {
+        return { type: "path", path: token.value }
+      }
+
+      const definition = Object.prototype.hasOwnProperty.call(functions, token.value)
+        ? functions[token.value]
+        : null
+      if (!definition) {
+        throw new SpecExpressionError(`Unknown function '${token.value}'`, token.position)
+      }
+
+      index++
+      const args = []
+      if (!isPunct(")")) {
+        args.push(parseExpression(depth + 1))
+        while (isPunct(",")) {
+          index++
+          args.push(parseExpression(depth + 1))
+        }
+      }
+      expect(")")
+
+      const [minArgs, maxArgs] = definition.arity
+      if (args.length < minArgs || args.length > maxArgs) {
+        throw new SpecExpressionError(`Wrong number of arguments for '${token.value}'`, token.position)
+      }
+
+      return { type: "call", name: token.value, args }
+    }
+
+    if (isPunct("(")) {
+      index++
+      const node = parseExpression(depth + 1)
+      expect(")")
+      return node
+    }
+
+    throw new SpecExpressionError(`Unexpected token '${token.value}'`, token.position)
+  }
+
+  const ast = parseExpression(0)
+  if (index < tokens.length) {
+    throw new SpecExpressionError(`Unexpected token '${tokens[index].value}'`, tokens[index].position)
+  }
+  return ast
+}
+
+const toNumber = (value) => {
+  if (value === null || value === undefined) return null
+  const number = typeof value === "number" ? value : Number(value)
+  return Number.isFinite(number) ? number : null
+}
+
+// Evaluate an AST against a document and a parameter map.
+// Missing or non-numeric inputs propagate as null instead of throwing.
+function evaluateNode(node, doc, params) {
+  switch (node.type) {
+    case "number":
+      return node.value
+    case "param":
+      return toNumber(params[node.name])
+    case "path":
+      return toNumber(_.get(doc, node.path))
+    case "negate": {
+      const operand = evaluateNode(node.operand, doc, params)
+      return operand === null ? null : -operand
+    }
+    case "binary": {
+      const left = evaluateNode(node.left, doc, params)
+      const right = evaluateNode(node.right, doc, params)
+      if (left === null || right === null) return null
+
+      switch (node.operator) {
+        case "+": return left + right
+        case "-": return left - right
+        case "*": return left * right
+        case "/": return right === 0 ? null : left / right
+        case "%": return right === 0 ? null : left % right
+      }
+      return null
+    }
+    case "call": {
+      const definition = functions[node.name]
+      const args = node.args.map((arg) => evaluateNode(arg, doc, params))
+      if (!definition.nullSafe && args.some((arg) => arg === null)) return null
+      return toNumber(definition.fn(...args))
+    }
+    default:
+      return null
+  }
+}
+
+// Parsed expressions are cached since the same registry is evaluated on every comparison
+const compiledCache = new Map()
+
+function compile(source) {
+  if (compiledCache.has(source)) {
+    return compiledCache.get(source)
+  }
+
+  const ast = parse(source)
+  if (compiledCache.size >= expressionConfig.limits.cacheSize) {
+    compiledCache.delete(compiledCache.keys().next().value)
+  }
+  compiledCache.set(source, ast)
+  return ast
+}
+
+function evaluate(source, doc, params = {}) {
+  return evaluateNode(compile(source), doc, params)
+}
+
+// Returns null when the expression is valid, otherwise the error message
+function validate(source) {
+  try {
+    compile(source)
+    return null
+  } catch (error) {
+    return error.message
+  }
+}
+
+module.exports = {
+  evaluate,
+  validate,
+  compile,
+  SpecExpressionError,
+}
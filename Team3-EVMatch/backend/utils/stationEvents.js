@@ -0,0 +1,75 @@
+const { EventEmitter } = require("events")
+
+// Configuration object - can be loaded from environment or config service
+const eventsConfig = {
+  maxSubscribers: parseInt(process.env.STATION_STREAM_MAX_SUBSCRIBERS) || 500,
+  // Largest bounding box a client may subscribe to, in degrees per side
+  maxBoxDegrees: parseFloat(process.env.STATION_STREAM_MAX_BOX_DEGREES) || 5
+}
+
+// In-process hub for station availability changes. Every API instance only
+// sees changes saved through itself, so multi-instance deployments need a
+// shared broker in front of this.
+const emitter = new EventEmitter()
+emitter.setMaxListeners(eventsConfig.maxSubscribers)
+
+const AVAILABILITY_EVENT = "availability"
+
+// What clients need to refresh a station card
+function availabilitySnapshot(station) {
+  const [lng, lat] = station.location.coordinates.coordinates
+  return {
+    stationId: station._id.toString(),
+    coordinates: [lng, lat],
+    connectors: station.connectors.map((connector) => ({
+      type: connector.type,
+      power_kw: connector.power_kw,
+      count: connector.count,
+      available: connector.available,
+      status: connector.status,
+    })),
+    lastStatusUpdate: station.lastStatusUpdate,
+    isActive: station.isActive,
+  }
+}
+
+function publishAvailability(station) {
+  emitter.emit(AVAILABILITY_EVENT, availabilitySnapshot(station))
+}
+
+// Parse "minLng,minLat,maxLng,maxLat"; returns null when it is not a usable box
+function parseBoundingBox(value) {
+  const parts = String(value || "").split(",").map(Number)
+  if (parts.length !== 4 || parts.some((part) => !Number.isFinite(part))) return null
+
+  const [minLng, minLat, maxLng, maxLat] = parts
+  const valid = minLng >= -180 && maxLng <= 180 && minLat >= -90 && maxLat <= 90 && minLng < maxLng && minLat < maxLat
+  if (!valid) return null
+  if (maxLng - minLng > eventsConfig.maxBoxDegrees || maxLat - minLat > eventsConfig.maxBoxDegrees) return null
+
+  return { minLng, minLat, maxLng, maxLat }
+}
+
+const inBoundingBox = (box, [lng, lat]) => lng >= box.minLng && lng <= box.maxLng && lat >= box.minLat && lat <= box.maxLat
+
+// Call listener for every change inside the box; returns an unsubscribe function,
+// or null when the subscriber limit is reached
+function subscribe(box, listener) {
+  if (emitter.listenerCount(AVAILABILITY_EVENT) >= eventsConfig.maxSubscribers) {
+    return null
+  }
+
+  const handler = (snapshot) => {
+    if (inBoundingBox(box, snapshot.coordinates)) listener(snapshot)
+  }
+  emitter.on(AVAILABILITY_EVENT, handler)
+  return () => emitter.off(AVAILABILITY_EVENT, handler)
+}
+
+module.exports = {
+  publishAvailability,
+  subscribe,
+  parseBoundingBox,
+  availabilitySnapshot,
+  getMaxBoxDegrees: () => eventsConfig.maxBoxDegrees
+}
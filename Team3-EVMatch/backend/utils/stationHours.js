@@ -0,0 +1,178 @@
+// Configuration object - can be loaded from environment or config service
+const hoursConfig = {
+  weekdays: ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"],
+  // How far ahead nextOpenAt looks for an opening
+  lookaheadDays: parseInt(process.env.STATION_HOURS_LOOKAHEAD_DAYS) || 14,
+  // Coarse timezone regions used when a station has no hours.timezone; first match wins.
+  // Boundaries are approximate, so operators should set the timezone for sites near a border.
+  timezoneRegions: [
+    { zone: "Pacific/Honolulu", minLat: 18, maxLat: 23, minLng: -161, maxLng: -154 },
+    { zone: "America/Anchorage", minLat: 51, maxLat: 72, minLng: -170, maxLng: -129 },
+    { zone: "America/Phoenix", minLat: 31, maxLat: 37, minLng: -114.8, maxLng: -109 },
+    { zone: "America/Los_Angeles", minLat: 32, maxLat: 49.5, minLng: -125, maxLng: -114.5 },
+    { zone: "America/Denver", minLat: 31, maxLat: 49.5, minLng: -114.5, maxLng: -102 },
+    { zone: "America/Chicago", minLat: 25, maxLat: 49.5, minLng: -102, maxLng: -87 },
+    { zone: "America/New_York", minLat: 24, maxLat: 48, minLng: -87, maxLng: -66 },
+  ]
+}
+
+const MINUTES_PER_DAY = 24 * 60
+const TIME_PATTERN = /^(?:([01]\d|2[0-3]):([0-5]\d)|24:00)$/
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+const formatters = new Map()
+
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone })
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+// Timezone for a [longitude, latitude] pair, falling back to a fixed offset from the longitude
+function guessTimezone([longitude, latitude] = []) {
+  if (!Number.isFinite(longitude) || !Number.isFinite(latitude)) return "UTC"
+
+  const region = hoursConfig.timezoneRegions.find(
+    (r) => latitude >= r.minLat && latitude <= r.maxLat && longitude >= r.minLng && longitude <= r.maxLng,
+  )
+  if (region) return region.zone
+
+  // Etc/GMT zones have inverted signs: Etc/GMT+5 is UTC-5
+  const offset = Math.max(-12, Math.min(12, Math.round(longitude / 15)))
+  return offset === 0 ? "UTC" : `Etc/GMT${offset > 0 ? "-" : "+"}${Math.abs(offset)}`
+}
+
+function stationTimezone(station) {
+  const timezone = station.hours?.timezone
+  return timezone && isValidTimezone(timezone) ? timezone : guessTimezone(station.location?.coordinates?.coordinates)
+}
+
+// Wall-clock date and time of an instant in a timezone
+function localParts(date, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+      }),
+    )
+  }
+
+  const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(date).map((part) => [part.type, part.value]))
+  const dateKey = `${parts.year}-${parts.month}-${parts.day}`
+  return {
+    dateKey,
+    weekday: weekdayOf(dateKey),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    // Offset from UTC in minutes, to the minute
+    offset: (Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - Math.floor(date.getTime() / 60000) * 60000) / 60000,
+  }
+}
+
+function weekdayOf(dateKey) {
+  const [year, month, day] = dateKey.split("-").map(Number)
+  return hoursConfig.weekdays[new Date(Date.UTC(year, month - 1, day)).getUTCDay()]
+}
+
+function shiftDateKey(dateKey, days) {
+  const [year, month, day] = dateKey.split("-").map(Number)
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10)
+}
+
+// Instant at which a station-local date and time occurs
+function zonedTimeToUtc(dateKey, minutes, timeZone) {
+  const [year, month, day] = dateKey.split("-").map(Number)
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes)
+  const firstGuess = wallClock - localParts(new Date(wallClock), timeZone).offset * 60000
+  // A second pass settles times near a DST change
+  return new Date(wallClock - localParts(new Date(firstGuess), timeZone).offset * 60000)
+}
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number)
+  return hours * 60 + minutes
+}
+
+// Any opening information at all; stations without it are reported as unknown
+function hasSchedule(hours = {}) {
+  return Boolean(hours.is_24_7 || hoursConfig.weekdays.some((day) => hours[day]?.open && hours[day]?.close))
+}
+
+// Opening interval (minutes since local midnight) for one local date, or null when closed.
+// A close at or before the open time means the site closes after midnight.
+function daySchedule(hours, dateKey) {
+  const exception = (hours.exceptions || []).find((e) => e.date === dateKey)
+  if (exception) {
+    if (exception.closed) return null
+    if (exception.open && exception.close) return { open: toMinutes(exception.open), close: toMinutes(exception.close) }
+    return { open: 0, close: MINUTES_PER_DAY }
+  }
+
+  if (hours.is_24_7) return { open: 0, close: MINUTES_PER_DAY }
+
+  const entry = hours[weekdayOf(dateKey)]
+  if (!entry?.open || !entry?.close) return null
+  return { open: toMinutes(entry.open), close: toMinutes(entry.close) }
+}
+
+const isOvernight = (interval) => interval.close <= interval.open
+
+// true / false, or null when the station has no opening hours on record
+function isOpenAt(station, date = new Date()) {
+  const hours = station.hours || {}
+  if (!hasSchedule(hours)) return null
+
+  const local = localParts(date, stationTimezone(station))
+  const today = daySchedule(hours, local.dateKey)
+  if (today && local.minutes >= today.open && (isOvernight(today) || local.minutes < today.close)) {
+    return true
+  }
+
+  const yesterday = daySchedule(hours, shiftDateKey(local.dateKey, -1))
+  return Boolean(yesterday && isOvernight(yesterday) && local.minutes < yesterday.close)
+}
+
+// Next time a closed station opens; null when it is open, has no hours, or stays closed
+function nextOpenAt(station, date = new Date()) {
+  const hours = station.hours || {}
+  if (isOpenAt(station, date) !== false) return null
+
+  const timezone = stationTimezone(station)
+  const local = localParts(date, timezone)
+  for (let offset = 0; offset <= hoursConfig.lookaheadDays; offset++) {
+    const dateKey = shiftDateKey(local.dateKey, offset)
+    const interval = daySchedule(hours, dateKey)
+    if (interval && (offset > 0 || interval.open > local.minutes)) {
+      return zonedTimeToUtc(dateKey, interval.open, timezone)
+    }
+  }
+  return null
+}
+
+function getOpeningStatus(station, date = new Date()) {
+  return {
+    isOpen: isOpenAt(station, date),
+    nextOpenAt: nextOpenAt(station, date),
+    timezone: stationTimezone(station),
+  }
+}
+
+module.exports = {
+  getOpeningStatus,
+  isOpenAt,
+  nextOpenAt,
+  guessTimezone,
+  isValidTimezone,
+  stationTimezone,
+  TIME_PATTERN,
+  DATE_PATTERN
+}
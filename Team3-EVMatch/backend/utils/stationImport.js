@@ -0,0 +1,549 @@
+const ChargingStation = require("../models/ChargingStation")
+const { guessTimezone } = require("./stationHours")
+const { publishAvailability } = require("./stationEvents")
+
+// Configuration object - can be loaded from environment or config service
+const importConfig = {
+  formats: ["csv", "ocpi"],
+  limits: {
+    maxRows: parseInt(process.env.STATION_IMPORT_MAX_ROWS) || 5000,
+    batchSize: parseInt(process.env.STATION_IMPORT_BATCH_SIZE) || 500,
+    maxReportedErrors: parseInt(process.env.STATION_IMPORT_MAX_ERRORS) || 200
+  },
+  // Power assumed when a dataset lists a connector without a rating (kW)
+  defaultPower: {
+    level1: parseFloat(process.env.DEFAULT_LEVEL1_POWER_KW) || 1.9,
+    level2: parseFloat(process.env.DEFAULT_LEVEL2_POWER_KW) || 7.2,
+    dcFast: parseFloat(process.env.DEFAULT_DC_FAST_POWER_KW) || 50,
+    teslaSupercharger: parseFloat(process.env.DEFAULT_SUPERCHARGER_POWER_KW) || 250
+  },
+  // Dataset network names mapped onto ChargingStation networks; anything else is "Other"
+  networks: {
+    tesla: "Tesla",
+    "tesla destination": "Tesla",
+    chargepoint: "ChargePoint",
+    "chargepoint network": "ChargePoint",
+    "electrify america": "Electrify America",
+    "electrify_america": "Electrify America",
+    evgo: "EVgo",
+    "evgo network": "EVgo",
+    blink: "Blink",
+    "blink network": "Blink"
+  },
+  // OCPI connector standards mapped onto ChargingStation connector types
+  ocpiStandards: {
+    IEC_62196_T1: "J1772",
+    IEC_62196_T1_COMBO: "CCS",
+    IEC_62196_T2: "Type2",
+    IEC_62196_T2_COMBO: "CCS",
+    CHADEMO: "CHAdeMO",
+    TESLA_S: "Tesla",
+    TESLA_R: "Tesla"
+  },
+  // OCPI regular_hours weekdays run 1 (Monday) to 7 (Sunday)
+  ocpiWeekdays: ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"],
+  // OCPI EVSE statuses that mean the EVSE cannot be used at all
+  ocpiOutOfService: ["OUTOFORDER", "INOPERATIVE", "REMOVED", "PLANNED"]
+}
+
+const connectorTypes = ChargingStation.schema.path("connectors").schema.path("type").enumValues
+
+class StationImportError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "StationImportError"
+    this.status = 400
+  }
+}
+
+// RFC 4180 CSV parser: quoted fields, escaped quotes and embedded newlines
+function parseCsv(text) {
+  const rows = []
+  let row = []
+  let field = ""
+  let inQuotes = false
+  const source = text.replace(/^\uFEFF/, "")
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i]
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+      continue
+    }
+
+    if (char === '"') {
+      inQuotes = true
+    } else if (char === ",") {
+      row.push(field)
+      field = ""
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ""
+    } else {
+      field += char
+    }
+  }
+
+  if (inQuotes) {
+    throw new StationImportError("CSV has an unterminated quoted field")
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  const nonEmpty = rows.filter((cells) => cells.some((cell) => cell.trim() !== ""))
+  if (nonEmpty.length === 0) return []
+
+  // Header names are normalized so "EV Network", "ev_network" and "EV-Network" all match
+  const headers = nonEmpty[0].map((header) => header.trim().toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, ""))
+  return nonEmpty.slice(1).map((cells) =>
+    Object.fromEntries(headers.map((header, index) => [header, (cells[index] || "").trim()]))
+  )
+}
+
+const pick = (row, ...keys) => {
+  const key = keys.find((candidate) => row[candidate] !== undefined && row[candidate] !== "")
+  return key ? row[key] : undefined
+}
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === "") return undefined
+  const number = Number(value)
+  return Number.isFinite(number) ? number : undefined
+}
+
+const toCount = (value) => {
+  const number = toNumber(value)
+  return number !== undefined && number > 0 ? Math.round(number) : 0
+}
+
+function mapNetwork(name) {
+  if (!name) return "Other"
+  return importConfig.networks[String(name).trim().toLowerCase()] || "Other"
+}
+
+function mapConnectorType(name) {
+  const normalized = String(name).trim().toLowerCase()
+  return connectorTypes.find((type) => type.toLowerCase() === normalized)
+}
+
+// Connectors from a CSV row. Supports an explicit "connectors" column
+// ("CCS:150:4;J1772:7.2:2" as type:kW:count) and the AFDC-style columns
+// "EV Connector Types", "EV Level1/Level2 EVSE Num" and "EV DC Fast Count".
+function csvConnectors(row) {
+  const explicit = pick(row, "connectors")
+  if (explicit) {
+    return explicit.split(/[;|]/).filter(Boolean).map((entry) => {
+      const [type, power, count] = entry.split(":").map((part) => part.trim())
+      return {
+        type: mapConnectorType(type) || type,
+        power_kw: toNumber(power),
+        count: toCount(count) || 1,
+      }
+    })
+  }
+
+  const { defaultPower } = importConfig
+  const types = (pick(row, "ev_connector_types", "connector_types") || "").toUpperCase().split(/[\s,;]+/).filter(Boolean)
+  const level1 = toCount(pick(row, "ev_level1_evse_num", "level1_count"))
+  const level2 = toCount(pick(row, "ev_level2_evse_num", "level2_count"))
+  const dcFast = toCount(pick(row, "ev_dc_fast_count", "dc_fast_count"))
+  const isTeslaNetwork = mapNetwork(pick(row, "ev_network", "network")) === "Tesla"
+  const connectors = []
+
+  if (types.includes("J1772") && (level1 || level2)) {
+    connectors.push({
+      type: "J1772",
+      power_kw: level2 ? defaultPower.level2 : defaultPower.level1,
+      count: level1 + level2,
+    })
+  }
+  if (types.includes("J1772COMBO") && dcFast) {
+    connectors.push({ type: "CCS", power_kw: defaultPower.dcFast, count: dcFast })
+  }
+  if (types.includes("CHADEMO") && dcFast) {
+    connectors.push({ type: "CHAdeMO", power_kw: defaultPower.dcFast, count: dcFast })
+  }
+  if (types.includes("TESLA") || types.includes("NACS")) {
+    connectors.push({
+      type: "Tesla",
+      power_kw: dcFast && isTeslaNetwork ? defaultPower.teslaSupercharger : defaultPower.level2,
+      count: dcFast || level2 || 1,
+    })
+  }
+
+  // Simple single-connector layout: connector_type, power_kw, count
+  const singleType = pick(row, "connector_type")
+  if (connectors.length === 0 && singleType) {
+    connectors.push({
+      type: mapConnectorType(singleType) || singleType,
+      power_kw: toNumber(pick(row, "power_kw", "power")),
+      count: toCount(pick(row, "count", "connector_count")) || 1,
+    })
+  }
+
+  return connectors
+}
+
+function fromCsvRow(row) {
+  const pricePerKwh = toNumber(pick(row, "price_per_kwh", "per_kwh"))
+  const accessTimes = (pick(row, "access_days_time", "hours") || "").toLowerCase()
+  const coordinates = [toNumber(pick(row, "longitude", "lng", "lon")), toNumber(pick(row, "latitude", "lat"))]
+
+  return {
+    externalId: pick(row, "external_id", "id", "station_id"),
+    source: "csv",
+    name: pick(row, "station_name", "name"),
+    network: mapNetwork(pick(row, "ev_network", "network")),
+    location: {
+      address: {
+        street: pick(row, "street_address", "street", "address"),
+        city: pick(row, "city"),
+        state: pick(row, "state"),
+        zipCode: pick(row, "zip", "zip_code", "postal_code"),
+        country: pick(row, "country") || undefined,
+      },
+      coordinates: {
+        type: "Point",
+        coordinates,
+      },
+    },
+    connectors: csvConnectors(row),
+    ...(pricePerKwh !== undefined && { pricing: { per_kwh: pricePerKwh } }),
+    hours: {
+      is_24_7: accessTimes.includes("24 hours"),
+      timezone: pick(row, "timezone", "time_zone") || guessTimezone(coordinates),
+    },
+  }
+}
+
+// OCPI opening_times onto ChargingStation hours
+function ocpiHours(location, coordinates) {
+  const openingTimes = location.opening_times || {}
+  const hours = {
+    is_24_7: Boolean(openingTimes.twentyfourseven),
+    timezone: location.time_zone || guessTimezone(coordinates),
+  }
+
+  const regularHours = openingTimes.regular_hours || []
+  regularHours.forEach(({ weekday, period_begin: open, period_end: close }) => {
+    const day = importConfig.ocpiWeekdays[weekday - 1]
+    if (!day || !open || !close) return
+
+    // Several periods on one day collapse to the earliest open and latest close
+    const current = hours[day]
+    hours[day] = current
+      ? { open: open < current.open ? open : current.open, close: close > current.close ? close : current.close }
+      : { open, close }
+  })
+
+  // Closings are UTC timestamps; the date they start on is close enough for a whole-day closure
+  const closings = openingTimes.exceptional_closings || []
+  const exceptions = closings
+    .filter((closing) => typeof closing.period_begin === "string")
+    .map((closing) => ({ date: closing.period_begin.slice(0, 10), closed: true }))
+  if (exceptions.length > 0) hours.exceptions = exceptions
+
+  return hours
+}
+
+// OCPI 2.x Location object. EVSEs are grouped into one connector entry per type.
+function fromOcpiLocation(location) {
+  const grouped = new Map()
+
+  const evses = location.evses || []
+  evses.forEach((evse) => {
+    const status = String(evse.status || "UNKNOWN").toUpperCase()
+    if (status === "REMOVED") return
+
+    // An EVSE counts once per connector type it offers, however many cables it has
+    const seenTypes = new Set()
+    const evseConnectors = evse.connectors || []
+    evseConnectors.forEach((connector) => {
+      const type = importConfig.ocpiStandards[connector.standard]
+      if (!type || seenTypes.has(type)) return
+      seenTypes.add(type)
+
+      const powerWatts = toNumber(connector.max_electric_power) ??
+        (toNumber(connector.max_voltage) && toNumber(connector.max_amperage)
+          ? connector.max_voltage * connector.max_amperage
+          : undefined)
+
+      const entry = grouped.get(type) || { type, power_kw: 0, count: 0, available: 0, outOfService: 0 }
+      entry.power_kw = Math.max(entry.power_kw, powerWatts ? Math.round(powerWatts / 100) / 10 : 0)
+      entry.count += 1
+      if (status === "AVAILABLE") entry.available += 1
+      if (importConfig.ocpiOutOfService.includes(status)) entry.outOfService += 1
+      grouped.set(type, entry)
+    })
+  })
+
+  const connectors = [...grouped.values()].map(({ outOfService, ...connector }) => ({
+    ...connector,
+    power_kw: connector.power_kw || undefined,
+    status: outOfService === connector.count ? "offline" : "operational",
+  }))
+
+  const coordinates = [toNumber(location.coordinates?.longitude), toNumber(location.coordinates?.latitude)]
+
+  return {
+    externalId: location.id,
+    source: "ocpi",
+    name: location.name || location.address,
+    network: mapNetwork(location.operator?.name || location.owner?.name),
+    location: {
+      address: {
+        street: location.address,
+        city: location.city,
+        state: location.state,
+        zipCode: location.postal_code,
+        country: location.country || undefined,
+      },
+      coordinates: {
+        type: "Point",
+        coordinates,
+      },
+    },
+    connectors,
+    hours: ocpiHours(location, coordinates),
+    ...(location.last_updated && { lastStatusUpdate: new Date(location.last_updated) }),
+  }
+}
+
+// Turn an uploaded dataset into station documents; OCPI accepts a bare array
+// or a { data: [...] } response envelope
+function parseDataset(format, content) {
+  if (format === "csv") {
+    const text = Buffer.isBuffer(content) ? content.toString("utf8") : String(content)
+    return parseCsv(text).map(fromCsvRow)
+  }
+
+  if (format === "ocpi") {
+    let payload = content
+    if (Buffer.isBuffer(payload) || typeof payload === "string") {
+      try {
+        payload = JSON.parse(payload.toString("utf8"))
+      } catch (error) {
+        throw new StationImportError("OCPI payload is not valid JSON")
+      }
+    }
+    const locations = Array.isArray(payload) ? payload : Array.isArray(payload?.data) ? payload.data : null
+    if (!locations) {
+      throw new StationImportError("OCPI payload must be an array of locations or { data: [...] }")
+    }
+    return locations.map(fromOcpiLocation)
+  }
+
+  throw new StationImportError(`Unsupported import format: ${format}`)
+}
+
+// Check one mapped station; returns a list of problems (empty when valid)
+function validateStation(station, seenIds) {
+  const errors = []
+
+  if (!station.externalId) {
+    errors.push("External ID is required for import")
+  } else if (seenIds.has(String(station.externalId))) {
+    errors.push(`Duplicate external ID ${station.externalId} in this file`)
+  }
+
+  const [longitude, latitude] = station.location.coordinates.coordinates
+  if (latitude === undefined || latitude < -90 || latitude > 90) {
+    errors.push("Latitude must be between -90 and 90")
+  }
+  if (longitude === undefined || longitude < -180 || longitude > 180) {
+    errors.push("Longitude must be between -180 and 180")
+  }
+  if (station.connectors.length === 0) {
+    errors.push("At least one supported connector is required")
+  }
+
+  // Available counts default to the full count; validateSync needs them set
+  station.connectors.forEach((connector) => {
+    if (connector.available === undefined) connector.available = connector.count
+  })
+
+  const validationError = new ChargingStation(station).validateSync()
+  if (validationError) {
+    Object.values(validationError.errors).forEach((error) => {
+      // Coordinate problems are already reported with friendlier messages above
+      if (!error.path.startsWith("location.coordinates")) {
+        errors.push(`${error.path}: ${error.message}`)
+      }
+    })
+  }
+
+  return errors
+}
+
+// Validate every row, then upsert valid stations by external ID.
+// With dryRun nothing is written; the report shows what would happen.
+// authorize(station, existing) may reject rows the importer is not allowed to
+// write by returning a message; operatorId becomes the owner of new stations.
+// onUpdated(station, before) is called for each existing station written.
+// Rows that fail to save are reported with the rejected ones.
+async function importStations(format, content, { dryRun = false, authorize, operatorId, onUpdated } = {}) {
+  const stations = parseDataset(format, content)
+  if (stations.length > importConfig.limits.maxRows) {
+    throw new StationImportError(`Imports are limited to ${importConfig.limits.maxRows} stations per file`)
+  }
+
+  const seenIds = new Set()
+  const checked = []
+  const errors = []
+  // CSV row numbers count the header line so they match a spreadsheet
+  const rowNumber = (index) => (format === "csv" ? index + 2 : index + 1)
+  const reject = (station, index, problems) => {
+    errors.push({
+      row: rowNumber(index),
+      externalId: station.externalId || null,
+      name: station.name || null,
+      errors: problems,
+    })
+  }
+
+  stations.forEach((station, index) => {
+    const problems = validateStation(station, seenIds)
+    if (station.externalId) seenIds.add(String(station.externalId))
+
+    if (problems.length > 0) {
+      reject(station, index, problems)
+    } else {
+      checked.push({ station, index })
+    }
+  })
+
+  const existing = await ChargingStation.find({ externalId: { $in: checked.map(({ station }) => String(station.externalId)) } }).lean()
+  const existingById = new Map(existing.map((station) => [station.externalId, station]))
+
+  const valid = []
+  checked.forEach(({ station, index }) => {
+    const denied = authorize ? authorize(station, existingById.get(String(station.externalId))) : null
+    if (denied) {
+      reject(station, index, [denied])
+    } else {
+      valid.push({ station, index, before: existingById.get(String(station.externalId)) })
+    }
+  })
+
+  const report = {
+    format,
+    dryRun,
+    total: stations.length,
+    valid: valid.length,
+    invalid: errors.length,
+    created: valid.filter(({ before }) => !before).length,
+    updated: valid.filter(({ before }) => before).length,
+    failed: 0,
+  }
+
+  if (!dryRun) {
+    for (let i = 0; i < valid.length; i += importConfig.limits.batchSize) {
+      const failures = await writeBatch(valid.slice(i, i + importConfig.limits.batchSize), operatorId, onUpdated)
+      failures.forEach(({ entry, message }) => {
+        report[entry.before ? "updated" : "created"] -= 1
+        report.failed += 1
+        reject(entry.station, entry.index, [message])
+      })
+    }
+  }
+
+  errors.sort((a, b) => a.row - b.row)
+  return {
+    ...report,
+    errors: errors.slice(0, importConfig.limits.maxReportedErrors),
+    errorsTruncated: errors.length > importConfig.limits.maxReportedErrors,
+  }
+}
+
+// The update for one imported station. Only new stations become active, so a
+// re-import does not bring back retired ones, and hours an operator edited win
+// over the dataset's.
+function upsertUpdate(station, before, operatorId) {
+  const { hours, ...fields } = station
+  return {
+    $set: {
+      ...fields,
+      ...(hours && !before?.hours?.editedAt && { hours }),
+      externalId: String(station.externalId),
+      lastStatusUpdate: station.lastStatusUpdate || new Date(),
+    },
+    $setOnInsert: { isActive: true, ...(operatorId && { operator: operatorId }) },
+  }
+}
+
+const availabilityKey = (station) =>
+  JSON.stringify(station.connectors.map(({ type, count, available, status }) => ({ type, count, available, status })))
+
+// Upsert one batch, then publish availability changes to live subscribers and
+// pass updated stations to onUpdated, as a save would. Returns the rows that
+// could not be written.
+async function writeBatch(batch, operatorId, onUpdated) {
+  let failures = []
+  try {
+    await ChargingStation.bulkWrite(
+      batch.map(({ station, before }) => ({
+        updateOne: {
+          filter: { externalId: String(station.externalId) },
+          update: upsertUpdate(station, before, operatorId),
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    )
+  } catch (error) {
+    // Unordered writes carry on past failed rows; anything else fails the whole batch
+    failures = error.writeErrors
+      ? error.writeErrors.map((writeError) => ({ entry: batch[writeError.index], message: writeError.errmsg }))
+      : batch.map((entry) => ({ entry, message: `Could not be saved: ${error.message}` }))
+  }
+
+  const failed = new Set(failures.map(({ entry }) => entry))
+  const updated = batch.filter((entry) => entry.before && !failed.has(entry))
+  if (updated.length > 0) {
+    const after = await ChargingStation.find({ externalId: { $in: updated.map(({ station }) => String(station.externalId)) } }).lean()
+    const afterById = new Map(after.map((station) => [station.externalId, station]))
+
+    for (const { station, before } of updated) {
+      const saved = afterById.get(String(station.externalId))
+      if (!saved) continue
+      if (availabilityKey(before) !== availabilityKey(saved)) {
+        publishAvailability(saved)
+      }
+      if (onUpdated) await onUpdated(saved, before)
+    }
+  }
+
+  return failures
+}
+
+// Pick the format from an explicit value, then the file name, then the content type
+function detectFormat({ format, fileName, mimeType }) {
+  if (format) return format.toLowerCase()
+  if (fileName && /\.csv$/i.test(fileName)) return "csv"
+  if (fileName && /\.json$/i.test(fileName)) return "ocpi"
+  if (mimeType === "text/csv") return "csv"
+  if (mimeType === "application/json") return "ocpi"
+  return null
+}
+
+module.exports = {
+  importStations,
+  parseDataset,
+  parseCsv,
+  detectFormat,
+  StationImportError,
+  getFormats: () => [...importConfig.formats]
+}
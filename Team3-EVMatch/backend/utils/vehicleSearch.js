@@ -0,0 +1,288 @@
+const Vehicle = require("../models/Vehicle")
+
+// Configuration object - can be loaded from environment or config service
+const searchConfig = {
+  // Facet name -> vehicle field; each also accepts a comma-separated filter of the same name
+  facets: {
+    make: "make",
+    bodyType: "bodyType",
+    chemistry: "specifications.battery.chemistry",
+    chargePort: "specifications.charging.charge_port",
+    drivetrain: "specifications.performance.drivetrain",
+  },
+  // Lower bounds of each bucket; the last bucket is open-ended
+  priceBuckets: process.env.SEARCH_PRICE_BUCKETS?.split(',').map(Number) || [0, 30000, 40000, 50000, 60000, 80000, 100000],
+  rangeBuckets: process.env.SEARCH_RANGE_BUCKETS?.split(',').map(Number) || [0, 150, 200, 250, 300, 350, 400],
+  fuzzy: {
+    // Words shorter than this are never corrected
+    minWordLength: parseInt(process.env.FUZZY_MIN_WORD_LENGTH) || 3,
+    // Edits allowed per word: one for short words, two from this length on
+    twoEditsFromLength: parseInt(process.env.FUZZY_TWO_EDITS_FROM_LENGTH) || 6,
+    vocabularyTtlMs: parseInt(process.env.FUZZY_VOCABULARY_TTL_MS) || 10 * 60 * 1000
+  }
+}
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+const tokenize = (text) => String(text).toLowerCase().match(/[a-z0-9]+/g) || []
+
+// Edit distance between two words, counting a swap of neighbouring letters
+// ("tesal" for "tesla") as one edit like an insertion, deletion or substitution
+function editDistance(a, b) {
+  const distances = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)])
+  for (let j = 1; j <= b.length; j++) distances[0][j] = j
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      distances[i][j] = Math.min(
+        distances[i - 1][j] + 1,
+        distances[i][j - 1] + 1,
+        distances[i - 1][j - 1] + cost,
+      )
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1)
+      }
+    }
+  }
+  return distances[a.length][b.length]
+}
+
+// Words that appear in makes, models, trims and features, for correcting typos.
+// Rebuilt at most once per vocabularyTtlMs.
+let vocabularyCache = { words: null, builtAt: 0 }
+
+async function getVocabulary() {
+  if (vocabularyCache.words && Date.now() - vocabularyCache.builtAt < searchConfig.fuzzy.vocabularyTtlMs) {
+    return vocabularyCache.words
+  }
+
+  const values = await Promise.all(
+    ["make", "model", "trim", "features.standard", "features.optional"].map((field) => Vehicle.distinct(field, { isActive: true })),
+  )
+  const words = new Set(values.flat().flatMap(tokenize))
+  vocabularyCache = { words, builtAt: Date.now() }
+  return words
+}
+
+// Replace each unknown word with the closest known one within the allowed edits.
+// Returns the corrected query, or null when nothing needed correcting.
+function correctQuery(query, vocabulary) {
+  const { minWordLength, twoEditsFromLength } = searchConfig.fuzzy
+  let changed = false
+
+  const corrected = tokenize(query).map((word) => {
+    if (word.length < minWordLength || vocabulary.has(word)) return word
+
+    const maxEdits = word.length >= twoEditsFromLength ? 2 : 1
+    let best = null
+    let bestDistance = maxEdits + 1
+    vocabulary.forEach((candidate) => {
+      if (Math.abs(candidate.length - word.length) > maxEdits) return
+      const distance = editDistance(word, candidate)
+      if (distance < bestDistance) {
+        best = candidate
+        bestDistance = distance
+      }
+    })
+
+    if (!best) return word
+    changed = true
+    return best
+  })
+
+  return changed ? corrected.join(" ") : null
+}
+
+const parseList = (value) => (value ? String(value).split(",").map((item) => item.trim()).filter(Boolean) : [])
+
+// Mongo conditions for each filter, keyed so a facet can leave out its own filter
+function buildFilters(params) {
+  const filters = {}
+
+  Object.entries(searchConfig.facets).forEach(([name, field]) => {
+    const values = parseList(params[name])
+    if (values.length) {
+      // Makes are matched case-insensitively since users type them
+      filters[name] = {
+        [field]: name === "make" ? { $in: values.map((value) => new RegExp(`^${escapeRegex(value)}$`, "i")) } : { $in: values },
+      }
+    }
+  })
+
+  const between = (field, min, max) => {
+    const condition = {}
+    if (min !== undefined && min !== "") condition.$gte = Number(min)
+    if (max !== undefined && max !== "") condition.$lte = Number(max)
+    return Object.keys(condition).length ? { [field]: condition } : null
+  }
+  const price = between("price.msrp", params.minPrice, params.maxPrice)
+  const range = between("specifications.range.epa", params.minRange, params.maxRange)
+  if (price) filters.price = price
+  if (range) filters.range = range
+
+  return filters
+}
+
+const combine = (filters, except) => {
+  const conditions = Object.entries(filters).filter(([name]) => name !== except).map(([, condition]) => condition)
+  return conditions.length ? { $and: conditions } : {}
+}
+
+// Query for everything a search matches, without fuzzy fallbacks, e.g. to
+// check whether one vehicle matches a saved search
+function buildSearchMatch(params) {
+  const query = params.q?.trim()
+  return { isActive: true, ...(query && { $text: { $search: query } }), ...combine(buildFilters(params)) }
+}
+
+const bucketStage = (field, boundaries) => ({
+  $bucket: {
+    groupBy: `$${field}`,
+    boundaries,
+    // Everything from the last boundary up lands in the open-ended bucket
+    default: boundaries[boundaries.length - 1],
+    output: { count: { $sum: 1 } },
+  },
+})
+
+// Counts per bucket under every filter but the facet's own. Vehicles without a
+// value are left out, so the open-ended bucket only counts values past the last
+// boundary, the same as filtering on it would.
+const bucketFacet = (filters, name, field, boundaries) => [
+  { $match: { ...combine(filters, name), [field]: { $gte: boundaries[0] } } },
+  bucketStage(field, boundaries),
+]
+
+// Buckets with both bounds, including empty ones, so the UI can show a stable list
+const formatBuckets = (boundaries, results) =>
+  boundaries.map((min, index) => ({
+    min,
+    max: boundaries[index + 1] ?? null,
+    count: results.find((bucket) => bucket._id === min)?.count || 0,
+  }))
+
+// One aggregation for a page of matching vehicle IDs, the total and facet counts.
+// Each facet counts matches under every filter except its own, so picking one
+// make still shows how many vehicles the other makes have.
+async function runSearch({ text, filters, sort, skip, limit }) {
+  const baseMatch = { isActive: true, ...(text && { $text: { $search: text } }) }
+  const boundaries = {
+    price: [...searchConfig.priceBuckets].sort((a, b) => a - b),
+    range: [...searchConfig.rangeBuckets].sort((a, b) => a - b),
+  }
+
+  const facetStages = {
+    results: [{ $match: combine(filters) }, { $sort: sort }, { $skip: skip }, { $limit: limit }, { $project: { _id: 1 } }],
+    total: [{ $match: combine(filters) }, { $count: "count" }],
+    price: bucketFacet(filters, "price", "price.msrp", boundaries.price),
+    range: bucketFacet(filters, "range", "specifications.range.epa", boundaries.range),
+  }
+  Object.entries(searchConfig.facets).forEach(([name, field]) => {
+    facetStages[name] = [
+      { $match: { ...combine(filters, name), [field]: { $nin: [null, ""] } } },
+      { $sortByCount: `$${field}` },
+    ]
+  })
+
+  const [result] = await Vehicle.aggregate([
+    { $match: baseMatch },
+    ...(text ? [{ $addFields: { score: { $meta: "textScore" } } }] : []),
+    { $facet: facetStages },
+  ])
+
+  const facets = {}
+  Object.keys(searchConfig.facets).forEach((name) => {
+    facets[name] = result[name].map((entry) => ({ value: entry._id, count: entry.count }))
+  })
+  facets.price = formatBuckets(boundaries.price, result.price)
+  facets.range = formatBuckets(boundaries.range, result.range)
+
+  return {
+    ids: result.results.map((entry) => entry._id),
+    total: result.total[0]?.count || 0,
+    facets,
+  }
+}
+
+// Search active vehicles. Uses the text index when there is a query; with fuzzy
+// matching on, a query that finds nothing is retried with typos corrected and
+// then as a make/model prefix, so partial words typed into a search box still match.
+async function searchVehicles(params, { sort, relevanceSort = true, skip = 0, limit = 20, fuzzy = false } = {}) {
+  const query = params.q?.trim()
+  const filters = buildFilters(params)
+  const textSort = (text) => (text && relevanceSort ? { score: -1, _id: 1 } : { ...sort, _id: 1 })
+
+  let correctedQuery = null
+  let matchedBy = query ? "text" : "filters"
+  let search = await runSearch({ text: query, filters, sort: textSort(query), skip, limit })
+
+  if (query && fuzzy && search.total === 0) {
+    correctedQuery = correctQuery(query, await getVocabulary())
+    if (correctedQuery) {
+      search = await runSearch({ text: correctedQuery, filters, sort: textSort(correctedQuery), skip, limit })
+      matchedBy = "corrected"
+    }
+
+    if (search.total === 0) {
+      const prefix = new RegExp(`^${escapeRegex(query)}`, "i")
+      search = await runSearch({
+        filters: { ...filters, prefix: { $or: [{ make: prefix }, { model: prefix }] } },
+        sort: { ...sort, _id: 1 },
+        skip,
+        limit,
+      })
+      correctedQuery = null
+      matchedBy = "prefix"
+    }
+  }
+
+  // Load full documents in result order
+  const found = await Vehicle.find({ _id: { $in: search.ids } }).select("-metadata -__v")
+  const byId = new Map(found.map((vehicle) => [vehicle._id.toString(), vehicle]))
+
+  return {
+    vehicles: search.ids.map((id) => byId.get(id.toString())).filter(Boolean),
+    total: search.total,
+    facets: search.facets,
+    correctedQuery,
+    matchedBy,
+  }
+}
+
+// Facet counts and price/range bounds across all active vehicles
+async function getFilterOptions() {
+  const [{ facets }, [bounds]] = await Promise.all([
+    runSearch({ filters: {}, sort: { _id: 1 }, skip: 0, limit: 1 }),
+    Vehicle.aggregate([
+      { $match: { isActive: true } },
+      {
+        $group: {
+          _id: null,
+          minPrice: { $min: "$price.msrp" },
+          maxPrice: { $max: "$price.msrp" },
+          minRange: { $min: "$specifications.range.epa" },
+          maxRange: { $max: "$specifications.range.epa" },
+        },
+      },
+    ]),
+  ])
+
+  return {
+    facets,
+    priceRange: { min: bounds?.minPrice ?? 0, max: bounds?.maxPrice ?? 0 },
+    rangeValues: { min: bounds?.minRange ?? 0, max: bounds?.maxRange ?? 0 },
+  }
+}
+
+module.exports = {
+  searchVehicles,
+  getFilterOptions,
+  correctQuery,
+  editDistance,
+  tokenize,
+  buildSearchMatch,
+  getFacetNames: () => Object.keys(searchConfig.facets),
+  // Every parameter that narrows a search besides the text query
+  getFilterNames: () => [...Object.keys(searchConfig.facets), "minPrice", "maxPrice", "minRange", "maxRange"]
+}
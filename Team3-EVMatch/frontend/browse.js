@@ -44,6 +44,8 @@ let currentFilters = {
 
 let currentSort = "name"
 let filteredEVs = []
+// True once filter options come from /vehicles/filters rather than the loaded data
+let usingLiveFilters = false
 
 // Initialize page when DOM is loaded
 document.addEventListener("DOMContentLoaded", async () => {
@@ -126,10 +128,17 @@ async function fetchFilterOptions() {
     })
     
     if (response.success) {
-      const { makes, bodyTypes, batteryTypes, priceRange, rangeValues } = response.data
+      const { makes, bodyTypes, batteryTypes, priceRange, rangeValues, facets } = response.data
       
-      // Update filter UI with API data
-      updateFilterUI(makes, bodyTypes, batteryTypes, priceRange, rangeValues)
+      // Update filter UI with API data, showing how many vehicles each option has
+      usingLiveFilters = Boolean(facets)
+      updateFilterUI(
+        facets ? facetOptions(facets.make) : makes,
+        facets ? facetOptions(facets.bodyType) : bodyTypes,
+        facets ? facetOptions(facets.chemistry) : batteryTypes,
+        priceRange,
+        rangeValues
+      )
     }
   } catch (error) {
     console.error("Error fetching filter options:", error)
@@ -138,6 +147,21 @@ async function fetchFilterOptions() {
   }
 }
 
+// Checkbox options from a search facet: [{ value, count }]
+function facetOptions(facet = []) {
+  return facet.map(entry => ({ value: entry.value, label: entry.value, count: entry.count }))
+}
+
+// Price and range labels: the API's units (USD, EPA miles) with live filters,
+// the loaded data's units (₹ lakh, km) otherwise
+function formatPriceLabel(value) {
+  return usingLiveFilters ? `$${Number(value).toLocaleString()}` : `₹${value}L`
+}
+
+function formatRangeLabel(value, suffix = '+') {
+  return `${value}${suffix} ${usingLiveFilters ? 'mi' : 'km'}`
+}
+
 // Extract filter options from loaded data (fallback)
 function extractFilterOptionsFromData() {
   if (completeEVDatabase.length === 0) return
@@ -158,31 +182,57 @@ function updateFilterUI(makes, bodyTypes, batteryTypes, priceRange, rangeValues)
   // Update body type filters
   updateCheckboxFilters('bodyTypeFilters', bodyTypes)
   
-  // Update battery type filters
-  updateCheckboxFilters('batteryFilters', batteryTypes.map(type => ({
-    value: type,
-    label: type === 'small' ? 'Small (< 5 kWh)' : 
-           type === 'medium' ? 'Medium (5-15 kWh)' : 
-           'Large (> 15 kWh)'
-  })))
+  // Update battery filters: chemistries from the API, capacity sizes in the local fallback
+  const batterySizeLabels = { small: 'Small (< 5 kWh)', medium: 'Medium (5-15 kWh)', large: 'Large (> 15 kWh)' }
+  updateCheckboxFilters('batteryFilters', batteryTypes.map(type => (
+    typeof type === 'string' ? { value: type, label: batterySizeLabels[type] || type } : type
+  )))
   
-  // Update price range slider
+  // Update price range slider; it starts at the top so nothing is filtered out
   const priceSlider = document.getElementById("priceRange")
   if (priceSlider && priceRange) {
+    priceSlider.min = priceRange.min
     priceSlider.max = priceRange.max
-    priceSlider.value = Math.min(currentFilters.maxPrice, priceRange.max)
+    priceSlider.value = priceRange.max
     currentFilters.maxPrice = parseInt(priceSlider.value)
+    updateSliderLabels(priceSlider, formatPriceLabel(priceRange.min), formatPriceLabel(priceRange.max))
   }
   
-  // Update range slider
+  // Update range slider; it starts at the bottom so nothing is filtered out
   const rangeSlider = document.getElementById("rangeFilter")
   if (rangeSlider && rangeValues) {
+    rangeSlider.min = rangeValues.min
     rangeSlider.max = rangeValues.max
-    rangeSlider.value = Math.max(currentFilters.minRange, rangeValues.min)
+    rangeSlider.value = rangeValues.min
     currentFilters.minRange = parseInt(rangeSlider.value)
+    updateSliderLabels(rangeSlider, formatRangeLabel(rangeValues.min, ''), formatRangeLabel(rangeValues.min))
   }
 }
 
+// Set the min/max labels under a range slider
+function updateSliderLabels(slider, minLabel, maxLabel) {
+  const labels = slider.parentElement?.querySelectorAll('.range-labels span')
+  if (!labels || labels.length < 2) return
+  labels[0].textContent = minLabel
+  labels[1].textContent = maxLabel
+}
+
+// Refresh the counts next to each checkbox after a search, keeping what is ticked
+function updateFacetCounts(facets) {
+  const containers = { make: 'makeFilters', bodyType: 'bodyTypeFilters', chemistry: 'batteryFilters' }
+  
+  Object.entries(containers).forEach(([facet, containerId]) => {
+    const counts = new Map((facets[facet] || []).map(entry => [entry.value, entry.count]))
+    document.querySelectorAll(`#${containerId} .checkbox-item`).forEach(item => {
+      const input = item.querySelector('input')
+      const countLabel = item.querySelector('.facet-count')
+      if (input && countLabel) {
+        countLabel.textContent = `(${counts.get(input.value) || 0})`
+      }
+    })
+  })
+}
+
 // Update checkbox filters dynamically
 function updateCheckboxFilters(containerId, options) {
   const container = document.getElementById(containerId)
@@ -193,11 +243,14 @@ function updateCheckboxFilters(containerId, options) {
   container.innerHTML = optionsArray.map(option => {
     const value = typeof option === 'string' ? option : option.value
     const label = typeof option === 'string' ? option : option.label
+    const count = typeof option === 'object' && option.count !== undefined
+      ? ` <span class="facet-count">(${option.count})</span>`
+      : ''
     
     return `
       <div class="checkbox-item">
         <input type="checkbox" id="${containerId}_${value}" value="${value}">
-        <label for="${containerId}_${value}">${label}</label>
+        <label for="${containerId}_${value}">${label}${count}</label>
       </div>
     `
   }).join('')
@@ -206,12 +259,15 @@ function updateCheckboxFilters(containerId, options) {
 // Search vehicles with API (for advanced search)
 async function searchVehicles(searchParams) {
   try {
-    const queryString = new URLSearchParams(searchParams).toString()
+    const queryString = new URLSearchParams(toSearchQuery(searchParams)).toString()
     const response = await apiRequest(`/vehicles/search?${queryString}`, {
       method: 'GET'
     })
     
     if (response.success) {
+      if (response.data.facets) {
+        updateFacetCounts(response.data.facets)
+      }
       return response.data.vehicles || []
     }
     
@@ -223,6 +279,68 @@ async function searchVehicles(searchParams) {
   }
 }
 
+// Map browse filters to /vehicles/search query parameters. Lists are sent
+// comma-separated; sliders are only sent once moved off their unfiltered end.
+function toSearchQuery(searchParams) {
+  const query = {}
+  const priceSlider = document.getElementById("priceRange")
+  const rangeSlider = document.getElementById("rangeFilter")
+  
+  if (searchParams.search) query.q = searchParams.search
+  if (searchParams.makes?.length) query.make = searchParams.makes.join(',')
+  if (searchParams.bodyTypes?.length) query.bodyType = searchParams.bodyTypes.join(',')
+  if (searchParams.batteryTypes?.length) query.chemistry = searchParams.batteryTypes.join(',')
+  if (searchParams.maxPrice && (!priceSlider || searchParams.maxPrice < Number(priceSlider.max))) {
+    query.maxPrice = searchParams.maxPrice
+  }
+  if (searchParams.minRange && (!rangeSlider || searchParams.minRange > Number(rangeSlider.min))) {
+    query.minRange = searchParams.minRange
+  }
+  
+  return query
+}
+
+// Fill the search box's autocomplete list from /vehicles/suggest and offer
+// a correction when the text looks like a typo. Only used with the live API.
+async function loadSearchSuggestions(text) {
+  const list = document.getElementById("searchSuggestions")
+  const didYouMean = document.getElementById("searchDidYouMean")
+  if (!list || !usingLiveFilters) return
+  
+  if (text.length < 2) {
+    list.innerHTML = ''
+    if (didYouMean) didYouMean.hidden = true
+    return
+  }
+  
+  try {
+    const response = await apiRequest(`/vehicles/suggest?${new URLSearchParams({ q: text })}`, {
+      method: 'GET'
+    })
+    if (!response.success) return
+    
+    list.replaceChildren(...response.data.suggestions.map(suggestion => {
+      const option = document.createElement('option')
+      option.value = suggestion.text
+      option.label = suggestion.type === 'feature' ? 'Feature' : `${suggestion.vehicleCount} vehicle${suggestion.vehicleCount === 1 ? '' : 's'}`
+      return option
+    }))
+    
+    if (didYouMean) {
+      const correction = response.data.didYouMean
+      didYouMean.hidden = !correction
+      if (correction) {
+        const link = didYouMean.querySelector("a")
+        link.textContent = correction
+        link.dataset.query = correction
+      }
+    }
+  } catch (error) {
+    // Autocomplete is optional; searching still works without it
+    console.error("Error loading search suggestions:", error)
+  }
+}
+
 // Fallback local filtering
 function filterVehiclesLocally(searchParams) {
   return completeEVDatabase.filter(ev => {
@@ -311,28 +429,6 @@ async function getUserFavorites() {
   }
 }
 
-// Save comparison list to API
-async function saveComparisonList(vehicleIds) {
-  try {
-    const response = await apiRequest('/user/comparison', {
-      method: 'POST',
-      body: JSON.stringify({ vehicleIds })
-    })
-    
-    if (response.success) {
-      return true
-    }
-    
-    throw new Error(response.message || 'Failed to save comparison')
-  } catch (error) {
-    console.error("Error saving comparison list:", error)
-    
-    // Fallback to local storage
-    localStorage.setItem('compareList', JSON.stringify(vehicleIds))
-    return true
-  }
-}
-
 // Initialize page with API data
 async function initializeBrowsePage() {
   console.log("Setting up initial filters and display...")
@@ -344,6 +440,14 @@ async function initializeBrowsePage() {
     // Cache the data
     cacheEVDatabase()
     
+    // Start from a search in the link, e.g. from a saved search alert email
+    const linkedSearch = new URLSearchParams(window.location.search).get("q")
+    if (linkedSearch) {
+      currentFilters.search = linkedSearch.toLowerCase().trim()
+      const searchInput = document.getElementById("searchInput")
+      if (searchInput) searchInput.value = linkedSearch
+    }
+    
     // Apply initial filters
     await applyFiltersWithAPI()
     updateResultsCount()
@@ -389,9 +493,9 @@ async function applyFiltersWithAPI() {
 
 // Determine if should use API search vs local filtering
 function shouldUseAPISearch() {
-  // Use API for simple searches, local for complex filtering
-  const hasComplexFilters = currentFilters.batteryTypes.length > 0
-  return !hasComplexFilters
+  // The API filters by battery chemistry; capacity sizes from the local fallback are filtered here
+  const hasLocalOnlyFilters = !usingLiveFilters && currentFilters.batteryTypes.length > 0
+  return !hasLocalOnlyFilters
 }
 
 // Fallback to original local filtering
@@ -473,8 +577,14 @@ async function viewDetails(evId) {
   }
 }
 
-// Enhanced add to compare with API
+// Add a vehicle to the user's latest comparison set, the one the compare page
+// opens, or start a new set when they have none
 async function addToCompare(evId) {
+  if (!localStorage.getItem("authToken") && !sessionStorage.getItem("authToken")) {
+    alert("Please sign in to save vehicles to a comparison.")
+    return
+  }
+
   try {
     const ev = await getVehicleDetails(evId)
     if (!ev) {
@@ -482,29 +592,47 @@ async function addToCompare(evId) {
       return
     }
     
-    // Get existing comparison list
-    const compareList = JSON.parse(localStorage.getItem("compareList") || "[]")
+    const setsResponse = await apiRequest('/comparison/sets', {
+      method: 'GET'
+    })
+    const { sets, maxVehicles } = setsResponse.data
+    const set = sets[0]
+    const vehicles = set ? set.vehicles : []
+    const vehicleId = ev._id || ev.id
+    const vehicleName = ev.fullName || `${ev.make} ${ev.model}`
     
     // Check if already in comparison
-    if (compareList.find((item) => item.id === evId)) {
-      alert(`${ev.fullName} is already in your comparison list!`)
+    if (vehicles.some((vehicle) => vehicle._id === vehicleId)) {
+      alert(`${vehicleName} is already in your comparison list!`)
       return
     }
     
     // Check if comparison list is full
-    if (compareList.length >= 3) {
-      alert("You can compare maximum 3 vehicles. Please remove one to add another.")
+    if (vehicles.length >= maxVehicles) {
+      alert(`You can compare maximum ${maxVehicles} vehicles. Please remove one to add another.`)
       return
     }
     
-    // Add to comparison
-    compareList.push(ev)
+    // Named after its vehicles, as the compare page names the sets it saves,
+    // unless the user renamed the set
+    const vehicleIds = [...vehicles.map((vehicle) => vehicle._id), vehicleId]
+    const nameFor = (list) => list.map((vehicle) => `${vehicle.make} ${vehicle.model}`).join(" vs ").slice(0, 100)
+    const name = nameFor([...vehicles, ev])
+    const response = set
+      ? await apiRequest(`/comparison/sets/${set._id}`, {
+        method: 'PUT',
+        body: JSON.stringify({ vehicleIds, ...(set.name === nameFor(vehicles) && { name }) })
+      })
+      : await apiRequest('/comparison/sets', {
+        method: 'POST',
+        body: JSON.stringify({ vehicleIds, name })
+      })
     
-    // Save to API and local storage
-    await saveComparisonList(compareList)
-    localStorage.setItem("compareList", JSON.stringify(compareList))
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to save comparison')
+    }
     
-    alert(`${ev.fullName} added to comparison! (${compareList.length}/3)`)
+    alert(`${vehicleName} added to comparison! (${vehicleIds.length}/${maxVehicles})`)
   } catch (error) {
     console.error("Error adding to compare:", error)
     alert("Failed to add vehicle to comparison. Please try again.")
@@ -649,8 +777,11 @@ function setupEventListeners() {
   const searchInput = document.getElementById("searchInput")
   if (searchInput) {
     let searchTimeout
+    let suggestTimeout
     searchInput.addEventListener("input", (e) => {
       clearTimeout(searchTimeout)
+      clearTimeout(suggestTimeout)
+      suggestTimeout = setTimeout(() => loadSearchSuggestions(e.target.value.trim()), 150)
       searchTimeout = setTimeout(() => {
         currentFilters.search = e.target.value.toLowerCase().trim()
         console.log("Search filter applied:", currentFilters.search)
@@ -659,6 +790,16 @@ function setupEventListeners() {
     })
   }
 
+  // "Did you mean" correction under the search box
+  const didYouMean = document.getElementById("searchDidYouMean")
+  if (didYouMean && searchInput) {
+    didYouMean.querySelector("a").addEventListener("click", (e) => {
+      e.preventDefault()
+      searchInput.value = e.target.dataset.query
+      searchInput.dispatchEvent(new Event("input"))
+    })
+  }
+
   // Price range slider
   const priceRange = document.getElementById("priceRange")
   if (priceRange) {
@@ -666,7 +807,7 @@ function setupEventListeners() {
       currentFilters.maxPrice = parseInt(e.target.value)
       const maxPriceLabel = document.getElementById("maxPrice")
       if (maxPriceLabel) {
-        maxPriceLabel.textContent = `₹${currentFilters.maxPrice}L`
+        maxPriceLabel.textContent = formatPriceLabel(currentFilters.maxPrice)
       }
       console.log("Price filter applied:", currentFilters.maxPrice)
       applyFilters()
@@ -680,7 +821,7 @@ function setupEventListeners() {
       currentFilters.minRange = parseInt(e.target.value)
       const maxRangeLabel = document.getElementById("maxRange")
       if (maxRangeLabel) {
-        maxRangeLabel.textContent = `${currentFilters.minRange}+ km`
+        maxRangeLabel.textContent = formatRangeLabel(currentFilters.minRange)
       }
       console.log("Range filter applied:", currentFilters.minRange)
       applyFilters()
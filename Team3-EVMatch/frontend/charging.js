@@ -1,36 +1,55 @@
-// Charging stations functionality
-let currentLocation = null
+// API Configuration
+const API_BASE_URL = process.env.API_BASE_URL || "http://localhost:5000/api"
+
+// API Helper Functions
+const apiRequest = async (endpoint, options = {}) => {
+    try {
+        const token = localStorage.getItem("authToken") || sessionStorage.getItem("authToken")
+
+        const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+            headers: {
+                "Content-Type": "application/json",
+                ...(token && { Authorization: `Bearer ${token}` }),
+                ...options.headers,
+            },
+            ...options,
+        })
+
+        const data = await response.json()
+
+        if (!response.ok) {
+            throw new Error(data.message || `HTTP error! status: ${response.status}`)
+        }
+
+        return data
+    } catch (error) {
+        console.error(`API request failed: ${endpoint}`, error)
+        throw error
+    }
+}
+
+// Charging stations functionality - API integrated
+let currentLocation = null // { lat, lng } once the user shares or enters a location
+let chargingStations = [] // Stations returned by the API for the current search
 let filteredStations = []
-const chargingStations = [
-    // Example charging stations data
-    {
-        id: 1,
-        name: "Station A",
-        address: "123 Main St",
-        network: "Tesla",
-        type: "Level 1",
-        power: "10",
-        available: 1,
-        total: 2,
-        price: "$2",
-        distance: "0.5 miles",
-        status: "available",
-    },
-    {
-        id: 2,
-        name: "Station B",
-        address: "456 Elm St",
-        network: "ChargePoint",
-        type: "Level 2",
-        power: "20",
-        available: 0,
-        total: 1,
-        price: "$3",
-        distance: "1 mile",
-        status: "occupied",
-    },
-    // Add more stations as needed
-]
+let availabilityStream = null // EventSource pushing live connector availability
+
+// Live availability streams cover at most this many degrees per side
+const MAX_STREAM_BOX_DEGREES = 5
+
+// Power bands used by the charging speed checkboxes (kW)
+const SPEED_LEVELS = {
+    level1: { label: "Level 1", maxPower: 2.4 },
+    level2: { label: "Level 2", maxPower: 24 },
+    dcfast: { label: "DC Fast", maxPower: Infinity },
+}
+
+// Networks with their own checkbox; stations on other networks are always shown
+const NETWORK_FILTERS = {
+    tesla: "Tesla",
+    chargepoint: "ChargePoint",
+    evgo: "EVgo",
+}
 
 // Initialize charging page
 document.addEventListener("DOMContentLoaded", () => {
@@ -40,31 +59,27 @@ document.addEventListener("DOMContentLoaded", () => {
 })
 
 function initializeChargingPage() {
-    loadStations()
     setupFilters()
+    fetchStations()
 }
 
 function setupFilters() {
-    // Charging speed filters
-    const speedFilters = document.querySelectorAll(
-        'input[value="Level 1"], input[value="Level 2"], input[value="DC Fast"]',
-    )
-    speedFilters.forEach((filter) => {
-        filter.addEventListener("change", applyStationFilters)
-    })
-
-    // Network filters
-    const networkFilters = document.querySelectorAll(
-        'input[value="Tesla"], input[value="ChargePoint"], input[value="Electrify America"], input[value="EVgo"]',
-    )
-    networkFilters.forEach((filter) => {
-        filter.addEventListener("change", applyStationFilters)
+    // Client-side filters re-filter the current results
+    const checkboxIds = [...Object.keys(SPEED_LEVELS), ...Object.keys(NETWORK_FILTERS), "available", "occupied"]
+    checkboxIds.forEach((id) => {
+        const checkbox = document.getElementById(id)
+        if (checkbox) {
+            checkbox.addEventListener("change", applyStationFilters)
+        }
     })
 
-    // Availability filters
-    const availabilityFilters = document.querySelectorAll('input[value="available"], input[value="occupied"]')
-    availabilityFilters.forEach((filter) => {
-        filter.addEventListener("change", applyStationFilters)
+    // Search filters go back to the API
+    const searchFilterIds = ["radiusSelect", "connectorSelect", "minPowerSelect", "openNow"]
+    searchFilterIds.forEach((id) => {
+        const select = document.getElementById(id)
+        if (select) {
+            select.addEventListener("change", fetchStations)
+        }
     })
 
     // Sort select
@@ -72,8 +87,120 @@ function setupFilters() {
     if (stationSort) {
         stationSort.addEventListener("change", sortStations)
     }
+
+    const locationInput = document.getElementById("locationInput")
+    if (locationInput) {
+        locationInput.addEventListener("keydown", (event) => {
+            if (event.key === "Enter") searchLocation()
+        })
+    }
 }
 
+// Build the GET /api/charging query from the current location and filters
+function buildStationQuery() {
+    const params = new URLSearchParams()
+
+    if (currentLocation) {
+        params.set("lat", currentLocation.lat)
+        params.set("lng", currentLocation.lng)
+        params.set("radius", document.getElementById("radiusSelect")?.value || "25")
+    }
+
+    const connectorType = document.getElementById("connectorSelect")?.value
+    if (connectorType) params.set("connectorType", connectorType)
+
+    const minPower = document.getElementById("minPowerSelect")?.value
+    if (minPower) params.set("minPower", minPower)
+
+    // Hours depend on each station's timezone, so the API does this filter
+    if (document.getElementById("openNow")?.checked) params.set("openNow", "true")
+
+    return params.toString()
+}
+
+async function fetchStations() {
+    const spinner = document.getElementById("loadingSpinner")
+    if (spinner) spinner.style.display = "block"
+
+    try {
+        const query = buildStationQuery()
+        const response = await apiRequest(`/charging${query ? `?${query}` : ""}`, {
+            method: "GET",
+        })
+
+        if (!response.success) {
+            throw new Error(response.message || "Failed to fetch charging stations")
+        }
+
+        chargingStations = response.data.stations || []
+        applyStationFilters()
+        subscribeToAvailability()
+    } catch (error) {
+        console.error("Error fetching charging stations:", error)
+        chargingStations = []
+        applyStationFilters()
+        showErrorMessage("Failed to load charging stations. Please try again.")
+    } finally {
+        if (spinner) spinner.style.display = "none"
+    }
+}
+
+// Bounding box "minLng,minLat,maxLng,maxLat" around the search area
+function getSearchBoundingBox() {
+    if (!currentLocation) return null
+
+    const radiusKm = Number.parseInt(document.getElementById("radiusSelect")?.value || "25")
+    const latDelta = Math.min(radiusKm / 111, MAX_STREAM_BOX_DEGREES / 2)
+    const lngDelta = Math.min(radiusKm / (111 * Math.max(Math.cos((currentLocation.lat * Math.PI) / 180), 0.01)), MAX_STREAM_BOX_DEGREES / 2)
+
+    return [
+        Math.max(-180, currentLocation.lng - lngDelta),
+        Math.max(-90, currentLocation.lat - latDelta),
+        Math.min(180, currentLocation.lng + lngDelta),
+        Math.min(90, currentLocation.lat + latDelta),
+    ]
+        .map((value) => value.toFixed(5))
+        .join(",")
+}
+
+// Keep station cards current as connector availability changes
+function subscribeToAvailability() {
+    if (availabilityStream) {
+        availabilityStream.close()
+        availabilityStream = null
+    }
+
+    const bbox = getSearchBoundingBox()
+    if (!bbox || typeof EventSource === "undefined") return
+
+    availabilityStream = new EventSource(`${API_BASE_URL}/charging/stream?bbox=${bbox}`)
+    availabilityStream.addEventListener("availability", (event) => {
+        try {
+            updateStationAvailability(JSON.parse(event.data))
+        } catch (error) {
+            console.error("Invalid availability update:", error)
+        }
+    })
+}
+
+function updateStationAvailability(update) {
+    const station = chargingStations.find((s) => s._id === update.stationId)
+    if (!station) return
+
+    const card = document.querySelector(`[data-station-id="${update.stationId}"]`)
+    if (!update.isActive) {
+        chargingStations = chargingStations.filter((s) => s._id !== update.stationId)
+        filteredStations = filteredStations.filter((s) => s._id !== update.stationId)
+        if (card) card.remove()
+        return
+    }
+
+    station.connectors = update.connectors
+    station.lastStatusUpdate = update.lastStatusUpdate
+    if (card) card.outerHTML = createStationCard(station)
+}
+
+// Accepts "lat, lng" coordinates typed into the search box
 function searchLocation() {
     const locationInput = document.getElementById("locationInput")
     if (!locationInput) return
@@ -84,103 +211,168 @@ function searchLocation() {
         return
     }
 
-    // Simulate location search
-    currentLocation = location
-    showSuccessMessage(`Searching for charging stations near "${location}"...`)
+    const match = location.match(/^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/)
+    if (!match || Math.abs(match[1]) > 90 || Math.abs(match[2]) > 180) {
+        showErrorMessage('Enter coordinates as "latitude, longitude" or use your current location.')
+        return
+    }
 
-    // In a real app, this would use a geocoding API
-    setTimeout(() => {
-        loadStations()
-        showSuccessMessage(`Found ${filteredStations.length} charging stations near "${location}"`)
-    }, 1000)
+    currentLocation = {
+        lat: Number.parseFloat(match[1]),
+        lng: Number.parseFloat(match[2]),
+    }
+    fetchStations()
 }
 
 function useCurrentLocation() {
-    if (navigator.geolocation) {
-        showSuccessMessage("Getting your current location...")
-
-        navigator.geolocation.getCurrentPosition(
-            (position) => {
-                currentLocation = {
-                    lat: position.coords.latitude,
-                    lng: position.coords.longitude,
-                }
-                showSuccessMessage("Location found! Loading nearby charging stations...")
-                loadStations()
-            },
-            (error) => {
-                showErrorMessage("Unable to get your location. Please enter an address manually.")
-            },
-        )
-    } else {
+    if (!navigator.geolocation) {
         showErrorMessage("Geolocation is not supported by your browser.")
+        return
+    }
+
+    const button = document.querySelector(".location-btn")
+    const originalText = button ? button.innerHTML : ""
+    if (button) button.innerHTML = "<span>📍</span> Getting Location..."
+
+    navigator.geolocation.getCurrentPosition(
+        (position) => {
+            if (button) button.innerHTML = originalText
+            currentLocation = {
+                lat: position.coords.latitude,
+                lng: position.coords.longitude,
+            }
+
+            const locationInput = document.getElementById("locationInput")
+            if (locationInput) {
+                locationInput.value = `${currentLocation.lat.toFixed(5)}, ${currentLocation.lng.toFixed(5)}`
+            }
+
+            fetchStations()
+        },
+        () => {
+            if (button) button.innerHTML = originalText
+            showErrorMessage("Unable to get your location. Please enter coordinates manually.")
+        },
+    )
+}
+
+// Station helpers
+function getMaxPower(station) {
+    return Math.max(0, ...station.connectors.map((connector) => connector.power_kw))
+}
+
+function getAvailableCount(station) {
+    return station.connectors
+        .filter((connector) => connector.status === "operational")
+        .reduce((total, connector) => total + connector.available, 0)
+}
+
+function getTotalCount(station) {
+    return station.connectors.reduce((total, connector) => total + connector.count, 0)
+}
+
+function getSpeedLevel(station) {
+    const maxPower = getMaxPower(station)
+    return Object.keys(SPEED_LEVELS).find((level) => maxPower <= SPEED_LEVELS[level].maxPower)
+}
+
+function getStationStatus(station) {
+    if (station.connectors.every((connector) => connector.status !== "operational")) {
+        return "maintenance"
     }
+    return getAvailableCount(station) > 0 ? "available" : "occupied"
+}
+
+function formatDistance(station) {
+    if (!station.distance) return "—"
+    return station.distance.miles < 0.1
+        ? `${station.distance.meters} m`
+        : `${station.distance.miles.toFixed(1)} miles`
+}
+
+function formatPrice(station) {
+    const pricing = station.pricing || {}
+    if (pricing.per_kwh !== undefined && pricing.per_kwh !== null) return `$${pricing.per_kwh.toFixed(2)}/kWh`
+    if (pricing.per_minute !== undefined && pricing.per_minute !== null) return `$${pricing.per_minute.toFixed(2)}/min`
+    return "See station"
+}
+
+function formatOpening(station) {
+    if (station.isOpen === null || station.isOpen === undefined) return "Hours not listed"
+    if (station.isOpen) return station.hours?.is_24_7 ? "Open 24/7" : "Open now"
+    if (!station.nextOpenAt) return "Closed"
+    const opensAt = new Date(station.nextOpenAt).toLocaleString([], { weekday: "short", hour: "numeric", minute: "2-digit" })
+    return `Closed · opens ${opensAt}`
+}
+
+function formatAddress(station) {
+    const address = station.location?.address || {}
+    return [address.street, address.city, address.state].filter(Boolean).join(", ")
+}
+
+// Station names and addresses come from imports and operators, so escape them before rendering
+function escapeHtml(text) {
+    const div = document.createElement("div")
+    div.textContent = text
+    return div.innerHTML
 }
 
 function applyStationFilters() {
-    const speedFilters = Array.from(
-        document.querySelectorAll('input[value="Level 1"], input[value="Level 2"], input[value="DC Fast"]:checked'),
-    ).map((cb) => cb.value)
-    const networkFilters = Array.from(
-        document.querySelectorAll(
-            'input[value="Tesla"], input[value="ChargePoint"], input[value="Electrify America"], input[value="EVgo"]:checked',
-        ),
-    ).map((cb) => cb.value)
-    const availabilityFilters = Array.from(
-        document.querySelectorAll('input[value="available"], input[value="occupied"]:checked'),
-    ).map((cb) => cb.value)
+    const isChecked = (id) => document.getElementById(id)?.checked ?? true
+
+    const speedLevels = Object.keys(SPEED_LEVELS).filter(isChecked)
+    const hiddenNetworks = Object.keys(NETWORK_FILTERS)
+        .filter((id) => !isChecked(id))
+        .map((id) => NETWORK_FILTERS[id])
+    const showAvailable = isChecked("available")
+    const showOccupied = isChecked("occupied")
 
     filteredStations = chargingStations.filter((station) => {
         // Speed filter
-        if (speedFilters.length > 0 && !speedFilters.includes(station.type)) {
+        if (!speedLevels.includes(getSpeedLevel(station))) {
             return false
         }
 
         // Network filter
-        if (networkFilters.length > 0 && !networkFilters.includes(station.network)) {
+        if (hiddenNetworks.includes(station.network)) {
             return false
         }
 
         // Availability filter
-        if (availabilityFilters.length > 0) {
-            if (availabilityFilters.includes("available") && station.available === 0) {
-                return false
-            }
-            if (!availabilityFilters.includes("occupied") && station.available === 0) {
-                return false
-            }
+        const status = getStationStatus(station)
+        if (status === "available" && !showAvailable) {
+            return false
+        }
+        if (status !== "available" && !showOccupied) {
+            return false
         }
 
         return true
     })
 
-    loadStations()
+    sortStations()
 }
 
 function sortStations() {
-    const sortBy = document.getElementById("stationSort").value
+    const sortBy = document.getElementById("stationSort")?.value || "distance"
 
     switch (sortBy) {
         case "distance":
-            // In a real app, this would sort by actual distance
-            filteredStations.sort((a, b) => Number.parseFloat(a.distance) - Number.parseFloat(b.distance))
+            // Stations without a distance (no location yet) go last
+            filteredStations.sort(
+                (a, b) => (a.distance?.meters ?? Number.POSITIVE_INFINITY) - (b.distance?.meters ?? Number.POSITIVE_INFINITY),
+            )
             break
         case "availability":
-            filteredStations.sort((a, b) => b.available - a.available)
+            filteredStations.sort((a, b) => getAvailableCount(b) - getAvailableCount(a))
             break
         case "speed":
-            filteredStations.sort((a, b) => {
-                const powerA = Number.parseInt(a.power)
-                const powerB = Number.parseInt(b.power)
-                return powerB - powerA
-            })
+            filteredStations.sort((a, b) => getMaxPower(b) - getMaxPower(a))
             break
         case "price":
-            filteredStations.sort((a, b) => {
-                const priceA = Number.parseFloat(a.price.replace("$", ""))
-                const priceB = Number.parseFloat(b.price.replace("$", ""))
-                return priceA - priceB
-            })
+            filteredStations.sort(
+                (a, b) => (a.pricing?.per_kwh ?? Number.POSITIVE_INFINITY) - (b.pricing?.per_kwh ?? Number.POSITIVE_INFINITY),
+            )
             break
     }
 
@@ -196,7 +388,7 @@ function loadStations() {
       <div class="no-stations">
         <i class="fas fa-search"></i>
         <h3>No charging stations found</h3>
-        <p>Try adjusting your filters or search in a different location.</p>
+        <p>${currentLocation ? "Try adjusting your filters or widening the search radius." : "Use your current location to find nearby stations."}</p>
       </div>
     `
         return
@@ -206,36 +398,44 @@ function loadStations() {
 }
 
 function createStationCard(station) {
-    const statusClass = station.status === "available" ? "available" : "occupied"
+    const status = getStationStatus(station)
+    const statusLabels = { available: "Available", occupied: "Occupied", maintenance: "Maintenance" }
+    const connectorTypes = [...new Set(station.connectors.map((connector) => connector.type))].join(", ")
 
     return `
-    <div class="station-card" onclick="selectStation(${station.id})">
+    <div class="station-card hover-glow" data-station-id="${station._id}" onclick="selectStation('${station._id}')">
       <div class="station-header">
         <div>
-          <div class="station-name">${station.name}</div>
-          <div class="station-address">${station.address}</div>
+          <div class="station-name">${escapeHtml(station.name)}</div>
+          <div class="station-address">${escapeHtml(formatAddress(station))}</div>
         </div>
-        <div class="station-status ${statusClass}">
-          ${station.status === "available" ? "Available" : "Occupied"}
+        <div class="station-status ${status}">
+          ${statusLabels[status]}
         </div>
       </div>
       <div class="station-info">
-        <div><i class="fas fa-bolt"></i> ${station.power} ${station.type}</div>
-        <div><i class="fas fa-map-marker-alt"></i> ${station.distance}</div>
-        <div><i class="fas fa-charging-station"></i> ${station.available}/${station.total} available</div>
-        <div><i class="fas fa-dollar-sign"></i> ${station.price}</div>
+        <div><i class="fas fa-bolt"></i> ${getMaxPower(station)} kW ${SPEED_LEVELS[getSpeedLevel(station)].label}</div>
+        <div><i class="fas fa-map-marker-alt"></i> ${formatDistance(station)}</div>
+        <div><i class="fas fa-charging-station"></i> ${getAvailableCount(station)}/${getTotalCount(station)} available</div>
+        <div><i class="fas fa-plug"></i> ${connectorTypes}</div>
+        <div><i class="fas fa-dollar-sign"></i> ${formatPrice(station)}</div>
+        <div class="${station.isOpen === false ? "station-closed" : ""}"><i class="fas fa-clock"></i> ${formatOpening(station)}</div>
       </div>
     </div>
   `
 }
 
 function selectStation(stationId) {
-    const station = chargingStations.find((s) => s.id === stationId)
+    const station = chargingStations.find((s) => s._id === stationId)
     if (!station) return
 
+    const connectors = station.connectors
+        .map((connector) => `${connector.type} ${connector.power_kw} kW (${connector.available}/${connector.count})`)
+        .join(", ")
+
     // Show station details
     alert(
-        `${station.name}\n\nAddress: ${station.address}\nNetwork: ${station.network}\nType: ${station.type}\nPower: ${station.power}\nAvailable: ${station.available}/${station.total} ports\nPrice: ${station.price}\nDistance: ${station.distance}\n\nWould you like to get directions to this station?`,
+        `${station.name}\n\nAddress: ${formatAddress(station)}\nNetwork: ${station.network}\nConnectors: ${connectors}\nPrice: ${formatPrice(station)}\nHours: ${formatOpening(station)}\nDistance: ${formatDistance(station)}\n\nWould you like to get directions to this station?`,
     )
 }
 
@@ -243,10 +443,6 @@ function showErrorMessage(message) {
     alert(message)
 }
 
-function showSuccessMessage(message) {
-    alert(message)
-}
-
 // Add CSS for charging stations
 const chargingStyle = document.createElement("style")
 chargingStyle.textContent = `
@@ -271,6 +467,8 @@ chargingStyle.textContent = `
 
   .station-info {
     font-size: 12px;
+    flex-wrap: wrap;
+    gap: 8px;
   }
 
   .station-info i {
@@ -278,5 +476,19 @@ chargingStyle.textContent = `
     width: 12px;
     margin-right: 4px;
   }
+
+  .station-address {
+    font-size: 0.85rem;
+    color: #6b7280;
+  }
+
+  .station-closed {
+    color: #ef4444;
+  }
+
+  .station-status.maintenance {
+    background: rgba(239, 68, 68, 0.1);
+    color: #ef4444;
+  }
 `
-document.head.appendChild(chargingStyle)
\ No newline at end of file
+document.head.appendChild(chargingStyle)
@@ -29,8 +29,13 @@ const apiRequest = async (endpoint, options = {}) => {
 }
 
 // Compare page functionality - API integrated
+const MAX_COMPARE_VEHICLES = 8
+const MIN_COMPARE_SLOTS = 3
 let selectedVehicles = [null, null, null]
 let currentSelectorIndex = 0
+let currentComparisonSet = null // Saved set backing this page, if any
+let isSharedView = false
+let exportPath = null // Export endpoint of the set the export buttons download
 let completeEVDatabase = [] // Will be populated from API
 
 // Load EV database from API
@@ -111,15 +116,28 @@ async function getVehicleDetails(vehicleId) {
   }
 }
 
-// Save comparison list to API
+function isSignedIn() {
+  return Boolean(localStorage.getItem("authToken") || sessionStorage.getItem("authToken"))
+}
+
+// Save the current vehicles to the user's comparison set, creating it on first save
 async function saveComparisonToAPI(vehicleIds) {
   try {
-    const response = await apiRequest('/user/comparison', {
-      method: 'POST',
-      body: JSON.stringify({ vehicleIds })
-    })
+    const name = buildComparisonName()
+    const response = currentComparisonSet
+      ? await apiRequest(`/comparison/sets/${currentComparisonSet._id}`, {
+        method: 'PUT',
+        body: JSON.stringify({ vehicleIds, name })
+      })
+      : await apiRequest('/comparison/sets', {
+        method: 'POST',
+        body: JSON.stringify({ vehicleIds, name })
+      })
     
     if (response.success) {
+      currentComparisonSet = response.data.set
+      exportPath = `/comparison/${currentComparisonSet._id}/export`
+      updateComparisonSetActions()
       return true
     }
     
@@ -130,23 +148,101 @@ async function saveComparisonToAPI(vehicleIds) {
   }
 }
 
-// Get user's comparison list from API
-async function getUserComparison() {
+// Get the user's saved comparison sets, most recently updated first
+async function getComparisonSets() {
   try {
-    const response = await apiRequest('/user/comparison', {
+    const response = await apiRequest('/comparison/sets', {
       method: 'GET'
     })
     
     if (response.success) {
-      return response.data.comparison || []
+      return response.data.sets || []
     }
     
-    throw new Error(response.message || 'Failed to fetch comparison')
+    throw new Error(response.message || 'Failed to fetch comparisons')
   } catch (error) {
-    console.error("Error fetching user comparison:", error)
+    console.error("Error fetching comparison sets:", error)
+    return []
+  }
+}
+
+// Get one saved set; shared sets are fetched by slug and need no sign-in
+async function getComparisonSet({ setId, shareSlug }) {
+  try {
+    const endpoint = shareSlug
+      ? `/comparison/sets/shared/${encodeURIComponent(shareSlug)}`
+      : `/comparison/sets/${encodeURIComponent(setId)}`
+    const response = await apiRequest(endpoint, {
+      method: 'GET'
+    })
     
-    // Fallback to localStorage
-    return JSON.parse(localStorage.getItem("compareList") || "[]")
+    if (response.success) {
+      return response.data.set
+    }
+    
+    throw new Error(response.message || 'Comparison not found')
+  } catch (error) {
+    console.error("Error fetching comparison set:", error)
+    return null
+  }
+}
+
+// Backwards-compatible helper: vehicle IDs of the user's latest saved set
+async function getUserComparison() {
+  const sets = await getComparisonSets()
+  return sets.length > 0 ? sets[0].vehicles.map((vehicle) => vehicle._id || vehicle) : []
+}
+
+// Turn on public sharing for the current set and return a link to it
+async function shareComparisonSet() {
+  if (!currentComparisonSet) return null
+
+  try {
+    const response = await apiRequest(`/comparison/sets/${currentComparisonSet._id}/share`, {
+      method: 'POST'
+    })
+    
+    if (response.success) {
+      currentComparisonSet.isShared = true
+      currentComparisonSet.shareSlug = response.data.slug
+      return `${window.location.origin}${window.location.pathname}?share=${encodeURIComponent(response.data.slug)}`
+    }
+    
+    throw new Error(response.message || 'Failed to share comparison')
+  } catch (error) {
+    console.error("Error sharing comparison:", error)
+    return null
+  }
+}
+
+// Set names and notes may come from another user's shared link
+function escapeHtml(text) {
+  const div = document.createElement("div")
+  div.textContent = text
+  return div.innerHTML
+}
+
+function buildComparisonName() {
+  const names = selectedVehicles.filter((v) => v !== null).map((v) => `${v.make} ${v.model}`)
+  return (names.join(" vs ") || "My comparison").slice(0, 100)
+}
+
+// Get the weighted scorecard for the selected vehicles from the API
+async function getComparisonVerdict(vehicleIds) {
+  try {
+    const response = await apiRequest('/comparison', {
+      method: 'POST',
+      body: JSON.stringify({ vehicleIds })
+    })
+
+    if (response.success) {
+      return response.data.comparison.scorecard || null
+    }
+
+    throw new Error(response.message || 'Failed to compare vehicles')
+  } catch (error) {
+    console.error("Error fetching comparison verdict:", error)
+    return null
   }
 }
 
@@ -207,9 +303,9 @@ document.addEventListener("DOMContentLoaded", async () => {
 async function initializeComparePage() {
   console.log(`Initialized compare page with ${completeEVDatabase.length} vehicles`)
 
-  setupVehicleSelectors()
+  renderVehicleSlots()
   
-  // Load comparison from API first, then fallback to localStorage
+  // Load a shared or saved comparison set from the API
   await loadComparisonFromAPI()
   
   updateEmptyState()
@@ -223,66 +319,190 @@ async function initializeComparePage() {
   }
 }
 
+// Show one slot per selected vehicle plus an empty one, between 3 and 8 slots
+function renderVehicleSlots() {
+  const filled = selectedVehicles.filter((v) => v !== null)
+  const slotCount = Math.min(MAX_COMPARE_VEHICLES, Math.max(MIN_COMPARE_SLOTS, filled.length + 1))
+  selectedVehicles = [...filled, ...new Array(slotCount - filled.length).fill(null)]
+
+  const selectorGrid = document.querySelector(".selector-grid")
+  if (selectorGrid) {
+    selectorGrid.innerHTML = selectedVehicles
+      .map((vehicle, index) => `
+        ${index > 0 ? '<div class="vs-divider">VS</div>' : ""}
+        <div class="vehicle-selector" id="selector${index + 1}">
+          ${getSelectorPlaceholder(index)}
+        </div>
+      `)
+      .join("")
+    selectorGrid.style.gridTemplateColumns = new Array(slotCount).fill("minmax(180px, 1fr)").join(" auto ")
+  }
+
+  const tableHeader = document.querySelector(".table-header")
+  if (tableHeader) {
+    tableHeader.innerHTML = `
+      <div class="spec-column">Specifications</div>
+      ${selectedVehicles.map((vehicle, index) => `<div class="vehicle-column" id="vehicle${index + 1}Header"></div>`).join("")}
+    `
+  }
+
+  const comparisonTable = document.getElementById("comparisonTable")
+  if (comparisonTable) {
+    comparisonTable.style.setProperty("--slot-count", slotCount)
+  }
+
+  selectedVehicles.forEach((vehicle, index) => {
+    if (vehicle) updateVehicleSelector(index, vehicle)
+  })
+
+  setupVehicleSelectors()
+}
+
+function getSelectorPlaceholder(index) {
+  const ordinals = ["First", "Second", "Third"]
+  return `
+    <div class="selector-placeholder">
+      <i class="fas fa-plus"></i>
+      <span>${index < ordinals.length ? `Select ${ordinals[index]} Vehicle` : "Add Another Vehicle"}</span>
+    </div>
+  `
+}
+
 function setupVehicleSelectors() {
   const selectors = document.querySelectorAll(".vehicle-selector")
   selectors.forEach((selector, index) => {
-    selector.addEventListener("click", () => {
+    selector.addEventListener("click", (event) => {
+      if (isSharedView || event.target.closest(".remove-vehicle-btn")) return
       currentSelectorIndex = index
       showVehicleModal()
     })
   })
 }
 
-// Load comparison from API with localStorage fallback
+// Load the comparison set named in the URL (?share=slug or ?set=id),
+// otherwise the signed-in user's most recent set
 async function loadComparisonFromAPI() {
   try {
-    // Try to get user's comparison from API
-    const compareList = await getUserComparison()
-    console.log("Loading comparison from API:", compareList)
+    const urlParams = new URLSearchParams(window.location.search)
+    const shareSlug = urlParams.get("share")
+    const setId = urlParams.get("set")
+
+    let set = null
+    if (shareSlug) {
+      set = await getComparisonSet({ shareSlug })
+      isSharedView = Boolean(set)
+    } else if (setId && isSignedIn()) {
+      set = await getComparisonSet({ setId })
+    } else if (isSignedIn()) {
+      const sets = await getComparisonSets()
+      set = sets[0] || null
+    }
 
-    // Load vehicle details for each comparison item
-    const vehiclePromises = compareList.slice(0, 3).map(async (vehicleData, index) => {
-      let vehicle = null
-      
-      if (typeof vehicleData === 'object' && vehicleData.id) {
-        // If it's already a vehicle object
-        vehicle = vehicleData
-      } else if (typeof vehicleData === 'number' || typeof vehicleData === 'string') {
-        // If it's just an ID, fetch the details
-        vehicle = await getVehicleDetails(vehicleData)
-      }
-      
-      if (vehicle) {
-        selectedVehicles[index] = vehicle
-        updateVehicleSelector(index, vehicle)
-      }
-    })
+    if (!set) {
+      if (shareSlug) showErrorMessage("This shared comparison is no longer available.")
+      return
+    }
 
-    await Promise.all(vehiclePromises)
+    currentComparisonSet = isSharedView ? null : set
+    // Shared sets are exported by slug; only owners can export by ID
+    exportPath = isSharedView
+      ? `/comparison/shared/${encodeURIComponent(shareSlug)}/export`
+      : `/comparison/${set._id}/export`
+
+    // Load vehicle details for each vehicle in the set, keeping the saved order
+    const vehicleIds = set.vehicles.slice(0, MAX_COMPARE_VEHICLES).map((vehicle) => vehicle._id || vehicle)
+    const vehicles = await Promise.all(vehicleIds.map((vehicleId) => getVehicleDetails(vehicleId)))
+
+    selectedVehicles = vehicles.filter(Boolean)
+    renderVehicleSlots()
     updateComparisonTable()
+    updateComparisonSetActions(set)
     updateEmptyState()
     
   } catch (error) {
     console.error("Error loading comparison from API:", error)
-    
-    // Fallback to localStorage
-    loadComparisonFromStorage()
   }
 }
 
-function loadComparisonFromStorage() {
-  const compareList = JSON.parse(localStorage.getItem("compareList") || "[]")
-  console.log("Loading comparison from localStorage:", compareList)
+// Show the set name/notes and the share button for saved sets
+function updateComparisonSetActions(set = currentComparisonSet) {
+  const actions = document.getElementById("compareSetActions")
+  if (!actions) return
 
-  compareList.forEach((vehicle, index) => {
-    if (index < 3 && vehicle) {
-      selectedVehicles[index] = vehicle
-      updateVehicleSelector(index, vehicle)
+  if (!set) {
+    actions.style.display = "none"
+    return
+  }
+
+  actions.innerHTML = `
+    <div class="compare-set-info">
+      <div class="compare-set-name">${isSharedView ? '<i class="fas fa-link"></i> ' : ""}${escapeHtml(set.name)}</div>
+      ${set.notes ? `<div class="compare-set-notes">${escapeHtml(set.notes)}</div>` : ""}
+    </div>
+    <div class="compare-set-buttons">
+      <button class="btn-share-comparison" onclick="exportComparisonSet('pdf')">
+        <i class="fas fa-file-pdf"></i> PDF
+      </button>
+      <button class="btn-share-comparison" onclick="exportComparisonSet('csv')">
+        <i class="fas fa-file-csv"></i> CSV
+      </button>
+      <button class="btn-share-comparison" onclick="exportComparisonSet('html')">
+        <i class="fas fa-print"></i> Print
+      </button>
+      ${isSharedView
+        ? ""
+        : `<button class="btn-share-comparison" onclick="copyComparisonShareLink()">
+            <i class="fas fa-share-alt"></i> Share
+          </button>`}
+    </div>
+  `
+  actions.style.display = "flex"
+}
+
+// Download the saved set as CSV/PDF, or open the printable HTML version
+async function exportComparisonSet(format) {
+  if (!exportPath) return
+
+  try {
+    const token = localStorage.getItem("authToken") || sessionStorage.getItem("authToken")
+    const response = await fetch(`${API_BASE_URL}${exportPath}?format=${format}`, {
+      headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+    })
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}))
+      throw new Error(data.message || `HTTP error! status: ${response.status}`)
     }
-  })
 
-  updateComparisonTable()
-  updateEmptyState()
+    const url = URL.createObjectURL(await response.blob())
+    if (format === "html") {
+      window.open(url, "_blank")
+    } else {
+      const link = document.createElement("a")
+      link.href = url
+      link.download = `${buildComparisonName().replace(/[^A-Za-z0-9-_]+/g, "-")}.${format}`
+      link.click()
+    }
+    setTimeout(() => URL.revokeObjectURL(url), 60000)
+  } catch (error) {
+    console.error("Error exporting comparison:", error)
+    showErrorMessage("Failed to export comparison. Please try again.")
+  }
+}
+
+async function copyComparisonShareLink() {
+  const link = await shareComparisonSet()
+  if (!link) {
+    showErrorMessage("Failed to create a share link. Please try again.")
+    return
+  }
+
+  try {
+    await navigator.clipboard.writeText(link)
+    alert("Share link copied to clipboard!")
+  } catch (error) {
+    prompt("Copy this link to share your comparison:", link)
+  }
 }
 
 async function showVehicleModal() {
@@ -430,11 +650,11 @@ async function selectVehicle(vehicleId) {
     }
 
     selectedVehicles[currentSelectorIndex] = vehicle
-    updateVehicleSelector(currentSelectorIndex, vehicle)
+    renderVehicleSlots()
     closeVehicleModal()
     updateComparisonTable()
     
-    // Save to API and localStorage
+    // Save to the user's comparison set
     await updateStorage()
     updateEmptyState()
 
@@ -487,18 +707,10 @@ function updateVehicleSelector(index, vehicle) {
 }
 
 async function removeVehicle(index) {
-  selectedVehicles[index] = null
-  const selector = document.getElementById(`selector${index + 1}`)
+  if (isSharedView) return
 
-  if (selector) {
-    selector.innerHTML = `
-      <div class="selector-placeholder">
-        <i class="fas fa-plus"></i>
-        <span>Select ${index === 0 ? "First" : index === 1 ? "Second" : "Third"} Vehicle</span>
-      </div>
-    `
-    selector.classList.remove("selected")
-  }
+  selectedVehicles[index] = null
+  renderVehicleSlots()
 
   updateComparisonTable()
   await updateStorage()
@@ -511,6 +723,8 @@ function updateComparisonTable() {
   const hasVehicles = selectedVehicles.some((v) => v !== null)
   const comparisonTable = document.getElementById("comparisonTable")
 
+  updateComparisonVerdict()
+
   if (!hasVehicles || !comparisonTable) {
     if (comparisonTable) comparisonTable.style.display = "none"
     return
@@ -554,6 +768,43 @@ function updateComparisonTable() {
   }
 }
 
+// Show the overall winner and "why it wins" summary above the table
+async function updateComparisonVerdict() {
+  const verdict = document.getElementById("comparisonVerdict")
+  if (!verdict) return
+
+  const vehicleIds = selectedVehicles.filter((v) => v !== null).map((v) => v.id)
+  if (vehicleIds.length < 2) {
+    verdict.style.display = "none"
+    return
+  }
+
+  const scorecard = await getComparisonVerdict(vehicleIds)
+  if (!scorecard || !scorecard.summary) {
+    verdict.style.display = "none"
+    return
+  }
+
+  verdict.innerHTML = `
+    <div class="verdict-title">
+      <i class="fas fa-trophy"></i> ${scorecard.personalized ? "Our verdict for you" : "Our verdict"}
+    </div>
+    <p class="verdict-summary">${scorecard.summary}</p>
+    <div class="verdict-scores">
+      ${scorecard.overall
+        .map(
+          (entry) => `
+        <div class="verdict-score ${entry.rank === 1 ? "winner" : ""}">
+          #${entry.rank} ${entry.name} · ${entry.score}/100
+        </div>
+      `,
+        )
+        .join("")}
+    </div>
+  `
+  verdict.style.display = "block"
+}
+
 function generateComparisonRow(spec) {
   const values = selectedVehicles.map((vehicle) => {
     if (!vehicle) return null
@@ -655,21 +906,15 @@ function closeVehicleModal() {
   }
 }
 
-// Update storage - both API and localStorage
+// Persist the current vehicles to the user's saved comparison set
 async function updateStorage() {
-  const compareList = selectedVehicles.filter((v) => v !== null)
-  
-  // Save to localStorage immediately
-  localStorage.setItem("compareList", JSON.stringify(compareList))
-  
-  // Try to save to API
-  try {
-    const vehicleIds = compareList.map(v => v.id)
-    await saveComparisonToAPI(vehicleIds)
-    console.log("Updated API and localStorage with:", compareList.length, "vehicles")
-  } catch (error) {
-    console.error("Failed to save to API, using localStorage only:", error)
-  }
+  // Shared links are read-only and guests have nowhere to save
+  if (isSharedView || !isSignedIn()) return
+
+  const vehicleIds = selectedVehicles.filter((v) => v !== null).map((v) => v.id)
+  if (vehicleIds.length === 0 && !currentComparisonSet) return
+
+  await saveComparisonToAPI(vehicleIds)
 }
 
 async function loadPopularComparison(vehicleNames) {
@@ -679,10 +924,14 @@ async function loadPopularComparison(vehicleNames) {
     // Ensure database is loaded
     await loadEVDatabase()
 
-    // Clear current selection
-    selectedVehicles = [null, null, null]
+    // Clear current selection; a popular comparison starts a new set
+    selectedVehicles = []
+    currentComparisonSet = null
+    exportPath = null
+    isSharedView = false
+    updateComparisonSetActions()
 
-    const vehiclePromises = vehicleNames.slice(0, 3).map(async (name, index) => {
+    const vehiclePromises = vehicleNames.slice(0, MAX_COMPARE_VEHICLES).map(async (name, index) => {
       const vehicle = completeEVDatabase.find((ev) => 
         ev.fullName === name || `${ev.make} ${ev.model}` === name
       )
@@ -692,12 +941,13 @@ async function loadPopularComparison(vehicleNames) {
         const vehicleDetails = await getVehicleDetails(vehicle.id)
         if (vehicleDetails) {
           selectedVehicles[index] = vehicleDetails
-          updateVehicleSelector(index, vehicleDetails)
         }
       }
     })
 
     await Promise.all(vehiclePromises)
+    selectedVehicles = selectedVehicles.filter(Boolean)
+    renderVehicleSlots()
 
     updateComparisonTable()
     await updateStorage()
@@ -832,7 +1082,12 @@ window.compareSystem = {
   loadEVDatabase,
   getVehicleDetails,
   saveComparisonToAPI,
+  getComparisonSets,
+  getComparisonSet,
   getUserComparison,
+  shareComparisonSet,
+  exportComparisonSet,
+  getComparisonVerdict,
   searchVehiclesForComparison
 }
 
@@ -395,7 +395,8 @@ async function viewDetails(vehicleId) {
   }
 }
 
-// Add to comparison - API integrated
+// Add to the user's latest comparison set, the one the compare page opens,
+// or start a new set when they have none
 async function addToComparison(vehicleId) {
   try {
     const vehicle = favorites.find((v) => v.id === vehicleId)
@@ -404,36 +405,42 @@ async function addToComparison(vehicleId) {
       return
     }
 
-    // Get existing comparison list from API
-    const compareResponse = await apiRequest('/users/comparison', {
+    const setsResponse = await apiRequest('/comparison/sets', {
       method: 'GET'
     })
-
-    let compareList = []
-    if (compareResponse.success) {
-      compareList = compareResponse.data.comparison || []
-    }
+    const { sets, maxVehicles } = setsResponse.data
+    const set = sets[0]
+    const vehicles = set ? set.vehicles : []
 
     // Check if already in comparison
-    if (compareList.find(item => item.id === vehicleId)) {
+    if (vehicles.some((item) => item._id === vehicleId)) {
       showErrorMessage(`${vehicle.fullName || vehicle.make + ' ' + vehicle.model} is already in your comparison list!`)
       return
     }
 
     // Check if comparison list is full
-    if (compareList.length >= 3) {
-      showErrorMessage("You can compare maximum 3 vehicles. Please remove one to add another.")
+    if (vehicles.length >= maxVehicles) {
+      showErrorMessage(`You can compare maximum ${maxVehicles} vehicles. Please remove one to add another.`)
       return
     }
 
-    // Add to comparison via API
-    const addResponse = await apiRequest('/users/comparison', {
-      method: 'POST',
-      body: JSON.stringify({ vehicleId })
-    })
+    // Named after its vehicles, as the compare page names the sets it saves,
+    // unless the user renamed the set
+    const vehicleIds = [...vehicles.map((item) => item._id), vehicleId]
+    const nameFor = (list) => list.map((item) => `${item.make} ${item.model}`).join(" vs ").slice(0, 100)
+    const name = nameFor([...vehicles, vehicle])
+    const addResponse = set
+      ? await apiRequest(`/comparison/sets/${set._id}`, {
+        method: 'PUT',
+        body: JSON.stringify({ vehicleIds, ...(set.name === nameFor(vehicles) && { name }) })
+      })
+      : await apiRequest('/comparison/sets', {
+        method: 'POST',
+        body: JSON.stringify({ vehicleIds, name })
+      })
 
     if (addResponse.success) {
-      showSuccessMessage(`${vehicle.fullName || vehicle.make + ' ' + vehicle.model} added to comparison! (${compareList.length + 1}/3)`)
+      showSuccessMessage(`${vehicle.fullName || vehicle.make + ' ' + vehicle.model} added to comparison! (${vehicleIds.length}/${maxVehicles})`)
       
       // Track activity
       await trackActivity('compare', vehicleId)
@@ -0,0 +1,453 @@
+// Generated from backend/utils/matchScoring.js by `npm run build:scoring`; do not edit.
+// Match scoring rule set 1.2.0
+;(function (global) {
+  var module = { exports: {} }
+// Match scoring shared by the quiz, "for me" recommendations and the browser.
+//
+// This file is also shipped to the frontend as matchScoring.js (see
+// scripts/buildScoringBundle.js), so it must not require other modules or read
+// the environment: the same answers must rank vehicles the same way on the
+// server and offline in the browser. Any change to the rules below changes
+// rankings, so bump version and rebuild the bundle with `npm run build:scoring`.
+//
+// Rule set 1.2.0. A vehicle scores up to 100 points:
+// - budget (30): full marks when the price after incentives is within the
+//   budget, 67% when it is under the minimum, 50% when it is at most 10% over
+//   the maximum, nothing beyond that
+// - body type (25): full marks for the body type asked for, 60% for a similar
+//   one (e.g. a hatchback when a sedan was asked for)
+// - range (20): EPA range against a 300 mile baseline, scaled by how important
+//   range was rated (1-10) and capped at the weight
+// - technology (10): the vehicle's tech score (0-100) scaled by how important
+//   technology was rated (1-10)
+// - eco (10): the vehicle's eco score (0-100)
+// - charging (5): DC fast charging power against 150 kW, at full weight when
+//   fast charging was asked for and half weight otherwise
+// Importance ratings that were not given count as 5. Only vehicles priced at
+// least the budget minimum and at most 20% over its maximum, of the asked-for
+// or a similar body type, are ranked. When the daily distance is known, each
+// vehicle also gets a range verdict: its real-world range, less the worst
+// season's loss for the climate, the extra drain of highway driving and 8
+// years of battery wear, is "adequate" when it covers the daily distance plus
+// 25%, "marginal" when it covers only the distance, else "insufficient".
+// Vehicles are ranked by verdict first, then score; equal scores are ordered
+// by vehicle ID.
+const RULES = {
+  version: "1.2.0",
+  weights: {
+    budget: 30,
+    bodyType: 25,
+    range: 20,
+    technology: 10,
+    eco: 10,
+    charging: 5,
+  },
+  budget: {
+    // Candidates may cost up to this multiple of the maximum
+    candidateFlexibility: 1.2,
+    underMinimumShare: 0.67,
+    overMaximumTolerance: 1.1,
+    overMaximumShare: 0.5,
+  },
+  bodyType: {
+    similar: {
+      sedan: ["hatchback"],
+      suv: ["wagon"],
+      hatchback: ["sedan"],
+      wagon: ["suv"],
+    },
+    similarShare: 0.6,
+  },
+  range: {
+    baselineMiles: 300,
+  },
+  charging: {
+    // chargingFeatures value that gives charging full weight
+    fastChargingAnswer: "fast-charging",
+    fullPowerKw: 150,
+  },
+  importance: {
+    default: 5,
+    max: 10,
+  },
+  // Vehicle tech and eco scores are out of this
+  maxVehicleScore: 100,
+  reasons: {
+    excellentRangeMiles: 300,
+    advancedTechScore: 90,
+    ecoFriendlyScore: 90,
+    fastChargingKw: 150,
+  },
+  rangeAdequacy: {
+    // Share of range lost in each climate's worst season (winter cold or
+    // summer air conditioning)
+    climateLoss: {
+      cold: 0.3,
+      moderate: 0.18,
+      mild: 0.08,
+      hot: 0.12,
+    },
+    defaultClimate: "moderate",
+    // Climate by US state, for users who did not say
+    stateClimates: {
+      cold: ["AK", "ID", "IA", "ME", "MI", "MN", "MT", "ND", "NE", "NH", "NY", "SD", "VT", "WI", "WY"],
+      mild: ["CA", "HI", "OR", "WA"],
+      hot: ["AZ", "FL", "LA", "MS", "NM", "NV", "TX"],
+    },
+    // EPA range assumes this share of highway miles; each extra share of
+    // highway driving costs highwayLoss of that share in range
+    epaHighwayShare: 0.45,
+    highwayLoss: 0.25,
+    annualDegradation: 0.02,
+    ownershipYears: 8,
+    bufferShare: 0.25,
+    // Best first
+    verdicts: ["adequate", "marginal", "insufficient"],
+  },
+  // Recommendations returned by default
+  limit: 5,
+}
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value)
+const roundPoints = (points) => Math.round(points * 10) / 10
+
+// The profile field each factor scores and, for those a vehicle could improve
+// on, which way is better and how far it is worth looking
+const FACTORS = {
+  budget: { field: "price", better: -1, bound: (preferences) => preferences.budget?.min ?? 0 },
+  bodyType: { field: "bodyType" },
+  range: { field: "range", better: 1, bound: () => RULES.range.baselineMiles * RULES.importance.max },
+  technology: { field: "techScore", better: 1, bound: () => RULES.maxVehicleScore },
+  eco: { field: "ecoScore", better: 1, bound: () => RULES.maxVehicleScore },
+  charging: { field: "dcMaxKw", better: 1, bound: () => RULES.charging.fullPowerKw },
+}
+
+// Preferences from quiz answers keyed by question ID. Each question's mapping
+// (see models/Quiz) names the preference its answer sets and may look option
+// values up in mapping.values; otherwise the answer itself is used, as a
+// number for range questions and a list for multiple choice ones.
+function preferencesFromAnswers(answers = {}, questions = []) {
+  const preferences = {}
+  const lookup = (values, answer) => (values && Object.prototype.hasOwnProperty.call(values, answer) ? values[answer] : undefined)
+
+  questions.forEach((question) => {
+    const { preference, values } = question.mapping || {}
+    const answer = answers[question.id]
+    if (!preference || answer === undefined || answer === null || answer === "") return
+
+    let value
+    if (question.type === "multiple") {
+      if (!Array.isArray(answer)) return
+      value = values ? answer.map((item) => lookup(values, item)).filter((item) => item !== undefined) : [...answer]
+    } else if (values) {
+      value = lookup(values, answer)
+    } else if (question.type === "range") {
+      value = Number.parseInt(answer)
+      if (!isNumber(value)) return
+    } else {
+      value = answer
+    }
+
+    if (value !== undefined) {
+      preferences[preference] = value !== null && typeof value === "object" && !Array.isArray(value) ? { ...value } : value
+    }
+  })
+
+  return preferences
+}
+
+const acceptedBodyTypes = (vehicleType) => (vehicleType ? [vehicleType, ...(RULES.bodyType.similar[vehicleType] || [])] : null)
+
+// Which vehicles are worth ranking: a price window on MSRP and the accepted
+// body types. Either is null when the preferences do not restrict it.
+function candidateCriteria(preferences = {}) {
+  const budget = preferences.budget
+  return {
+    price: budget ? { min: budget.min, max: budget.max * RULES.budget.candidateFlexibility } : null,
+    bodyTypes: acceptedBodyTypes(preferences.vehicleType),
+  }
+}
+
+// The fields scoring looks at. Accepts a Vehicle document (or its JSON) or an
+// already flat profile as used by the browser.
+function vehicleProfile(vehicle) {
+  if (!vehicle.specifications) {
+    return { ...vehicle, id: String(vehicle.id ?? vehicle._id ?? ""), price: vehicle.price ?? vehicle.msrp }
+  }
+
+  return {
+    id: String(vehicle._id ?? vehicle.id ?? ""),
+    msrp: vehicle.price.msrp,
+    price: vehicle.effectivePrice ?? vehicle.price.msrp,
+    bodyType: vehicle.bodyType,
+    range: vehicle.specifications.range?.epa,
+    realWorldRange: vehicle.specifications.range?.real_world,
+    techScore: vehicle.techScore,
+    ecoScore: vehicle.ecoScore,
+    dcMaxKw: vehicle.specifications.charging?.dc_max_kw,
+  }
+}
+
+function isCandidate(profile, criteria) {
+  const msrp = profile.msrp ?? profile.price
+  if (criteria.price && !(msrp >= criteria.price.min && msrp <= criteria.price.max)) return false
+  if (criteria.bodyTypes && !criteria.bodyTypes.includes(profile.bodyType)) return false
+  return true
+}
+
+const importance = (value) => (isNumber(value) && value > 0 ? value : RULES.importance.default) / RULES.importance.max
+const wantsFastCharging = (preferences) => Boolean(preferences.chargingFeatures?.includes(RULES.charging.fastChargingAnswer))
+const chargingImportance = (preferences) => (wantsFastCharging(preferences) ? 1 : importance())
+
+// Points for each factor, before rounding
+function factorPoints(profile, preferences) {
+  const { weights } = RULES
+  const points = { budget: 0, bodyType: 0, range: 0, technology: 0, eco: 0, charging: 0 }
+
+  const budget = preferences.budget
+  if (budget && isNumber(profile.price)) {
+    if (profile.price >= budget.min && profile.price <= budget.max) {
+      points.budget = weights.budget
+    } else if (profile.price < budget.min) {
+      points.budget = weights.budget * RULES.budget.underMinimumShare
+    } else if (profile.price <= budget.max * RULES.budget.overMaximumTolerance) {
+      points.budget = weights.budget * RULES.budget.overMaximumShare
+    }
+  }
+
+  if (profile.bodyType === preferences.vehicleType) {
+    points.bodyType = weights.bodyType
+  } else if (RULES.bodyType.similar[preferences.vehicleType]?.includes(profile.bodyType)) {
+    points.bodyType = weights.bodyType * RULES.bodyType.similarShare
+  }
+
+  if (isNumber(profile.range)) {
+    points.range = weights.range * Math.min((profile.range / RULES.range.baselineMiles) * importance(preferences.rangeImportance), 1)
+  }
+  if (isNumber(profile.techScore)) {
+    points.technology = weights.technology * (profile.techScore / RULES.maxVehicleScore) * importance(preferences.techImportance)
+  }
+  if (isNumber(profile.ecoScore)) {
+    points.eco = weights.eco * (profile.ecoScore / RULES.maxVehicleScore)
+  }
+  if (isNumber(profile.dcMaxKw)) {
+    points.charging = weights.charging * Math.min(profile.dcMaxKw / RULES.charging.fullPowerKw, 1) * chargingImportance(preferences)
+  }
+
+  return points
+}
+
+// Climate region for a US state code, or null when it has no special one
+function climateRegionForState(state) {
+  const code = String(state || "").toUpperCase()
+  const entry = Object.entries(RULES.rangeAdequacy.stateClimates).find(([, states]) => states.includes(code))
+  return entry ? entry[0] : null
+}
+
+// Whether the range left on a bad day late in ownership covers the daily
+// distance, or null when the daily distance or the vehicle's range is unknown
+function rangeAdequacy(profile, preferences) {
+  const rules = RULES.rangeAdequacy
+  const baseRange = isNumber(profile.realWorldRange) ? profile.realWorldRange : profile.range
+  if (!isNumber(preferences.dailyMiles) || !isNumber(baseRange)) return null
+
+  const climateRegion = Object.prototype.hasOwnProperty.call(rules.climateLoss, preferences.climateRegion)
+    ? preferences.climateRegion
+    : rules.defaultClimate
+  const highwayShare = isNumber(preferences.highwayShare)
+    ? Math.min(Math.max(preferences.highwayShare, 0), 1)
+    : rules.epaHighwayShare
+
+  const usableMiles = baseRange *
+    (1 - rules.climateLoss[climateRegion]) *
+    (1 - rules.highwayLoss * (highwayShare - rules.epaHighwayShare)) *
+    (1 - rules.annualDegradation) ** rules.ownershipYears
+  const requiredMiles = preferences.dailyMiles * (1 + rules.bufferShare)
+
+  let verdict = "insufficient"
+  if (usableMiles >= requiredMiles) verdict = "adequate"
+  else if (usableMiles >= preferences.dailyMiles) verdict = "marginal"
+
+  return {
+    verdict,
+    usableMiles: Math.round(usableMiles),
+    requiredMiles: Math.round(requiredMiles),
+    dailyMiles: preferences.dailyMiles,
+    climateRegion,
+    highwayShare,
+  }
+}
+
+// Position of a range verdict in the ranking, best first. Vehicles without a
+// verdict rank with adequate ones.
+const rangeVerdictRank = (adequacy) => (adequacy ? RULES.rangeAdequacy.verdicts.indexOf(adequacy.verdict) : 0)
+
+function matchReasons(profile, preferences) {
+  const { reasons: thresholds } = RULES
+  const reasons = []
+
+  if (preferences.budget && isNumber(profile.price)) {
+    if (profile.price <= preferences.budget.max) reasons.push("Within budget")
+    if (profile.price < preferences.budget.min) reasons.push("Great value")
+  }
+  if (profile.bodyType === preferences.vehicleType) reasons.push("Perfect size match")
+  if (profile.range > thresholds.excellentRangeMiles) reasons.push("Excellent range")
+  if (profile.techScore > thresholds.advancedTechScore) reasons.push("Advanced technology")
+  if (profile.ecoScore > thresholds.ecoFriendlyScore) reasons.push("Eco-friendly")
+  if (wantsFastCharging(preferences) && profile.dcMaxKw >= thresholds.fastChargingKw) {
+    reasons.push("Fast charging")
+  }
+  if (rangeAdequacy(profile, preferences)?.verdict === "adequate") reasons.push("Range covers your daily driving")
+
+  return reasons
+}
+
+const totalPoints = (points) => Object.values(points).reduce((sum, value) => sum + value, 0)
+
+// What each factor compared the vehicle against: the budget, the body type
+// asked for, and the value that earns the factor's full weight otherwise
+function factorThresholds(preferences) {
+  return {
+    budget: preferences.budget ? { min: preferences.budget.min, max: preferences.budget.max } : null,
+    bodyType: preferences.vehicleType || null,
+    range: Math.ceil(RULES.range.baselineMiles / importance(preferences.rangeImportance)),
+    technology: RULES.maxVehicleScore,
+    eco: RULES.maxVehicleScore,
+    charging: RULES.charging.fullPowerKw,
+  }
+}
+
+// Points earned and available on each factor, with the vehicle's value and
+// the threshold it was compared against
+function factorBreakdown(profile, preferences, points) {
+  const thresholds = factorThresholds(preferences)
+  const maxPoints = {
+    ...RULES.weights,
+    technology: RULES.weights.technology * importance(preferences.techImportance),
+    charging: RULES.weights.charging * chargingImportance(preferences),
+  }
+
+  return Object.keys(FACTORS).map((factor) => ({
+    factor,
+    points: roundPoints(points[factor]),
+    maxPoints: roundPoints(maxPoints[factor]),
+    value: profile[FACTORS[factor].field] ?? null,
+    threshold: thresholds[factor],
+  }))
+}
+
+// Score one vehicle out of 100 with the reasons it matches and the points
+// behind the score
+function scoreVehicle(vehicle, preferences = {}) {
+  const profile = vehicleProfile(vehicle)
+  const points = factorPoints(profile, preferences)
+  const exact = totalPoints(points)
+
+  return {
+    score: Math.round(exact),
+    exactScore: exact,
+    matchReasons: matchReasons(profile, preferences),
+    breakdown: factorBreakdown(profile, preferences, points),
+    rangeAdequacy: rangeAdequacy(profile, preferences),
+  }
+}
+
+// The closest whole value of one factor at which the vehicle would score more
+// than target, or null when no value within the factor's bound does. Points
+// only grow as a value moves in the factor's better direction, so this is a
+// binary search between the current value and the bound.
+function valueToBeat(profile, preferences, factor, target) {
+  const { field, better, bound } = FACTORS[factor]
+  const current = profile[field]
+  if (!better || !isNumber(current)) return null
+
+  const beats = (value) => totalPoints(factorPoints({ ...profile, [field]: value }, preferences)) > target
+  let far = better > 0 ? Math.max(Math.ceil(bound(preferences)), current) : Math.min(Math.floor(bound(preferences)), current)
+  if (!beats(far)) return null
+
+  let near = current
+  while (Math.abs(far - near) > 1) {
+    const middle = better > 0 ? Math.floor((near + far) / 2) : Math.ceil((near + far) / 2)
+    if (beats(middle)) far = middle
+    else near = middle
+  }
+  return far
+}
+
+// How a vehicle compares with one ranked above it: the score gap, the points
+// it gains (positive) or loses (negative) on each factor, and each single
+// change to the vehicle that would put it ahead. A vehicle behind on range
+// verdict cannot get ahead on points, so no changes are listed for it.
+function compareVehicles(vehicle, ahead, preferences = {}) {
+  const profile = vehicleProfile(vehicle)
+  const aheadProfile = vehicleProfile(ahead)
+  const verdict = rangeAdequacy(profile, preferences)
+  const aheadVerdict = rangeAdequacy(aheadProfile, preferences)
+  const behindOnRange = rangeVerdictRank(verdict) > rangeVerdictRank(aheadVerdict)
+  const points = factorPoints(profile, preferences)
+  const aheadPoints = factorPoints(aheadProfile, preferences)
+  const aheadExact = totalPoints(aheadPoints)
+
+  const factorGaps = Object.fromEntries(
+    Object.keys(FACTORS).map((factor) => [factor, roundPoints(points[factor] - aheadPoints[factor])]),
+  )
+
+  const toOvertake = behindOnRange ? [] : Object.keys(FACTORS)
+    .map((factor) => {
+      const requiredValue = valueToBeat(profile, preferences, factor, aheadExact)
+      if (requiredValue === null) return null
+      const field = FACTORS[factor].field
+      const gained = factorPoints({ ...profile, [field]: requiredValue }, preferences)[factor] - points[factor]
+      return { factor, value: profile[field], requiredValue, pointsGained: roundPoints(gained) }
+    })
+    .filter(Boolean)
+
+  return {
+    vehicleId: aheadProfile.id,
+    scoreGap: roundPoints(aheadExact - totalPoints(points)),
+    factorGaps,
+    rangeVerdicts: verdict ? { vehicle: verdict.verdict, ahead: aheadVerdict?.verdict ?? null } : null,
+    behindOnRange,
+    toOvertake,
+  }
+}
+
+// Adds to each ranked entry after the first how it compares with the entry
+// just above it. Entries are { vehicle, ... } in their final order.
+function explainRanking(ranked, preferences = {}) {
+  return ranked.map((entry, index) => ({
+    ...entry,
+    comparedToPrevious: index > 0 ? compareVehicles(entry.vehicle, ranked[index - 1].vehicle, preferences) : null,
+  }))
+}
+
+// Best matches among the candidates, highest score first
+function rankVehicles(vehicles, preferences = {}, { limit = RULES.limit } = {}) {
+  const criteria = candidateCriteria(preferences)
+
+  return vehicles
+    .map((vehicle) => ({ vehicle, profile: vehicleProfile(vehicle) }))
+    .filter(({ profile }) => isCandidate(profile, criteria))
+    .map(({ vehicle, profile }) => ({ vehicle, id: profile.id, ...scoreVehicle(vehicle, preferences) }))
+    .sort((a, b) =>
+      rangeVerdictRank(a.rangeAdequacy) - rangeVerdictRank(b.rangeAdequacy) ||
+      b.exactScore - a.exactScore ||
+      (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+    .slice(0, limit)
+    .map(({ vehicle, score, matchReasons, breakdown, rangeAdequacy }) => ({ vehicle, score, matchReasons, breakdown, rangeAdequacy }))
+}
+
+module.exports = {
+  version: RULES.version,
+  getRules: () => JSON.parse(JSON.stringify(RULES)),
+  preferencesFromAnswers,
+  climateRegionForState,
+  candidateCriteria,
+  scoreVehicle,
+  rankVehicles,
+  compareVehicles,
+  explainRanking,
+  rangeVerdictRank
+}
+  global.EVMatchScoring = module.exports
+})(typeof window !== "undefined" ? window : globalThis)
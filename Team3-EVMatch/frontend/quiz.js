@@ -41,6 +41,11 @@ let quizData = {
 let currentQuestion = 0
 let userAnswers = {}
 let quizStartTime = Date.now()
+// Indexes of the questions shown so far; questions can be skipped, so going
+// back follows this rather than the question order
+let questionPath = [0]
+let quizProgress = null
+let resultsSubmitted = false // Whether the finished quiz was saved to the user's account
 
 // Load quiz data from API
 async function loadQuizData() {
@@ -120,6 +125,9 @@ async function initializeQuiz() {
   currentQuestion = 0
   userAnswers = {}
   quizStartTime = Date.now()
+  questionPath = [0]
+  quizProgress = null
+  resultsSubmitted = false
   
   // Track quiz start
   await trackQuizActivity('quiz_started')
@@ -251,7 +259,7 @@ async function selectSingleOption(questionId, value, element) {
   
   // Auto-advance after a short delay for better UX
   setTimeout(() => {
-    if (currentQuestion < quizData.questions.length - 1) {
+    if (!isLastQuestion()) {
       nextQuestion()
     }
   }, 500)
@@ -315,20 +323,82 @@ function addRippleEffect(element) {
 }
 
 // Navigate to next question
-function nextQuestion() {
-  if (currentQuestion < quizData.questions.length - 1) {
-    currentQuestion++
-    updateProgress()
-    displayQuestion()
-  } else {
+// The server decides which question comes next, skipping those that do not
+// apply and stopping early once the recommendations are settled
+async function nextQuestion() {
+  const question = quizData.questions[currentQuestion]
+  if (question && userAnswers[question.id] === undefined) {
+    if (question.type === 'range') {
+      // The slider starts at its default, so leaving it there is an answer
+      userAnswers[question.id] = question.defaultValue
+    } else if (question.type === 'multiple' || question.required === false) {
+      userAnswers[question.id] = []
+    } else {
+      showNotification('Please choose an answer to continue', 'info')
+      return
+    }
+  }
+
+  const step = await getNextStep()
+  if (step.done) {
     finishQuiz()
+    return
+  }
+
+  currentQuestion = quizData.questions.findIndex(q => q.id === step.question.id)
+  questionPath.push(currentQuestion)
+  quizProgress = step.progress
+  updateProgress()
+  displayQuestion()
+}
+
+// Answers to the questions on the current path only; answers left behind by
+// going back and taking another branch no longer apply
+function getPathAnswers() {
+  const pathIds = questionPath.map(index => String(quizData.questions[index].id))
+  return Object.fromEntries(Object.entries(userAnswers).filter(([id]) => pathIds.includes(id)))
+}
+
+// Get the next step from the API, or the next question in order when offline
+async function getNextStep() {
+  try {
+    const answers = getPathAnswers()
+    // The path is the order the questions were answered in
+    const answerOrder = questionPath
+      .map(index => quizData.questions[index].id)
+      .filter(id => Object.prototype.hasOwnProperty.call(answers, id))
+    const response = await apiRequest('/quiz/next', {
+      method: 'POST',
+      body: JSON.stringify({ answers, answerOrder, quizName: quizData.name, quizVersion: quizData.version })
+    })
+
+    if (response.success) {
+      return response.data
+    }
+    throw new Error(response.message || 'Failed to get next question')
+  } catch (error) {
+    console.error("Next question API failed:", error)
+
+    const question = quizData.questions[currentQuestion + 1]
+    return {
+      done: !question,
+      question: question || null,
+      progress: { answered: questionPath.length, remaining: quizData.questions.length - currentQuestion - 1 }
+    }
   }
 }
 
+// Whether the question shown is the last one, as far as is known before it is answered
+function isLastQuestion() {
+  return quizProgress ? quizProgress.remaining <= 1 : currentQuestion === quizData.questions.length - 1
+}
+
 // Navigate to previous question
 function previousQuestion() {
-  if (currentQuestion > 0) {
-    currentQuestion--
+  if (questionPath.length > 1) {
+    questionPath.pop()
+    currentQuestion = questionPath[questionPath.length - 1]
+    quizProgress = null
     updateProgress()
     displayQuestion()
   }
@@ -336,7 +406,12 @@ function previousQuestion() {
 
 // Update progress bar and navigation
 function updateProgress() {
-  const progress = ((currentQuestion + 1) / quizData.questions.length) * 100
+  const position = questionPath.length
+  // Skipped questions shorten the quiz, so the total comes from the last step
+  const total = quizProgress
+    ? quizProgress.answered + quizProgress.remaining
+    : Math.max(position + quizData.questions.length - currentQuestion - 1, position)
+  const progress = (position / total) * 100
   const progressFill = document.getElementById('progressFill')
   const progressText = document.getElementById('progressText')
   
@@ -345,7 +420,7 @@ function updateProgress() {
   }
   
   if (progressText) {
-    progressText.textContent = `Question ${currentQuestion + 1} of ${quizData.questions.length}`
+    progressText.textContent = `Question ${position} of ${total}`
   }
 }
 
@@ -355,11 +430,11 @@ function updateNavigationButtons() {
   const nextBtn = document.getElementById('nextBtn')
   
   if (prevBtn) {
-    prevBtn.style.display = currentQuestion > 0 ? 'inline-flex' : 'none'
+    prevBtn.style.display = questionPath.length > 1 ? 'inline-flex' : 'none'
   }
   
   if (nextBtn) {
-    if (currentQuestion === quizData.questions.length - 1) {
+    if (isLastQuestion()) {
       nextBtn.innerHTML = '<i class="fas fa-check"></i> Finish Quiz'
     } else {
       nextBtn.innerHTML = 'Next <i class="fas fa-arrow-right"></i>'
@@ -375,8 +450,18 @@ async function finishQuiz() {
     // Show loading state
     showLoadingState("Calculating your recommendations...")
     
-    // Get recommendations from API
-    const recommendations = await getRecommendationsFromAPI(userAnswers)
+    // Signed-in users submit to the API, which also saves the result to their
+    // account; guests and offline users are ranked locally with the same rules
+    const answers = getPathAnswers()
+    let recommendations
+    try {
+      recommendations = await submitQuizToAPI(answers)
+      resultsSubmitted = true
+    } catch (error) {
+      console.error("Quiz submission failed:", error)
+      recommendations = calculateRecommendationsLocal(answers)
+      saveQuizResultsLocally(answers, recommendations, quizTime)
+    }
     
     // Track quiz completion
     await trackQuizActivity('quiz_completed', { 
@@ -385,9 +470,6 @@ async function finishQuiz() {
       answersCount: Object.keys(userAnswers).length
     })
     
-    // Save quiz results
-    await saveQuizResults(userAnswers, recommendations, quizTime)
-    
     hideLoadingState()
     showResults(recommendations, quizTime)
   } catch (error) {
@@ -395,134 +477,137 @@ async function finishQuiz() {
     hideLoadingState()
     
     // Fallback to local calculation
-    const recommendations = calculateRecommendationsLocal(userAnswers)
+    const recommendations = calculateRecommendationsLocal(getPathAnswers())
     showResults(recommendations, Date.now() - quizStartTime)
   }
 }
 
-// Get recommendations from API
-async function getRecommendationsFromAPI(answers) {
-  try {
-    const response = await apiRequest('/quiz/recommendations', {
-      method: 'POST',
-      body: JSON.stringify({ answers })
-    })
+// Submit the answers for the signed-in user and get their recommendations,
+// each with the vehicle in the shape the results view renders
+async function submitQuizToAPI(answers) {
+  if (!localStorage.getItem("authToken") && !sessionStorage.getItem("authToken")) {
+    throw new Error('Sign in to save quiz results')
+  }
 
-    if (response.success) {
-      return response.data.recommendations
-    } else {
-      throw new Error(response.message || 'Failed to get recommendations')
-    }
-  } catch (error) {
-    console.error("API recommendations failed:", error)
-    
-    // Fallback to local calculation
-    return calculateRecommendationsLocal(answers)
+  const response = await apiRequest('/quiz/submit', {
+    method: 'POST',
+    body: JSON.stringify({ answers, quizName: quizData.name, quizVersion: quizData.version })
+  })
+
+  if (!response.success) {
+    throw new Error(response.message || 'Failed to submit quiz')
   }
+
+  return response.data.recommendations.map(({ vehicle, quizVehicle, ...match }) => ({
+    ...quizVehicle,
+    ...match
+  }))
 }
 
-// Calculate EV recommendations locally (fallback)
+// Calculate EV recommendations locally (fallback) with the same rules the
+// server uses (matchScoring.js), so offline results match online ones
 function calculateRecommendationsLocal(answers) {
-  if (!quizData.evDatabase || quizData.evDatabase.length === 0) {
+  if (!quizData.evDatabase || quizData.evDatabase.length === 0 || !window.EVMatchScoring) {
     return []
   }
-
-  const recommendations = []
-  
-  // Get user preferences
-  const budget = getBudgetRange(answers[3])
-  const vehicleType = answers[2]
-  const dailyDistance = answers[5]
-  const rangeImportance = answers[4] || 5
-  const techImportance = answers[8] || 5
-  
-  // Filter and score EVs
-  quizData.evDatabase.forEach(ev => {
-    let score = 0
-    let matchReasons = []
-    
-    // Budget matching (high weight)
-    if (ev.price >= budget.min && ev.price <= budget.max) {
-      score += 30
-      matchReasons.push('Within budget')
-    } else if (ev.price < budget.min) {
-      score += 20
-      matchReasons.push('Great value')
-    }
-    
-    // Vehicle type matching
-    if (ev.type === vehicleType) {
-      score += 25
-      matchReasons.push('Perfect size match')
-    }
-    
-    // Range importance
-    const rangeScore = Math.min((ev.range / 300) * rangeImportance * 2, 20)
-    score += rangeScore
-    if (ev.range > 300) {
-      matchReasons.push('Excellent range')
-    }
-    
-    // Technology importance
-    const techScore = (ev.tech_score / 100) * techImportance * 2
-    score += techScore
-    if (ev.tech_score > 90) {
-      matchReasons.push('Advanced technology')
-    }
-    
-    // Eco-friendliness bonus
-    score += (ev.eco_score / 100) * 10
-    if (ev.eco_score > 90) {
-      matchReasons.push('Eco-friendly')
-    }
-    
-    // Charging features matching
-    if (answers[6] && answers[6].includes('fast-charging') && ev.charging === 'fast-charging') {
-      score += 10
-      matchReasons.push('Fast charging')
-    }
-    
-    recommendations.push({
-      ...ev,
-      score: Math.round(score),
-      matchReasons: matchReasons
-    })
-  })
   
-  // Sort by score and return top 3
-  return recommendations
-    .sort((a, b) => b.score - a.score)
-    .slice(0, 3)
+  const preferences = EVMatchScoring.preferencesFromAnswers(answers, quizData.questions)
+  const profiles = quizData.evDatabase.map(ev => ({
+    id: ev.id,
+    msrp: ev.msrp ?? ev.price,
+    price: ev.price,
+    bodyType: ev.bodyType || ev.type,
+    range: ev.range,
+    realWorldRange: ev.real_world_range,
+    techScore: ev.tech_score,
+    ecoScore: ev.eco_score,
+    dcMaxKw: ev.dc_max_kw,
+    ev
+  }))
+  
+  const ranked = EVMatchScoring.explainRanking(EVMatchScoring.rankVehicles(profiles, preferences), preferences)
+  return ranked.map(({ vehicle, score, matchReasons, breakdown, rangeAdequacy, comparedToPrevious }) => ({
+    ...vehicle.ev,
+    score,
+    matchReasons,
+    breakdown,
+    rangeAdequacy,
+    comparedToPrevious
+  }))
 }
 
-// Save quiz results to API
-async function saveQuizResults(answers, recommendations, completionTime) {
-  try {
-    const response = await apiRequest('/users/quiz-results', {
-      method: 'POST',
-      body: JSON.stringify({
-        answers,
-        recommendations: recommendations.map(r => r.id),
-        completionTime,
-        timestamp: new Date().toISOString()
-      })
-    })
+const rangeVerdictLabels = {
+  adequate: '✅ Range is adequate for your daily driving',
+  marginal: '⚠️ Range is marginal for your daily driving',
+  insufficient: '❌ Range is insufficient for your daily driving'
+}
 
-    if (response.success) {
-      console.log("Quiz results saved successfully")
-    }
-  } catch (error) {
-    console.error("Failed to save quiz results:", error)
-    
-    // Save locally as backup
-    const results = {
-      answers,
-      recommendations,
-      completionTime,
-      timestamp: new Date().toISOString()
-    }
-    localStorage.setItem('lastQuizResults', JSON.stringify(results))
+// Whether the range holds up for the daily distance in bad conditions
+function renderRangeVerdict(ev) {
+  const adequacy = ev.rangeAdequacy
+  if (!adequacy) {
+    return ''
+  }
+
+  return `
+    <div class="range-verdict range-verdict-${adequacy.verdict}">
+      <strong>${rangeVerdictLabels[adequacy.verdict] || adequacy.verdict}</strong>
+      <p><small>About ${adequacy.usableMiles} miles usable on a bad day after ${adequacy.climateRegion} weather and battery wear; ${adequacy.requiredMiles} needed for ${adequacy.dailyMiles} miles a day with a buffer.</small></p>
+    </div>
+  `
+}
+
+const scoreFactorLabels = {
+  budget: 'Budget',
+  bodyType: 'Vehicle type',
+  range: 'Range',
+  technology: 'Technology',
+  eco: 'Eco-friendliness',
+  charging: 'Charging'
+}
+
+// Points per factor, and what the gap to the previous match came down to
+function renderScoreBreakdown(ev) {
+  if (!ev.breakdown || ev.breakdown.length === 0) {
+    return ''
+  }
+
+  const factors = ev.breakdown
+    .map(item => `<li>${scoreFactorLabels[item.factor] || item.factor}: ${item.points}/${item.maxPoints} pts</li>`)
+    .join('')
+
+  let comparison = ''
+  const previous = ev.comparedToPrevious
+  if (previous && previous.behindOnRange) {
+    comparison = `<p><small>Ranked below the match above because its range is ${previous.rangeVerdicts.vehicle} for your daily driving.</small></p>`
+  } else if (previous && previous.scoreGap > 0) {
+    const behind = Object.entries(previous.factorGaps)
+      .filter(([, gap]) => gap < 0)
+      .sort((a, b) => a[1] - b[1])
+      .map(([factor, gap]) => `${scoreFactorLabels[factor] || factor} (${gap} pts)`)
+    comparison = `<p><small>${previous.scoreGap} pts behind the match above${behind.length ? `, mostly on ${behind.join(', ')}` : ''}.</small></p>`
+  }
+
+  return `
+    <div class="match-reasons">
+      <strong>Score breakdown:</strong>
+      <ul>${factors}</ul>
+      ${comparison}
+    </div>
+  `
+}
+
+// Keep results that could not be submitted on this device
+function saveQuizResultsLocally(answers, recommendations, completionTime) {
+  const results = {
+    answers,
+    quizName: quizData.name,
+    quizVersion: quizData.version,
+    recommendations,
+    completionTime,
+    timestamp: new Date().toISOString()
   }
+  localStorage.setItem('lastQuizResults', JSON.stringify(results))
 }
 
 // Track quiz activity - API integrated
@@ -542,19 +627,6 @@ async function trackQuizActivity(type, details = {}) {
   }
 }
 
-// Get budget range from user answer
-function getBudgetRange(budgetAnswer) {
-  const budgetRanges = {
-    'under-30k': { min: 0, max: 30000 },
-    '30k-50k': { min: 30000, max: 50000 },
-    '50k-70k': { min: 50000, max: 70000 },
-    '70k-100k': { min: 70000, max: 100000 },
-    'over-100k': { min: 100000, max: 1000000 }
-  }
-  
-  return budgetRanges[budgetAnswer] || { min: 0, max: 1000000 }
-}
-
 // Show results modal - Enhanced
 function showResults(recommendations, quizTime) {
   const modal = document.getElementById('resultsModal')
@@ -654,6 +726,8 @@ function showResults(recommendations, quizTime) {
               }
             </ul>
           </div>
+          ${renderRangeVerdict(ev)}
+          ${renderScoreBreakdown(ev)}
           <div class="ev-actions">
             <button class="btn-primary" onclick="learnMore('${ev.id}')">
               <i class="fas fa-info-circle"></i>
@@ -711,25 +785,19 @@ function closeResultsModal() {
   }, 300)
 }
 
-// Save results - API integrated
+// Save results - API integrated. Finished quizzes are already saved for
+// signed-in users; otherwise submit again, e.g. after signing in
 async function saveResults() {
+  if (resultsSubmitted) {
+    showNotification('Results are saved to your account! 🎉', 'success')
+    closeResultsModal()
+    return
+  }
+
   try {
-    const results = {
-      answers: userAnswers,
-      timestamp: new Date().toISOString(),
-      completionTime: Date.now() - quizStartTime
-    }
-    
-    const response = await apiRequest('/users/quiz-results', {
-      method: 'POST',
-      body: JSON.stringify(results)
-    })
-    
-    if (response.success) {
-      showNotification('Results saved successfully! 🎉', 'success')
-    } else {
-      throw new Error(response.message || 'Failed to save results')
-    }
+    await submitQuizToAPI(getPathAnswers())
+    resultsSubmitted = true
+    showNotification('Results saved successfully! 🎉', 'success')
   } catch (error) {
     console.error("Failed to save results:", error)
     
@@ -865,12 +933,13 @@ function showErrorMessage(message) {
 
 // Keyboard navigation
 document.addEventListener('keydown', function(e) {
-  if (e.key === 'ArrowLeft' && currentQuestion > 0) {
+  if (e.key === 'ArrowLeft' && questionPath.length > 1) {
     previousQuestion()
-  } else if (e.key === 'ArrowRight' && currentQuestion < quizData.questions.length - 1) {
+  } else if (e.key === 'ArrowRight' && !isLastQuestion()) {
+    nextQuestion()
+  } else if (e.key === 'Enter' && isLastQuestion()) {
+    // Answering the last question may still reveal another, so ask first
     nextQuestion()
-  } else if (e.key === 'Enter' && currentQuestion === quizData.questions.length - 1) {
-    finishQuiz()
   }
 })
 
@@ -1040,9 +1109,9 @@ document.head.appendChild(style)
 window.quizSystem = {
   loadQuizData,
   initializeQuiz,
-  getRecommendationsFromAPI,
+  submitQuizToAPI,
   trackQuizActivity,
-  saveQuizResults
+  saveQuizResultsLocally
 }
 
 console.log("Quiz.js loaded successfully with API integration")